@@ -0,0 +1,111 @@
+import { decodeDict, encodeDict, Item } from 'structured-field-values';
+import { Result, err, ok } from 'neverthrow';
+import { toComponentIdentifier, toComponentItem } from './components.js';
+
+/**
+ * Creates an `Accept-Signature` header value asking for a signature that satisfies a verification policy.
+ * Takes the same `requiredInputs` and `requiredParams` as `verifySignatureOfRequest`.
+ *
+ * @param {object} params - The parameters for creating the header value.
+ * @param {string} params.signatureLabel - The label the signer should use for the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - The components the signature must cover.
+ * @param {string[]} params.requiredParams - The parameters the signature must have. They are sent as boolean parameters (e.g. `created`), asking the signer to fill in the value.
+ * @param {Object.<string, (number|string)>=} params.params - Parameters with a required value, such as `keyid`, `alg` or `tag`.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The `Accept-Signature` header value.
+ */
+export function createAcceptSignature({ signatureLabel, requiredInputs, requiredParams, params = {} }) {
+    /** @type {Object.<string, (number|string|boolean)>} */
+    const acceptParams = {};
+    for (const name of requiredParams) {
+        acceptParams[name] = true;
+    }
+    Object.assign(acceptParams, params);
+    return Result.fromThrowable(
+        () => encodeDict({ [signatureLabel]: new Item(requiredInputs.map(toComponentItem), acceptParams) }),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'encoding',
+            code: 'ENCODING_FAILED',
+            message: 'Failed to encode Accept-Signature dictionary',
+            context: error,
+            details: {}
+        })
+    )();
+}
+
+/**
+ * Parses an `Accept-Signature` header value into arguments for `createSignatureForRequest` or `createSignatureForResponse`, one per requested signature.
+ * Parameters requested with a value are copied. Parameters requested as booleans are filled in: `created` with the current time,
+ * `expires` with `created` plus `expiresIn`, `nonce` with a random value and any other parameter from `params`.
+ *
+ * @param {object} params - The parameters for parsing the header value.
+ * @param {string} params.stringOfAcceptSignature - The `Accept-Signature` header value.
+ * @param {Object.<string, (number|string)>=} params.params - Values for requested parameters, such as `keyid` or `alg`.
+ * @param {number=} params.expiresIn - The lifetime (in seconds) of signatures for which `expires` is requested. Defaults to 300.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {import("neverthrow").Result<{signatureLabel: string, signatureInputs: import("./components.js").ComponentIdentifier[], additionalParams: Object.<string, (number|string)>}[], import("./errors.js").SignatureError>} The arguments for each requested signature.
+ */
+export function parseAcceptSignature({ stringOfAcceptSignature, params = {}, expiresIn = 300, now = Date.now }) {
+    const resultOfAcceptSignatureDict = Result.fromThrowable(
+        () => decodeDict(stringOfAcceptSignature),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_ACCEPT_SIGNATURE',
+            message: 'Invalid Accept-Signature',
+            context: error,
+            details: {}
+        })
+    )();
+    if (resultOfAcceptSignatureDict.isErr()) {
+        return err(resultOfAcceptSignatureDict.error);
+    }
+
+    const created = Math.floor(now() / 1000);
+    /** @type {{signatureLabel: string, signatureInputs: import("./components.js").ComponentIdentifier[], additionalParams: Object.<string, (number|string)>}[]} */
+    const requests = [];
+    for (const [signatureLabel, member] of Object.entries(resultOfAcceptSignatureDict.value)) {
+        if (!(member instanceof Item) || !Array.isArray(member.value)) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_ACCEPT_SIGNATURE',
+                message: 'Invalid Accept-Signature',
+                context: `Invalid Accept-Signature for "${signatureLabel}"`,
+                details: { label: signatureLabel }
+            });
+        }
+        /** @type {Object.<string, (number|string)>} */
+        const additionalParams = {};
+        for (const [name, value] of Object.entries(member.params ?? {})) {
+            if (value !== true) {
+                additionalParams[name] = value;
+            } else if (name === 'created') {
+                additionalParams.created = created;
+            } else if (name === 'expires') {
+                additionalParams.expires = created + expiresIn;
+            } else if (name === 'nonce') {
+                additionalParams.nonce = createNonce();
+            } else if (Object.prototype.hasOwnProperty.call(params, name)) {
+                additionalParams[name] = params[name];
+            } else {
+                return err({
+                    type: 'validation',
+                    code: 'MISSING_PARAMETER',
+                    message: 'Missing signature parameter',
+                    context: `No value given for parameter "${name}" requested by Accept-Signature for "${signatureLabel}"`,
+                    details: { parameter: name }
+                });
+            }
+        }
+        requests.push({ signatureLabel, signatureInputs: member.value.map(toComponentIdentifier), additionalParams });
+    }
+    return ok(requests);
+}
+
+/**
+ * Creates a random nonce of 128 bits, encoded as Base64url.
+ *
+ * @returns {string} The nonce.
+ */
+export function createNonce() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
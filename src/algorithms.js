@@ -0,0 +1,313 @@
+import { err, ok } from 'neverthrow';
+
+/**
+ * @typedef {'rsa-pss-sha512'|'rsa-v1_5-sha256'|'hmac-sha256'|'ecdsa-p256-sha256'|'ecdsa-p384-sha384'|'ed25519'} AlgorithmName
+ */
+
+/**
+ * @typedef {object} AlgorithmDefinition
+ * @property {{name: string, hash?: string, namedCurve?: string}} importParams - The WebCrypto parameters used to import a key for this algorithm.
+ * @property {{name: string, hash?: string, saltLength?: number}} signParams - The WebCrypto parameters used to sign and verify with this algorithm.
+ * @property {number=} signatureLength - The exact length in bytes of a signature, for algorithms with fixed-size signatures.
+ */
+
+/**
+ * The HTTP Signature Algorithms registered by RFC 9421 Section 6.2.2, mapped to their WebCrypto parameters.
+ *
+ * @type {Readonly<Record<AlgorithmName, AlgorithmDefinition>>}
+ */
+export const ALGORITHMS = Object.freeze({
+    'rsa-pss-sha512': {
+        importParams: { name: 'RSA-PSS', hash: 'SHA-512' },
+        signParams: { name: 'RSA-PSS', saltLength: 64 },
+    },
+    'rsa-v1_5-sha256': {
+        importParams: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+        signParams: { name: 'RSASSA-PKCS1-v1_5' },
+    },
+    'hmac-sha256': {
+        importParams: { name: 'HMAC', hash: 'SHA-256' },
+        signParams: { name: 'HMAC' },
+    },
+    'ecdsa-p256-sha256': {
+        importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+        signParams: { name: 'ECDSA', hash: 'SHA-256' },
+        signatureLength: 64,
+    },
+    'ecdsa-p384-sha384': {
+        importParams: { name: 'ECDSA', namedCurve: 'P-384' },
+        signParams: { name: 'ECDSA', hash: 'SHA-384' },
+        signatureLength: 96,
+    },
+    'ed25519': {
+        importParams: { name: 'Ed25519' },
+        signParams: { name: 'Ed25519' },
+    },
+});
+
+/**
+ * Creates a `sign` callback for `createSignatureForRequest` and `createSignatureForResponse` that signs with WebCrypto.
+ * ECDSA signatures are produced in the raw `r || s` encoding required by RFC 9421 Section 3.3.
+ *
+ * @param {object} params - The parameters for creating the signer.
+ * @param {AlgorithmName} params.alg - The HTTP Signature Algorithm to sign with.
+ * @param {CryptoKey} params.key - The private key (or HMAC secret key) to sign with.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>}): Promise<import("neverthrow").Result<ArrayBuffer, import("./errors.js").SignatureError>>} The sign callback.
+ */
+export function createSigner({ alg, key }) {
+    return async ({ signatureBase, params }) => {
+        const resultOfAlgorithm = getAlgorithmForKey(alg, key, params);
+        if (resultOfAlgorithm.isErr()) {
+            return err(resultOfAlgorithm.error);
+        }
+        try {
+            const signature = await crypto.subtle.sign(resultOfAlgorithm.value.signParams, key, new TextEncoder().encode(signatureBase));
+            return ok(signature);
+        } catch (error) {
+            return err({
+                type: 'error',
+                code: 'SIGNING_FAILED',
+                message: `Failed to sign with algorithm ${alg}`,
+                context: error,
+                details: { alg }
+            });
+        }
+    };
+}
+
+/**
+ * Creates a `verify` callback for `verifySignatureOfRequest` and `verifySignatureOfResponse` that verifies with WebCrypto.
+ * ECDSA signatures must use the raw `r || s` encoding required by RFC 9421 Section 3.3; DER-encoded signatures are rejected.
+ *
+ * @param {object} params - The parameters for creating the verifier.
+ * @param {AlgorithmName} params.alg - The HTTP Signature Algorithm to verify with.
+ * @param {CryptoKey} params.key - The public key (or HMAC secret key) to verify with.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} The verify callback.
+ */
+export function createVerifier({ alg, key }) {
+    return async ({ signatureBase, params, signature }) => {
+        const resultOfAlgorithm = getAlgorithmForKey(alg, key, params);
+        if (resultOfAlgorithm.isErr()) {
+            return err(resultOfAlgorithm.error);
+        }
+        const { signParams, signatureLength } = resultOfAlgorithm.value;
+        if (signatureLength !== undefined && signature.byteLength !== signatureLength) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_SIGNATURE',
+                message: `Invalid signature length for algorithm ${alg}`,
+                context: `Expected a ${signatureLength} byte raw r||s signature, got ${signature.byteLength} bytes`,
+                details: {}
+            });
+        }
+        let isValid;
+        try {
+            isValid = await crypto.subtle.verify(signParams, key, signature, new TextEncoder().encode(signatureBase));
+        } catch (error) {
+            return err({
+                type: 'error',
+                code: 'VERIFIER_FAILED',
+                message: `Failed to verify with algorithm ${alg}`,
+                context: error,
+                details: { alg }
+            });
+        }
+        if (!isValid) {
+            return err({
+                type: 'validation',
+                code: 'SIGNATURE_MISMATCH',
+                message: 'Signature verification didn\'t pass',
+                context: `Signature does not match the signature base for algorithm ${alg}`,
+                details: { alg }
+            });
+        }
+        return ok(/** @type {true} */ (true));
+    };
+}
+
+/**
+ * Converts a DER-encoded ECDSA signature (as produced by OpenSSL, most HSMs and cloud KMS services)
+ * into the raw `r || s` encoding required by RFC 9421 Section 3.3.
+ *
+ * @param {object} params - The parameters for the conversion.
+ * @param {'ecdsa-p256-sha256'|'ecdsa-p384-sha384'} params.alg - The ECDSA algorithm the signature was made with.
+ * @param {Uint8Array} params.signature - The DER-encoded signature.
+ * @returns {import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>} The raw signature.
+ */
+export function ecdsaSignatureFromDer({ alg, signature }) {
+    const definition = ALGORITHMS[alg];
+    if (!definition || definition.signatureLength === undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_ALGORITHM',
+            message: `Unsupported ECDSA algorithm: ${alg}`,
+            context: `Unsupported ECDSA algorithm: ${alg}`,
+            details: { alg }
+        });
+    }
+    const integerLength = definition.signatureLength / 2;
+    /** @type {import("neverthrow").Err<never, import("./errors.js").SignatureError>} */
+    const invalidDer = err({
+        type: 'encoding',
+        code: 'INVALID_SIGNATURE',
+        message: 'Invalid DER-encoded ECDSA signature',
+        context: 'Expected SEQUENCE { INTEGER r, INTEGER s }',
+        details: {}
+    });
+
+    // SEQUENCE header, with a short or single-byte long form length
+    let offset = 0;
+    if (signature[offset++] !== 0x30) {
+        return invalidDer;
+    }
+    let sequenceLength = signature[offset++];
+    if (sequenceLength === 0x81) {
+        sequenceLength = signature[offset++];
+    }
+    if (sequenceLength !== signature.length - offset) {
+        return invalidDer;
+    }
+
+    const raw = new Uint8Array(definition.signatureLength);
+    for (let index = 0; index < 2; index++) {
+        if (signature[offset++] !== 0x02) {
+            return invalidDer;
+        }
+        const length = signature[offset++];
+        if (length === undefined || offset + length > signature.length) {
+            return invalidDer;
+        }
+        let integer = signature.subarray(offset, offset + length);
+        offset += length;
+        // strip the sign padding of positive integers
+        while (integer.length > integerLength && integer[0] === 0) {
+            integer = integer.subarray(1);
+        }
+        if (integer.length > integerLength) {
+            return invalidDer;
+        }
+        raw.set(integer, (index + 1) * integerLength - integer.length);
+    }
+    if (offset !== signature.length) {
+        return invalidDer;
+    }
+    return ok(raw);
+}
+
+/**
+ * Converts a raw `r || s` ECDSA signature, as produced by `createSigner`, into the DER encoding that draft-cavage signatures
+ * and most other protocols use.
+ *
+ * @param {object} params - The parameters for the conversion.
+ * @param {'ecdsa-p256-sha256'|'ecdsa-p384-sha384'} params.alg - The ECDSA algorithm the signature was made with.
+ * @param {Uint8Array} params.signature - The raw signature.
+ * @returns {import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>} The DER-encoded signature.
+ */
+export function ecdsaSignatureToDer({ alg, signature }) {
+    const definition = ALGORITHMS[alg];
+    if (!definition || definition.signatureLength === undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_ALGORITHM',
+            message: `Unsupported ECDSA algorithm: ${alg}`,
+            context: `Unsupported ECDSA algorithm: ${alg}`,
+            details: { alg }
+        });
+    }
+    if (signature.length !== definition.signatureLength) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE',
+            message: `Invalid signature length for algorithm ${alg}`,
+            context: `Expected a ${definition.signatureLength} byte raw r||s signature, got ${signature.length} bytes`,
+            details: {}
+        });
+    }
+    const integerLength = definition.signatureLength / 2;
+    /** @type {number[]} */
+    const integers = [];
+    for (let index = 0; index < 2; index++) {
+        let integer = signature.subarray(index * integerLength, (index + 1) * integerLength);
+        // DER integers are minimal, and positive ones need a zero byte if the high bit is set
+        while (integer.length > 1 && integer[0] === 0 && integer[1] < 0x80) {
+            integer = integer.subarray(1);
+        }
+        integers.push(0x02, ...(integer[0] >= 0x80 ? [integer.length + 1, 0] : [integer.length]), ...integer);
+    }
+    return ok(new Uint8Array([0x30, ...(integers.length >= 0x80 ? [0x81] : []), integers.length, ...integers]));
+}
+
+/**
+ * Looks up the algorithm definition and checks it against the key and the `alg` signature parameter, if present.
+ *
+ * @param {AlgorithmName} alg - The algorithm the signer or verifier was created for.
+ * @param {CryptoKey} key - The key the signer or verifier was created for.
+ * @param {Object.<string, unknown>} params - The signature parameters.
+ * @returns {import("neverthrow").Result<AlgorithmDefinition, import("./errors.js").SignatureError>} The algorithm definition.
+ */
+function getAlgorithmForKey(alg, key, params) {
+    const definition = Object.prototype.hasOwnProperty.call(ALGORITHMS, alg) ? ALGORITHMS[alg] : undefined;
+    if (!definition) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_ALGORITHM',
+            message: `Unsupported algorithm: ${alg}`,
+            context: `Unsupported algorithm: ${alg}`,
+            details: { alg }
+        });
+    }
+    if (params?.alg !== undefined && params.alg !== alg) {
+        return err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: `Signature parameter "alg" is "${String(params.alg)}" but the key is used with "${alg}"`,
+            details: { alg: String(params.alg) }
+        });
+    }
+    if (!isKeyCompatibleWithAlgorithm(key, definition)) {
+        return err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: `Key of type ${describeKeyAlgorithm(key)} cannot be used with algorithm "${alg}"`,
+            details: { alg }
+        });
+    }
+    return ok(definition);
+}
+
+/**
+ * Checks whether a WebCrypto key was imported for the given algorithm.
+ *
+ * @param {CryptoKey} key - The key to check.
+ * @param {AlgorithmDefinition} definition - The algorithm definition.
+ * @returns {boolean} True if the key can be used with the algorithm.
+ */
+export function isKeyCompatibleWithAlgorithm(key, definition) {
+    /** @type {{name: string, hash?: {name: string}, namedCurve?: string}} */
+    const keyAlgorithm = key.algorithm;
+    const { importParams } = definition;
+    if (keyAlgorithm.name !== importParams.name) {
+        return false;
+    }
+    if (importParams.hash !== undefined && keyAlgorithm.hash?.name !== importParams.hash) {
+        return false;
+    }
+    if (importParams.namedCurve !== undefined && keyAlgorithm.namedCurve !== importParams.namedCurve) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Describes the algorithm of a WebCrypto key for error messages.
+ *
+ * @param {CryptoKey} key - The key to describe.
+ * @returns {string} A description such as `ECDSA P-256` or `HMAC SHA-256`.
+ */
+function describeKeyAlgorithm(key) {
+    /** @type {{name: string, hash?: {name: string}, namedCurve?: string}} */
+    const keyAlgorithm = key.algorithm;
+    return [keyAlgorithm.name, keyAlgorithm.namedCurve ?? keyAlgorithm.hash?.name].filter(Boolean).join(' ');
+}
@@ -0,0 +1,513 @@
+import { Result, ResultAsync, err, ok } from 'neverthrow';
+import { ecdsaSignatureFromDer, ecdsaSignatureToDer } from './algorithms.js';
+import { describeComponent, isComponentCovered, toComponentItem } from './components.js';
+import { createDigestFieldValues, verifyDigestFields } from './digest.js';
+import { normalizeRequest } from './messages.js';
+
+/**
+ * The algorithms of draft-cavage-http-signatures-12, mapped to the equivalent HTTP Signature Algorithms of RFC 9421.
+ * With `hs2019`, the algorithm is derived from the key, so it has no equivalent.
+ *
+ * @type {Readonly<Object.<string, (import("./algorithms.js").AlgorithmName|undefined)>>}
+ */
+const CAVAGE_ALGORITHMS = Object.freeze({
+    'hs2019': undefined,
+    'rsa-sha256': 'rsa-v1_5-sha256',
+    'hmac-sha256': 'hmac-sha256',
+    'ecdsa-sha256': 'ecdsa-p256-sha256',
+});
+
+/**
+ * Matches one `name=value` pair of a draft-cavage `Signature` header, where the value is a quoted string or a number.
+ */
+const PARAM_PATTERN = /\s*([A-Za-z]+)\s*=\s*(?:"([^"]*)"|(\d+(?:\.\d+)?))\s*(?:,|$)/y;
+
+/**
+ * @typedef {object} CavageParams
+ * The parameters of a draft-cavage signature.
+ * @property {string} keyId - The `keyId` parameter.
+ * @property {string} algorithm - The `algorithm` parameter. Defaults to `hs2019`.
+ * @property {number=} created - The `created` parameter.
+ * @property {number=} expires - The `expires` parameter.
+ * @property {string[]} headers - The covered headers and pseudo-headers, lowercased. Defaults to `['(created)']`.
+ * @property {string} signature - The Base64 encoded signature.
+ */
+
+/**
+ * Creates a signature in the format of draft-cavage-http-signatures-12, the predecessor of RFC 9421 that Mastodon and other
+ * ActivityPub servers still use: `keyId="...",algorithm="...",headers="(request-target) host date digest",signature="..."`.
+ *
+ * The pseudo-headers `(request-target)`, `(created)` and `(expires)` are supported. If `digest` is among the `headers` and the request
+ * has a body but no `Digest` header, a legacy `Digest` header (RFC 3230) is calculated, returned as `digest` and must be sent along.
+ *
+ * @param {object} params - The parameters for creating the signature.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request, see `createSignatureForRequest`.
+ * @param {string} params.keyId - The `keyId` parameter, e.g. the URL of an actor's key.
+ * @param {string=} params.algorithm - The `algorithm` parameter: `hs2019` (the default), `rsa-sha256`, `hmac-sha256` or `ecdsa-sha256`.
+ * @param {string[]} params.headers - The headers and pseudo-headers to cover, in order, e.g. `['(request-target)', 'host', 'date', 'digest']`.
+ * @param {number=} params.created - The `created` parameter, only sent with `hs2019`. Defaults to the current time.
+ * @param {number=} params.expires - The `expires` parameter, only sent with `hs2019`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - The signing function, see `createSignatureForRequest`. `params` has the `keyid` and, unless the algorithm is `hs2019`, the RFC 9421 `alg`.
+ * @returns {Promise<import("neverthrow").Result<{signature: string, signatureBase: string, digest?: string}, import("./errors.js").SignatureError>>} The `Signature` header value, the signing string and, if calculated, the `Digest` header value.
+ */
+export async function createCavageSignature({ request, keyId, algorithm = 'hs2019', headers, created, expires, sign }) {
+    const resultOfRequest = normalizeRequest(request);
+    if (resultOfRequest.isErr()) {
+        return err(resultOfRequest.error);
+    }
+    let message = resultOfRequest.value;
+    const resultOfAlg = toAlg(algorithm);
+    if (resultOfAlg.isErr()) {
+        return err(resultOfAlg.error);
+    }
+    const isHs2019 = algorithm === 'hs2019';
+    /** @type {Omit<CavageParams, "signature">} */
+    const params = {
+        keyId,
+        algorithm,
+        created: isHs2019 ? created ?? Math.floor(Date.now() / 1000) : undefined,
+        expires: isHs2019 ? expires : undefined,
+        headers: headers.map((name) => name.toLowerCase()),
+    };
+
+    /** @type {string|undefined} */
+    let digest;
+    if (params.headers.includes('digest') && !message.headers.has('digest') && message.body !== undefined && message.body !== null) {
+        const resultOfDigest = await createDigestFieldValues({ fields: [{ field: 'digest', algorithms: ['sha-256'] }], body: message.body });
+        if (resultOfDigest.isErr()) {
+            return err(resultOfDigest.error);
+        }
+        digest = resultOfDigest.value[0];
+        const digestHeaders = new Headers(message.headers);
+        digestHeaders.set('digest', digest);
+        message = { ...message, headers: digestHeaders };
+    }
+
+    const resultOfSignatureBase = createCavageSignatureBase(params, message);
+    if (resultOfSignatureBase.isErr()) {
+        return err(resultOfSignatureBase.error);
+    }
+    const signatureBase = resultOfSignatureBase.value;
+
+    const resultOfSignature = await ResultAsync.fromPromise(
+        sign({ signatureBase, params: toSignatureParams(params, resultOfAlg.value), ok, err }),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'error',
+            code: 'SIGNING_FAILED',
+            message: 'Failed to sign request',
+            context: error,
+            details: {}
+        })
+    );
+    if (resultOfSignature.isErr()) {
+        return err(resultOfSignature.error);
+    }
+    if (resultOfSignature.value.isErr()) {
+        return err(resultOfSignature.value.error);
+    }
+
+    // draft-cavage ECDSA signatures are DER-encoded, while signers for RFC 9421 produce raw r || s
+    const rawSignature = new Uint8Array(resultOfSignature.value.value);
+    const resultOfEncoded = algorithm === 'ecdsa-sha256' ? ecdsaSignatureToDer({ alg: 'ecdsa-p256-sha256', signature: rawSignature }) : ok(rawSignature);
+    if (resultOfEncoded.isErr()) {
+        return err(resultOfEncoded.error);
+    }
+    const signature = btoa(String.fromCharCode(...resultOfEncoded.value));
+    const stringOfSignature = [
+        `keyId="${keyId}"`,
+        `algorithm="${algorithm}"`,
+        ...(params.created !== undefined ? [`created=${params.created}`] : []),
+        ...(params.expires !== undefined ? [`expires=${params.expires}`] : []),
+        `headers="${params.headers.join(' ')}"`,
+        `signature="${signature}"`,
+    ].join(',');
+    return ok({ signature: stringOfSignature, signatureBase, ...(digest !== undefined ? { digest } : {}) });
+}
+
+/**
+ * Verifies a signature in the format of draft-cavage-http-signatures-12, from a `Signature` header or an `Authorization: Signature ...` header.
+ * The result has the same shape as the one of `verifySignatureOfRequest`, so RFC 9421 and legacy signatures can be handled alike:
+ * `(request-target)` is reported as the components `@method` and `@request-target`, so that the same `requiredInputs` apply,
+ * and `keyId` and `algorithm` are passed to `verify` as `keyid` and the equivalent RFC 9421 `alg`, so that key resolvers work unchanged.
+ *
+ * The signature must have a `created` parameter or cover the `Date` header, which is then checked against `maxAge`.
+ * A covered `Digest` header (RFC 3230), `Content-Digest` or `Repr-Digest` header is checked against the body.
+ *
+ * Draft-cavage signatures have no nonce, so with a `replayStore`, the signature base is recorded instead, scoped to the `keyId`:
+ * a request whose signature base was verified before is rejected as a replay, whatever the encoding of its signature.
+ *
+ * @param {object} params - The parameters for verifying the signature.
+ * @param {string} params.stringOfSignature - The `Signature` header value, or the `Authorization` header value starting with `Signature`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that must be covered, e.g. `['@method', '@request-target', 'host', 'date']`.
+ * @param {string[]} params.requiredParams - Parameters that must be present: `keyid`, `alg`, `created` or `expires`.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - The accepted digest algorithms and the digest function. `Digest` is always checked.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - Rejects replayed signatures.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request, see `verifySignatureOfRequest`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - The verification function, see `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<import("./index.js").VerificationResult, import("./errors.js").SignatureError>>} The verified signature, with the label `signature`.
+ */
+export async function verifyCavageSignature({
+    stringOfSignature,
+    requiredInputs,
+    requiredParams,
+    maxAge,
+    clockSkew = 0,
+    now = Date.now,
+    digestOptions = {},
+    replayStore,
+    request,
+    verify,
+}) {
+    const resultOfRequest = normalizeRequest(request);
+    if (resultOfRequest.isErr()) {
+        return err(resultOfRequest.error);
+    }
+    const message = resultOfRequest.value;
+    const resultOfParams = parseCavageSignature(stringOfSignature);
+    if (resultOfParams.isErr()) {
+        return err(resultOfParams.error);
+    }
+    const params = resultOfParams.value;
+    const resultOfAlg = toAlg(params.algorithm);
+    if (resultOfAlg.isErr()) {
+        return err(resultOfAlg.error);
+    }
+    const signatureParams = toSignatureParams(params, resultOfAlg.value);
+
+    // (request-target) covers the method and the request target
+    const components = params.headers.flatMap((name) => {
+        if (name === '(request-target)') {
+            return ['@method', '@request-target'];
+        }
+        return name === '(created)' || name === '(expires)' ? [] : [name];
+    });
+    const componentItems = components.map(toComponentItem);
+    for (const input of requiredInputs) {
+        if (!isComponentCovered(componentItems, input)) {
+            const component = describeComponent(toComponentItem(input));
+            return err({
+                type: 'validation',
+                code: 'UNCOVERED_COMPONENT',
+                message: 'Invalid signature',
+                context: `Missing required input field ${component} in signature`,
+                details: { component }
+            });
+        }
+    }
+    for (const requiredParam of requiredParams) {
+        if (signatureParams[requiredParam] === undefined) {
+            return err({
+                type: 'validation',
+                code: 'MISSING_PARAMETER',
+                message: 'Invalid signature',
+                context: `Missing required parameter "${requiredParam}" in signature`,
+                details: { parameter: requiredParam }
+            });
+        }
+    }
+
+    // without a created parameter, the age is taken from the signed Date header
+    const date = params.headers.includes('date') ? message.headers.get('date') : null;
+    const created = params.created ?? (date === null ? undefined : Math.floor(Date.parse(date) / 1000));
+    if (created === undefined || Number.isNaN(created)) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_PARAMETER',
+            message: 'Invalid signature',
+            context: 'Signature has neither a "created" parameter nor a valid signed Date header',
+            details: { parameter: 'created' }
+        });
+    }
+    const nowInSeconds = now() / 1000;
+    if ((created - nowInSeconds) > clockSkew) {
+        return err({
+            type: 'validation',
+            code: 'SIGNATURE_NOT_YET_VALID',
+            message: 'Invalid signature',
+            context: 'Signature was created in the future',
+            details: { created, now: nowInSeconds }
+        });
+    }
+    if ((nowInSeconds - created) > maxAge) {
+        return err({
+            type: 'validation',
+            code: 'SIGNATURE_EXPIRED',
+            message: 'Signature expired',
+            context: 'Signature expired',
+            details: { created, now: nowInSeconds }
+        });
+    }
+    if (params.expires !== undefined && (nowInSeconds - params.expires) > clockSkew) {
+        return err({
+            type: 'validation',
+            code: 'SIGNATURE_EXPIRED',
+            message: 'Signature expired',
+            context: 'Signature expired at the time given by parameter "expires"',
+            details: { created, expires: params.expires, now: nowInSeconds }
+        });
+    }
+
+    const digestFields = /** @type {import("./digest.js").DigestField[]} */ (['content-digest', 'repr-digest', 'digest']).filter((field) => params.headers.includes(field));
+    const resultOfDigests = await verifyDigestFields({ fields: digestFields, headers: message.headers, body: message.body, digestOptions });
+    if (resultOfDigests.isErr()) {
+        return err(resultOfDigests.error);
+    }
+
+    const resultOfSignatureBase = createCavageSignatureBase(params, message);
+    if (resultOfSignatureBase.isErr()) {
+        return err(resultOfSignatureBase.error);
+    }
+    const signatureBase = resultOfSignatureBase.value;
+    const resultOfSignature = Result.fromThrowable(
+        () => Uint8Array.from(atob(params.signature), (char) => char.charCodeAt(0)),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE',
+            message: 'Invalid signature',
+            context: error,
+            details: {}
+        })
+    )();
+    if (resultOfSignature.isErr()) {
+        return err(resultOfSignature.error);
+    }
+    const resultOfRawSignature = params.algorithm === 'ecdsa-sha256' ? ecdsaSignatureFromDer({ alg: 'ecdsa-p256-sha256', signature: resultOfSignature.value }) : ok(resultOfSignature.value);
+    if (resultOfRawSignature.isErr()) {
+        return err(resultOfRawSignature.error);
+    }
+
+    const resultOfVerification = await ResultAsync.fromPromise(
+        verify({ signatureBase, params: signatureParams, signature: resultOfRawSignature.value, ok, err }),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'VERIFIER_FAILED',
+            message: 'Signature verification didn\'t pass',
+            context: error,
+            details: {}
+        })
+    );
+    if (resultOfVerification.isErr()) {
+        return err(resultOfVerification.error);
+    }
+    if (resultOfVerification.value.isErr()) {
+        return err(resultOfVerification.value.error);
+    }
+
+    // reject replays only once the signature is known to be valid, so that forged signatures cannot fill the store
+    if (replayStore) {
+        const windowEnd = Math.min(created + maxAge, params.expires ?? Infinity) + clockSkew;
+        const resultOfReplay = await checkReplay({
+            replayStore,
+            keyId: params.keyId,
+            signature: params.signature,
+            signatureBase,
+            ttl: Math.max(Math.ceil(windowEnd - nowInSeconds), 1),
+        });
+        if (resultOfReplay.isErr()) {
+            return err(resultOfReplay.error);
+        }
+    }
+
+    return ok({
+        label: 'signature',
+        keyid: params.keyId,
+        alg: resultOfAlg.value,
+        tag: undefined,
+        created,
+        expires: params.expires,
+        nonce: undefined,
+        params: signatureParams,
+        components,
+        signatureBase,
+        ...(resultOfDigests.value ? { body: resultOfDigests.value } : {}),
+    });
+}
+
+/**
+ * Records the signature base of a verified draft-cavage signature in the replay store. The signature base is recorded rather
+ * than the signature, since the same signature can be encoded in more than one way, e.g. as `(r, n - s)` with ECDSA.
+ *
+ * @param {object} params - The parameters for checking the signature.
+ * @param {import("./replay.js").ReplayStore} params.replayStore - The replay store.
+ * @param {string} params.keyId - The `keyId` of the signature.
+ * @param {string} params.signature - The Base64 encoded signature, for reporting.
+ * @param {string} params.signatureBase - The signature base.
+ * @param {number} params.ttl - The time (in seconds) to remember the signature for.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the signature has not been seen before.
+ */
+async function checkReplay({ replayStore, keyId, signature, signatureBase, ttl }) {
+    const resultOfAdded = await ResultAsync.fromPromise(
+        (async () => {
+            const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(signatureBase)));
+            return replayStore.add(JSON.stringify(['cavage', keyId, btoa(String.fromCharCode(...hash))]), ttl);
+        })(),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'error',
+            code: 'REPLAY_STORE_FAILED',
+            message: 'Failed to write to replay store',
+            context: error,
+            details: {}
+        })
+    );
+    if (resultOfAdded.isErr()) {
+        return err(resultOfAdded.error);
+    }
+    if (!resultOfAdded.value) {
+        return err({
+            type: 'validation',
+            code: 'REPLAYED_NONCE',
+            message: 'Replayed signature',
+            context: `Signature has already been used for keyId "${keyId}"`,
+            details: { keyid: keyId, nonce: signature }
+        });
+    }
+    return ok(/** @type {true} */ (true));
+}
+
+/**
+ * Parses a draft-cavage `Signature` header value, or an `Authorization` header value with the `Signature` scheme.
+ *
+ * @param {string} stringOfSignature - The header value.
+ * @returns {import("neverthrow").Result<CavageParams, import("./errors.js").SignatureError>} The signature parameters.
+ */
+function parseCavageSignature(stringOfSignature) {
+    const value = stringOfSignature.replace(/^Signature\s+/i, '');
+    /** @type {Object.<string, (string|number)>} */
+    const rawParams = {};
+    PARAM_PATTERN.lastIndex = 0;
+    while (PARAM_PATTERN.lastIndex < value.length) {
+        const match = PARAM_PATTERN.exec(value);
+        if (match === null || Object.prototype.hasOwnProperty.call(rawParams, match[1])) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_SIGNATURE',
+                message: 'Invalid signature',
+                context: match === null ? 'Signature header is not a list of name=value pairs' : `Parameter "${match[1]}" is repeated`,
+                details: {}
+            });
+        }
+        rawParams[match[1]] = match[2] ?? Number(match[3]);
+    }
+
+    const { keyId, algorithm = 'hs2019', created, expires, headers = '(created)', signature } = rawParams;
+    /** @type {[string, unknown, string][]} */
+    const checks = [['keyId', keyId, 'string'], ['algorithm', algorithm, 'string'], ['headers', headers, 'string'], ['signature', signature, 'string']];
+    for (const [name, paramValue, type] of checks) {
+        if (typeof paramValue !== type) {
+            return err({
+                type: 'validation',
+                code: paramValue === undefined ? 'MISSING_PARAMETER' : 'INVALID_PARAMETER',
+                message: 'Invalid signature',
+                context: paramValue === undefined ? `Missing required parameter "${name}" in signature` : `Invalid parameter "${name}" in signature`,
+                details: { parameter: name }
+            });
+        }
+    }
+    for (const [name, paramValue] of /** @type {const} */ ([['created', created], ['expires', expires]])) {
+        if (paramValue !== undefined && typeof paramValue !== 'number') {
+            return err({
+                type: 'validation',
+                code: 'INVALID_PARAMETER',
+                message: 'Invalid signature',
+                context: `Invalid parameter "${name}" in signature`,
+                details: { parameter: name }
+            });
+        }
+    }
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(String(signature)) || String(signature).length % 4 !== 0) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE',
+            message: 'Invalid signature',
+            context: 'Parameter "signature" is not Base64',
+            details: {}
+        });
+    }
+    return ok({
+        keyId: String(keyId),
+        algorithm: String(algorithm).toLowerCase(),
+        created: /** @type {number|undefined} */ (created),
+        expires: /** @type {number|undefined} */ (expires),
+        headers: String(headers).toLowerCase().split(' ').filter((name) => name.length > 0),
+        signature: String(signature),
+    });
+}
+
+/**
+ * Builds the signing string of a draft-cavage signature: a `name: value` line per covered header or pseudo-header.
+ *
+ * @param {Omit<CavageParams, "signature">} params - The signature parameters.
+ * @param {import("./components.js").RequestMessage} message - The request.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The signing string.
+ */
+function createCavageSignatureBase(params, message) {
+    /** @type {string[]} */
+    const lines = [];
+    for (const name of params.headers) {
+        if (name === '(request-target)') {
+            lines.push(`${name}: ${message.method.toLowerCase()} ${message.url.pathname}${message.url.search}`);
+            continue;
+        }
+        if (name === '(created)' || name === '(expires)') {
+            const paramName = name === '(created)' ? 'created' : 'expires';
+            // draft-cavage-12 section 2.3 forbids these pseudo-headers with the algorithms that predate hs2019
+            if (/^(rsa|hmac|ecdsa)/.test(params.algorithm) || params[paramName] === undefined) {
+                return err({
+                    type: 'validation',
+                    code: 'INVALID_SIGNATURE_INPUT',
+                    message: 'Invalid signature input',
+                    context: `Pseudo-header "${name}" requires the "${paramName}" parameter and the "hs2019" algorithm`,
+                    details: { component: name }
+                });
+            }
+            lines.push(`${name}: ${params[paramName]}`);
+            continue;
+        }
+        // a request made with fetch has no Host header, but the URL has the same value
+        const value = message.headers.get(name) ?? (name === 'host' ? message.url.host : null);
+        if (value === null) {
+            return err({
+                type: 'validation',
+                code: 'MISSING_COMPONENT',
+                message: 'Missing header: ' + name,
+                context: `Request is missing header "${name}" required by the signature`,
+                details: { component: name }
+            });
+        }
+        lines.push(`${name}: ${value}`);
+    }
+    return ok(lines.join('\n'));
+}
+
+/**
+ * Maps a draft-cavage algorithm to the equivalent RFC 9421 algorithm.
+ *
+ * @param {string} algorithm - The `algorithm` parameter.
+ * @returns {import("neverthrow").Result<import("./algorithms.js").AlgorithmName|undefined, import("./errors.js").SignatureError>} The RFC 9421 algorithm, or `undefined` for `hs2019`.
+ */
+function toAlg(algorithm) {
+    if (!Object.prototype.hasOwnProperty.call(CAVAGE_ALGORITHMS, algorithm)) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_ALGORITHM',
+            message: 'Unsupported algorithm',
+            context: `Unsupported draft-cavage algorithm "${algorithm}"`,
+            details: { alg: algorithm }
+        });
+    }
+    return ok(CAVAGE_ALGORITHMS[algorithm]);
+}
+
+/**
+ * Converts the parameters of a draft-cavage signature into the RFC 9421 parameters passed to `sign` and `verify`.
+ *
+ * @param {Omit<CavageParams, "signature">} params - The draft-cavage parameters.
+ * @param {string|undefined} alg - The equivalent RFC 9421 algorithm.
+ * @returns {Object.<string, unknown>} The parameters, without the ones that are absent.
+ */
+function toSignatureParams(params, alg) {
+    return Object.fromEntries(Object.entries({ keyid: params.keyId, alg, created: params.created, expires: params.expires }).filter(([, value]) => value !== undefined));
+}
@@ -0,0 +1,627 @@
+import { createPublicKey } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { decodeDict, Item, serializeInnerList } from 'structured-field-values';
+import { Result, ResultAsync, err, ok } from 'neverthrow';
+import { createVerifier } from './algorithms.js';
+import { signMessage } from './client.js';
+import { createSignatureBase, toComponentIdentifier, validateComponentItems } from './components.js';
+import { parseHttpMessage } from './http1.js';
+import { verifySignatureOfRequest, verifySignatureOfResponse } from './index.js';
+import { importKeyFromJwk, importKeyFromPem } from './keys.js';
+import { createSigningProfile } from './profile.js';
+
+const USAGE = `Usage: http-msg-sig <command> [file] [options]
+
+Reads a raw HTTP/1.1 message from file, or from stdin if file is omitted or "-".
+
+Commands:
+  sign      Sign a request and print the signed request
+  verify    Verify a signature and print its signature base
+  explain   Print the signature base of a signature without verifying it
+
+Options:
+  --key <file>          JWK, JWK Set or PEM key (sign: private key, verify: public or private key)
+  --alg <alg>           Algorithm of the key, required for RSA keys without "alg"
+  --keyid <keyid>       Key to pick from a JWK Set, and the keyid parameter when signing
+  --label <label>       Signature label (sign: defaults to sig1, otherwise to the first signature)
+  --components <list>   Components to sign, e.g. "@method,@target-uri" or '"@query-param";name="id"'
+                        (defaults to @method,@target-uri; content-digest is added for bodies)
+  --tag <tag>           tag parameter when signing
+  --expires-in <sec>    Add an expires parameter this many seconds after created
+  --nonce               Add a random nonce parameter
+  --require <list>      Components the signature must cover when verifying
+  --max-age <sec>       Maximum age of the signature when verifying (defaults to no limit)
+  --clock-skew <sec>    Tolerance for clock differences when verifying (defaults to 0)
+  --now <sec>           Time to sign or verify at, in seconds since the epoch
+  --request <file>      Request that produced the response being verified, for components with "req"
+  --expected-base <file>
+                        Signature base of the signer, to compare with when verification fails
+  --scheme <scheme>     Scheme of the request URL (defaults to https)
+  --json                Print the result as JSON
+  --help                Print this help
+`;
+
+/**
+ * @typedef {object} CliOptions
+ * The parsed command-line options.
+ * @property {string=} key - The path of the key file.
+ * @property {string=} alg - The algorithm of the key.
+ * @property {string=} keyid - The key identifier.
+ * @property {string=} label - The signature label.
+ * @property {string=} components - The components to sign.
+ * @property {string=} tag - The `tag` parameter.
+ * @property {string=} expires-in - The lifetime of the signature, in seconds.
+ * @property {boolean=} nonce - Whether to add a nonce.
+ * @property {string=} require - The components to require.
+ * @property {string=} max-age - The maximum age, in seconds.
+ * @property {string=} clock-skew - The clock skew, in seconds.
+ * @property {string=} now - The current time, in seconds since the epoch.
+ * @property {string=} request - The path of the related request.
+ * @property {string=} expected-base - The path of the signature base of the signer.
+ * @property {string=} scheme - The scheme of request URLs.
+ * @property {boolean=} json - Whether to print JSON.
+ * @property {boolean=} help - Whether to print the help.
+ */
+
+/**
+ * @typedef {object} CliContext
+ * Where the command-line tool reads from and writes to.
+ * @property {AsyncIterable<Uint8Array|string>} stdin - The standard input.
+ * @property {{write: function((string|Uint8Array)): unknown}} stdout - The standard output.
+ * @property {{write: function(string): unknown}} stderr - The standard error.
+ * @property {function(): number} now - Returns the current time in milliseconds since the epoch.
+ */
+
+/**
+ * Runs the `http-msg-sig` command-line tool, which signs, verifies and explains raw HTTP/1.1 messages.
+ *
+ * @param {object} params - The parameters for running the tool.
+ * @param {string[]} params.args - The command-line arguments, without the executable and script.
+ * @param {AsyncIterable<Uint8Array|string>} params.stdin - The standard input.
+ * @param {{write: function((string|Uint8Array)): unknown}} params.stdout - The standard output.
+ * @param {{write: function(string): unknown}} params.stderr - The standard error.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if the message could not be signed or the signature is invalid, 2 on usage errors.
+ */
+export async function runCli({ args, stdin, stdout, stderr, now = Date.now }) {
+    /** @type {{values: CliOptions, positionals: string[]}} */
+    let parsedArgs;
+    try {
+        parsedArgs = parseArgs({
+            args,
+            allowPositionals: true,
+            options: {
+                'key': { type: 'string' },
+                'alg': { type: 'string' },
+                'keyid': { type: 'string' },
+                'label': { type: 'string' },
+                'components': { type: 'string' },
+                'tag': { type: 'string' },
+                'expires-in': { type: 'string' },
+                'nonce': { type: 'boolean' },
+                'require': { type: 'string' },
+                'max-age': { type: 'string' },
+                'clock-skew': { type: 'string' },
+                'now': { type: 'string' },
+                'request': { type: 'string' },
+                'expected-base': { type: 'string' },
+                'scheme': { type: 'string' },
+                'json': { type: 'boolean' },
+                'help': { type: 'boolean' },
+            },
+        });
+    } catch (error) {
+        stderr.write(`${error instanceof Error ? error.message : error}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values: options, positionals: [command, file, ...rest] } = parsedArgs;
+    if (options.help) {
+        stdout.write(USAGE);
+        return 0;
+    }
+    const commands = { sign: runSign, verify: runVerify, explain: runExplain };
+    if (command === undefined || !Object.prototype.hasOwnProperty.call(commands, command) || rest.length > 0) {
+        stderr.write(USAGE);
+        return 2;
+    }
+    for (const name of /** @type {const} */ (['expires-in', 'max-age', 'clock-skew', 'now'])) {
+        const value = options[name];
+        if (value !== undefined && !/^\d+$/.test(value)) {
+            stderr.write(`--${name} must be a number of seconds\n`);
+            return 2;
+        }
+    }
+    if ((command === 'sign' || command === 'verify') && options.key === undefined) {
+        stderr.write(`--key is required for ${command}\n`);
+        return 2;
+    }
+
+    const context = {
+        stdin,
+        stdout,
+        stderr,
+        now: options.now === undefined ? now : () => Number(options.now) * 1000,
+    };
+    const resultOfInput = await ResultAsync.fromPromise(
+        file === undefined || file === '-' ? readStream(stdin) : readFile(file),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'error',
+            code: 'BODY_READ_FAILED',
+            message: 'Failed to read message',
+            context: error,
+            details: {}
+        })
+    );
+    if (resultOfInput.isErr()) {
+        return fail(context, options, resultOfInput.error);
+    }
+    const raw = resultOfInput.value;
+    const resultOfMessage = parseHttpMessage({ message: raw, scheme: options.scheme });
+    if (resultOfMessage.isErr()) {
+        return fail(context, options, resultOfMessage.error);
+    }
+    return commands[/** @type {keyof commands} */ (command)]({ message: resultOfMessage.value, raw, options, context });
+}
+
+/**
+ * Signs a request with the key and prints the signed request, or the signature headers and signature base as JSON.
+ *
+ * @param {object} params - The parameters of the command.
+ * @param {import("./http1.js").ParsedMessage} params.message - The parsed message.
+ * @param {Uint8Array} params.raw - The raw message.
+ * @param {CliOptions} params.options - The command-line options.
+ * @param {CliContext} params.context - The standard streams and the clock.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runSign({ message, raw, options, context }) {
+    if (!('request' in message)) {
+        return fail(context, options, { type: 'validation', code: 'INVALID_MESSAGE', message: 'Only requests can be signed', details: {} });
+    }
+    const resultOfComponents = parseComponentList(options.components ?? '@method,@target-uri');
+    if (resultOfComponents.isErr()) {
+        return fail(context, options, resultOfComponents.error);
+    }
+    const resultOfKey = await loadKey(/** @type {string} */ (options.key), options, 'sign');
+    if (resultOfKey.isErr()) {
+        return fail(context, options, resultOfKey.error);
+    }
+    const resultOfProfile = createSigningProfile({
+        key: resultOfKey.value,
+        signatureInputs: resultOfComponents.value,
+        signatureLabel: options.label,
+        keyid: options.keyid ?? resultOfKey.value.keyid,
+        tag: options.tag,
+        nonce: options.nonce ?? false,
+        expiresIn: options['expires-in'] === undefined ? undefined : Number(options['expires-in']),
+        now: context.now,
+    });
+    if (resultOfProfile.isErr()) {
+        return fail(context, options, resultOfProfile.error);
+    }
+    const { request } = message;
+    const resultOfHeaders = await signMessage({ ...request, profile: resultOfProfile.value });
+    if (resultOfHeaders.isErr()) {
+        return fail(context, options, resultOfHeaders.error);
+    }
+    const headers = resultOfHeaders.value;
+    const label = options.label ?? 'sig1';
+    /** @type {[string, string][]} */
+    const changedHeaders = [['Content-Digest', 'content-digest'], ['Signature-Input', 'signature-input'], ['Signature', 'signature']]
+        .filter(([, name]) => headers.get(name) !== request.headers.get(name))
+        .map(([displayName, name]) => [displayName, /** @type {string} */ (headers.get(name))]);
+
+    if (options.json) {
+        const signatureBase = reconstructSignatureBase({ request: { ...request, headers } }, headers, label);
+        context.stdout.write(JSON.stringify({
+            label,
+            headers: Object.fromEntries(changedHeaders),
+            signatureBase: signatureBase.isOk() ? signatureBase.value.split('\n') : undefined,
+        }, null, 2) + '\n');
+    } else {
+        context.stdout.write(setHeaderLines(raw, changedHeaders));
+    }
+    return 0;
+}
+
+/**
+ * Verifies a signature with the key and prints its signature base and the outcome.
+ *
+ * @param {object} params - The parameters of the command.
+ * @param {import("./http1.js").ParsedMessage} params.message - The parsed message.
+ * @param {CliOptions} params.options - The command-line options.
+ * @param {CliContext} params.context - The standard streams and the clock.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runVerify({ message, options, context }) {
+    const resultOfTarget = await getSignatureTarget(message, options);
+    if (resultOfTarget.isErr()) {
+        return fail(context, options, resultOfTarget.error);
+    }
+    const { messages, headers, label, stringOfSignatureInputDictionary, stringOfSignatureDictionary } = resultOfTarget.value;
+    const resultOfRequiredInputs = parseComponentList(options.require ?? '');
+    if (resultOfRequiredInputs.isErr()) {
+        return fail(context, options, resultOfRequiredInputs.error);
+    }
+    const resultOfKey = await loadKey(/** @type {string} */ (options.key), options, 'verify');
+    if (resultOfKey.isErr()) {
+        return fail(context, options, resultOfKey.error);
+    }
+    /** @type {string|undefined} */
+    let expectedSignatureBase;
+    if (options['expected-base'] !== undefined) {
+        try {
+            expectedSignatureBase = await readFile(options['expected-base'], 'utf8');
+        } catch (error) {
+            return fail(context, options, { type: 'error', code: 'BODY_READ_FAILED', message: 'Failed to read expected signature base', context: error, details: {} });
+        }
+    }
+
+    const params = {
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        signatureLabel: label,
+        requiredInputs: resultOfRequiredInputs.value,
+        requiredParams: [],
+        maxAge: options['max-age'] === undefined ? Infinity : Number(options['max-age']),
+        clockSkew: options['clock-skew'] === undefined ? 0 : Number(options['clock-skew']),
+        now: context.now,
+        ...(expectedSignatureBase === undefined ? {} : { diagnostics: { expectedSignatureBase } }),
+        verify: createVerifier({ alg: resultOfKey.value.alg, key: resultOfKey.value.key }),
+    };
+    const result = messages.response
+        ? await verifySignatureOfResponse({ ...params, response: messages.response, request: messages.request })
+        : await verifySignatureOfRequest({ ...params, request: /** @type {import("./components.js").RequestMessage} */ (messages.request) });
+    const signatureBase = reconstructSignatureBase(messages, headers, label);
+
+    if (options.json) {
+        context.stdout.write(JSON.stringify({
+            label,
+            valid: result.isOk(),
+            ...(result.isOk() ? { signature: { ...result.value, signatureBase: undefined } } : { error: toJson(result.error) }),
+            signatureBase: signatureBase.isOk() ? signatureBase.value.split('\n') : undefined,
+        }, null, 2) + '\n');
+        return result.isOk() ? 0 : 1;
+    }
+    writeSignatureBase(context, label, signatureBase);
+    if (result.isErr()) {
+        context.stdout.write(`Invalid signature "${label}": ${describeError(result.error)}\n`);
+        if (result.error.diagnostics) {
+            writeDiagnostics(context, result.error.diagnostics);
+        }
+        return 1;
+    }
+    const { keyid, alg } = result.value;
+    context.stdout.write(`Valid signature "${label}"${keyid === undefined ? '' : ` with keyid "${keyid}"`}${alg === undefined ? '' : ` and alg "${alg}"`}\n`);
+    return 0;
+}
+
+/**
+ * Prints the signature base of a signature, reconstructed from the message, without verifying it.
+ *
+ * @param {object} params - The parameters of the command.
+ * @param {import("./http1.js").ParsedMessage} params.message - The parsed message.
+ * @param {CliOptions} params.options - The command-line options.
+ * @param {CliContext} params.context - The standard streams and the clock.
+ * @returns {Promise<number>} The exit code.
+ */
+async function runExplain({ message, options, context }) {
+    const resultOfTarget = await getSignatureTarget(message, options);
+    if (resultOfTarget.isErr()) {
+        return fail(context, options, resultOfTarget.error);
+    }
+    const { messages, headers, label } = resultOfTarget.value;
+    const signatureBase = reconstructSignatureBase(messages, headers, label);
+    if (signatureBase.isErr()) {
+        return fail(context, options, signatureBase.error);
+    }
+    if (options.json) {
+        context.stdout.write(JSON.stringify({ label, signatureBase: signatureBase.value.split('\n') }, null, 2) + '\n');
+    } else {
+        writeSignatureBase(context, label, signatureBase);
+    }
+    return 0;
+}
+
+/**
+ * Finds the signature to verify or explain, and the request that produced a response if `--request` is given.
+ *
+ * @param {import("./http1.js").ParsedMessage} message - The parsed message.
+ * @param {CliOptions} options - The command-line options.
+ * @returns {Promise<import("neverthrow").Result<{messages: import("./components.js").Messages, headers: Headers, label: string, stringOfSignatureInputDictionary: string, stringOfSignatureDictionary: string}, import("./errors.js").SignatureError>>} The messages, the headers of the signed message, the label and the signature headers.
+ */
+async function getSignatureTarget(message, options) {
+    /** @type {import("./components.js").Messages} */
+    let messages = 'request' in message ? { request: message.request } : { response: message.response };
+    if ('response' in message && options.request !== undefined) {
+        const resultOfRequest = await ResultAsync.fromPromise(
+            readFile(options.request),
+            (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+                type: 'error',
+                code: 'BODY_READ_FAILED',
+                message: 'Failed to read request',
+                context: error,
+                details: {}
+            })
+        ).andThen((raw) => parseHttpMessage({ message: raw, scheme: options.scheme }));
+        if (resultOfRequest.isErr()) {
+            return err(resultOfRequest.error);
+        }
+        if (!('request' in resultOfRequest.value)) {
+            return err({ type: 'validation', code: 'INVALID_MESSAGE', message: 'Invalid HTTP message', context: '--request must be a request', details: {} });
+        }
+        messages = { ...messages, request: resultOfRequest.value.request };
+    }
+    const { headers } = 'request' in message ? message.request : message.response;
+    const stringOfSignatureInputDictionary = headers.get('signature-input');
+    const stringOfSignatureDictionary = headers.get('signature');
+    if (stringOfSignatureInputDictionary === null || stringOfSignatureDictionary === null) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'Missing signature',
+            context: 'Message has no Signature-Input or Signature header',
+            details: {}
+        });
+    }
+    const resultOfLabels = Result.fromThrowable(
+        () => Object.keys(/** @type {Object.<string, unknown>} */ (decodeDict(stringOfSignatureInputDictionary))),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: error,
+            details: {}
+        })
+    )();
+    if (resultOfLabels.isErr()) {
+        return err(resultOfLabels.error);
+    }
+    const label = options.label ?? resultOfLabels.value[0];
+    if (label === undefined || !resultOfLabels.value.includes(label)) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'Missing signature',
+            context: `Signature-Input has no signature "${label}"`,
+            details: { label }
+        });
+    }
+    return ok({ messages, headers, label, stringOfSignatureInputDictionary, stringOfSignatureDictionary });
+}
+
+/**
+ * Reconstructs the signature base of a signature from the message, independently of the checks of verification,
+ * so that it can be shown even if verification stops before the signature base is built.
+ *
+ * @param {import("./components.js").Messages} messages - The signed message and its related request, if any.
+ * @param {Headers} headers - The headers of the signed message.
+ * @param {string} label - The signature label.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The signature base.
+ */
+function reconstructSignatureBase(messages, headers, label) {
+    const resultOfMember = Result.fromThrowable(
+        () => /** @type {Object.<string, unknown>} */ (decodeDict(headers.get('signature-input') ?? ''))[label],
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: error,
+            details: { label }
+        })
+    )();
+    if (resultOfMember.isErr()) {
+        return err(resultOfMember.error);
+    }
+    const member = resultOfMember.value;
+    if (!(member instanceof Item) || !Array.isArray(member.value) || !member.value.every((item) => item instanceof Item && typeof item.value === 'string')) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: `Invalid signature input for "${label}"`,
+            details: { label }
+        });
+    }
+    const resultOfComponents = validateComponentItems(member.value);
+    if (resultOfComponents.isErr()) {
+        return err(resultOfComponents.error);
+    }
+    return createSignatureBase(member.value, serializeInnerList(member), messages);
+}
+
+/**
+ * Parses a list of component identifiers: either comma separated names, or covered components in the syntax of
+ * `Signature-Input`, which allows component parameters (e.g. `"@query-param";name="id" "content-type"`).
+ *
+ * @param {string} value - The list.
+ * @returns {import("neverthrow").Result<import("./components.js").ComponentIdentifier[], import("./errors.js").SignatureError>} The component identifiers.
+ */
+function parseComponentList(value) {
+    if (!value.includes('"')) {
+        return ok(value.split(/[\s,]+/).filter((name) => name.length > 0));
+    }
+    return Result.fromThrowable(
+        () => /** @type {Item[]} */ (/** @type {Object.<string, Item>} */ (decodeDict(`components=(${value.trim()})`)).components.value).map(toComponentIdentifier),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid component list',
+            context: error,
+            details: {}
+        })
+    )();
+}
+
+/**
+ * Loads a key from a JWK, a JWK Set or a PEM file. For verification, the public key is taken from private keys.
+ *
+ * @param {string} path - The path of the key file.
+ * @param {CliOptions} options - The command-line options, for `alg` and `keyid`.
+ * @param {'sign'|'verify'} use - What the key is used for.
+ * @returns {Promise<import("neverthrow").Result<import("./keys.js").ResolvedKey, import("./errors.js").SignatureError>>} The imported key.
+ */
+async function loadKey(path, options, use) {
+    /** @type {string} */
+    let text;
+    try {
+        text = await readFile(path, 'utf8');
+    } catch (error) {
+        return err({ type: 'error', code: 'KEY_UNAVAILABLE', message: 'Failed to read key file', context: error, details: { keyid: options.keyid } });
+    }
+    if (!text.trimStart().startsWith('{')) {
+        let pem = text;
+        if (use === 'verify' && text.includes('PRIVATE KEY')) {
+            try {
+                pem = /** @type {string} */ (createPublicKey(text).export({ type: 'spki', format: 'pem' }));
+            } catch (error) {
+                return err({ type: 'validation', code: 'INVALID_KEY', message: 'Invalid PEM', context: error, details: { keyid: options.keyid } });
+            }
+        }
+        return importKeyFromPem({ pem, alg: options.alg, keyid: options.keyid });
+    }
+
+    /** @type {import("./keys.js").Jwk & {keys?: import("./keys.js").Jwk[]}} */
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        return err({ type: 'validation', code: 'INVALID_KEY', message: 'Invalid JWK', context: error, details: { keyid: options.keyid } });
+    }
+    const jwks = Array.isArray(json.keys) ? json.keys : [json];
+    const jwk = options.keyid === undefined && jwks.length === 1 ? jwks[0] : jwks.find((candidate) => candidate.kid === options.keyid);
+    if (jwk === undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNKNOWN_KEY',
+            message: 'Unknown key',
+            context: options.keyid === undefined ? 'The JWK Set has several keys, pick one with --keyid' : `The JWK Set has no key "${options.keyid}"`,
+            details: { keyid: options.keyid }
+        });
+    }
+    if (use === 'verify' && jwk.kty !== 'oct') {
+        // the public key is the private key without its private members, and without key_ops that only allow signing
+        const { d, p, q, dp, dq, qi, key_ops, ...publicJwk } = jwk;
+        return importKeyFromJwk({ jwk: publicJwk, alg: options.alg });
+    }
+    return importKeyFromJwk({ jwk, alg: options.alg });
+}
+
+/**
+ * Sets header lines in a raw message, replacing existing lines with the same name and leaving the rest untouched.
+ *
+ * @param {Uint8Array} raw - The raw message.
+ * @param {[string, string][]} entries - The header names and values.
+ * @returns {Uint8Array} The updated message.
+ */
+function setHeaderLines(raw, entries) {
+    // ISO-8859-1 maps every byte to one character, so that the body survives the round trip
+    const text = Buffer.from(raw).toString('latin1');
+    const separator = /\r?\n\r?\n/.exec(text);
+    const head = separator === null ? text.replace(/\r?\n$/, '') : text.slice(0, separator.index);
+    const tail = separator === null ? '' : text.slice(separator.index + separator[0].length);
+    const eol = /\r\n/.test(head) || separator?.[0].startsWith('\r') ? '\r\n' : '\n';
+    const names = entries.map(([name]) => name.toLowerCase());
+    /** @type {string[]} */
+    const lines = [];
+    let isReplaced = false;
+    for (const line of head.split(/\r?\n/)) {
+        // continuation lines belong to the previous header
+        isReplaced = /^[ \t]/.test(line) ? isReplaced : names.includes(line.slice(0, line.indexOf(':')).toLowerCase());
+        if (!isReplaced) {
+            lines.push(line);
+        }
+    }
+    lines.push(...entries.map(([name, value]) => `${name}: ${value}`));
+    return Buffer.from(lines.join(eol) + eol + eol + tail, 'latin1');
+}
+
+/**
+ * Prints a signature base line by line.
+ *
+ * @param {CliContext} context - The standard streams.
+ * @param {string} label - The signature label.
+ * @param {import("neverthrow").Result<string, import("./errors.js").SignatureError>} signatureBase - The signature base, or why it could not be built.
+ */
+function writeSignatureBase(context, label, signatureBase) {
+    if (signatureBase.isErr()) {
+        context.stdout.write(`Signature base of "${label}" cannot be built: ${describeError(signatureBase.error)}\n`);
+        return;
+    }
+    context.stdout.write(`Signature base of "${label}":\n${signatureBase.value.split('\n').map((line) => `  ${line}\n`).join('')}`);
+}
+
+/**
+ * Prints the lines that differ from the expected signature base and the likely causes of a mismatch.
+ *
+ * @param {CliContext} context - The standard streams.
+ * @param {import("./diagnostics.js").Diagnostics} diagnostics - The diagnostics of the error.
+ */
+function writeDiagnostics(context, diagnostics) {
+    const differences = diagnostics.lines.filter(({ status }) => status !== 'same');
+    if (differences.length > 0) {
+        context.stdout.write('Differences from the expected signature base:\n');
+    }
+    for (const { component, status, value, expectedValue } of differences) {
+        if (status === 'changed') {
+            context.stdout.write(`  ${component}\n    actual:   ${value}\n    expected: ${expectedValue}\n`);
+        } else {
+            context.stdout.write(`  ${component}: ${status === 'missing' ? `only in the expected signature base: ${expectedValue}` : `not in the expected signature base: ${value}`}\n`);
+        }
+    }
+    for (const { code, message } of diagnostics.hints) {
+        context.stdout.write(`Hint: ${code}: ${message}\n`);
+    }
+}
+
+/**
+ * Reports an error and returns the exit code 1.
+ *
+ * @param {CliContext} context - The standard streams.
+ * @param {CliOptions} options - The command-line options, for `json`.
+ * @param {import("./errors.js").SignatureError} error - The error.
+ * @returns {number} The exit code.
+ */
+function fail(context, options, error) {
+    if (options.json) {
+        context.stdout.write(JSON.stringify({ error: toJson(error) }, null, 2) + '\n');
+    } else {
+        context.stderr.write(`${describeError(error)}\n`);
+    }
+    return 1;
+}
+
+/**
+ * Describes an error in one line.
+ *
+ * @param {import("./errors.js").SignatureError} error - The error.
+ * @returns {string} The description.
+ */
+function describeError(error) {
+    const { context } = toJson(error);
+    return `${error.code ?? error.type}: ${error.message}${context === undefined || context === error.message ? '' : ` (${typeof context === 'string' ? context : JSON.stringify(context)})`}`;
+}
+
+/**
+ * Converts an error into a value that can be serialized as JSON, replacing an `Error` in `context` by its message.
+ *
+ * @param {import("./errors.js").SignatureError} error - The error.
+ * @returns {{type: string, code?: string, message: string, context?: unknown, details?: unknown}} The serializable error.
+ */
+function toJson(error) {
+    return { ...error, context: error.context instanceof Error ? error.context.message : error.context };
+}
+
+/**
+ * Reads a stream into memory.
+ *
+ * @param {AsyncIterable<Uint8Array|string>} stream - The stream.
+ * @returns {Promise<Uint8Array>} The content.
+ */
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
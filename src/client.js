@@ -0,0 +1,341 @@
+import { decodeDict, encodeDict } from 'structured-field-values';
+import { Result, ResultAsync, err, ok } from 'neverthrow';
+import { createSignatureForRequest } from './index.js';
+import { createSignatureParams } from './profile.js';
+
+/**
+ * @typedef {import("./profile.js").SigningProfile} SigningProfile
+ */
+
+/**
+ * Signs a WHATWG `Request`. The body is read to calculate the `Content-Digest`, and the returned copy of the request carries it.
+ * The signature is added to existing `Signature-Input` and `Signature` headers, replacing only a signature with the same label.
+ *
+ * @param {object} params - The parameters for signing the request.
+ * @param {Request} params.request - The request to sign.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {Promise<import("neverthrow").Result<Request, import("./errors.js").SignatureError>>} The signed request.
+ */
+export async function signRequest({ request, profile }) {
+    const body = request.body === null ? null : new Uint8Array(await request.arrayBuffer());
+    const resultOfHeaders = await signMessage({ method: request.method, url: new URL(request.url), headers: new Headers(request.headers), body, profile });
+    if (resultOfHeaders.isErr()) {
+        return err(resultOfHeaders.error);
+    }
+    return ok(new Request(request, body === null ? { headers: resultOfHeaders.value } : { headers: resultOfHeaders.value, body }));
+}
+
+/**
+ * Creates a `fetch` function that signs every request before sending it. Takes the same arguments as `fetch`,
+ * and rejects with an `Error` whose `cause` is the error object if the request cannot be signed.
+ *
+ * @param {object} params - The parameters for creating the function.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @param {function(Request): Promise<Response>=} params.fetch - The underlying `fetch`. Defaults to `globalThis.fetch`.
+ * @returns {function((string|URL|Request), RequestInit=): Promise<Response>} The signing `fetch`.
+ */
+export function createSignedFetch({ profile, fetch = (request) => globalThis.fetch(request) }) {
+    return async (input, init) => {
+        const result = await signRequest({ request: new Request(input, init), profile });
+        if (result.isErr()) {
+            throw toError(result.error);
+        }
+        return fetch(result.value);
+    };
+}
+
+/**
+ * Creates an undici interceptor that signs every request, for `dispatcher.compose()`. Stream bodies are buffered.
+ *
+ * @param {object} params - The parameters for creating the interceptor.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {function(function(UndiciDispatchOptions, UndiciHandler): boolean): function(UndiciDispatchOptions, UndiciHandler): boolean} The interceptor.
+ */
+export function createUndiciInterceptor({ profile }) {
+    return (dispatch) => (opts, handler) => {
+        /** @param {Error} error */
+        const onError = (error) => {
+            if (handler.onResponseError) {
+                handler.onResponseError(null, error);
+            } else {
+                handler.onError?.(error);
+            }
+        };
+        signDispatchOptions(opts, profile).then((result) => {
+            if (result.isOk()) {
+                dispatch(result.value, handler);
+            } else {
+                onError(toError(result.error));
+            }
+        }).catch(onError);
+        return true;
+    };
+}
+
+/**
+ * @typedef {object} UndiciDispatchOptions
+ * The parts of undici's dispatch options the interceptor uses.
+ * @property {string|URL} origin - The origin of the request.
+ * @property {string} path - The path and query of the request.
+ * @property {string} method - The request method.
+ * @property {Object.<string, (string|string[]|undefined)>|string[]|null=} headers - The request headers.
+ * @property {string|Uint8Array|AsyncIterable<Uint8Array|string>|null=} body - The request body.
+ */
+
+/**
+ * @typedef {object} UndiciHandler
+ * The error callbacks of an undici dispatch handler.
+ * @property {function(Error): void=} onError - The error callback of the legacy handler API.
+ * @property {function(null, Error): void=} onResponseError - The error callback of the handler API of undici 7.
+ */
+
+/**
+ * Creates an axios request interceptor that signs every request, for `axios.interceptors.request.use()`.
+ * Bodies are serialized up front, `URLSearchParams` as a form and plain objects and arrays as JSON, and `params` are moved into the
+ * URL, so that the signed request is sent as is. `FormData`, `Blob` and stream bodies cannot be signed this way and are rejected.
+ *
+ * @param {object} params - The parameters for creating the interceptor.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {function(AxiosRequestConfig): Promise<AxiosRequestConfig>} The interceptor.
+ */
+export function createAxiosInterceptor({ profile }) {
+    return async (config) => {
+        const url = new URL(buildAxiosUrl(config.baseURL, config.url), config.baseURL);
+        for (const [name, value] of Object.entries(config.params ?? {})) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.append(name, String(value));
+            }
+        }
+        const headers = new Headers();
+        const headerEntries = config.headers && typeof config.headers.toJSON === 'function' ? config.headers.toJSON() : config.headers ?? {};
+        for (const [name, value] of Object.entries(/** @type {Object.<string, unknown>} */ (headerEntries))) {
+            if (typeof value === 'string' || typeof value === 'number') {
+                headers.set(name, String(value));
+            }
+        }
+        const body = encodeAxiosBody(config.data, headers);
+
+        const resultOfHeaders = await signMessage({ method: (config.method ?? 'get').toUpperCase(), url, headers, body, profile });
+        if (resultOfHeaders.isErr()) {
+            throw toError(resultOfHeaders.error);
+        }
+        const signedHeaders = Object.fromEntries(resultOfHeaders.value);
+        if (config.headers && typeof config.headers.set === 'function') {
+            config.headers.set(signedHeaders);
+        } else {
+            config.headers = { ...config.headers, ...signedHeaders };
+        }
+        config.url = url.href;
+        delete config.baseURL;
+        delete config.params;
+        config.data = body ?? undefined;
+        return config;
+    };
+}
+
+/**
+ * @typedef {object} AxiosRequestConfig
+ * The parts of an axios request config the interceptor uses.
+ * @property {string=} url - The request URL.
+ * @property {string=} baseURL - The base URL `url` is resolved against.
+ * @property {string=} method - The request method.
+ * @property {Object.<string, unknown>=} params - The query parameters.
+ * @property {any=} headers - The request headers, an `AxiosHeaders` instance or a plain object.
+ * @property {unknown=} data - The request body.
+ */
+
+/**
+ * Joins the base URL and the URL of an axios request the way axios does: an absolute `url` is used as is, and otherwise
+ * the two are joined with a single `/`, so that `/payments` stays below the path of `baseURL`.
+ *
+ * @param {string=} baseURL - The base URL.
+ * @param {string=} url - The request URL.
+ * @returns {string} The full URL.
+ */
+function buildAxiosUrl(baseURL, url) {
+    if (!baseURL || (url && /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url))) {
+        return url ?? '';
+    }
+    return url ? `${baseURL.replace(/\/?\/$/, '')}/${url.replace(/^\/+/, '')}` : baseURL;
+}
+
+/**
+ * Serializes the body of an axios request the way axios would send it, setting the content type axios would set.
+ * Bodies that axios streams or encodes itself, such as `FormData` with its random boundary, cannot be signed.
+ *
+ * @param {unknown} data - The request body.
+ * @param {Headers} headers - The request headers.
+ * @returns {Uint8Array|null} The body.
+ */
+function encodeAxiosBody(data, headers) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    if (typeof data === 'string') {
+        return new TextEncoder().encode(data);
+    }
+    if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+        return new Uint8Array(data instanceof ArrayBuffer ? data.slice(0) : data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    }
+    if (data instanceof URLSearchParams) {
+        if (!headers.has('content-type')) {
+            headers.set('content-type', 'application/x-www-form-urlencoded;charset=utf-8');
+        }
+        return new TextEncoder().encode(data.toString());
+    }
+    const prototype = typeof data === 'object' ? Object.getPrototypeOf(data) : undefined;
+    if (Array.isArray(data) || prototype === Object.prototype || prototype === null) {
+        if (!headers.has('content-type')) {
+            headers.set('content-type', 'application/json');
+        }
+        return new TextEncoder().encode(JSON.stringify(data));
+    }
+    const type = typeof data === 'object' ? prototype?.constructor?.name ?? 'object' : typeof data;
+    throw new TypeError(`Cannot sign a request body of type ${type}: pass a string, a Uint8Array, URLSearchParams, or a plain object or array to serialize as JSON`);
+}
+
+/**
+ * Signs undici dispatch options.
+ *
+ * @param {UndiciDispatchOptions} opts - The dispatch options.
+ * @param {SigningProfile} profile - The signing profile.
+ * @returns {Promise<import("neverthrow").Result<UndiciDispatchOptions, import("./errors.js").SignatureError>>} The signed dispatch options.
+ */
+async function signDispatchOptions(opts, profile) {
+    const headers = new Headers();
+    if (Array.isArray(opts.headers)) {
+        for (let i = 0; i + 1 < opts.headers.length; i += 2) {
+            headers.append(opts.headers[i], opts.headers[i + 1]);
+        }
+    } else {
+        for (const [name, value] of Object.entries(opts.headers ?? {})) {
+            for (const line of Array.isArray(value) ? value : value === undefined ? [] : [value]) {
+                headers.append(name, line);
+            }
+        }
+    }
+    /** @type {Uint8Array|null} */
+    let body = null;
+    if (typeof opts.body === 'string') {
+        body = new TextEncoder().encode(opts.body);
+    } else if (opts.body instanceof Uint8Array) {
+        body = opts.body;
+    } else if (opts.body !== undefined && opts.body !== null) {
+        const resultOfBody = await ResultAsync.fromPromise(
+            readChunks(opts.body),
+            (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+                type: 'error',
+                code: 'BODY_READ_FAILED',
+                message: 'Failed to read request body',
+                context: error,
+                details: {}
+            })
+        );
+        if (resultOfBody.isErr()) {
+            return err(resultOfBody.error);
+        }
+        body = resultOfBody.value;
+    }
+
+    const resultOfHeaders = await signMessage({ method: opts.method, url: new URL(opts.path, opts.origin), headers, body, profile });
+    if (resultOfHeaders.isErr()) {
+        return err(resultOfHeaders.error);
+    }
+    return ok({ ...opts, headers: Object.fromEntries(resultOfHeaders.value), body });
+}
+
+/**
+ * Reads a stream body into memory.
+ *
+ * @param {AsyncIterable<Uint8Array|string>} stream - The body stream.
+ * @returns {Promise<Uint8Array>} The body.
+ */
+async function readChunks(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk);
+    }
+    return new Uint8Array(await new Blob(chunks).arrayBuffer());
+}
+
+/**
+ * Signs a request and returns its headers with the `Signature-Input`, `Signature` and `Content-Digest` headers added.
+ *
+ * @param {object} params - The parameters for signing the request.
+ * @param {string} params.method - The request method.
+ * @param {URL} params.url - The request URL.
+ * @param {Headers} params.headers - The request headers.
+ * @param {Uint8Array|null} params.body - The request body.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {Promise<import("neverthrow").Result<Headers, import("./errors.js").SignatureError>>} The signed headers.
+ */
+export async function signMessage({ method, url, headers, body, profile }) {
+    const signatureLabel = profile.signatureLabel ?? 'sig1';
+    const resultOfParams = createSignatureParams(profile);
+    if (resultOfParams.isErr()) {
+        return err(resultOfParams.error);
+    }
+    const resultOfSignature = await createSignatureForRequest({
+        signatureInputs: profile.signatureInputs,
+        signatureLabel,
+        additionalParams: resultOfParams.value,
+        request: { method, url, headers, body },
+        contentDigestAlgorithms: body === null ? undefined : profile.contentDigestAlgorithms ?? ['sha-256'],
+        sign: profile.sign,
+    });
+    if (resultOfSignature.isErr()) {
+        return err(resultOfSignature.error);
+    }
+    const { signatureInput, signature, contentDigest } = resultOfSignature.value;
+
+    const signedHeaders = new Headers(headers);
+    if (contentDigest !== undefined) {
+        signedHeaders.set('content-digest', contentDigest);
+    }
+    for (const [name, value] of [['signature-input', signatureInput], ['signature', signature]]) {
+        const resultOfValue = appendDictionaryMember(headers.get(name), signatureLabel, value);
+        if (resultOfValue.isErr()) {
+            return err(resultOfValue.error);
+        }
+        signedHeaders.set(name, resultOfValue.value);
+    }
+    return ok(signedHeaders);
+}
+
+/**
+ * Adds a member to a serialized dictionary header such as `Signature`, replacing an existing member with the same label.
+ *
+ * @param {string|null} stringOfDictionary - The existing header value, if any.
+ * @param {string} signatureLabel - The label of the new member.
+ * @param {string} stringOfMember - The new member, serialized as a dictionary with a single entry.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The combined header value.
+ */
+function appendDictionaryMember(stringOfDictionary, signatureLabel, stringOfMember) {
+    if (stringOfDictionary === null) {
+        return ok(stringOfMember);
+    }
+    return Result.fromThrowable(
+        () => {
+            const dictionary = /** @type {Object.<string, unknown>} */ (decodeDict(stringOfDictionary));
+            delete dictionary[signatureLabel];
+            return Object.keys(dictionary).length === 0 ? stringOfMember : `${encodeDict(/** @type {import("structured-field-values").Dictionary} */ (dictionary))}, ${stringOfMember}`;
+        },
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_MESSAGE',
+            message: 'Invalid existing signature header',
+            context: error,
+            details: {}
+        })
+    )();
+}
+
+/**
+ * Wraps an error object in an `Error`, for APIs that reject with one.
+ *
+ * @param {import("./errors.js").SignatureError} error - The error object.
+ * @returns {Error} The error.
+ */
+function toError(error) {
+    return Object.assign(new Error(error.message), { cause: error });
+}
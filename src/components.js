@@ -0,0 +1,581 @@
+import { decodeDict, decodeList, encodeDict, encodeItem, encodeList, Item, serializeInnerList } from 'structured-field-values';
+import { Result, err, ok } from 'neverthrow';
+
+/**
+ * @typedef {object} RequestMessage
+ * @property {Headers} headers - The request headers.
+ * @property {URL} url - The request URL.
+ * @property {string} method - The HTTP method (e.g., 'GET', 'POST').
+ * @property {Headers=} trailers - The request trailers, for components with the `tr` parameter.
+ * @property {string[]=} rawHeaders - The header field lines as they were received, alternating names and values as in Node.js' `rawHeaders`. See `bs` below.
+ * @property {string[]=} rawTrailers - The trailer field lines as they were received, like `rawHeaders`.
+ */
+
+/**
+ * @typedef {object} ResponseMessage
+ * @property {Headers} headers - The response headers.
+ * @property {number} status - The HTTP status code (e.g., 200, 404).
+ * @property {Headers=} trailers - The response trailers, for components with the `tr` parameter.
+ * @property {string[]=} rawHeaders - The header field lines as they were received, like the `rawHeaders` of a request.
+ * @property {string[]=} rawTrailers - The trailer field lines as they were received, like `rawHeaders`.
+ */
+
+/**
+ * @typedef {object} Messages
+ * @property {RequestMessage=} request - The request being signed, or the request that produced `response`.
+ * @property {ResponseMessage=} response - The response being signed, if any.
+ */
+
+/**
+ * @typedef {string|{component: string, parameters: Object.<string, (string|number|boolean)>}} ComponentIdentifier
+ */
+
+/**
+ * Fields whose values are structured field dictionaries. Other fields are parsed as lists, falling back to dictionaries,
+ * which serializes items and lists the same way.
+ */
+const DICTIONARY_FIELDS = new Set([
+    'accept-signature',
+    'content-digest',
+    'priority',
+    'repr-digest',
+    'signature',
+    'signature-input',
+    'want-content-digest',
+    'want-repr-digest',
+]);
+
+/**
+ * The derived components defined by RFC 9421, section 2.2. `@signature-params` is not among them, as it cannot be covered.
+ */
+const DERIVED_COMPONENTS = new Set([
+    '@method',
+    '@target-uri',
+    '@authority',
+    '@scheme',
+    '@request-target',
+    '@path',
+    '@query',
+    '@query-param',
+    '@status',
+]);
+
+/**
+ * The parameters of component identifiers defined by RFC 9421, sections 2.1 and 2.2.8, and the components they apply to.
+ *
+ * @type {Readonly<Object.<string, ('field'|'any'|'@query-param')>>}
+ */
+const COMPONENT_PARAMS = Object.freeze({
+    sf: 'field',
+    key: 'field',
+    bs: 'field',
+    tr: 'field',
+    req: 'any',
+    name: '@query-param',
+});
+
+/**
+ * Converts a component identifier as accepted by the public API into a structured field item.
+ *
+ * @param {ComponentIdentifier} input - The component identifier.
+ * @returns {Item} The structured field item.
+ */
+export function toComponentItem(input) {
+    return typeof input === 'string' ? new Item(input, {}) : new Item(input.component, input.parameters);
+}
+
+/**
+ * Converts a structured field item into a component identifier as used by the public API.
+ *
+ * @param {Item} item - The structured field item.
+ * @returns {ComponentIdentifier} The component identifier.
+ */
+export function toComponentIdentifier(item) {
+    /** @type {Object.<string, (string|number|boolean)>} */
+    const parameters = Object.fromEntries(item.params instanceof Map ? item.params.entries() : Object.entries(item.params ?? {}));
+    return Object.keys(parameters).length === 0 ? item.value : { component: item.value, parameters };
+}
+
+/**
+ * Reads a parameter of a component identifier item. Parameters may be a plain object or a Map.
+ *
+ * @param {Item} item - The component identifier item.
+ * @param {string} name - The parameter name.
+ * @returns {unknown} The parameter value, or `undefined` if the parameter is not present.
+ */
+export function getComponentParam(item, name) {
+    if (item.params instanceof Map) {
+        return item.params.get(name);
+    }
+    return item.params?.[name];
+}
+
+/**
+ * Checks whether a component, with all of the given parameters, is among the covered components. A component given
+ * by name only is only covered without parameters, apart from the `name` that `@query-param` requires:
+ * `"content-digest";req` does not cover the `content-digest` of a response, nor `"cache-control";key="x"` the whole
+ * `cache-control` field.
+ *
+ * @param {Item[]} componentItems - The covered components.
+ * @param {ComponentIdentifier} input - The component identifier to look for.
+ * @returns {boolean} True if the component is covered.
+ */
+export function isComponentCovered(componentItems, input) {
+    if (typeof input === 'string') {
+        return componentItems.some((item) => item.value === input && [...(item.params instanceof Map ? item.params.keys() : Object.keys(item.params ?? {}))].every((key) => key === 'name'));
+    }
+    return componentItems.some((item) => item.value === input.component && Object.entries(input.parameters).every(([key, value]) => getComponentParam(item, key) === value));
+}
+
+/**
+ * Serializes a component identifier for error reporting, falling back to its name if it cannot be serialized.
+ *
+ * @param {Item} item - The component identifier item.
+ * @returns {string} The serialized component identifier.
+ */
+export function describeComponent(item) {
+    return Result.fromThrowable(() => encodeItem(item))().unwrapOr(String(item.value));
+}
+
+/**
+ * Checks the covered components before anything is resolved or signed (RFC 9421, sections 2 and 2.1):
+ * field names must be lowercase, derived components must be known, parameters must be known, have the right type
+ * and apply to the component, and no component may be covered twice with the same parameters.
+ *
+ * @param {Item[]} componentItems - The covered components.
+ * @returns {import("neverthrow").Result<Item[], import("./errors.js").SignatureError>} The covered components.
+ */
+export function validateComponentItems(componentItems) {
+    /** @type {Set<string>} */
+    const identities = new Set();
+    for (const item of componentItems) {
+        const stringOfKey = describeComponent(item);
+        const resultOfItem = validateComponentItem(item, stringOfKey);
+        if (resultOfItem.isErr()) {
+            return err(resultOfItem.error);
+        }
+        // parameters are compared regardless of their order
+        const params = getComponentParamEntries(item).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+        const identity = JSON.stringify([item.value, params]);
+        if (identities.has(identity)) {
+            return err({
+                type: 'validation',
+                code: 'DUPLICATE_COMPONENT',
+                message: 'Invalid signature input',
+                context: 'Component ' + stringOfKey + ' is covered more than once',
+                details: { component: stringOfKey }
+            });
+        }
+        identities.add(identity);
+    }
+    return ok(componentItems);
+}
+
+/**
+ * Checks the name and parameters of a single component identifier.
+ *
+ * @param {Item} item - The component identifier item.
+ * @param {string} stringOfKey - The serialized component identifier, used for error reporting.
+ * @returns {import("neverthrow").Result<Item, import("./errors.js").SignatureError>} The component identifier item.
+ */
+function validateComponentItem(item, stringOfKey) {
+    const name = item.value;
+    if (typeof name !== 'string' || name.length === 0) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_NAME',
+            message: 'Invalid signature input',
+            context: 'Component name must be a non-empty string, found ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+    const isDerived = name.startsWith('@');
+    if (isDerived && !DERIVED_COMPONENTS.has(name)) {
+        return err({
+            type: 'validation',
+            code: 'UNKNOWN_COMPONENT',
+            message: 'Invalid signature input',
+            context: name === '@signature-params' ? 'Component "@signature-params" cannot be covered' : 'Unknown derived component ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+    if (!isDerived && !/^[!#$%&'*+\-.^_`|~0-9a-z]+$/.test(name)) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_NAME',
+            message: 'Invalid signature input',
+            context: /^[!#$%&'*+\-.^_`|~0-9a-zA-Z]+$/.test(name) ? 'Field name ' + stringOfKey + ' must be lowercase' : 'Invalid field name ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+
+    for (const [param, value] of getComponentParamEntries(item)) {
+        const context = getComponentParamError(name, param, value);
+        if (context !== undefined) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_COMPONENT_PARAMETER',
+                message: 'Invalid signature input',
+                context: context + ' in signature input for field ' + stringOfKey,
+                details: { component: stringOfKey, parameter: param }
+            });
+        }
+    }
+    if (name === '@query-param' && getComponentParam(item, 'name') === undefined) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
+            message: 'Invalid signature input',
+            context: 'Signature input is missing required parameter "name" in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey, parameter: 'name' }
+        });
+    }
+    if (getComponentParam(item, 'bs') === true && (getComponentParam(item, 'sf') === true || getComponentParam(item, 'key') !== undefined)) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
+            message: 'Invalid signature input',
+            context: 'Parameter "bs" cannot be combined with "sf" or "key" in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey, parameter: 'bs' }
+        });
+    }
+    return ok(item);
+}
+
+/**
+ * Describes what is wrong with a parameter of a component identifier.
+ *
+ * @param {string} name - The component name.
+ * @param {string} param - The parameter name.
+ * @param {unknown} value - The parameter value.
+ * @returns {string|undefined} The description, or `undefined` if the parameter is valid.
+ */
+function getComponentParamError(name, param, value) {
+    const scope = Object.prototype.hasOwnProperty.call(COMPONENT_PARAMS, param) ? COMPONENT_PARAMS[param] : undefined;
+    if (scope === undefined) {
+        return `Unknown parameter "${param}"`;
+    }
+    if (scope === 'field' && name.startsWith('@')) {
+        return `Parameter "${param}" is only allowed for fields`;
+    }
+    if (scope === '@query-param' && name !== '@query-param') {
+        return `Parameter "${param}" is only allowed for "@query-param"`;
+    }
+    if (param === 'name' || param === 'key') {
+        return typeof value === 'string' && value.length > 0 ? undefined : `Parameter "${param}" must be a non-empty string`;
+    }
+    return value === true ? undefined : `Parameter "${param}" must be the boolean true`;
+}
+
+/**
+ * Lists the parameters of a component identifier item. Parameters may be a plain object or a Map.
+ *
+ * @param {Item} item - The component identifier item.
+ * @returns {[string, unknown][]} The parameter names and values.
+ */
+function getComponentParamEntries(item) {
+    return item.params instanceof Map ? [...item.params.entries()] : Object.entries(item.params ?? {});
+}
+
+/**
+ * Builds the signature base from the covered components and the serialized signature parameters.
+ * The covered components must have been checked with `validateComponentItems`.
+ *
+ * @param {Item[]} componentItems - The covered components, in order.
+ * @param {string} signatureParamsValue - The serialized value of the `@signature-params` component.
+ * @param {Messages} messages - The message being signed or verified and its related request, if any.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The signature base, or an error if a component could not be resolved.
+ */
+export function createSignatureBase(componentItems, signatureParamsValue, messages) {
+    /** @type {[string, string][]} */
+    const signatureBasePairResults = [];
+    for (const item of componentItems) {
+        const resultOfStringOfKey = Result.fromThrowable(
+            () => encodeItem(item),
+            (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+                type: 'encoding',
+                code: 'ENCODING_FAILED',
+                message: 'Failed to encode signature input key',
+                context: error,
+                details: {}
+            })
+        )();
+        if (resultOfStringOfKey.isErr()) {
+            return err(resultOfStringOfKey.error);
+        }
+        const stringOfKey = resultOfStringOfKey.value;
+
+        const resultOfValue = getComponentValue(item, stringOfKey, messages);
+        if (resultOfValue.isErr()) {
+            return err(resultOfValue.error);
+        }
+        // a query parameter that occurs multiple times has a line per occurrence
+        const values = Array.isArray(resultOfValue.value) ? resultOfValue.value : [resultOfValue.value];
+        for (const value of values) {
+            signatureBasePairResults.push([stringOfKey, value]);
+        }
+    }
+    signatureBasePairResults.push([encodeItem(new Item('@signature-params', {})), signatureParamsValue]);
+
+    return ok(signatureBasePairResults.map((pair) => pair.join(': ')).join('\n'));
+}
+
+/**
+ * Resolves the value of a single covered component.
+ * Components carrying the `req` parameter are resolved against the related request of a response.
+ *
+ * @param {Item} item - The component identifier item.
+ * @param {string} stringOfKey - The serialized component identifier, used for error reporting.
+ * @param {Messages} messages - The message being signed or verified and its related request, if any.
+ * @returns {import("neverthrow").Result<string|string[], import("./errors.js").SignatureError>} The component value, or the values of all occurrences of a query parameter.
+ */
+function getComponentValue(item, stringOfKey, messages) {
+    const isRelatedRequestComponent = getComponentParam(item, 'req') === true;
+    if (isRelatedRequestComponent && !messages.response) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Parameter "req" is only allowed when signing a response, found in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+    if (isRelatedRequestComponent && !messages.request) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing related request',
+            context: 'Related request is required to resolve signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+
+    const request = messages.request;
+    const target = isRelatedRequestComponent ? messages.request : messages.response ?? messages.request;
+    if (!target) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing message',
+            context: 'No message provided to resolve signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+    const messageName = target === messages.response ? 'Response' : 'Request';
+
+    if (item.value === '@status') {
+        if (!messages.response || isRelatedRequestComponent) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_SIGNATURE_INPUT',
+                message: 'Invalid signature input',
+                context: 'Component "@status" is only available for responses, found in signature input for field ' + stringOfKey,
+                details: { component: stringOfKey }
+            });
+        }
+        return ok(String(messages.response.status));
+    }
+
+    if (typeof item.value === 'string' && item.value.startsWith('@') && target !== request) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Component "' + item.value + '" is derived from the request and needs the "req" parameter when signing a response, found in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+
+    switch (item.value) {
+        case '@method': {
+            return ok(/** @type {RequestMessage} */ (target).method);
+        }
+        case '@target-uri': {
+            return ok(/** @type {RequestMessage} */ (target).url.toString());
+        }
+        case '@authority': {
+            // URL lowercases the host and omits the default port of the scheme
+            return ok(/** @type {RequestMessage} */ (target).url.host);
+        }
+        case '@scheme': {
+            return ok(/** @type {RequestMessage} */ (target).url.protocol.slice(0, -1));
+        }
+        case '@request-target': {
+            const { url } = /** @type {RequestMessage} */ (target);
+            return ok(url.pathname + url.search);
+        }
+        case '@path': {
+            return ok(/** @type {RequestMessage} */ (target).url.pathname);
+        }
+        case '@query': {
+            const { url } = /** @type {RequestMessage} */ (target);
+            return ok(url.search.length > 0 ? url.search : '');
+        }
+        case '@query-param': {
+            const name = /** @type {string} */ (getComponentParam(item, 'name'));
+            // names and values are compared and covered in their re-encoded form (RFC 9421 Section 2.2.8)
+            const values = [.../** @type {RequestMessage} */ (target).url.searchParams]
+                .filter(([paramName]) => encodeQueryParamComponent(paramName) === name)
+                .map(([, value]) => encodeQueryParamComponent(value));
+            if (values.length === 0) {
+                return err({
+                    type: 'validation',
+                    code: 'MISSING_COMPONENT',
+                    message: 'Missing query parameter: ' + name,
+                    context: 'Request is missing query parameter "' + name + '" required in signature input for field ' + stringOfKey,
+                    details: { component: stringOfKey }
+                });
+            }
+            return ok(values.length === 1 ? values[0] : values);
+        }
+        default: {
+            return getFieldValue(item, target, messageName, stringOfKey);
+        }
+    }
+}
+
+/**
+ * Percent-encodes a decoded query parameter name or value with the `application/x-www-form-urlencoded` percent-encode set,
+ * encoding spaces as `%20`.
+ *
+ * @param {string} value - The decoded name or value.
+ * @returns {string} The encoded name or value.
+ */
+function encodeQueryParamComponent(value) {
+    return encodeURIComponent(value).replace(/[!'()~]/g, (char) => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * Resolves the value of a header or trailer field, applying the `sf`, `key`, `bs` and `tr` parameters (RFC 9421 Section 2.1).
+ *
+ * @param {Item} item - The component identifier item.
+ * @param {RequestMessage|ResponseMessage} target - The message holding the field.
+ * @param {string} messageName - `Request` or `Response`, used for error reporting.
+ * @param {string} stringOfKey - The serialized component identifier, used for error reporting.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The component value.
+ */
+function getFieldValue(item, target, messageName, stringOfKey) {
+    const name = /** @type {string} */ (item.value);
+    const isStructured = getComponentParam(item, 'sf') === true;
+    const key = /** @type {string|undefined} */ (getComponentParam(item, 'key'));
+    const isByteSequence = getComponentParam(item, 'bs') === true;
+
+    const isTrailer = getComponentParam(item, 'tr') === true;
+    const fields = isTrailer ? target.trailers : target.headers;
+    const fieldKind = isTrailer ? 'trailer' : 'header';
+    const value = fields?.get(name) ?? null;
+    if (!fields || value === null) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing ' + fieldKind + ': ' + name,
+            context: messageName + ' is missing ' + fieldKind + ' "' + name + '" required in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+
+    if (key !== undefined) {
+        return getDictionaryMemberValue(value, key, stringOfKey);
+    }
+    if (isStructured) {
+        return reserializeStructuredField(name, value, stringOfKey);
+    }
+    if (isByteSequence) {
+        // `Headers` combines the field lines, so they are only known separately from the raw fields
+        const fieldLines = getFieldLines(isTrailer ? target.rawTrailers : target.rawHeaders, name, value);
+        const encoder = new TextEncoder();
+        return ok(fieldLines.map((line) => encodeItem(new Item(encoder.encode(line.trim())))).join(', '));
+    }
+    return ok(value);
+}
+
+/**
+ * Splits a field value into its field lines, for the `bs` parameter. The raw field lines are used if they still make up the value,
+ * so that a field changed after the message was received is not signed with stale lines; otherwise the value is a single line.
+ *
+ * @param {string[]|undefined} rawFields - The raw field lines, alternating names and values.
+ * @param {string} name - The field name.
+ * @param {string} value - The combined field value.
+ * @returns {string[]} The field lines.
+ */
+function getFieldLines(rawFields, name, value) {
+    const lowercaseName = name.toLowerCase();
+    const lines = [];
+    for (let i = 0; i + 1 < (rawFields ?? []).length; i += 2) {
+        if (/** @type {string[]} */ (rawFields)[i].toLowerCase() === lowercaseName) {
+            lines.push(/** @type {string[]} */ (rawFields)[i + 1].trim());
+        }
+    }
+    return lines.length > 0 && lines.join(', ') === value ? lines : [value];
+}
+
+/**
+ * Parses a structured field and serializes it again, as required by the `sf` parameter.
+ *
+ * @param {string} name - The field name.
+ * @param {string} value - The raw field value.
+ * @param {string} stringOfKey - The serialized component identifier, used for error reporting.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The serialized field value.
+ */
+function reserializeStructuredField(name, value, stringOfKey) {
+    const toError = (/** @type {unknown} */ error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+        type: 'validation',
+        code: 'INVALID_FIELD_VALUE',
+        message: 'Invalid structured field value',
+        context: { field: stringOfKey, error },
+        details: { component: stringOfKey }
+    });
+    if (DICTIONARY_FIELDS.has(name.toLowerCase())) {
+        return Result.fromThrowable(() => encodeDict(decodeDict(value)), toError)();
+    }
+    const resultOfList = Result.fromThrowable(() => encodeList(decodeList(value)), toError)();
+    if (resultOfList.isOk()) {
+        return resultOfList;
+    }
+    return Result.fromThrowable(() => encodeDict(decodeDict(value)), toError)();
+}
+
+/**
+ * Selects a single member of a dictionary structured field and serializes it, as required by the `key` parameter.
+ *
+ * @param {string} value - The raw field value.
+ * @param {string} key - The value of the `key` parameter.
+ * @param {string} stringOfKey - The serialized component identifier, used for error reporting.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The serialized member value.
+ */
+function getDictionaryMemberValue(value, key, stringOfKey) {
+    const resultOfDictionary = Result.fromThrowable(
+        () => decodeDict(value),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_FIELD_VALUE',
+            message: 'Invalid dictionary field value',
+            context: error,
+            details: { component: stringOfKey }
+        })
+    )();
+    if (resultOfDictionary.isErr()) {
+        return err(resultOfDictionary.error);
+    }
+    const dictionary = resultOfDictionary.value;
+    const member = dictionary instanceof Map ? dictionary.get(key) : Object.prototype.hasOwnProperty.call(dictionary, key) ? dictionary[key] : undefined;
+    if (member === undefined) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing dictionary member: ' + key,
+            context: 'Dictionary field is missing member "' + key + '" required in signature input for field ' + stringOfKey,
+            details: { component: stringOfKey }
+        });
+    }
+    return Result.fromThrowable(
+        () => Array.isArray(member.value) ? serializeInnerList(member) : encodeItem(/** @type {Item} */ (member)),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'encoding',
+            code: 'ENCODING_FAILED',
+            message: 'Failed to encode dictionary member',
+            context: error,
+            details: {}
+        })
+    )();
+}
@@ -0,0 +1,184 @@
+import { getForwardedHost } from './messages.js';
+
+/**
+ * @typedef {object} DiagnosticLine
+ * A line of the line-by-line comparison of the reconstructed signature base with the expected one.
+ * @property {string} component - The component identifier as it appears in the signature base, e.g. `"@authority"` or `"@query-param";name="id"`.
+ * @property {('same'|'changed'|'missing'|'extra')} status - Whether the value is the same or changed, or the component is only in the expected signature base (`missing`) or only in the reconstructed one (`extra`).
+ * @property {string=} value - The value in the reconstructed signature base.
+ * @property {string=} expectedValue - The value in the expected signature base.
+ */
+
+/**
+ * @typedef {object} DiagnosticHint
+ * A likely cause of a signature mismatch.
+ * @property {('AUTHORITY_PORT'|'URL_ENCODING'|'FIELD_WHITESPACE'|'HOST_REWRITTEN'|'SIGNATURE_PARAMS'|'KEY_OR_ALGORITHM')} code - The cause.
+ * @property {string=} component - The component identifier the hint is about, if any.
+ * @property {string} message - A description of the cause.
+ */
+
+/**
+ * @typedef {object} Diagnostics
+ * Why a signature did not verify.
+ * @property {string} signatureBase - The signature base reconstructed by the verifier.
+ * @property {string=} expectedSignatureBase - The signature base of the signer, if it was given.
+ * @property {DiagnosticLine[]} lines - The line-by-line comparison with the expected signature base, or an empty list if it was not given.
+ * @property {DiagnosticHint[]} hints - Likely causes of the mismatch.
+ */
+
+/**
+ * @typedef {object} DiagnosticOptions
+ * Opt-in diagnostics for signatures that do not verify.
+ * @property {string=} expectedSignatureBase - The signature base of the signer, e.g. from a debug header or a captured request, to compare with.
+ */
+
+/**
+ * Matches a line of a signature base: the component identifier, a serialized string with optional parameters, and the value.
+ */
+const LINE_PATTERN = /^("(?:[^"\\]|\\.)*"(?:;[a-z*][a-z0-9_\-.*]*(?:=(?:"(?:[^"\\]|\\.)*"|[^;:\s]+))?)*): (.*)$/;
+
+/**
+ * Components whose values contain a URL or a part of one.
+ */
+const URL_COMPONENTS = ['@target-uri', '@path', '@query', '@request-target', '@query-param'];
+
+/**
+ * Compares the reconstructed signature base of a signature that did not verify with the signature base of the signer,
+ * and names likely causes: a port dropped from `@authority`, a re-encoded query, whitespace in a field value, a `Host`
+ * rewritten by a proxy or changed signature parameters. If the signature bases are the same, the key or algorithm is wrong.
+ *
+ * @param {object} params - The parameters for the diagnosis.
+ * @param {string} params.signatureBase - The signature base reconstructed by the verifier.
+ * @param {string=} params.expectedSignatureBase - The signature base of the signer. Without it, only causes visible in the request are named.
+ * @param {import("./components.js").RequestMessage=} params.request - The request, used to detect a `Host` rewritten by a proxy.
+ * @returns {Diagnostics} The diagnostics.
+ */
+export function diagnoseSignatureBase({ signatureBase, expectedSignatureBase, request }) {
+    const lines = expectedSignatureBase === undefined ? [] : compareSignatureBases(signatureBase, expectedSignatureBase);
+    /** @type {DiagnosticHint[]} */
+    const hints = lines.flatMap((line) => line.status === 'changed' ? getHints(line) : []);
+    if (lines.length > 0 && lines.every((line) => line.status === 'same')) {
+        hints.push({ code: 'KEY_OR_ALGORITHM', message: 'The signature bases are the same, so the signature was made with another key or algorithm' });
+    }
+
+    const forwardedHost = request ? getForwardedHost(request.headers) : undefined;
+    const coversHost = parseSignatureBase(signatureBase).some(({ component }) => ['@authority', '@target-uri', 'host'].includes(getComponentName(component)));
+    if (request && coversHost && forwardedHost !== undefined && forwardedHost !== request.url.host && !hints.some((hint) => hint.code === 'HOST_REWRITTEN')) {
+        hints.push({
+            code: 'HOST_REWRITTEN',
+            message: `A proxy forwarded the request for "${forwardedHost}", but the signature base uses "${request.url.host}". If the signer signed the original host, verify with trustProxy`,
+        });
+    }
+    return { signatureBase, ...(expectedSignatureBase === undefined ? {} : { expectedSignatureBase }), lines, hints };
+}
+
+/**
+ * Compares two signature bases line by line, matching the lines by component identifier.
+ *
+ * @param {string} signatureBase - The reconstructed signature base.
+ * @param {string} expectedSignatureBase - The expected signature base.
+ * @returns {DiagnosticLine[]} The lines of the reconstructed signature base in order, followed by the missing ones.
+ */
+function compareSignatureBases(signatureBase, expectedSignatureBase) {
+    const expectedLines = parseSignatureBase(expectedSignatureBase);
+    /** @type {Set<number>} */
+    const matched = new Set();
+    /** @type {DiagnosticLine[]} */
+    const lines = parseSignatureBase(signatureBase).map(({ component, value }) => {
+        const index = expectedLines.findIndex((line, i) => !matched.has(i) && line.component === component);
+        if (index === -1) {
+            return { component, status: 'extra', value };
+        }
+        matched.add(index);
+        const expectedValue = expectedLines[index].value;
+        return { component, status: value === expectedValue ? 'same' : 'changed', value, expectedValue };
+    });
+    expectedLines.forEach(({ component, value }, index) => {
+        if (!matched.has(index)) {
+            lines.push({ component, status: 'missing', expectedValue: value });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Names the likely causes of a changed line.
+ *
+ * @param {DiagnosticLine} line - A line whose value changed.
+ * @returns {DiagnosticHint[]} The hints.
+ */
+function getHints({ component, value = '', expectedValue = '' }) {
+    const name = getComponentName(component);
+    if (name === '@signature-params') {
+        return [{ code: 'SIGNATURE_PARAMS', component, message: 'The signature parameters differ: the Signature-Input header was changed or serialized differently' }];
+    }
+    if (name === '@authority' || name === 'host' || name === '@target-uri') {
+        const [host, expectedHost] = [value, expectedValue].map((text) => name === '@target-uri' ? /^[a-z][a-z0-9+\-.]*:\/\/([^/?#]*)/i.exec(text)?.[1] ?? '' : text);
+        if (host !== expectedHost) {
+            const [hostname, expectedHostname] = [host, expectedHost].map((text) => text.replace(/:\d*$/, '').toLowerCase());
+            if (hostname === expectedHostname) {
+                return [{ code: 'AUTHORITY_PORT', component, message: `The port differs ("${host}" instead of "${expectedHost}"): a default port was dropped or added, e.g. by a proxy or an HTTP client` }];
+            }
+            return [{ code: 'HOST_REWRITTEN', component, message: `The host differs ("${host}" instead of "${expectedHost}"): a proxy may have rewritten the Host header. If so, verify with trustProxy` }];
+        }
+    }
+    if (URL_COMPONENTS.includes(name)) {
+        if (decodeUrlPart(value) === decodeUrlPart(expectedValue)) {
+            return [{ code: 'URL_ENCODING', component, message: 'The values differ only in percent-encoding: the URL was re-encoded, e.g. by a proxy, a framework or an HTTP client' }];
+        }
+        return [];
+    }
+    if (!name.startsWith('@') && normalizeWhitespace(value) === normalizeWhitespace(expectedValue)) {
+        return [{ code: 'FIELD_WHITESPACE', component, message: 'The field values differ only in whitespace: the field was folded, combined or trimmed differently' }];
+    }
+    return [];
+}
+
+/**
+ * Splits a signature base into its lines.
+ *
+ * @param {string} signatureBase - The signature base. Lines may end with CRLF or LF.
+ * @returns {{component: string, value: string}[]} The component identifier and value of each line.
+ */
+function parseSignatureBase(signatureBase) {
+    return signatureBase.replace(/\r?\n$/, '').split(/\r?\n/).map((line) => {
+        const match = LINE_PATTERN.exec(line);
+        return match ? { component: match[1], value: match[2] } : { component: line, value: '' };
+    });
+}
+
+/**
+ * Takes the component name from a component identifier as it appears in the signature base.
+ *
+ * @param {string} component - The component identifier, e.g. `"@query-param";name="id"`.
+ * @returns {string} The component name, e.g. `@query-param`.
+ */
+function getComponentName(component) {
+    return /^"([^"]*)"/.exec(component)?.[1] ?? component;
+}
+
+/**
+ * Decodes the percent-encoding of a URL or a part of one, treating `+` as a space as in form-encoded queries.
+ *
+ * @param {string} value - The value.
+ * @returns {string} The decoded value.
+ */
+function decodeUrlPart(value) {
+    return value.replace(/\+/g, ' ').replace(/(%[0-9A-Fa-f]{2})+/g, (sequence) => {
+        try {
+            return decodeURIComponent(sequence);
+        } catch (error) {
+            return sequence.toUpperCase();
+        }
+    });
+}
+
+/**
+ * Collapses whitespace, including around the commas of combined field values.
+ *
+ * @param {string} value - The field value.
+ * @returns {string} The normalized value.
+ */
+function normalizeWhitespace(value) {
+    return value.replace(/\s+/g, ' ').replace(/ ?, ?/g, ', ').trim();
+}
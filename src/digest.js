@@ -0,0 +1,783 @@
+import { decodeDict, encodeDict, Item } from 'structured-field-values';
+import { Result, ResultAsync, err, ok } from 'neverthrow';
+
+/**
+ * @typedef {'sha-256'|'sha-512'|(string & {})} DigestAlgorithm
+ * An algorithm of the Hash Algorithms for HTTP Digest Fields registry (RFC 9530). The built-in digest function supports `sha-256` and `sha-512`.
+ */
+
+/**
+ * @typedef {function({algorithm: DigestAlgorithm, data: Uint8Array}): Promise<ArrayBuffer|Uint8Array>} DigestFunction
+ * Calculates the digest of some data, e.g. with a hardware module or for algorithms WebCrypto lacks.
+ */
+
+/**
+ * @typedef {object} DigestOptions
+ * How the digest fields covered by a signature are verified.
+ * @property {DigestAlgorithm[]=} algorithms - The accepted algorithms. The first digest of a field with an accepted algorithm is checked. Defaults to `['sha-256', 'sha-512']`.
+ * @property {DigestFunction=} digest - Calculates the digests instead of WebCrypto. Stream bodies are buffered to pass them to it. If it throws, the error is `DIGEST_FAILED`.
+ * @property {boolean=} legacyDigest - Whether a covered RFC 3230 `Digest` header is checked against the body. Defaults to `false`.
+ */
+
+/**
+ * @typedef {'content-digest'|'repr-digest'|'digest'} DigestField
+ */
+
+/**
+ * @typedef {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array|string>} StreamBody
+ */
+
+/**
+ * @typedef {ArrayBuffer|ArrayBufferView|string|StreamBody|null} Body
+ */
+
+/**
+ * @typedef {object} ProvidedDigest
+ * @property {DigestField} field - The digest field.
+ * @property {DigestAlgorithm} algorithm - The algorithm of the digest.
+ * @property {Uint8Array} providedDigest - The digest from the header.
+ */
+
+/**
+ * The algorithms the built-in digest function supports, which are the ones of the Hash Algorithms for HTTP Digest Fields
+ * registry (RFC 9530) that are not deprecated. They are accepted by default.
+ *
+ * @type {DigestAlgorithm[]}
+ */
+const BUILT_IN_DIGEST_ALGORITHMS = ['sha-256', 'sha-512'];
+
+/**
+ * Creates the value of a `Content-Digest` header (RFC 9530) for a body.
+ * Stream bodies are hashed incrementally and consumed in the process.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Content-Digest` header value, e.g. `sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:`.
+ */
+export async function createContentDigest({ body, algorithms, digest }) {
+    const resultOfValues = await createDigestFieldValues({ fields: [{ field: 'content-digest', algorithms }], body, digestFunction: digest });
+    return resultOfValues.map(([value]) => value);
+}
+
+/**
+ * Creates the value of a `Repr-Digest` header (RFC 9530) for a body. The digest covers the representation data:
+ * the complete body with its content coding applied, e.g. the gzip-compressed bytes for `Content-Encoding: gzip`.
+ * Stream bodies are hashed incrementally and consumed in the process.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The representation data. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Repr-Digest` header value.
+ */
+export async function createReprDigest({ body, algorithms, digest }) {
+    const resultOfValues = await createDigestFieldValues({ fields: [{ field: 'repr-digest', algorithms }], body, digestFunction: digest });
+    return resultOfValues.map(([value]) => value);
+}
+
+/**
+ * Creates the value of a legacy `Digest` header (RFC 3230) for a body, e.g. `SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=`,
+ * for peers that do not understand `Content-Digest` yet.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order, with their RFC 9530 names.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Digest` header value.
+ */
+export async function createLegacyDigest({ body, algorithms, digest }) {
+    const resultOfValues = await createDigestFieldValues({ fields: [{ field: 'digest', algorithms }], body, digestFunction: digest });
+    return resultOfValues.map(([value]) => value);
+}
+
+/**
+ * Creates the values of several digest fields for a body, reading it once.
+ *
+ * @param {object} params - The parameters for creating the digests.
+ * @param {{field: DigestField, algorithms: DigestAlgorithm[]}[]} params.fields - The digest fields and their algorithms.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestFunction=} params.digestFunction - Calculates the digests instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<string[], import("./errors.js").SignatureError>>} The header values, in the order of `fields`.
+ */
+export async function createDigestFieldValues({ fields, body, digestFunction }) {
+    for (const { field, algorithms } of fields) {
+        if (algorithms.length === 0) {
+            return err({
+                type: 'validation',
+                code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+                message: `No ${field} algorithm specified`,
+                context: `At least one ${field} algorithm is required`,
+                details: { field, algorithms: [] }
+            });
+        }
+        const unsupportedAlgorithm = digestFunction ? undefined : algorithms.find((algorithm) => !BUILT_IN_DIGEST_ALGORITHMS.includes(algorithm));
+        if (unsupportedAlgorithm !== undefined) {
+            return err({
+                type: 'validation',
+                code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+                message: `Unsupported ${field} algorithm: ${unsupportedAlgorithm}`,
+                context: `Unsupported ${field} algorithm: ${unsupportedAlgorithm}`,
+                details: { field, algorithms: [unsupportedAlgorithm] }
+            });
+        }
+    }
+    const algorithms = [...new Set(fields.flatMap((field) => field.algorithms))];
+    const resultOfDigests = await digest(algorithms, body, digestFunction);
+    if (resultOfDigests.isErr()) {
+        return err(resultOfDigests.error);
+    }
+    /** @type {Map<DigestAlgorithm, Uint8Array>} */
+    const digests = new Map(algorithms.map((algorithm, index) => [algorithm, resultOfDigests.value[index]]));
+
+    /** @type {string[]} */
+    const values = [];
+    for (const { field, algorithms } of fields) {
+        if (field === 'digest') {
+            values.push(algorithms.map((algorithm) => `${algorithm.toUpperCase()}=${uint8ArrayToBase64(/** @type {Uint8Array} */ (digests.get(algorithm)))}`).join(','));
+            continue;
+        }
+        /** @type {Object.<string, Item>} */
+        const dictionary = {};
+        for (const algorithm of algorithms) {
+            dictionary[algorithm] = new Item(digests.get(algorithm));
+        }
+        const resultOfValue = Result.fromThrowable(
+            () => encodeDict(dictionary),
+            (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+                type: 'encoding',
+                code: 'ENCODING_FAILED',
+                message: `Failed to encode ${field}`,
+                context: error,
+                details: {}
+            })
+        )();
+        if (resultOfValue.isErr()) {
+            return err(resultOfValue.error);
+        }
+        values.push(resultOfValue.value);
+    }
+    return ok(values);
+}
+
+/**
+ * Verifies the value of a `Content-Digest` header (RFC 9530) against a body.
+ * The first digest with a supported algorithm is checked.
+ * Stream bodies are hashed incrementally and consumed in the process; use `createContentDigestVerifyingStream` to keep the content.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Content-Digest` header value.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export async function verifyContentDigest({ headerValue, body, algorithms, digest }) {
+    return verifyDigestField({ field: 'content-digest', headerValue, body, algorithms, digestFunction: digest });
+}
+
+/**
+ * Verifies the value of a `Repr-Digest` header (RFC 9530) against the representation data: the complete body
+ * with its content coding applied. See `verifyContentDigest`.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Repr-Digest` header value.
+ * @param {Body=} params.body - The representation data. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export async function verifyReprDigest({ headerValue, body, algorithms, digest }) {
+    return verifyDigestField({ field: 'repr-digest', headerValue, body, algorithms, digestFunction: digest });
+}
+
+/**
+ * Verifies the value of a legacy `Digest` header (RFC 3230) against a body. Algorithm names are case-insensitive,
+ * so `SHA-256=...` is checked as `sha-256`. See `verifyContentDigest`.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Digest` header value.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export async function verifyLegacyDigest({ headerValue, body, algorithms, digest }) {
+    return verifyDigestField({ field: 'digest', headerValue, body, algorithms, digestFunction: digest });
+}
+
+/**
+ * Verifies a digest field against a body.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {DigestField} params.field - The digest field.
+ * @param {string} params.headerValue - The header value.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms.
+ * @param {DigestFunction=} params.digestFunction - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+async function verifyDigestField({ field, headerValue, body, algorithms, digestFunction }) {
+    const resultOfProvidedDigest = parseDigestField({ field, headerValue, algorithms });
+    if (resultOfProvidedDigest.isErr()) {
+        return err(resultOfProvidedDigest.error);
+    }
+    return verifyDigests({ providedDigests: [resultOfProvidedDigest.value], body, digestFunction });
+}
+
+/**
+ * Verifies digests against a body, reading it once.
+ *
+ * @param {object} params - The parameters for verifying the digests.
+ * @param {ProvidedDigest[]} params.providedDigests - The digests from the headers, see `parseDigestField`.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestFunction=} params.digestFunction - Calculates the digests instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if all digests match the body.
+ */
+async function verifyDigests({ providedDigests, body, digestFunction }) {
+    const algorithms = [...new Set(providedDigests.map(({ algorithm }) => algorithm))];
+    const resultOfDigests = await digest(algorithms, body, digestFunction);
+    if (resultOfDigests.isErr()) {
+        return err(resultOfDigests.error);
+    }
+    for (const providedDigest of providedDigests) {
+        const resultOfComparison = compareDigests(providedDigest, resultOfDigests.value[algorithms.indexOf(providedDigest.algorithm)]);
+        if (resultOfComparison.isErr()) {
+            return err(resultOfComparison.error);
+        }
+    }
+    return ok(/** @type {true} */ (true));
+}
+
+/**
+ * Checks the digest fields covered by a signature against the body. Stream bodies are not read up front; instead, a pass-through
+ * stream is returned that verifies the digests while the caller reads it.
+ *
+ * @param {object} params - The parameters for checking the digests.
+ * @param {DigestField[]} params.fields - The covered digest fields.
+ * @param {Headers} params.headers - The headers of the message.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestOptions} params.digestOptions - The accepted algorithms and the digest function.
+ * @returns {Promise<import("neverthrow").Result<ReadableStream<Uint8Array>|undefined, import("./errors.js").SignatureError>>} The pass-through stream for stream bodies.
+ */
+export async function verifyDigestFields({ fields, headers, body, digestOptions }) {
+    // the body of a partial response is a range of the representation, which Repr-Digest covers as a whole
+    if (fields.includes('repr-digest') && headers.has('content-range')) {
+        return err({
+            type: 'validation',
+            code: 'UNVERIFIABLE_DIGEST',
+            message: 'Invalid signature',
+            context: 'Repr-Digest covers the complete representation, which the partial content of a message with Content-Range is not',
+            details: { field: 'repr-digest' }
+        });
+    }
+    /** @type {ProvidedDigest[]} */
+    const providedDigests = [];
+    for (const field of fields) {
+        const headerValue = headers.get(field);
+        if (headerValue === null) {
+            return err({
+                type: 'validation',
+                code: 'MISSING_COMPONENT',
+                message: 'Invalid signature',
+                context: `Missing required header "${field}"`,
+                details: { component: field }
+            });
+        }
+        const resultOfProvidedDigest = parseDigestField({ field, headerValue, algorithms: digestOptions.algorithms });
+        if (resultOfProvidedDigest.isErr()) {
+            return err(resultOfProvidedDigest.error);
+        }
+        providedDigests.push(resultOfProvidedDigest.value);
+    }
+    if (providedDigests.length === 0) {
+        return ok(undefined);
+    }
+    if (isStreamBody(body)) {
+        return createDigestsVerifyingStream({ providedDigests, body, digestFunction: digestOptions.digest });
+    }
+    const resultOfDigests = await verifyDigests({ providedDigests, body, digestFunction: digestOptions.digest });
+    if (resultOfDigests.isErr()) {
+        const contentEncoding = headers.get('content-encoding');
+        if (resultOfDigests.error.code === 'DIGEST_MISMATCH' && contentEncoding !== null && contentEncoding !== 'identity') {
+            // digests cover the encoded content, which clients such as fetch decode before handing out the body
+            return err({ ...resultOfDigests.error, context: `${resultOfDigests.error.context}. The body must be the content as sent, with Content-Encoding "${contentEncoding}" applied` });
+        }
+        return err(resultOfDigests.error);
+    }
+    return ok(undefined);
+}
+
+/**
+ * Wraps a stream body in a pass-through stream that verifies the value of a `Content-Digest` header (RFC 9530) while the body is read.
+ * The header is checked up front. The body is hashed incrementally as it is consumed, without being buffered,
+ * and the returned stream errors with a digest mismatch error instead of ending if the content does not match.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Content-Digest` header value.
+ * @param {StreamBody} params.body - The message body.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto. The body is then buffered until it ends.
+ * @returns {Promise<import("neverthrow").Result<ReadableStream<Uint8Array>, import("./errors.js").SignatureError>>} The pass-through stream.
+ */
+export async function createContentDigestVerifyingStream({ headerValue, body, algorithms, digest }) {
+    const resultOfProvidedDigest = parseDigestField({ field: 'content-digest', headerValue, algorithms });
+    if (resultOfProvidedDigest.isErr()) {
+        return err(resultOfProvidedDigest.error);
+    }
+    return createDigestsVerifyingStream({ providedDigests: [resultOfProvidedDigest.value], body, digestFunction: digest });
+}
+
+/**
+ * Wraps a stream body in a pass-through stream that verifies digests while the body is read, see `createContentDigestVerifyingStream`.
+ *
+ * @param {object} params - The parameters for verifying the digests.
+ * @param {ProvidedDigest[]} params.providedDigests - The digests from the headers, see `parseDigestField`.
+ * @param {StreamBody} params.body - The message body.
+ * @param {DigestFunction=} params.digestFunction - Calculates the digests instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<ReadableStream<Uint8Array>, import("./errors.js").SignatureError>>} The pass-through stream.
+ */
+async function createDigestsVerifyingStream({ providedDigests, body, digestFunction }) {
+    const algorithms = [...new Set(providedDigests.map(({ algorithm }) => algorithm))];
+    const resultOfHashes = await createIncrementalHashes(algorithms, digestFunction);
+    if (resultOfHashes.isErr()) {
+        return err(resultOfHashes.error);
+    }
+    const hashes = resultOfHashes.value;
+
+    /** @type {AsyncIterator<Uint8Array|string>|undefined} */
+    let iterator;
+    return ok(new ReadableStream({
+        async pull(controller) {
+            // the source is only locked once the body is read
+            iterator ??= getChunkIterator(body);
+            const { done, value } = await iterator.next();
+            if (done) {
+                for (const providedDigest of providedDigests) {
+                    const resultOfDigest = await hashes[algorithms.indexOf(providedDigest.algorithm)].digest();
+                    const resultOfComparison = resultOfDigest.andThen((calculatedDigest) => compareDigests(providedDigest, calculatedDigest));
+                    if (resultOfComparison.isErr()) {
+                        controller.error(resultOfComparison.error);
+                        return;
+                    }
+                }
+                controller.close();
+                return;
+            }
+            const chunk = toUint8Array(value);
+            hashes.forEach((hash) => hash.update(chunk));
+            controller.enqueue(chunk);
+        },
+        async cancel(reason) {
+            await iterator?.return?.(reason);
+        },
+    }));
+}
+
+/**
+ * Parses the `Want-Content-Digest` or `Want-Repr-Digest` header (RFC 9530, section 4), with which a peer asks for digests.
+ *
+ * @param {object} params - The parameters for parsing the preferences.
+ * @param {string} params.headerValue - The header value, e.g. `sha-512=3, sha-256=10`.
+ * @param {DigestAlgorithm[]=} params.algorithms - The algorithms you can create. Defaults to `['sha-256', 'sha-512']`.
+ * @returns {import("neverthrow").Result<DigestAlgorithm[], import("./errors.js").SignatureError>} The wanted algorithms among `algorithms`, most preferred first. Algorithms with the preference 0 are left out.
+ */
+export function parseWantDigest({ headerValue, algorithms = BUILT_IN_DIGEST_ALGORITHMS }) {
+    const resultOfDictionary = Result.fromThrowable(
+        () => decodeDict(headerValue),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_DIGEST',
+            message: 'Invalid digest preferences',
+            context: error,
+            details: {}
+        })
+    )();
+    if (resultOfDictionary.isErr()) {
+        return err(resultOfDictionary.error);
+    }
+    /** @type {[string, Item | import("structured-field-values").InnerList][]} */
+    const entries = resultOfDictionary.value instanceof Map ? [...resultOfDictionary.value.entries()] : Object.entries(resultOfDictionary.value);
+
+    /** @type {{algorithm: DigestAlgorithm, preference: number}[]} */
+    const preferences = [];
+    for (const [algorithm, member] of entries) {
+        const preference = member instanceof Item ? member.value : undefined;
+        if (typeof preference !== 'number' || !Number.isInteger(preference) || preference < 0 || preference > 10) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_DIGEST',
+                message: 'Invalid digest preferences',
+                context: `Preference for algorithm ${algorithm} must be an integer from 0 to 10`,
+                details: { algorithm }
+            });
+        }
+        if (preference > 0 && algorithms.includes(algorithm)) {
+            preferences.push({ algorithm, preference });
+        }
+    }
+    // Array.prototype.sort is stable, so algorithms with the same preference keep their order
+    return ok(preferences.sort((a, b) => b.preference - a.preference).map(({ algorithm }) => algorithm));
+}
+
+/**
+ * Checks whether a body is a stream (a `ReadableStream` or an async iterable such as a Node.js `Readable`).
+ *
+ * @param {unknown} body - The message body.
+ * @returns {body is StreamBody} True if the body is a stream.
+ */
+export function isStreamBody(body) {
+    return typeof body === 'object' && body !== null && (Symbol.asyncIterator in body || typeof (/** @type {{getReader?: unknown}} */ (body)).getReader === 'function');
+}
+
+/**
+ * Parses a digest field and picks the first digest with an accepted algorithm. `Content-Digest` and `Repr-Digest` are
+ * structured field dictionaries; the legacy `Digest` header is a list of `algorithm=base64` pairs with case-insensitive names.
+ *
+ * @param {object} params - The parameters for parsing the digest.
+ * @param {DigestField} params.field - The digest field.
+ * @param {string} params.headerValue - The header value.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @returns {import("neverthrow").Result<ProvidedDigest, import("./errors.js").SignatureError>} The algorithm and the provided digest.
+ */
+function parseDigestField({ field, headerValue, algorithms = BUILT_IN_DIGEST_ALGORITHMS }) {
+    const resultOfDigests = field === 'digest' ? parseLegacyDigest(headerValue) : parseDigestDictionary(field, headerValue);
+    if (resultOfDigests.isErr()) {
+        return err(resultOfDigests.error);
+    }
+    const providedDigests = resultOfDigests.value;
+    const providedDigestAlgorithms = providedDigests.map(([algorithm]) => algorithm);
+
+    const firstProvidedAndAllowedDigest = providedDigests.find(([algorithm]) => algorithms.includes(algorithm));
+    if (!firstProvidedAndAllowedDigest) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+            message: `Unsupported ${field} algorithm: ${providedDigestAlgorithms.join(', ')}`,
+            context: `Unsupported ${field} algorithm: ${providedDigestAlgorithms.join(', ')}`,
+            details: { field, algorithms: providedDigestAlgorithms }
+        });
+    }
+    const [algorithm, providedDigest] = firstProvidedAndAllowedDigest;
+    if (providedDigest === undefined) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_DIGEST',
+            message: `Invalid digest for algorithm ${algorithm}`,
+            context: `Invalid digest for algorithm ${algorithm}`,
+            details: { field, algorithm }
+        });
+    }
+    return ok({ field, algorithm, providedDigest });
+}
+
+/**
+ * Parses a `Content-Digest` or `Repr-Digest` header value.
+ *
+ * @param {DigestField} field - The digest field.
+ * @param {string} headerValue - The header value.
+ * @returns {import("neverthrow").Result<[string, (Uint8Array|undefined)][], import("./errors.js").SignatureError>} The algorithms and digests, in order. The digest is `undefined` if it is not a byte sequence.
+ */
+function parseDigestDictionary(field, headerValue) {
+    const dictionaryOfDigest = Result.fromThrowable(
+        () => decodeDict(headerValue),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_DIGEST',
+            message: `Invalid value for header "${field}"`,
+            context: error,
+            details: { field }
+        })
+    )();
+    if (dictionaryOfDigest.isErr()) {
+        return err(dictionaryOfDigest.error);
+    }
+
+    /** @type {[string, Item | import("structured-field-values").InnerList][]} */
+    const entries = dictionaryOfDigest.value instanceof Map ? [...dictionaryOfDigest.value.entries()] : Object.entries(dictionaryOfDigest.value);
+    return ok(entries.map(([algorithm, member]) => [algorithm, member instanceof Item && member.value instanceof Uint8Array ? member.value : undefined]));
+}
+
+/**
+ * Parses a legacy `Digest` header value (RFC 3230, section 4.3.2), e.g. `SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=, MD5=...`.
+ *
+ * @param {string} headerValue - The header value.
+ * @returns {import("neverthrow").Result<[string, (Uint8Array|undefined)][], import("./errors.js").SignatureError>} The lowercased algorithms and the digests, in order. The digest is `undefined` if it is not Base64.
+ */
+function parseLegacyDigest(headerValue) {
+    /** @type {[string, (Uint8Array|undefined)][]} */
+    const digests = [];
+    for (const instanceDigest of headerValue.split(',')) {
+        const separatorIndex = instanceDigest.indexOf('=');
+        const algorithm = instanceDigest.slice(0, separatorIndex).trim().toLowerCase();
+        if (separatorIndex === -1 || algorithm.length === 0) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_DIGEST',
+                message: 'Invalid value for header "digest"',
+                context: `Invalid instance digest "${instanceDigest.trim()}"`,
+                details: { field: 'digest' }
+            });
+        }
+        const value = instanceDigest.slice(separatorIndex + 1).trim();
+        digests.push([algorithm, /^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0 ? base64ToUint8Array(value) : undefined]);
+    }
+    return ok(digests);
+}
+
+/**
+ * Compares a provided digest with the calculated one.
+ *
+ * @param {ProvidedDigest} providedDigest - The digest from the header.
+ * @param {Uint8Array} calculatedDigest - The digest of the body.
+ * @returns {import("neverthrow").Result<true, import("./errors.js").SignatureError>} `true` if the digests are equal.
+ */
+function compareDigests({ field, algorithm, providedDigest }, calculatedDigest) {
+    if (!areUint8ArraysEqual(providedDigest, calculatedDigest)) {
+        return err({
+            type: 'validation',
+            code: 'DIGEST_MISMATCH',
+            message: `Digest mismatch for algorithm ${algorithm}. Expected ${uint8ArrayToBase64(providedDigest)}, got ${uint8ArrayToBase64(calculatedDigest)}`,
+            context: `Digest mismatch for algorithm ${algorithm}. Expected ${uint8ArrayToBase64(providedDigest)}, got ${uint8ArrayToBase64(calculatedDigest)}`,
+            details: { field, algorithm }
+        });
+    }
+    return ok(/** @type {true} */ (true));
+}
+
+/**
+ * Calculates the digests of a body. Stream bodies are read once and hashed incrementally with all algorithms.
+ *
+ * @param {DigestAlgorithm[]} algorithms - The digest algorithms.
+ * @param {Body=} body - The message body.
+ * @param {DigestFunction=} digestFunction - Calculates the digests instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<Uint8Array[], import("./errors.js").SignatureError>>} The digests, in the order of `algorithms`.
+ */
+async function digest(algorithms, body, digestFunction) {
+    if (isStreamBody(body)) {
+        const resultOfHashes = await createIncrementalHashes(algorithms, digestFunction);
+        if (resultOfHashes.isErr()) {
+            return err(resultOfHashes.error);
+        }
+        const hashes = resultOfHashes.value;
+        const iterator = getChunkIterator(body);
+        try {
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                const chunk = toUint8Array(next.value);
+                hashes.forEach((hash) => hash.update(chunk));
+            }
+        } catch (error) {
+            return err({
+                type: 'error',
+                code: 'BODY_READ_FAILED',
+                message: 'Failed to read body',
+                context: error,
+                details: {}
+            });
+        }
+        return Result.combine(await Promise.all(hashes.map((hash) => hash.digest())));
+    }
+
+    const data = typeof body === 'string' ? new TextEncoder().encode(body) : toBytes(body);
+    /** @type {Uint8Array[]} */
+    const digests = [];
+    for (const algorithm of algorithms) {
+        const resultOfDigest = await digestData(algorithm, data, digestFunction);
+        if (resultOfDigest.isErr()) {
+            return err(resultOfDigest.error);
+        }
+        digests.push(resultOfDigest.value);
+    }
+    return ok(digests);
+}
+
+/**
+ * Calculates the digest of some data with WebCrypto or the given digest function.
+ *
+ * @param {DigestAlgorithm} algorithm - The digest algorithm.
+ * @param {Uint8Array} data - The data.
+ * @param {DigestFunction=} digestFunction - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>>} The digest.
+ */
+async function digestData(algorithm, data, digestFunction) {
+    if (digestFunction) {
+        // the digest function is the caller's, so its errors are not taken for an unsupported algorithm
+        const resultOfDigest = await ResultAsync.fromPromise(
+            Promise.resolve().then(() => digestFunction({ algorithm, data })),
+            (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+                type: 'error',
+                code: 'DIGEST_FAILED',
+                message: `Failed to calculate digest for algorithm ${algorithm}`,
+                context: error,
+                details: { algorithm }
+            })
+        );
+        return resultOfDigest.map((value) => new Uint8Array(value));
+    }
+    const resultOfDigest = await ResultAsync.fromPromise(
+        crypto.subtle.digest(algorithm, data),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+            message: `Failed to calculate digest for algorithm ${algorithm}`,
+            context: error,
+            details: { algorithms: [algorithm] }
+        })
+    );
+    return resultOfDigest.map((value) => new Uint8Array(value));
+}
+
+/**
+ * Creates incremental hashes for stream bodies. WebCrypto cannot hash incrementally, so `node:crypto` is used,
+ * which is loaded on first use and available in Node.js, Deno and Bun. A digest function needs the whole content,
+ * so the chunks are buffered for it instead.
+ *
+ * @param {DigestAlgorithm[]} algorithms - The digest algorithms.
+ * @param {DigestFunction=} digestFunction - Calculates the digests instead of `node:crypto`.
+ * @returns {Promise<import("neverthrow").Result<{update: function(Uint8Array): unknown, digest: function(): Promise<import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>>}[], import("./errors.js").SignatureError>>} The hashes.
+ */
+async function createIncrementalHashes(algorithms, digestFunction) {
+    if (digestFunction) {
+        /** @type {Uint8Array[]} */
+        const chunks = [];
+        return ok(algorithms.map((algorithm, index) => ({
+            // the chunks are shared by the hashes, so only the first one collects them
+            update: (/** @type {Uint8Array} */ chunk) => index === 0 && chunks.push(chunk),
+            digest: () => digestData(algorithm, concatUint8Arrays(chunks), digestFunction),
+        })));
+    }
+    const unsupportedAlgorithm = algorithms.find((algorithm) => !BUILT_IN_DIGEST_ALGORITHMS.includes(algorithm));
+    if (unsupportedAlgorithm !== undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+            message: `Failed to calculate digest for algorithm ${unsupportedAlgorithm}`,
+            context: 'The built-in digest function only supports sha-256 and sha-512',
+            details: { algorithms: [unsupportedAlgorithm] }
+        });
+    }
+    try {
+        const { createHash } = await import('node:crypto');
+        return ok(algorithms.map((algorithm) => {
+            const hash = createHash(algorithm === 'sha-256' ? 'sha256' : 'sha512');
+            return {
+                update: (/** @type {Uint8Array} */ chunk) => hash.update(chunk),
+                digest: async () => ok(new Uint8Array(hash.digest())),
+            };
+        }));
+    } catch (error) {
+        return err({
+            type: 'error',
+            code: 'UNSUPPORTED_RUNTIME',
+            message: 'Incremental hashing of stream bodies is not supported in this runtime',
+            context: error,
+            details: {}
+        });
+    }
+}
+
+/**
+ * Returns an iterator over the chunks of a stream body.
+ *
+ * @param {StreamBody} body - The stream body.
+ * @returns {AsyncIterator<Uint8Array|string>} The iterator.
+ */
+function getChunkIterator(body) {
+    if (Symbol.asyncIterator in body) {
+        return body[Symbol.asyncIterator]();
+    }
+    // ReadableStream without async iteration support
+    const reader = /** @type {ReadableStream<Uint8Array>} */ (body).getReader();
+    return {
+        next: async () => {
+            const { done, value } = await reader.read();
+            return done ? { done: true, value: undefined } : { done: false, value };
+        },
+        return: async (reason) => {
+            await reader.cancel(reason);
+            return { done: true, value: undefined };
+        },
+    };
+}
+
+/**
+ * Converts a chunk of a stream body to bytes.
+ *
+ * @param {Uint8Array|string} chunk - The chunk.
+ * @returns {Uint8Array} The bytes.
+ */
+function toUint8Array(chunk) {
+    return typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+}
+
+/**
+ * Converts a body that is not a stream or a string to bytes.
+ *
+ * @param {ArrayBuffer|ArrayBufferView|null|undefined} body - The body.
+ * @returns {Uint8Array} The bytes, empty for a missing body.
+ */
+function toBytes(body) {
+    if (!body) {
+        return new Uint8Array();
+    }
+    return ArrayBuffer.isView(body) ? new Uint8Array(body.buffer, body.byteOffset, body.byteLength) : new Uint8Array(body);
+}
+
+/**
+ * Concatenates Uint8Arrays.
+ *
+ * @param {Uint8Array[]} arrays - The arrays.
+ * @returns {Uint8Array} The concatenation.
+ */
+export function concatUint8Arrays(arrays) {
+    const result = new Uint8Array(arrays.reduce((length, array) => length + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        result.set(array, offset);
+        offset += array.length;
+    }
+    return result;
+}
+
+/**
+ * Compares two Uint8Arrays for equality.
+ *
+ * @param {Uint8Array} a - The first Uint8Array.
+ * @param {Uint8Array} b - The second Uint8Array.
+ * @returns {boolean} True if the arrays are equal, false otherwise.
+ */
+function areUint8ArraysEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Converts a Uint8Array to a Base64 string.
+ *
+ * @param {Uint8Array} uint8Array - The Uint8Array to convert.
+ * @returns {string} The Base64 encoded string.
+ */
+function uint8ArrayToBase64(uint8Array) {
+    // Convert Uint8Array to a binary string
+    const binaryString = String.fromCharCode(...uint8Array);
+    // Encode the binary string to Base64
+    return btoa(binaryString);
+}
+
+/**
+ * Converts a Base64 string to a Uint8Array.
+ *
+ * @param {string} base64 - The Base64 encoded string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+function base64ToUint8Array(base64) {
+    return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
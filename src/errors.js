@@ -0,0 +1,109 @@
+/**
+ * The codes of the errors returned by this library. Unlike `message` and `context`, which are meant for people and may change,
+ * the code of an error and the shape of its `details` are stable, so they can be mapped to HTTP responses and metrics.
+ *
+ * @type {Readonly<{[C in ErrorCode]: C}>}
+ */
+export const ERROR_CODES = Object.freeze({
+    INVALID_SIGNATURE_INPUT: 'INVALID_SIGNATURE_INPUT',
+    INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+    MISSING_SIGNATURE: 'MISSING_SIGNATURE',
+    INVALID_COMPONENT_NAME: 'INVALID_COMPONENT_NAME',
+    UNKNOWN_COMPONENT: 'UNKNOWN_COMPONENT',
+    INVALID_COMPONENT_PARAMETER: 'INVALID_COMPONENT_PARAMETER',
+    DUPLICATE_COMPONENT: 'DUPLICATE_COMPONENT',
+    UNCOVERED_COMPONENT: 'UNCOVERED_COMPONENT',
+    MISSING_COMPONENT: 'MISSING_COMPONENT',
+    INVALID_FIELD_VALUE: 'INVALID_FIELD_VALUE',
+    MISSING_PARAMETER: 'MISSING_PARAMETER',
+    INVALID_PARAMETER: 'INVALID_PARAMETER',
+    SIGNATURE_EXPIRED: 'SIGNATURE_EXPIRED',
+    SIGNATURE_NOT_YET_VALID: 'SIGNATURE_NOT_YET_VALID',
+    REPLAYED_NONCE: 'REPLAYED_NONCE',
+    DIGEST_MISMATCH: 'DIGEST_MISMATCH',
+    INVALID_DIGEST: 'INVALID_DIGEST',
+    UNSUPPORTED_DIGEST_ALGORITHM: 'UNSUPPORTED_DIGEST_ALGORITHM',
+    UNVERIFIABLE_DIGEST: 'UNVERIFIABLE_DIGEST',
+    DIGEST_FAILED: 'DIGEST_FAILED',
+    UNKNOWN_KEY: 'UNKNOWN_KEY',
+    ALG_MISMATCH: 'ALG_MISMATCH',
+    TAG_MISMATCH: 'TAG_MISMATCH',
+    UNSUPPORTED_ALGORITHM: 'UNSUPPORTED_ALGORITHM',
+    INVALID_KEY: 'INVALID_KEY',
+    KEY_UNAVAILABLE: 'KEY_UNAVAILABLE',
+    SIGNATURE_MISMATCH: 'SIGNATURE_MISMATCH',
+    SIGNATURES_REJECTED: 'SIGNATURES_REJECTED',
+    SIGNING_FAILED: 'SIGNING_FAILED',
+    VERIFIER_FAILED: 'VERIFIER_FAILED',
+    ENCODING_FAILED: 'ENCODING_FAILED',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    BODY_READ_FAILED: 'BODY_READ_FAILED',
+    BODY_TOO_LARGE: 'BODY_TOO_LARGE',
+    REPLAY_STORE_FAILED: 'REPLAY_STORE_FAILED',
+    UNSUPPORTED_RUNTIME: 'UNSUPPORTED_RUNTIME',
+    INVALID_ACCEPT_SIGNATURE: 'INVALID_ACCEPT_SIGNATURE',
+    CONFORMANCE_MISMATCH: 'CONFORMANCE_MISMATCH',
+    POLICY_VIOLATION: 'POLICY_VIOLATION',
+});
+
+/**
+ * @typedef {object} ErrorDetails
+ * The `details` of each error code.
+ * @property {{label?: string, component?: string}} INVALID_SIGNATURE_INPUT - The `Signature-Input` header, or a component identifier in it, is malformed.
+ * @property {{label?: string}} INVALID_SIGNATURE - The `Signature` header, or a signature in it, is malformed.
+ * @property {{label?: string}} MISSING_SIGNATURE - There is no signature with the label, or none that matches the selection.
+ * @property {{component: string}} INVALID_COMPONENT_NAME - A covered field name is not lowercase or not a valid field name.
+ * @property {{component: string}} UNKNOWN_COMPONENT - A covered derived component, starting with `@`, is not defined by RFC 9421.
+ * @property {{component: string, parameter: string}} INVALID_COMPONENT_PARAMETER - A parameter of a covered component is unknown, has the wrong type or does not apply to the component.
+ * @property {{component: string}} DUPLICATE_COMPONENT - A component is covered more than once with the same parameters.
+ * @property {{component: string}} UNCOVERED_COMPONENT - The signature does not cover a required component.
+ * @property {{component: string}} MISSING_COMPONENT - The message has no value for a covered component, e.g. a missing header.
+ * @property {{component: string}} INVALID_FIELD_VALUE - A field covered with the `sf` or `key` parameter is not a valid structured field.
+ * @property {{parameter: string}} MISSING_PARAMETER - The signature does not have a required parameter.
+ * @property {{parameter: string}} INVALID_PARAMETER - A signature parameter has a value of the wrong type.
+ * @property {{created: number, expires?: number, now: number}} SIGNATURE_EXPIRED - The signature is older than `maxAge` or past its `expires` time. Times are in seconds since the epoch.
+ * @property {{created: number, now: number}} SIGNATURE_NOT_YET_VALID - The `created` time of the signature is in the future.
+ * @property {{keyid?: string, nonce: string}} REPLAYED_NONCE - The nonce of the signature has been used before. For draft-cavage signatures, which have no nonce, `nonce` is the signature.
+ * @property {{field: string, algorithm: string}} DIGEST_MISMATCH - The body does not match a digest field: `content-digest`, `repr-digest` or `digest`.
+ * @property {{field?: string, algorithm?: string}} INVALID_DIGEST - A digest field or digest preference field is malformed.
+ * @property {{field?: string, algorithms: string[]}} UNSUPPORTED_DIGEST_ALGORITHM - None of the digest algorithms are supported.
+ * @property {{field: string}} UNVERIFIABLE_DIGEST - A covered digest field cannot be checked against the body, e.g. `repr-digest` of partial content.
+ * @property {{algorithm: string}} DIGEST_FAILED - The `digest` function of the digest options threw.
+ * @property {{keyid?: string}} UNKNOWN_KEY - There is no key for the `keyid`, or the signature has no `keyid`.
+ * @property {{keyid?: string, alg?: string}} ALG_MISMATCH - The key cannot be used with the algorithm, or the algorithm is ambiguous.
+ * @property {{keyid?: string, tag?: string}} TAG_MISMATCH - The key is not allowed for the `tag` of the signature.
+ * @property {{alg: string}} UNSUPPORTED_ALGORITHM - The algorithm is not one of the built-in algorithms.
+ * @property {{keyid?: string}} INVALID_KEY - The key could not be imported.
+ * @property {{keyid?: string}} KEY_UNAVAILABLE - The key or key set could not be loaded.
+ * @property {{alg?: string}} SIGNATURE_MISMATCH - The signature does not match the signature base.
+ * @property {{labels: string[]}} SIGNATURES_REJECTED - Not enough of the selected signatures are valid. `labels` are the signatures that failed, see `context` for why.
+ * @property {{alg?: string}} SIGNING_FAILED - The `sign` function threw, or the algorithm failed.
+ * @property {{alg?: string}} VERIFIER_FAILED - The `verify` function threw, or the algorithm failed.
+ * @property {Object.<string, never>} ENCODING_FAILED - A header value could not be serialized.
+ * @property {Object.<string, never>} INVALID_MESSAGE - The request cannot be reconstructed, e.g. it has no `Host` header.
+ * @property {Object.<string, never>} BODY_READ_FAILED - The body stream errored.
+ * @property {{limit: number}} BODY_TOO_LARGE - The body is larger than the limit, in bytes.
+ * @property {Object.<string, never>} REPLAY_STORE_FAILED - The replay store threw.
+ * @property {Object.<string, never>} UNSUPPORTED_RUNTIME - The runtime lacks a feature, e.g. incremental hashing.
+ * @property {{label?: string}} INVALID_ACCEPT_SIGNATURE - The `Accept-Signature` header is malformed.
+ * @property {{expected: string, actual: string}} CONFORMANCE_MISMATCH - A test vector was not reproduced.
+ * @property {{route?: string, rule: ('route'|'requiredInputs'|'requiredParams'|'algorithms'|'tags'|'maxAge'|'requireDigest'), component?: string, parameter?: string, value?: string}} POLICY_VIOLATION - The signature does not meet a requirement of the route of a verification policy, or no route matches.
+ */
+
+/**
+ * @typedef {keyof ErrorDetails} ErrorCode
+ */
+
+/**
+ * @typedef {{[C in ErrorCode]: {type: ('validation'|'encoding'|'error'), code: C, message: string, context?: unknown, details: ErrorDetails[C], diagnostics?: import("./diagnostics.js").Diagnostics}}[ErrorCode]} LibraryError
+ * An error returned by this library, discriminated by `code`. With the `diagnostics` option, errors of the `verify` function carry `diagnostics`.
+ */
+
+/**
+ * @typedef {{type: string, code?: undefined, message: string, context?: unknown, diagnostics?: import("./diagnostics.js").Diagnostics}} CallbackError
+ * An error returned by a `sign` or `verify` function or a key resolver you provide, which is passed on as it is.
+ */
+
+/**
+ * @typedef {LibraryError|CallbackError} SignatureError
+ */
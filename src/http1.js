@@ -0,0 +1,354 @@
+import { err, ok } from 'neverthrow';
+import { concatUint8Arrays } from './digest.js';
+
+/**
+ * The maximum length in bytes of a start line, field line or chunk size line, well above the limits of common servers.
+ */
+const MAX_LINE_LENGTH = 65536;
+
+/**
+ * A field line: a token, a colon and a value without control characters other than HTAB (RFC 9110, section 5.5), which
+ * `Headers` would reject.
+ */
+const FIELD_LINE_PATTERN = /^([!#$%&'*+\-.^_`|~0-9A-Za-z]+):[ \t]*([^\x00-\x08\x0a-\x1f\x7f]*?)[ \t]*$/;
+
+/**
+ * @typedef {import("./components.js").RequestMessage & {body: Uint8Array|null}} ParsedRequest
+ * @typedef {import("./components.js").ResponseMessage & {body: Uint8Array|null, statusText?: string}} ParsedResponse
+ * @typedef {{request: ParsedRequest}|{response: ParsedResponse}} ParsedMessage
+ * A parsed HTTP/1.1 request or response, in the shape taken by `createSignatureForRequest` and `verifySignatureOfRequest`,
+ * or `createSignatureForResponse` and `verifySignatureOfResponse`.
+ */
+
+/**
+ * @typedef {{request: import("./components.js").RequestMessage & {body?: Uint8Array|string|null}}|{response: import("./components.js").ResponseMessage & {body?: Uint8Array|string|null, statusText?: string}}} SerializableMessage
+ * A request or response to serialize. Takes the output of `parseHttpMessage`, with fields added or changed after signing.
+ */
+
+/**
+ * Parses a raw HTTP/1.1 request or response, as captured from the wire or written by hand. Lines may end with CRLF or LF.
+ * The URL of a request is built from the request target and the `Host` header. If there is a `Content-Length` header,
+ * the body is cut to that length, so that a trailing newline added by an editor is ignored. A chunked body is decoded,
+ * and its trailer fields become `trailers`.
+ *
+ * @param {object} params - The parameters for parsing the message.
+ * @param {string|Uint8Array} params.message - The raw message.
+ * @param {string=} params.scheme - The scheme of the request URL, unless the request target is in absolute form. Defaults to `https`.
+ * @returns {import("neverthrow").Result<ParsedMessage, import("./errors.js").SignatureError>} The request or the response.
+ */
+export function parseHttpMessage({ message, scheme = 'https' }) {
+    const bytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    const resultOfHead = splitHead(bytes);
+    if (resultOfHead.isErr()) {
+        return err(resultOfHead.error);
+    }
+    const { lines, bodyOffset } = resultOfHead.value;
+    const [startLine = '', ...headerLines] = lines;
+
+    const headers = new Headers();
+    /** @type {string[]} */
+    const rawHeaders = [];
+    for (let i = 0; i < headerLines.length; i++) {
+        let line = headerLines[i];
+        // obsolete line folding (RFC 9112, section 5.2) continues the previous field value
+        while (i + 1 < headerLines.length && /^[ \t]/.test(headerLines[i + 1])) {
+            line += ' ' + headerLines[++i].trim();
+        }
+        const match = FIELD_LINE_PATTERN.exec(line);
+        if (!match) {
+            return err(invalidMessage(`Invalid header line "${line}"`));
+        }
+        headers.append(match[1], match[2]);
+        rawHeaders.push(match[1], match[2]);
+    }
+
+    const resultOfBody = isChunked(headers) ? decodeChunkedBody(bytes.subarray(bodyOffset)) : getBody(bytes.subarray(bodyOffset), headers).map((body) => ({ body, trailers: undefined, rawTrailers: undefined }));
+    if (resultOfBody.isErr()) {
+        return err(resultOfBody.error);
+    }
+    const { body, trailers, rawTrailers } = resultOfBody.value;
+
+    const statusMatch = /^HTTP\/\d\.\d (\d{3})(?: (.*))?$/.exec(startLine);
+    if (statusMatch) {
+        const statusText = statusMatch[2] ?? '';
+        return ok({ response: { status: Number(statusMatch[1]), ...(statusText === '' ? {} : { statusText }), headers, rawHeaders, ...(trailers ? { trailers, rawTrailers } : {}), body } });
+    }
+    const requestMatch = /^([!#$%&'*+\-.^_`|~0-9A-Za-z]+) (\S+) HTTP\/\d\.\d$/.exec(startLine);
+    if (!requestMatch) {
+        return err(invalidMessage(`Invalid start line "${startLine}"`));
+    }
+    const [, method, target] = requestMatch;
+    const resultOfUrl = getUrl(method, target, headers, scheme);
+    if (resultOfUrl.isErr()) {
+        return err(resultOfUrl.error);
+    }
+    return ok({ request: { method, url: resultOfUrl.value, headers, rawHeaders, ...(trailers ? { trailers, rawTrailers } : {}), body } });
+}
+
+/**
+ * Serializes a request or response as an HTTP/1.1 message, e.g. to store a signed message or to write it to a socket.
+ * Field names are written in lowercase, as kept by `Headers`. The request target is in origin form, or in authority form
+ * for `CONNECT`, and a `Host` header is added from the URL if there is none. If the message has trailers or a chunked
+ * `Transfer-Encoding`, the body is sent as one chunk followed by the trailer fields; otherwise `Content-Length` is added
+ * to a body without one.
+ *
+ * @param {SerializableMessage} message - The request or response.
+ * @returns {Uint8Array} The raw message.
+ */
+export function serializeHttpMessage(message) {
+    const { headers, trailers, body = null } = 'request' in message ? message.request : message.response;
+    const bodyBytes = typeof body === 'string' ? new TextEncoder().encode(body) : body;
+    const fields = new Headers(headers);
+
+    /** @type {string} */
+    let startLine;
+    if ('request' in message) {
+        const { method, url } = message.request;
+        startLine = `${method} ${method === 'CONNECT' ? url.host : url.pathname + url.search} HTTP/1.1`;
+        if (!fields.has('host')) {
+            // Host comes first (RFC 9112, section 3.2), so it is prepended rather than appended
+            startLine += `\r\nhost: ${url.host}`;
+        }
+    } else {
+        startLine = `HTTP/1.1 ${message.response.status} ${message.response.statusText ?? ''}`;
+    }
+
+    const chunked = isChunked(fields) || [...(trailers ?? [])].length > 0;
+    if (chunked) {
+        fields.delete('content-length');
+        if (!isChunked(fields)) {
+            fields.set('transfer-encoding', 'chunked');
+        }
+    } else if (bodyBytes && !fields.has('content-length')) {
+        fields.set('content-length', String(bodyBytes.length));
+    }
+
+    const head = toLatin1Bytes(`${startLine}\r\n${serializeFields(fields)}\r\n`);
+    if (!chunked) {
+        return concatUint8Arrays([head, bodyBytes ?? new Uint8Array()]);
+    }
+    const chunk = bodyBytes && bodyBytes.length > 0
+        ? [toLatin1Bytes(`${bodyBytes.length.toString(16)}\r\n`), bodyBytes, toLatin1Bytes('\r\n')]
+        : [];
+    return concatUint8Arrays([head, ...chunk, toLatin1Bytes(`0\r\n${serializeFields(trailers ?? new Headers())}\r\n`)]);
+}
+
+/**
+ * Splits the head of a message into lines and finds where the body starts.
+ *
+ * @param {Uint8Array} bytes - The raw message.
+ * @returns {import("neverthrow").Result<{lines: string[], bodyOffset: number}, import("./errors.js").SignatureError>} The start line and header lines, and the offset of the body.
+ */
+function splitHead(bytes) {
+    /** @type {string[]} */
+    const lines = [];
+    let offset = 0;
+    for (;;) {
+        const resultOfLine = readLine(bytes, offset);
+        if (resultOfLine.isErr()) {
+            return err(resultOfLine.error);
+        }
+        const headLine = resultOfLine.value;
+        if (!headLine) {
+            return ok({ lines, bodyOffset: bytes.length });
+        }
+        if (headLine.line === '') {
+            return ok({ lines, bodyOffset: headLine.next });
+        }
+        lines.push(headLine.line);
+        offset = headLine.next;
+    }
+}
+
+/**
+ * Checks whether the body of a message has the chunked transfer coding, which is then the last one (RFC 9112, section 6.1).
+ *
+ * @param {Headers} headers - The headers of the message.
+ * @returns {boolean} Whether the body is chunked.
+ */
+function isChunked(headers) {
+    return /(?:^|,)\s*chunked\s*$/i.test(headers.get('transfer-encoding') ?? '');
+}
+
+/**
+ * Decodes a chunked body and parses its trailer section (RFC 9112, section 7.1).
+ *
+ * @param {Uint8Array} bytes - The bytes after the head.
+ * @returns {import("neverthrow").Result<{body: Uint8Array|null, trailers: Headers, rawTrailers: string[]}, import("./errors.js").SignatureError>} The body, the trailers and their field lines.
+ */
+function decodeChunkedBody(bytes) {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    let offset = 0;
+    for (;;) {
+        const resultOfSizeLine = readLine(bytes, offset);
+        if (resultOfSizeLine.isErr()) {
+            return err(resultOfSizeLine.error);
+        }
+        const sizeLine = resultOfSizeLine.value;
+        if (!sizeLine) {
+            return err(invalidMessage('Chunked body ends without the last chunk'));
+        }
+        // chunk extensions after ";" are ignored
+        const sizeMatch = /^([0-9A-Fa-f]+)[ \t]*(?:;.*)?$/.exec(sizeLine.line);
+        if (!sizeMatch) {
+            return err(invalidMessage(`Invalid chunk size "${sizeLine.line}"`));
+        }
+        const size = parseInt(sizeMatch[1], 16);
+        offset = sizeLine.next;
+        if (size === 0) {
+            break;
+        }
+        if (offset + size > bytes.length) {
+            return err(invalidMessage(`Chunk has ${bytes.length - offset} bytes, but its size is ${size}`));
+        }
+        chunks.push(bytes.subarray(offset, offset + size));
+        const chunkEnd = readLine(bytes, offset + size).unwrapOr(undefined);
+        if (!chunkEnd || chunkEnd.line !== '') {
+            return err(invalidMessage('Chunk is longer than its size'));
+        }
+        offset = chunkEnd.next;
+    }
+
+    const trailers = new Headers();
+    /** @type {string[]} */
+    const rawTrailers = [];
+    for (;;) {
+        const resultOfLine = readLine(bytes, offset);
+        if (resultOfLine.isErr()) {
+            return err(resultOfLine.error);
+        }
+        const trailerLine = resultOfLine.value;
+        if (!trailerLine || trailerLine.line === '') {
+            break;
+        }
+        offset = trailerLine.next;
+        const match = FIELD_LINE_PATTERN.exec(trailerLine.line);
+        if (!match) {
+            return err(invalidMessage(`Invalid trailer line "${trailerLine.line}"`));
+        }
+        trailers.append(match[1], match[2]);
+        rawTrailers.push(match[1], match[2]);
+    }
+    const body = concatUint8Arrays(chunks);
+    return ok({ body: body.length === 0 ? null : body, trailers, rawTrailers });
+}
+
+/**
+ * Reads a line ending with CRLF or LF. The last line may lack a line ending. Lines longer than `MAX_LINE_LENGTH` are rejected.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {number} offset - Where the line starts.
+ * @returns {import("neverthrow").Result<{line: string, next: number}|undefined, import("./errors.js").SignatureError>} The line, decoded as ISO-8859-1, and where the next one starts, or `undefined` at the end.
+ */
+function readLine(bytes, offset) {
+    if (offset >= bytes.length) {
+        return ok(undefined);
+    }
+    const lineFeed = bytes.subarray(offset, offset + MAX_LINE_LENGTH + 2).indexOf(0x0a);
+    const end = lineFeed === -1 ? Math.min(bytes.length, offset + MAX_LINE_LENGTH + 2) : offset + lineFeed;
+    const lineEnd = end > offset && bytes[end - 1] === 0x0d ? end - 1 : end;
+    if (lineEnd - offset > MAX_LINE_LENGTH) {
+        return err(invalidMessage(`Line is longer than ${MAX_LINE_LENGTH} bytes`));
+    }
+    // header values are decoded as ISO-8859-1, which maps every byte to one character
+    return ok({ line: String.fromCharCode(...bytes.subarray(offset, lineEnd)), next: end + 1 });
+}
+
+/**
+ * Takes the body of a message from the bytes after the head.
+ *
+ * @param {Uint8Array} bytes - The bytes after the head.
+ * @param {Headers} headers - The headers of the message.
+ * @returns {import("neverthrow").Result<Uint8Array|null, import("./errors.js").SignatureError>} The body, or `null` if there is none.
+ */
+function getBody(bytes, headers) {
+    const contentLength = headers.get('content-length');
+    if (contentLength === null) {
+        return ok(bytes.length === 0 ? null : bytes);
+    }
+    if (!/^\d+$/.test(contentLength)) {
+        return err(invalidMessage(`Invalid Content-Length "${contentLength}"`));
+    }
+    const length = Number(contentLength);
+    if (bytes.length < length) {
+        return err(invalidMessage(`Body has ${bytes.length} bytes, but Content-Length is ${length}`));
+    }
+    return ok(length === 0 ? null : bytes.subarray(0, length));
+}
+
+/**
+ * Reconstructs the URL of a request from its request target (RFC 9112, section 3.2).
+ *
+ * @param {string} method - The request method.
+ * @param {string} target - The request target.
+ * @param {Headers} headers - The request headers.
+ * @param {string} scheme - The scheme for targets that are not in absolute form.
+ * @returns {import("neverthrow").Result<URL, import("./errors.js").SignatureError>} The request URL.
+ */
+function getUrl(method, target, headers, scheme) {
+    if (/^[A-Za-z][A-Za-z0-9+\-.]*:\/\//.test(target)) {
+        return toUrl(target);
+    }
+    if (method === 'CONNECT') {
+        return toUrl(`${scheme}://${target}`);
+    }
+    const host = headers.get('host');
+    if (host === null) {
+        return err(invalidMessage('Request has no Host header and no absolute request target'));
+    }
+    if (!target.startsWith('/')) {
+        return err(invalidMessage(`Unsupported request target "${target}"`));
+    }
+    return toUrl(`${scheme}://${host}${target}`);
+}
+
+/**
+ * Parses a URL.
+ *
+ * @param {string} url - The URL.
+ * @returns {import("neverthrow").Result<URL, import("./errors.js").SignatureError>} The URL.
+ */
+function toUrl(url) {
+    try {
+        return ok(new URL(url));
+    } catch (error) {
+        return err(invalidMessage(`Invalid request URL "${url}"`));
+    }
+}
+
+/**
+ * Serializes header or trailer fields, one line for each value of `Set-Cookie` and one for each other field.
+ *
+ * @param {Headers} fields - The fields.
+ * @returns {string} The field lines, each ending with CRLF.
+ */
+function serializeFields(fields) {
+    return [...fields].map(([name, value]) => `${name}: ${value}\r\n`).join('');
+}
+
+/**
+ * Encodes a string as ISO-8859-1, the inverse of how the head of a message is decoded.
+ *
+ * @param {string} text - The text.
+ * @returns {Uint8Array} The bytes.
+ */
+function toLatin1Bytes(text) {
+    return Uint8Array.from(text, (character) => character.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Creates the error for a message that cannot be parsed.
+ *
+ * @param {string} context - What is wrong with the message.
+ * @returns {import("./errors.js").LibraryError} The error.
+ */
+function invalidMessage(context) {
+    return {
+        type: 'validation',
+        code: 'INVALID_MESSAGE',
+        message: 'Invalid HTTP message',
+        context,
+        details: {}
+    };
+}
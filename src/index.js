@@ -1,39 +1,194 @@
-import { decodeDict, Item, encodeItem, encodeDict } from 'structured-field-values';
+import { decodeDict, Item, encodeDict, serializeInnerList } from 'structured-field-values';
 import { Result, ResultAsync, err, ok } from 'neverthrow';
+import { createSignatureBase, describeComponent, getComponentParam, isComponentCovered, toComponentIdentifier, toComponentItem, validateComponentItems } from './components.js';
+import { diagnoseSignatureBase } from './diagnostics.js';
+import { createDigestFieldValues, verifyDigestFields } from './digest.js';
+import { normalizeRequest, normalizeResponse } from './messages.js';
+import { validateSignatureParams } from './profile.js';
+
+export { createAcceptSignature, parseAcceptSignature } from './accept.js';
+export { createSigner, createVerifier, ecdsaSignatureFromDer, ecdsaSignatureToDer } from './algorithms.js';
+export { createAxiosInterceptor, createSignedFetch, createUndiciInterceptor, signRequest } from './client.js';
+export { createCavageSignature, verifyCavageSignature } from './cavage.js';
+export { RFC9421_TEST_KEYS, RFC9421_TEST_VECTORS, runConformanceSuite } from './conformance.js';
+export { diagnoseSignatureBase } from './diagnostics.js';
+export { createContentDigest, createContentDigestVerifyingStream, createLegacyDigest, createReprDigest, parseWantDigest, verifyContentDigest, verifyLegacyDigest, verifyReprDigest } from './digest.js';
+export { ERROR_CODES } from './errors.js';
+export { parseHttpMessage, serializeHttpMessage } from './http1.js';
+export { createInMemoryKeyResolver, createJwksKeyResolver, createKeyResolverVerifier, createPemKeyResolver, importKeyFromJwk, importKeyFromPem } from './keys.js';
+export { normalizeRequest, normalizeResponse } from './messages.js';
+export { createExpressMiddleware, createFastifyHook, createKoaMiddleware, createNodeMiddleware, verifyIncomingMessage } from './middleware.js';
+export { verifyWithPolicy } from './policy.js';
+export { createSigningProfile } from './profile.js';
+export { createInMemoryReplayStore } from './replay.js';
+
+/**
+ * @typedef {import("./errors.js").SignatureError} SignatureError
+ * @typedef {import("./errors.js").ErrorCode} ErrorCode
+ * @typedef {import("./errors.js").ErrorDetails} ErrorDetails
+ */
+
+/**
+ * @typedef {object} VerificationResult
+ * What a valid signature covers, for authorization decisions that depend on what was actually signed.
+ * @property {string} label - The label of the signature.
+ * @property {string=} keyid - The `keyid` parameter.
+ * @property {string=} alg - The `alg` parameter.
+ * @property {string=} tag - The `tag` parameter.
+ * @property {number} created - The `created` parameter.
+ * @property {number=} expires - The `expires` parameter.
+ * @property {string=} nonce - The `nonce` parameter.
+ * @property {Object.<string, unknown>} params - All parameters of the signature.
+ * @property {import("./components.js").ComponentIdentifier[]} components - The covered components, in order.
+ * @property {string} signatureBase - The reconstructed signature base that was verified.
+ * @property {ReadableStream<Uint8Array>=} body - For stream bodies covered by `content-digest`, `repr-digest` or, with `legacyDigest`, `digest`, the stream to read the body from. It verifies the digests while it is read and errors on a mismatch.
+ */
 
 /**
  * Creates a signature for a given HTTP request based on provided inputs and a signing function.
  * This function utilizes the `neverthrow` Result type for explicit error handling.
  *
  * @param {object} params - The parameters for creating the signature.
- * @param {(string|{component: '@query-param', parameters: { name: string }})[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is a Map of string keys to string, number, or boolean values.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
  * @param {string} params.signatureLabel - A label for the signature.
  * @param {Object.<string, (number|string)>} params.additionalParams - Additional parameters to include in the signature.
- * @param {object} params.request - The HTTP request object.
- * @param {Headers} params.request.headers - The request headers.
- * @param {URL} params.request.url - The request URL.
- * @param {string} params.request.method - The HTTP method (e.g., 'GET', 'POST').
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request: an object with `headers` (a `Headers` object), `url` (a `URL`), `method`, and the optional `body` (used with `contentDigestAlgorithms`) and `trailers` (for components with the `tr` parameter), or a WHATWG `Request` or Node.js `IncomingMessage`, see `normalizeRequest`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - If present, a `Content-Digest` header is calculated from the body with these algorithms, added to the headers used for the signature base and covered by the signature. It is returned as `contentDigest` and must be sent along with the signature.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.reprDigestAlgorithms - If present, a `Repr-Digest` header is calculated from the body, which must be the complete representation with its content coding applied, and covered like `Content-Digest`. It is returned as `reprDigest`.
+ * @param {import("./digest.js").DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
  * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - An asynchronous function that signs the signature base. It takes an object with `signatureBase`, `params`, `ok` (neverthrow's `ok` function), and `err` (neverthrow's `err` function) and returns a Promise resolving to a `neverthrow.Result` where `Ok` is `ArrayBuffer` and `Err` is an error object.
- * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string}, {type: string, message: string, context?: unknown}>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, and `signatureBase` (all strings). If an error occurs (`Err`), it contains an object with `type`, `message`, and an optional `context`.
+ * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string, contentDigest?: string, reprDigest?: string}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, `signatureBase` and, if requested, `contentDigest` and `reprDigest` (all strings). If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
  */
 export async function createSignatureForRequest({
     signatureInputs,
     signatureLabel,
     additionalParams,
-    request: { headers, url, method },
+    request,
+    contentDigestAlgorithms,
+    reprDigestAlgorithms,
+    digest,
+    sign,
+}) {
+    const resultOfMessages = toMessages({ request });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return createSignature({ signatureInputs, signatureLabel, additionalParams, ...resultOfMessages.value, contentDigestAlgorithms, reprDigestAlgorithms, digest, sign });
+}
+
+/**
+ * Creates a signature for a given HTTP response based on provided inputs and a signing function.
+ * Components carrying the `req` parameter (e.g. `{ component: '@method', parameters: { req: true } }`) are taken from the request that produced the response.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for creating the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
+ * @param {string} params.signatureLabel - A label for the signature.
+ * @param {Object.<string, (number|string)>} params.additionalParams - Additional parameters to include in the signature.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response: an object with `headers` (a `Headers` object), `status`, and the optional `body` (used with `contentDigestAlgorithms`) and `trailers`, or a WHATWG `Response` or Node.js `ServerResponse`, see `normalizeResponse`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any signature input has the `req` parameter.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - If present, a `Content-Digest` header is calculated from the response body and covered by the signature. See `createSignatureForRequest`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.reprDigestAlgorithms - If present, a `Repr-Digest` header is calculated from the response body and covered by the signature. See `createSignatureForRequest`.
+ * @param {import("./digest.js").DigestFunction=} params.digest - Calculates the digests instead of WebCrypto.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - An asynchronous function that signs the signature base. See `createSignatureForRequest`.
+ * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string, contentDigest?: string, reprDigest?: string}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, `signatureBase` and, if requested, `contentDigest` and `reprDigest` (all strings). If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
+ */
+export async function createSignatureForResponse({
+    signatureInputs,
+    signatureLabel,
+    additionalParams,
+    response,
+    request,
+    contentDigestAlgorithms,
+    reprDigestAlgorithms,
+    digest,
+    sign,
+}) {
+    const resultOfMessages = toMessages({ request, response });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return createSignature({ signatureInputs, signatureLabel, additionalParams, ...resultOfMessages.value, contentDigestAlgorithms, reprDigestAlgorithms, digest, sign });
+}
+
+/**
+ * Creates a signature for the message in `messages`. Shared by the request and response variants.
+ *
+ * @param {object} params - The parameters for creating the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - The covered components.
+ * @param {string} params.signatureLabel - A label for the signature.
+ * @param {Object.<string, (number|string)>} params.additionalParams - Additional parameters to include in the signature.
+ * @param {import("./components.js").Messages} params.messages - The message to sign and its related request, if any.
+ * @param {import("./digest.js").Body=} params.body - The body of the message to sign.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - The algorithms to create a `Content-Digest` header with, if any.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.reprDigestAlgorithms - The algorithms to create a `Repr-Digest` header with, if any.
+ * @param {import("./digest.js").DigestFunction=} params.digest - Calculates the digests instead of WebCrypto.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - The signing function.
+ * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string, contentDigest?: string, reprDigest?: string}, SignatureError>>} The signature headers and signature base.
+ */
+async function createSignature({
+    signatureInputs,
+    signatureLabel,
+    additionalParams,
+    messages,
+    body,
+    contentDigestAlgorithms,
+    reprDigestAlgorithms,
+    digest,
     sign,
 }) {
+    // Check the parameters before encoding, so that a wrong type is reported by name
+    const resultOfParams = validateSignatureParams(additionalParams);
+    if (resultOfParams.isErr()) {
+        return err(resultOfParams.error);
+    }
+
+    // Create the Content-Digest and Repr-Digest headers and cover them, unless they are already covered
+    /** @type {{field: import("./digest.js").DigestField, algorithms: import("./digest.js").DigestAlgorithm[]}[]} */
+    const digestFields = [];
+    if (contentDigestAlgorithms !== undefined) {
+        digestFields.push({ field: 'content-digest', algorithms: contentDigestAlgorithms });
+    }
+    if (reprDigestAlgorithms !== undefined) {
+        digestFields.push({ field: 'repr-digest', algorithms: reprDigestAlgorithms });
+    }
+    /** @type {Object.<string, string>} */
+    const digestHeaders = {};
+    if (digestFields.length > 0) {
+        // the body is read once for all digests, as a stream can only be read once
+        const resultOfDigestFields = await createDigestFieldValues({ fields: digestFields, body, digestFunction: digest });
+        if (resultOfDigestFields.isErr()) {
+            return err(resultOfDigestFields.error);
+        }
+        const coveredItems = signatureInputs.map(toComponentItem);
+        digestFields.forEach(({ field }, index) => {
+            const value = resultOfDigestFields.value[index];
+            digestHeaders[field] = value;
+            messages = withHeader(messages, field, value);
+            const isDigestCovered = coveredItems.some((item) => item.value === field && getComponentParam(item, 'req') !== true);
+            if (!isDigestCovered) {
+                signatureInputs = [...signatureInputs, field];
+            }
+        });
+    }
+
     // Create the signature input value - a list of component identifiers
-    const signatureInputValue = signatureInputs.map(input => typeof input === 'string' ? new Item(input, {}) : new Item(input.component, input.parameters));
+    const signatureInputValue = signatureInputs.map(toComponentItem);
+    const resultOfComponents = validateComponentItems(signatureInputValue);
+    if (resultOfComponents.isErr()) {
+        return err(resultOfComponents.error);
+    }
 
     // Create the signature input dictionary
     const signatureInputDictItem = new Item(signatureInputValue, additionalParams);
     const resultOfStringOfSignatureInputDictionary = Result.fromThrowable(
         () => encodeDict({ [signatureLabel]: signatureInputDictItem }),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'encoding',
+            code: 'ENCODING_FAILED',
             message: 'Failed to encode signature input dictionary',
-            context: error
+            context: error,
+            details: {}
         })
     )();
     if (resultOfStringOfSignatureInputDictionary.isErr()) {
@@ -41,98 +196,28 @@ export async function createSignatureForRequest({
     }
 
     // Calculate signature base
-    /** @type {[string, string][]} */
-    const signatureBasePairResults = [];
-    for (const inputName of signatureInputs) {
-        const item = typeof inputName === 'string' ? new Item(inputName, {}) : new Item(inputName.component, inputName.parameters);
-        const resultOfStringOfKey = Result.fromThrowable(
-            () => encodeItem(item),
-            (error) => ({
-                type: 'encoding',
-                message: 'Failed to encode signature input key',
-                context: error
-            })
-        )();
-        if (resultOfStringOfKey.isErr()) {
-            return err(resultOfStringOfKey.error);
-        }
-        const stringOfKey = resultOfStringOfKey.value;
-
-        switch (item.value) {
-            case '@method': {
-                signatureBasePairResults.push([stringOfKey, method]);
-                break;
-            }
-            case '@target-uri': {
-                signatureBasePairResults.push([stringOfKey, url.toString()]);
-                break;
-            }
-            case '@authority': {
-                signatureBasePairResults.push([stringOfKey, url.hostname]);
-                break;
-            }
-            case '@scheme': {
-                signatureBasePairResults.push([stringOfKey, url.protocol.slice(0, -1)]);
-                break;
-            }
-            case '@path': {
-                signatureBasePairResults.push([stringOfKey, url.pathname]);
-                break;
-            }
-            case '@query': {
-                signatureBasePairResults.push([stringOfKey, url.search.length > 0 ? url.search : '']);
-                break;
-            }
-            case '@query-param': {
-                const name = item.params instanceof Map ? item.params.get('name') : item.params?.name;
-                if (!name) {
-                    return err({
-                        type: 'validation',
-                        message: 'Invalid signature input',
-                        context: 'Signature input is missing required parameter "name" in signature input for field ' + stringOfKey
-                    });
-                }
-                const value = url.searchParams.get(name);
-                if (value === null) {
-                    return err({
-                        type: 'validation',
-                        message: 'Missing query parameter: ' + name,
-                        context: 'Request is missing query parameter "' + name + '" required in signature input for field ' + stringOfKey
-                    });
-                }
-                signatureBasePairResults.push([stringOfKey, value]);
-                break;
-            }
-            default: {
-                const value = headers.get(item.value);
-                if (value === null) {
-                    return err({
-                        type: 'validation',
-                        message: 'Missing header: ' + item.value,
-                        context: 'Request is missing header "' + item.value + '" required in signature input for field ' + stringOfKey
-                    });
-                }
-                signatureBasePairResults.push([stringOfKey, value]);
-                break;
-            }
-        }
+    // remove [signatureLabel=] from stringOfSignatureInputDictionary for the @signature-params pair
+    const resultOfSignatureBase = createSignatureBase(
+        signatureInputValue,
+        resultOfStringOfSignatureInputDictionary.value.slice(signatureLabel.length + 1),
+        messages
+    );
+    if (resultOfSignatureBase.isErr()) {
+        return err(resultOfSignatureBase.error);
     }
-    // Append @signature-params pair
-    // remove [signatureLabel=] from stringOfSignatureInputDictionary
-    signatureBasePairResults.push([encodeItem(new Item('@signature-params', {})), resultOfStringOfSignatureInputDictionary.value.slice(signatureLabel.length + 1)]);
-
-    const signatureBase = signatureBasePairResults.map((pair) => pair.join(': ')).join('\n');
+    const signatureBase = resultOfSignatureBase.value;
 
     // Sign the signature base
     const resultOfSignature = await ResultAsync.fromPromise(
         sign({ signatureBase, params: additionalParams, ok, err }),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'error',
-            message: 'Failed to sign request',
-            context: error
+            code: 'SIGNING_FAILED',
+            message: messages.response ? 'Failed to sign response' : 'Failed to sign request',
+            context: error,
+            details: {}
         })
     );
-
     if (resultOfSignature.isErr()) {
         return err(resultOfSignature.error);
     }
@@ -144,10 +229,12 @@ export async function createSignatureForRequest({
     const signature = resultOfSignature.value.value;
     const resultOfSignatureUint8Array = Result.fromThrowable(
         () => new Uint8Array(signature),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'encoding',
+            code: 'SIGNING_FAILED',
             message: 'Invalid data in provided signature. Failed to create signature Uint8Array',
-            context: error
+            context: error,
+            details: {}
         })
     )();
     if (resultOfSignatureUint8Array.isErr()) {
@@ -156,10 +243,12 @@ export async function createSignatureForRequest({
     // Encode the signature dictionary - we use individual item encoding for compatibility
     const resultOfStringOfSignatureDictionary = Result.fromThrowable(
         () => encodeDict({ [signatureLabel]: new Item(resultOfSignatureUint8Array.value) }),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'encoding',
+            code: 'ENCODING_FAILED',
             message: 'Failed to encode signature dictionary',
-            context: error
+            context: error,
+            details: {}
         })
     )();
     if (resultOfStringOfSignatureDictionary.isErr()) {
@@ -170,9 +259,108 @@ export async function createSignatureForRequest({
         signatureInput: resultOfStringOfSignatureInputDictionary.value,
         signature: resultOfStringOfSignatureDictionary.value,
         signatureBase,
+        ...(digestHeaders['content-digest'] !== undefined ? { contentDigest: digestHeaders['content-digest'] } : {}),
+        ...(digestHeaders['repr-digest'] !== undefined ? { reprDigest: digestHeaders['repr-digest'] } : {}),
     });
 }
 
+/**
+ * Normalizes the message to sign or verify and the related request, see `normalizeRequest` and `normalizeResponse`.
+ *
+ * @param {object} params - The messages.
+ * @param {import("./messages.js").RequestInput=} params.request - The request, or the request that produced `response`.
+ * @param {import("./messages.js").ResponseInput=} params.response - The response, if any.
+ * @returns {import("neverthrow").Result<{messages: import("./components.js").Messages, body: import("./digest.js").Body|undefined}, SignatureError>} The messages and the body of the message to sign or verify.
+ */
+function toMessages({ request, response }) {
+    /** @type {(import("./components.js").RequestMessage & {body?: import("./digest.js").Body})|undefined} */
+    let normalizedRequest;
+    if (request !== undefined) {
+        const resultOfRequest = normalizeRequest(request);
+        if (resultOfRequest.isErr()) {
+            return err(resultOfRequest.error);
+        }
+        normalizedRequest = resultOfRequest.value;
+    }
+    const normalizedResponse = response === undefined ? undefined : normalizeResponse(response);
+    return ok({ messages: { request: normalizedRequest, response: normalizedResponse }, body: (normalizedResponse ?? normalizedRequest)?.body });
+}
+
+/**
+ * Returns a copy of `messages` where a header of the message being signed is set, leaving the caller's headers untouched.
+ *
+ * @param {import("./components.js").Messages} messages - The message being signed and its related request, if any.
+ * @param {string} name - The header name.
+ * @param {string} value - The header value.
+ * @returns {import("./components.js").Messages} The updated messages.
+ */
+function withHeader(messages, name, value) {
+    if (messages.response) {
+        const headers = new Headers(messages.response.headers);
+        headers.set(name, value);
+        return { ...messages, response: { ...messages.response, headers } };
+    }
+    const request = /** @type {import("./components.js").RequestMessage} */ (messages.request);
+    const headers = new Headers(request.headers);
+    headers.set(name, value);
+    return { ...messages, request: { ...request, headers } };
+}
+
+/**
+ * Checks that a nonce has not been seen before for the `keyid` and records it.
+ *
+ * @param {object} params - The parameters for checking the nonce.
+ * @param {import("./replay.js").ReplayStore} params.replayStore - The store of seen nonces.
+ * @param {unknown} params.keyid - The `keyid` parameter of the signature.
+ * @param {unknown} params.nonce - The `nonce` parameter of the signature.
+ * @param {number} params.ttl - The time (in seconds) to remember the nonce for.
+ * @returns {Promise<import("neverthrow").Result<true, SignatureError>>} `true` if the nonce has not been seen before.
+ */
+async function checkNonce({ replayStore, keyid, nonce, ttl }) {
+    if (nonce === undefined) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_PARAMETER',
+            message: 'Invalid signature',
+            context: 'Missing required parameter "nonce" in signature input',
+            details: { parameter: 'nonce' }
+        });
+    }
+    if (typeof nonce !== 'string') {
+        return err({
+            type: 'validation',
+            code: 'INVALID_PARAMETER',
+            message: 'Invalid signature',
+            context: 'Invalid parameter "nonce" in signature input',
+            details: { parameter: 'nonce' }
+        });
+    }
+    const key = JSON.stringify([typeof keyid === 'string' ? keyid : null, nonce]);
+    const resultOfAdded = await ResultAsync.fromPromise(
+        replayStore.add(key, ttl),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'error',
+            code: 'REPLAY_STORE_FAILED',
+            message: 'Failed to write to replay store',
+            context: error,
+            details: {}
+        })
+    );
+    if (resultOfAdded.isErr()) {
+        return err(resultOfAdded.error);
+    }
+    if (!resultOfAdded.value) {
+        return err({
+            type: 'validation',
+            code: 'REPLAYED_NONCE',
+            message: 'Replayed signature',
+            context: `Nonce "${nonce}" has already been used${typeof keyid === 'string' ? ` for keyid "${keyid}"` : ''}`,
+            details: { keyid: typeof keyid === 'string' ? keyid : undefined, nonce }
+        });
+    }
+    return ok(/** @type {true} */ (true));
+}
+
 /**
  * Verifies the signature of an HTTP request based on provided signature information and a verification function.
  * This function utilizes the `neverthrow` Result type for explicit error handling.
@@ -181,16 +369,17 @@ export async function createSignatureForRequest({
  * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
  * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
  * @param {string} params.signatureLabel - The label associated with the signature.
- * @param {(string|{component: '@query-param', parameters: { name: string }})[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is a Map of string keys to string, number, or boolean values.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
  * @param {string[]} params.requiredParams - An array of required parameters for the signature.
  * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
- * @param {object} params.request - The HTTP request object.
- * @param {Headers} params.request.headers - The request headers.
- * @param {URL} params.request.url - The request URL.
- * @param {string} params.request.method - The HTTP method (e.g., 'GET', 'POST').
- * @param {(ArrayBuffer|ArrayBufferView|null)=} params.request.body - The optional request body.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer, applied to `created` timestamps in the future and to `expires`. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the `nonce` parameter is required and each nonce is accepted only once per `keyid`. Nonces are remembered until the signature would be rejected as expired.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked: the accepted algorithms, a custom digest function and whether the legacy `Digest` header is checked. By default, `content-digest` and `repr-digest` are checked with `sha-256` or `sha-512`.
+ * @param {import("./diagnostics.js").DiagnosticOptions=} params.diagnostics - If present, an error of the `verify` function carries `diagnostics`: the signature base compared line by line with `expectedSignatureBase`, the signer's signature base if known, and likely causes of the mismatch.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request: an object with `headers` (a `Headers` object), `url` (a `URL`), `method`, and the optional `body` and `trailers` (for components with the `tr` parameter), or a WHATWG `Request` or Node.js `IncomingMessage`, see `normalizeRequest`. A stream body is not read up front, see `body` in the result.
  * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies the signature. It takes an object with `signatureBase`, `params`, `signature` (as Uint8Array), `ok` (neverthrow's `ok` function), and `err` (neverthrow's `err` function) and returns a Promise resolving to a `neverthrow.Result` where `Ok` is `true` and `Err` is an error object.
- * @returns {Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains `true`. If an error occurs (`Err`), it contains an object with `type`, `message`, and an optional `context`.
+ * @returns {Promise<import("neverthrow").Result<VerificationResult, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains a `VerificationResult` describing the verified signature; if the body is a stream covered by a digest field, its `body` must be consumed instead of the original body. If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
  */
 export async function verifySignatureOfRequest({
     stringOfSignatureInputDictionary,
@@ -199,15 +388,354 @@ export async function verifySignatureOfRequest({
     requiredInputs,
     requiredParams,
     maxAge,
-    request: { headers, url, method, body },
+    clockSkew = 0,
+    now = Date.now,
+    replayStore,
+    digestOptions = {},
+    diagnostics,
+    request,
+    verify,
+}) {
+    const resultOfMessages = toMessages({ request });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return verifySignature({
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        signatureLabel,
+        requiredInputs,
+        requiredParams,
+        maxAge,
+        clockSkew,
+        now,
+        replayStore,
+        digestOptions,
+        diagnostics,
+        ...resultOfMessages.value,
+        verify,
+    });
+}
+
+/**
+ * Verifies the signature of an HTTP response based on provided signature information and a verification function.
+ * Components carrying the `req` parameter are resolved against the request that produced the response.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for verifying the signature.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {string} params.signatureLabel - The label associated with the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
+ * @param {string[]} params.requiredParams - An array of required parameters for the signature.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer, applied to `created` timestamps in the future and to `expires`. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the `nonce` parameter is required and each nonce is accepted only once per `keyid`. Nonces are remembered until the signature would be rejected as expired.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./diagnostics.js").DiagnosticOptions=} params.diagnostics - Diagnoses signatures that do not verify. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response: an object with `headers` (a `Headers` object), `status`, and the optional `body` and `trailers`, or a WHATWG `Response` or Node.js `ServerResponse`, see `normalizeResponse`. A stream body is not read up front, see `verifySignatureOfRequest`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any covered component has the `req` parameter.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies the signature. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<VerificationResult, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains a `VerificationResult` describing the verified signature; if the body is a stream covered by a digest field, its `body` must be consumed instead of the original body. If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
+ */
+export async function verifySignatureOfResponse({
+    stringOfSignatureInputDictionary,
+    stringOfSignatureDictionary,
+    signatureLabel,
+    requiredInputs,
+    requiredParams,
+    maxAge,
+    clockSkew = 0,
+    now = Date.now,
+    replayStore,
+    digestOptions = {},
+    diagnostics,
+    response,
+    request,
     verify,
 }) {
+    const resultOfMessages = toMessages({ request, response });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return verifySignature({
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        signatureLabel,
+        requiredInputs,
+        requiredParams,
+        maxAge,
+        clockSkew,
+        now,
+        replayStore,
+        digestOptions,
+        diagnostics,
+        ...resultOfMessages.value,
+        verify,
+    });
+}
+
+/**
+ * @typedef {object} SignatureSelection
+ * Selects the signatures to verify among all entries of the signature input dictionary. A signature is selected if it matches every given criterion.
+ * @property {(string|string[])=} tag - The allowed values of the `tag` parameter.
+ * @property {(string|string[])=} keyid - The allowed values of the `keyid` parameter.
+ * @property {import("./components.js").ComponentIdentifier[]=} components - Components that must be covered.
+ */
+
+/**
+ * @typedef {object} SignatureOutcome
+ * @property {string} label - The label of the signature.
+ * @property {import("neverthrow").Result<VerificationResult, SignatureError>} result - The result of verifying the signature.
+ */
+
+/**
+ * Verifies the signatures of an HTTP request that carries several of them, without knowing their labels in advance.
+ * Every entry of the signature input dictionary that matches `select` is verified as with `verifySignatureOfRequest`.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for verifying the signatures.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {SignatureSelection=} params.select - The policy for selecting the signatures to verify. By default, all signatures are selected.
+ * @param {('all'|'any')=} params.mode - Whether all selected signatures or at least one of them must verify. Defaults to `'all'`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that every selected signature must cover.
+ * @param {string[]} params.requiredParams - Parameters that every selected signature must have.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signatures to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signers. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the nonce of each selected signature is checked. See `verifySignatureOfRequest`.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request. See `verifySignatureOfRequest`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies a signature, usually picking the key by `params.keyid`. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{verified: string[], outcomes: SignatureOutcome[]}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If the policy is satisfied (`Ok`), it contains the labels of the `verified` signatures and the `outcomes` of all selected signatures. Otherwise (`Err`), the `context` of the error contains the outcomes.
+ */
+export async function verifySignaturesOfRequest({
+    stringOfSignatureInputDictionary,
+    stringOfSignatureDictionary,
+    select = {},
+    mode = 'all',
+    requiredInputs,
+    requiredParams,
+    maxAge,
+    clockSkew = 0,
+    now = Date.now,
+    replayStore,
+    digestOptions = {},
+    request,
+    verify,
+}) {
+    const resultOfMessages = toMessages({ request });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return verifySignatures({
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        select,
+        mode,
+        requiredInputs,
+        requiredParams,
+        maxAge,
+        clockSkew,
+        now,
+        replayStore,
+        digestOptions,
+        ...resultOfMessages.value,
+        verify,
+    });
+}
+
+/**
+ * Verifies the signatures of an HTTP response that carries several of them, without knowing their labels in advance.
+ * Takes the same parameters as `verifySignaturesOfRequest`, with the response and the request that produced it.
+ *
+ * @param {object} params - The parameters for verifying the signatures.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {SignatureSelection=} params.select - The policy for selecting the signatures to verify. By default, all signatures are selected.
+ * @param {('all'|'any')=} params.mode - Whether all selected signatures or at least one of them must verify. Defaults to `'all'`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that every selected signature must cover.
+ * @param {string[]} params.requiredParams - Parameters that every selected signature must have.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signatures to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signers. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the nonce of each selected signature is checked.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response. See `verifySignatureOfResponse`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any covered component has the `req` parameter.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies a signature. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{verified: string[], outcomes: SignatureOutcome[]}, SignatureError>>} See `verifySignaturesOfRequest`.
+ */
+export async function verifySignaturesOfResponse({
+    stringOfSignatureInputDictionary,
+    stringOfSignatureDictionary,
+    select = {},
+    mode = 'all',
+    requiredInputs,
+    requiredParams,
+    maxAge,
+    clockSkew = 0,
+    now = Date.now,
+    replayStore,
+    digestOptions = {},
+    response,
+    request,
+    verify,
+}) {
+    const resultOfMessages = toMessages({ request, response });
+    if (resultOfMessages.isErr()) {
+        return err(resultOfMessages.error);
+    }
+    return verifySignatures({
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        select,
+        mode,
+        requiredInputs,
+        requiredParams,
+        maxAge,
+        clockSkew,
+        now,
+        replayStore,
+        digestOptions,
+        ...resultOfMessages.value,
+        verify,
+    });
+}
+
+/**
+ * Selects and verifies the signatures of the message in `messages`. Shared by the request and response variants.
+ *
+ * @param {object} params - The parameters for verifying the signatures.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {SignatureSelection} params.select - The policy for selecting the signatures to verify.
+ * @param {'all'|'any'} params.mode - Whether all selected signatures or at least one of them must verify.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that every selected signature must cover.
+ * @param {string[]} params.requiredParams - Parameters that every selected signature must have.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signatures to be considered valid.
+ * @param {number} params.clockSkew - The tolerance (in seconds) for clock differences with the signers.
+ * @param {function(): number} params.now - Returns the current time in milliseconds since the epoch.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - The store of seen nonces, if replays are to be rejected.
+ * @param {import("./digest.js").DigestOptions} params.digestOptions - How covered digest fields are checked.
+ * @param {import("./components.js").Messages} params.messages - The message to verify and its related request, if any.
+ * @param {import("./digest.js").Body=} params.body - The body of the message to verify.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - The verification function.
+ * @returns {Promise<import("neverthrow").Result<{verified: string[], outcomes: SignatureOutcome[]}, SignatureError>>} The verified labels and the outcome per label.
+ */
+async function verifySignatures({ select, mode, ...params }) {
+    const resultOfSignatureInputDict = Result.fromThrowable(
+        () => decodeDict(params.stringOfSignatureInputDictionary),
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: error,
+            details: {}
+        })
+    )();
+    if (resultOfSignatureInputDict.isErr()) {
+        return err(resultOfSignatureInputDict.error);
+    }
+    const signatureInputDict = resultOfSignatureInputDict.value;
+    /** @type {[string, Item | import("structured-field-values").InnerList][]} */
+    const entries = signatureInputDict instanceof Map ? [...signatureInputDict.entries()] : Object.entries(signatureInputDict);
+
+    const labels = entries
+        .filter(([, member]) => member instanceof Item && Array.isArray(member.value) && isSignatureSelected(member, select))
+        .map(([label]) => label);
+    if (labels.length === 0) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'No matching signature',
+            context: 'No signature in the signature input matches the selection',
+            details: {}
+        });
+    }
+
+    /** @type {SignatureOutcome[]} */
+    const outcomes = [];
+    for (const label of labels) {
+        outcomes.push({ label, result: await verifySignature({ ...params, signatureLabel: label }) });
+    }
+    const verified = outcomes.filter(({ result }) => result.isOk()).map(({ label }) => label);
+    if (mode === 'all' ? verified.length < outcomes.length : verified.length === 0) {
+        return err({
+            type: 'validation',
+            code: 'SIGNATURES_REJECTED',
+            message: 'Signature verification didn\'t pass',
+            context: outcomes,
+            details: { labels: outcomes.filter(({ result }) => result.isErr()).map(({ label }) => label) }
+        });
+    }
+    return ok({ verified, outcomes });
+}
+
+/**
+ * Checks whether a signature input matches a selection policy.
+ *
+ * @param {Item} member - The member of the signature input dictionary.
+ * @param {SignatureSelection} select - The selection policy.
+ * @returns {boolean} True if the signature is selected.
+ */
+function isSignatureSelected(member, select) {
+    /** @type {function(unknown, (string|string[])=): boolean} */
+    const matches = (value, allowed) => allowed === undefined || (typeof value === 'string' && (Array.isArray(allowed) ? allowed.includes(value) : allowed === value));
+    if (!matches(getComponentParam(member, 'tag'), select.tag) || !matches(getComponentParam(member, 'keyid'), select.keyid)) {
+        return false;
+    }
+    const componentItems = /** @type {unknown[]} */ (member.value).filter((item) => item instanceof Item);
+    return (select.components ?? []).every((input) => isComponentCovered(componentItems, input));
+}
+
+/**
+ * Verifies the signature of the message in `messages`. Shared by the request and response variants.
+ *
+ * @param {object} params - The parameters for verifying the signature.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {string} params.signatureLabel - The label associated with the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that must be covered by the signature.
+ * @param {string[]} params.requiredParams - Parameters that must be present in the signature input.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @param {number} params.clockSkew - The tolerance (in seconds) for clock differences with the signer.
+ * @param {function(): number} params.now - Returns the current time in milliseconds since the epoch.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - The store of seen nonces, if replays are to be rejected.
+ * @param {import("./digest.js").DigestOptions} params.digestOptions - How covered digest fields are checked.
+ * @param {import("./diagnostics.js").DiagnosticOptions=} params.diagnostics - Whether, and against which signature base, to diagnose errors of the `verify` function.
+ * @param {import("./components.js").Messages} params.messages - The message to verify and its related request, if any.
+ * @param {import("./digest.js").Body=} params.body - The body of the message to verify.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - The verification function.
+ * @returns {Promise<import("neverthrow").Result<VerificationResult, SignatureError>>} The verified signature.
+ */
+async function verifySignature({
+    stringOfSignatureInputDictionary,
+    stringOfSignatureDictionary,
+    signatureLabel,
+    requiredInputs,
+    requiredParams,
+    maxAge,
+    clockSkew,
+    now,
+    replayStore,
+    digestOptions,
+    diagnostics,
+    messages,
+    body,
+    verify,
+}) {
+    const { headers } = /** @type {import("./components.js").RequestMessage|import("./components.js").ResponseMessage} */ (messages.response ?? messages.request);
     const resultOfSignatureInputDict = Result.fromThrowable(
         () => decodeDict(stringOfSignatureInputDictionary),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
             message: 'Invalid signature input',
-            context: error
+            context: error,
+            details: { label: signatureLabel }
         })
     )();
     if (resultOfSignatureInputDict.isErr()) {
@@ -219,16 +747,20 @@ export async function verifySignatureOfRequest({
     if (!(signatureInputDict instanceof Map) && !(signatureLabel in signatureInputDict)) {
         return err({
             type: 'validation',
+            code: 'MISSING_SIGNATURE',
             message: 'Invalid signature input',
-            context: `Signature Input is not a dictionary or does not contain "${signatureLabel}" field`
+            context: `Signature Input is not a dictionary or does not contain "${signatureLabel}" field`,
+            details: { label: signatureLabel }
         });
     }
     const signatureInputDictItem = signatureInputDict instanceof Map ? signatureInputDict.get(signatureLabel) : signatureInputDict[signatureLabel];
-    if (!(signatureInputDictItem instanceof Item) || !Array.isArray(signatureInputDictItem.value) || signatureInputDictItem.value.length < 1) {
+    if (!(signatureInputDictItem instanceof Item) || !Array.isArray(signatureInputDictItem.value)) {
         return err({
             type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
             message: 'Invalid signature input',
-            context: `Invalid signature input for "${signatureLabel}"`
+            context: `Invalid signature input for "${signatureLabel}"`,
+            details: { label: signatureLabel }
         });
     }
 
@@ -236,20 +768,29 @@ export async function verifySignatureOfRequest({
         if (!(item instanceof Item) || !(typeof item.value === 'string')) {
             return err({
                 type: 'validation',
+                code: 'INVALID_SIGNATURE_INPUT',
                 message: 'Invalid signature input',
-                context: 'Invalid signature input'
+                context: 'Invalid signature input',
+                details: { label: signatureLabel }
             });
         }
     }
     /** @type {Item[]} */
     const signatureInput = signatureInputDictItem.value;
+    // reject malformed covered components of untrusted signatures before anything is resolved or verified
+    const resultOfComponents = validateComponentItems(signatureInput);
+    if (resultOfComponents.isErr()) {
+        return err(resultOfComponents.error);
+    }
 
     const resultOfSignatureDict = Result.fromThrowable(
         () => decodeDict(stringOfSignatureDictionary),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'validation',
+            code: 'INVALID_SIGNATURE',
             message: 'Invalid signature',
-            context: error
+            context: error,
+            details: { label: signatureLabel }
         })
     )();
     if (resultOfSignatureDict.isErr()) {
@@ -262,16 +803,20 @@ export async function verifySignatureOfRequest({
     if (!(signatureDict instanceof Map) && !(signatureLabel in signatureDict)) {
         return err({
             type: 'validation',
+            code: 'MISSING_SIGNATURE',
             message: 'Invalid signature',
-            context: `Signature is not a dictionary or does not contain "${signatureLabel}" field`
+            context: `Signature is not a dictionary or does not contain "${signatureLabel}" field`,
+            details: { label: signatureLabel }
         });
     }
     const signatureDictValue = signatureDict instanceof Map ? signatureDict.get(signatureLabel) : signatureDict[signatureLabel];
     if (!(signatureDictValue instanceof Item) || !(signatureDictValue.value instanceof Uint8Array)) {
         return err({
             type: 'validation',
+            code: 'INVALID_SIGNATURE',
             message: 'Invalid signature',
-            context: 'Invalid signature'
+            context: 'Invalid signature',
+            details: { label: signatureLabel }
         });
     }
 
@@ -279,26 +824,27 @@ export async function verifySignatureOfRequest({
 
     // verify that all of the required inputs are present in signatureInput
     for (const input of requiredInputs) {
-        const inputItem = typeof input === 'string' ?
-            signatureInput.find((item) => item.value === input) :
-            signatureInput.find((item) => item.value === input.component && Object.entries(input.parameters).every(([key, value]) => item.params instanceof Map ? item.params.get(key) === value : item.params[key] === value));
-        if (!inputItem) {
+        if (!isComponentCovered(signatureInput, input)) {
             return err({
                 type: 'validation',
+                code: 'UNCOVERED_COMPONENT',
                 message: 'Invalid signature',
-                context: `Missing required input field "${input}" in signature input`
+                context: `Missing required input field "${input}" in signature input`,
+                details: { component: describeComponent(toComponentItem(input)) }
             });
         }
     }
 
     // verify that all of the required params are present in signature input dictionary item
-    const signatureInputParams = Object.fromEntries(Object.entries(signatureInputDictItem.params));
+    const signatureInputParams = Object.fromEntries(Object.entries(signatureInputDictItem.params ?? {}));
     for (const requiredParam of requiredParams) {
         if (!(requiredParam in signatureInputParams)) {
             return err({
                 type: 'validation',
+                code: 'MISSING_PARAMETER',
                 message: 'Invalid signature',
-                context: `Missing required parameter "${requiredParam}" in signature input`
+                context: `Missing required parameter "${requiredParam}" in signature input`,
+                details: { parameter: requiredParam }
             });
         }
     }
@@ -308,236 +854,127 @@ export async function verifySignatureOfRequest({
     if (!paramCreated) {
         return err({
             type: 'validation',
+            code: 'MISSING_PARAMETER',
             message: 'Invalid signature',
-            context: 'Missing required parameter "created" in signature input'
+            context: 'Missing required parameter "created" in signature input',
+            details: { parameter: 'created' }
         });
     }
     if (typeof paramCreated !== 'number') {
         return err({
             type: 'validation',
+            code: 'INVALID_PARAMETER',
             message: 'Invalid signature',
-            context: 'Invalid parameter "created" in signature input'
+            context: 'Invalid parameter "created" in signature input',
+            details: { parameter: 'created' }
+        });
+    }
+    const nowInSeconds = now() / 1000;
+    if ((paramCreated - nowInSeconds) > clockSkew) {
+        return err({
+            type: 'validation',
+            code: 'SIGNATURE_NOT_YET_VALID',
+            message: 'Invalid signature',
+            context: 'Parameter "created" in signature input is in the future',
+            details: { created: paramCreated, now: nowInSeconds }
         });
     }
-    const nowInSeconds = Date.now() / 1000;
     if ((nowInSeconds - paramCreated) > maxAge) {
         return err({
             type: 'validation',
+            code: 'SIGNATURE_EXPIRED',
             message: 'Signature expired',
-            context: 'Signature expired'
+            context: 'Signature expired',
+            details: { created: paramCreated, now: nowInSeconds }
         });
     }
-
-    // check if signature inputs include content-digest
-    const paramContentDigest = signatureInput.find((item) => item.value === 'content-digest');
-    if (paramContentDigest) {
-        // calculate content digest
-        const headerValueForContentDigest = headers.get('content-digest');
-        if (headerValueForContentDigest === null) {
+    const paramExpires = signatureInputParams['expires'];
+    if (paramExpires !== undefined) {
+        if (typeof paramExpires !== 'number' || paramExpires < paramCreated) {
             return err({
                 type: 'validation',
+                code: 'INVALID_PARAMETER',
                 message: 'Invalid signature',
-                context: 'Missing required header "content-digest"'
-            });
-        }
-
-        const dictionaryOfContentDigest = Result.fromThrowable(
-            () => decodeDict(headerValueForContentDigest),
-            (error) => ({
-                type: 'validation',
-                message: 'Invalid value for header "content-digest"',
-                context: error
-            })
-        )();
-        if (dictionaryOfContentDigest.isErr()) {
-            return err(dictionaryOfContentDigest.error);
-        }
-
-        /** @type {{ [x: string]: Item | import("structured-field-values").InnerList }} */
-        const dictionaryAsObject = dictionaryOfContentDigest.value instanceof Map ? Object.fromEntries(dictionaryOfContentDigest.value.entries()) : dictionaryOfContentDigest.value;
-
-        const providedDigestAlgorithms = Object.keys(dictionaryAsObject);
-
-        const allowedDigestAlgorithms = ['sha-256', 'sha-512'];
-
-        if (!providedDigestAlgorithms.some((algorithm) => allowedDigestAlgorithms.includes(algorithm))) {
-            return err({
-                type: 'validation',
-                message: `Unsupported content-digest algorithm: ${providedDigestAlgorithms.join(', ')}`,
-                context: `Unsupported content-digest algorithm: ${providedDigestAlgorithms.join(', ')}`
+                context: 'Invalid parameter "expires" in signature input',
+                details: { parameter: 'expires' }
             });
         }
-
-        const firstProvidedAndAllowedDigest = Object.entries(dictionaryAsObject).find(([algorithm]) => allowedDigestAlgorithms.includes(algorithm));
-        if (!firstProvidedAndAllowedDigest) {
+        if ((nowInSeconds - paramExpires) > clockSkew) {
             return err({
                 type: 'validation',
-                message: `Unsupported content-digest algorithm: ${providedDigestAlgorithms.join(', ')}`,
-                context: `Unsupported content-digest algorithm: ${providedDigestAlgorithms.join(', ')}`
-            });
-        }
-        const [algorithm, digestItem] = firstProvidedAndAllowedDigest;
-        if (!(digestItem instanceof Item) || !(digestItem.value instanceof Uint8Array)) {
-            return err({
-                type: 'validation',
-                message: `Invalid digest for algorithm ${algorithm}`,
-                context: `Invalid digest for algorithm ${algorithm}`
-            });
-        }
-        // calculate digest
-        const resultOfDigest = await ResultAsync.fromPromise(
-            crypto.subtle.digest(algorithm, body || new Uint8Array()),
-            (error) => ({
-                type: 'validation',
-                message: `Failed to calculate digest for algorithm ${algorithm}`,
-                context: error
-            })
-        );
-        if (resultOfDigest.isErr()) {
-            return err(resultOfDigest.error);
-        }
-
-        // compare digest
-        const providedDigest = digestItem.value;
-        const calculatedDigest = new Uint8Array(resultOfDigest.value);
-        if (!areUint8ArraysEqual(providedDigest, calculatedDigest)) {
-            return err({
-                type: 'validation',
-                message: `Digest mismatch for algorithm ${algorithm}. Expected ${uint8ArrayToBase64(providedDigest)}, got ${uint8ArrayToBase64(calculatedDigest)}`,
-                context: `Digest mismatch for algorithm ${algorithm}. Expected ${uint8ArrayToBase64(providedDigest)}, got ${uint8ArrayToBase64(calculatedDigest)}`
+                code: 'SIGNATURE_EXPIRED',
+                message: 'Signature expired',
+                context: 'Signature expired at the time given by parameter "expires"',
+                details: { created: paramCreated, expires: paramExpires, now: nowInSeconds }
             });
         }
     }
 
+    // check the digest fields covered by the signature against the body
+    const digestFields = /** @type {import("./digest.js").DigestField[]} */ (['content-digest', 'repr-digest', ...(digestOptions.legacyDigest ? ['digest'] : [])])
+        .filter((field) => signatureInput.some((item) => item.value === field && getComponentParam(item, 'req') !== true));
+    const resultOfDigests = await verifyDigestFields({ fields: digestFields, headers, body, digestOptions });
+    if (resultOfDigests.isErr()) {
+        return err(resultOfDigests.error);
+    }
+    const verifyingBody = resultOfDigests.value;
 
     // calculate signature base
-    /** @type {[string, string][]} */
-    const signatureBasePairResults = [];
-    for (const item of signatureInput) {
-        const resultOfStringOfKey = Result.fromThrowable(
-            () => encodeItem(item),
-            (error) => ({
-                type: 'encoding',
-                message: 'Failed to encode signature input key',
-                context: error
-            })
-        )();
-        if (resultOfStringOfKey.isErr()) {
-            return err(resultOfStringOfKey.error);
-        }
-        const stringOfKey = resultOfStringOfKey.value;
-        switch (item.value) {
-            case '@method': {
-                signatureBasePairResults.push([stringOfKey, method]);
-                break;
-            }
-            case '@target-uri': {
-                signatureBasePairResults.push([stringOfKey, url.toString()]);
-                break;
-            }
-            case '@authority': {
-                signatureBasePairResults.push([stringOfKey, url.hostname]);
-                break;
-            }
-            case '@scheme': {
-                signatureBasePairResults.push([stringOfKey, url.protocol.slice(0, -1)]);
-                break;
-            }
-            case '@path': {
-                signatureBasePairResults.push([stringOfKey, url.pathname]);
-                break;
-            }
-            case '@query': {
-                signatureBasePairResults.push([stringOfKey, url.search]);
-                break;
-            }
-            case '@query-param': {
-                const name = item.params instanceof Map ? item.params.get('name') : item.params?.name;
-                if (!name) {
-                    return err({
-                        type: 'validation',
-                        message: 'Invalid signature input',
-                        context: 'Signature input is missing required parameter "name" in signature input for field ' + stringOfKey
-                    });
-                }
-                const value = url.searchParams.get(name);
-                if (value === null) {
-                    return err({
-                        type: 'validation',
-                        message: 'Missing query parameter: ' + name,
-                        context: 'Request is missing query parameter "' + name + '" required in signature input for field ' + stringOfKey
-                    });
-                }
-                signatureBasePairResults.push([stringOfKey, value]);
-                break;
-            }
-            default: {
-                const value = headers.get(item.value);
-                if (value === null) {
-                    return err({
-                        type: 'validation',
-                        message: 'Missing header: ' + item.value,
-                        context: 'Request is missing header "' + item.value + '" required in signature input for field ' + stringOfKey
-                    });
-                }
-                signatureBasePairResults.push([stringOfKey, value]);
-                break;
-            }
-        }
+    // serialize the member itself, as the dictionary may hold other signatures
+    const signatureParamsValue = serializeInnerList(signatureInputDictItem);
+    const resultOfSignatureBase = createSignatureBase(signatureInput, signatureParamsValue, messages);
+    if (resultOfSignatureBase.isErr()) {
+        return err(resultOfSignatureBase.error);
     }
-
-    // append @signature-params pair
-    const signatureParamsValue = stringOfSignatureInputDictionary.split('=').slice(1).join('=');
-    signatureBasePairResults.push([encodeItem(new Item('@signature-params')), signatureParamsValue]);
-
-    const signatureBase = signatureBasePairResults.map((result) => result.join(': ')).join('\n');
+    const signatureBase = resultOfSignatureBase.value;
 
     const resultOfVerification = await ResultAsync.fromPromise(
         verify({ signatureBase, params: signatureInputParams, signature: providedSignature, ok, err }),
-        (error) => ({
+        (error) => /** @satisfies {import("./errors.js").LibraryError} */ ({
             type: 'validation',
+            code: 'VERIFIER_FAILED',
             message: 'Signature verification didn\'t pass',
-            context: error
+            context: error,
+            details: {}
         })
     )
-    if (resultOfVerification.isErr()) {
-        return err(resultOfVerification.error);
-    }
-    if (resultOfVerification.value.isErr()) {
-        return resultOfVerification.value;
+    const resultOfVerified = resultOfVerification.andThen((result) => result);
+    if (resultOfVerified.isErr()) {
+        if (!diagnostics) {
+            return err(resultOfVerified.error);
+        }
+        // explain the failure with the signature base, which is only known here
+        const diagnosis = diagnoseSignatureBase({ signatureBase, expectedSignatureBase: diagnostics.expectedSignatureBase, request: messages.request });
+        return err({ ...resultOfVerified.error, diagnostics: diagnosis });
     }
 
-    return ok(resultOfVerification.value.value);
-}
-
-/**
- * Compares two Uint8Arrays for equality.
- *
- * @param {Uint8Array} a - The first Uint8Array.
- * @param {Uint8Array} b - The second Uint8Array.
- * @returns {boolean} True if the arrays are equal, false otherwise.
- */
-function areUint8ArraysEqual(a, b) {
-    if (a.length !== b.length) {
-        return false;
-    }
-    for (let i = 0; i < a.length; i++) {
-        if (a[i] !== b[i]) {
-            return false;
+    // reject replays only once the signature is known to be valid, so that forged signatures cannot use up nonces
+    if (replayStore) {
+        const nonceWindowEnd = Math.min(paramCreated + maxAge, typeof paramExpires === 'number' ? paramExpires : Infinity) + clockSkew;
+        const resultOfNonce = await checkNonce({
+            replayStore,
+            keyid: signatureInputParams['keyid'],
+            nonce: signatureInputParams['nonce'],
+            ttl: Math.max(Math.ceil(nonceWindowEnd - nowInSeconds), 1),
+        });
+        if (resultOfNonce.isErr()) {
+            return err(resultOfNonce.error);
         }
     }
-    return true;
-}
 
-/**
- * Converts a Uint8Array to a Base64 string.
- *
- * @param {Uint8Array} uint8Array - The Uint8Array to convert.
- * @returns {string} The Base64 encoded string.
- */
-function uint8ArrayToBase64(uint8Array) {
-    // Convert Uint8Array to a binary string
-    const binaryString = String.fromCharCode(...uint8Array);
-    // Encode the binary string to Base64
-    return btoa(binaryString);
+    /** @type {function(string): (string|undefined)} */
+    const stringParam = (name) => typeof signatureInputParams[name] === 'string' ? /** @type {string} */ (signatureInputParams[name]) : undefined;
+    return ok({
+        label: signatureLabel,
+        keyid: stringParam('keyid'),
+        alg: stringParam('alg'),
+        tag: stringParam('tag'),
+        created: paramCreated,
+        expires: typeof paramExpires === 'number' ? paramExpires : undefined,
+        nonce: stringParam('nonce'),
+        params: signatureInputParams,
+        components: signatureInput.map(toComponentIdentifier),
+        signatureBase,
+        ...(verifyingBody ? { body: verifyingBody } : {}),
+    });
 }
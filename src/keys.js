@@ -0,0 +1,530 @@
+import { err, ok } from 'neverthrow';
+import { ALGORITHMS, createVerifier, isKeyCompatibleWithAlgorithm } from './algorithms.js';
+
+/**
+ * @typedef {import("./algorithms.js").AlgorithmName} AlgorithmName
+ */
+
+/**
+ * @typedef {object} ResolvedKey
+ * @property {CryptoKey} key - The WebCrypto key.
+ * @property {AlgorithmName} alg - The algorithm the key is to be used with.
+ * @property {string=} keyid - The key identifier, if known.
+ */
+
+/**
+ * @typedef {JsonWebKey & {kid?: string}} Jwk
+ */
+
+/**
+ * @typedef {function({keyid: (string|undefined), alg: (string|undefined), tag: (string|undefined)}): Promise<import("neverthrow").Result<ResolvedKey, {type: string, message: string, context?: unknown}>>} KeyResolver
+ * A function that looks up the key for the `keyid`, `alg` and `tag` signature parameters.
+ */
+
+/**
+ * Maps the JOSE algorithm names that can appear in the `alg` member of a JWK to HTTP Signature Algorithms.
+ *
+ * @type {Readonly<Object.<string, AlgorithmName>>}
+ */
+const JOSE_ALGORITHMS = Object.freeze({
+    PS512: 'rsa-pss-sha512',
+    RS256: 'rsa-v1_5-sha256',
+    HS256: 'hmac-sha256',
+    ES256: 'ecdsa-p256-sha256',
+    ES384: 'ecdsa-p384-sha384',
+    EdDSA: 'ed25519',
+    Ed25519: 'ed25519',
+});
+
+/**
+ * Hex encoded DER object identifiers of the key algorithms that can be imported from PEM.
+ */
+const OID_RSA_ENCRYPTION = '2a864886f70d010101';
+const OID_RSASSA_PSS = '2a864886f70d01010a';
+const OID_EC_PUBLIC_KEY = '2a8648ce3d0201';
+const OID_PRIME256V1 = '2a8648ce3d030107';
+const OID_SECP384R1 = '2b81040022';
+const OID_ED25519 = '2b6570';
+
+/**
+ * Creates a key resolver for keys that are already imported into WebCrypto.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {Object.<string, {key: CryptoKey, alg?: AlgorithmName, tags?: string[]}>} params.keys - The keys, by `keyid`. `alg` pins the algorithm for keys that can be used with more than one, `tags` restricts the key to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createInMemoryKeyResolver({ keys }) {
+    return async ({ keyid, alg, tag }) => {
+        const resultOfEntry = findEntry(keyid, (id) => Object.prototype.hasOwnProperty.call(keys, id) ? keys[id] : undefined);
+        if (resultOfEntry.isErr()) {
+            return err(resultOfEntry.error);
+        }
+        const entry = resultOfEntry.value;
+        const resultOfTag = checkTag(keyid, entry.tags, tag);
+        if (resultOfTag.isErr()) {
+            return err(resultOfTag.error);
+        }
+        const candidates = /** @type {AlgorithmName[]} */ (Object.keys(ALGORITHMS))
+            .filter((name) => isKeyCompatibleWithAlgorithm(entry.key, ALGORITHMS[name]))
+            .filter((name) => entry.alg === undefined || entry.alg === name);
+        const resultOfAlgorithm = selectAlgorithm(keyid, candidates, alg);
+        if (resultOfAlgorithm.isErr()) {
+            return err(resultOfAlgorithm.error);
+        }
+        return ok({ key: entry.key, alg: resultOfAlgorithm.value });
+    };
+}
+
+/**
+ * Creates a key resolver for a JWK Set (RFC 7517 Section 5). Keys are matched on their `kid` member.
+ * The algorithm is taken from the `alg` member of the JWK if present, and from its key type and curve otherwise.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {{keys: Jwk[]}|function(): Promise<{keys: Jwk[]}>} params.jwks - The JWK Set, or a function that loads it (e.g. from a partner's JWKS URL). The function is called on every lookup, so it should cache.
+ * @param {string[]=} params.tags - If present, restricts the keys to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createJwksKeyResolver({ jwks, tags }) {
+    /** @type {WeakMap<Jwk, Map<AlgorithmName, CryptoKey>>} */
+    const importedKeys = new WeakMap();
+    return async ({ keyid, alg, tag }) => {
+        let jwkSet;
+        try {
+            jwkSet = typeof jwks === 'function' ? await jwks() : jwks;
+        } catch (error) {
+            return err({
+                type: 'error',
+                code: 'KEY_UNAVAILABLE',
+                message: 'Failed to load JWK Set',
+                context: error,
+                details: {}
+            });
+        }
+        if (!jwkSet || !Array.isArray(jwkSet.keys)) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_KEY',
+                message: 'Invalid JWK Set',
+                context: 'JWK Set must be an object with a "keys" array',
+                details: {}
+            });
+        }
+        const { keys } = jwkSet;
+        const resultOfEntry = findEntry(keyid, (id) => keys.find((key) => key.kid === id));
+        if (resultOfEntry.isErr()) {
+            return err(resultOfEntry.error);
+        }
+        const resultOfTag = checkTag(keyid, tags, tag);
+        if (resultOfTag.isErr()) {
+            return err(resultOfTag.error);
+        }
+
+        const resultOfAlgorithm = selectAlgorithm(keyid, getJwkAlgorithms(resultOfEntry.value), alg);
+        if (resultOfAlgorithm.isErr()) {
+            return err(resultOfAlgorithm.error);
+        }
+        const selectedAlg = resultOfAlgorithm.value;
+        const keysByAlgorithm = importedKeys.get(resultOfEntry.value) ?? new Map();
+        const cachedKey = keysByAlgorithm.get(selectedAlg);
+        if (cachedKey) {
+            return ok({ key: cachedKey, alg: selectedAlg });
+        }
+        const resultOfKey = await importKeyFromJwk({ jwk: resultOfEntry.value, alg: selectedAlg });
+        if (resultOfKey.isErr()) {
+            return err(resultOfKey.error);
+        }
+        keysByAlgorithm.set(selectedAlg, resultOfKey.value.key);
+        importedKeys.set(resultOfEntry.value, keysByAlgorithm);
+        return resultOfKey;
+    };
+}
+
+/**
+ * Creates a key resolver for PEM encoded keys stored in files (SPKI `PUBLIC KEY` or PKCS #8 `PRIVATE KEY`).
+ * Files are read on first use and cached. Requires a runtime with `node:fs`.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {Object.<string, {path: string, alg?: AlgorithmName, tags?: string[]}>} params.keys - The key files, by `keyid`. `alg` pins the algorithm for RSA keys, which can be used with more than one, `tags` restricts the key to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createPemKeyResolver({ keys }) {
+    /** @type {Map<string, Promise<string>>} */
+    const pemFiles = new Map();
+    /** @type {Map<string, ResolvedKey>} */
+    const importedKeys = new Map();
+    return async ({ keyid, alg, tag }) => {
+        const resultOfEntry = findEntry(keyid, (id) => Object.prototype.hasOwnProperty.call(keys, id) ? keys[id] : undefined);
+        if (resultOfEntry.isErr()) {
+            return err(resultOfEntry.error);
+        }
+        const entry = resultOfEntry.value;
+        const resultOfTag = checkTag(keyid, entry.tags, tag);
+        if (resultOfTag.isErr()) {
+            return err(resultOfTag.error);
+        }
+        if (entry.alg !== undefined && alg !== undefined && entry.alg !== alg) {
+            return err({
+                type: 'validation',
+                code: 'ALG_MISMATCH',
+                message: 'Algorithm mismatch',
+                context: `Key "${keyid}" cannot be used with algorithm "${alg}"`,
+                details: { keyid, alg }
+            });
+        }
+        const requestedAlg = entry.alg ?? alg;
+
+        const cacheKey = `${keyid}\n${requestedAlg ?? ''}`;
+        const cachedKey = importedKeys.get(cacheKey);
+        if (cachedKey) {
+            return ok(cachedKey);
+        }
+
+        let pem;
+        try {
+            if (!pemFiles.has(entry.path)) {
+                pemFiles.set(entry.path, import('node:fs/promises').then((fs) => fs.readFile(entry.path, 'utf8')));
+            }
+            pem = await pemFiles.get(entry.path);
+        } catch (error) {
+            pemFiles.delete(entry.path);
+            return err({
+                type: 'error',
+                code: 'KEY_UNAVAILABLE',
+                message: `Failed to read key file for keyid "${keyid}"`,
+                context: error,
+                details: { keyid }
+            });
+        }
+        const resultOfKey = await importKeyFromPem({ pem: /** @type {string} */ (pem), alg: requestedAlg, keyid });
+        if (resultOfKey.isErr()) {
+            return err(resultOfKey.error);
+        }
+        importedKeys.set(cacheKey, resultOfKey.value);
+        return resultOfKey;
+    };
+}
+
+/**
+ * Imports a JWK into WebCrypto for one of the RFC 9421 registered algorithms.
+ * Public keys are imported for verification, private keys for signing and symmetric keys for both.
+ *
+ * @param {object} params - The parameters for importing the key.
+ * @param {Jwk} params.jwk - The JWK.
+ * @param {string=} params.alg - The algorithm to import the key for. Required for RSA keys without an `alg` member.
+ * @returns {Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>} The imported key and its algorithm.
+ */
+export async function importKeyFromJwk({ jwk, alg }) {
+    const keyid = jwk.kid;
+    const resultOfAlgorithm = selectAlgorithm(keyid, getJwkAlgorithms(jwk), alg);
+    if (resultOfAlgorithm.isErr()) {
+        return err(resultOfAlgorithm.error);
+    }
+    const selectedAlg = resultOfAlgorithm.value;
+    /** @type {KeyUsage[]} */
+    const usages = jwk.kty === 'oct' ? ['sign', 'verify'] : jwk.d !== undefined ? ['sign'] : ['verify'];
+    try {
+        const key = await crypto.subtle.importKey('jwk', jwk, ALGORITHMS[selectedAlg].importParams, false, usages);
+        return ok(keyid === undefined ? { key, alg: selectedAlg } : { key, alg: selectedAlg, keyid });
+    } catch (error) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Failed to import JWK',
+            context: error,
+            details: { keyid }
+        });
+    }
+}
+
+/**
+ * Imports a PEM encoded SPKI public key (`PUBLIC KEY`) or PKCS #8 private key (`PRIVATE KEY`) into WebCrypto
+ * for one of the RFC 9421 registered algorithms. HMAC keys cannot be imported from PEM.
+ *
+ * @param {object} params - The parameters for importing the key.
+ * @param {string} params.pem - The PEM encoded key.
+ * @param {string=} params.alg - The algorithm to import the key for. Required for RSA keys.
+ * @param {string=} params.keyid - The key identifier, used for error reporting and returned with the key.
+ * @returns {Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>} The imported key and its algorithm.
+ */
+export async function importKeyFromPem({ pem, alg, keyid }) {
+    const match = /-----BEGIN (PUBLIC KEY|PRIVATE KEY)-----([A-Za-z0-9+/=\s]+)-----END \1-----/.exec(pem);
+    if (!match) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Invalid PEM',
+            context: 'Expected a "PUBLIC KEY" (SPKI) or "PRIVATE KEY" (PKCS #8) PEM block',
+            details: { keyid }
+        });
+    }
+    const format = match[1] === 'PUBLIC KEY' ? 'spki' : 'pkcs8';
+    /** @type {Uint8Array} */
+    let der;
+    try {
+        der = Uint8Array.from(atob(match[2].replace(/\s/g, '')), (character) => character.charCodeAt(0));
+    } catch (error) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Invalid PEM',
+            context: error,
+            details: { keyid }
+        });
+    }
+
+    const resultOfAlgorithm = selectAlgorithm(keyid, getDerKeyAlgorithms(der, format), alg);
+    if (resultOfAlgorithm.isErr()) {
+        return err(resultOfAlgorithm.error);
+    }
+    const selectedAlg = resultOfAlgorithm.value;
+    try {
+        const key = await crypto.subtle.importKey(format, der, ALGORITHMS[selectedAlg].importParams, false, format === 'spki' ? ['verify'] : ['sign']);
+        return ok(keyid === undefined ? { key, alg: selectedAlg } : { key, alg: selectedAlg, keyid });
+    } catch (error) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Failed to import PEM',
+            context: error,
+            details: { keyid }
+        });
+    }
+}
+
+/**
+ * Creates a `verify` callback for `verifySignatureOfRequest` and `verifySignatureOfResponse` that looks up the key
+ * with a key resolver and verifies with the built-in verifier for the resolved algorithm.
+ *
+ * @param {object} params - The parameters for creating the verifier.
+ * @param {KeyResolver} params.keyResolver - The key resolver.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} The verify callback.
+ */
+export function createKeyResolverVerifier({ keyResolver }) {
+    return async ({ signatureBase, params, signature }) => {
+        const resultOfKey = await keyResolver({
+            keyid: params.keyid === undefined ? undefined : String(params.keyid),
+            alg: params.alg === undefined ? undefined : String(params.alg),
+            tag: params.tag === undefined ? undefined : String(params.tag),
+        });
+        if (resultOfKey.isErr()) {
+            return err(resultOfKey.error);
+        }
+        return createVerifier(resultOfKey.value)({ signatureBase, params, signature });
+    };
+}
+
+/**
+ * Looks up the entry for a `keyid`.
+ *
+ * @template T
+ * @param {string|undefined} keyid - The `keyid` signature parameter.
+ * @param {function(string): (T|undefined)} lookup - A function that returns the entry for a `keyid`, if there is one.
+ * @returns {import("neverthrow").Result<T, import("./errors.js").SignatureError>} The entry.
+ */
+function findEntry(keyid, lookup) {
+    if (keyid === undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNKNOWN_KEY',
+            message: 'Missing keyid',
+            context: 'Signature input does not contain the "keyid" parameter',
+            details: {}
+        });
+    }
+    const entry = lookup(keyid);
+    if (entry === undefined) {
+        return err({
+            type: 'validation',
+            code: 'UNKNOWN_KEY',
+            message: 'Unknown key',
+            context: `No key found for keyid "${keyid}"`,
+            details: { keyid }
+        });
+    }
+    return ok(entry);
+}
+
+/**
+ * Checks the `tag` signature parameter against the tags a key is restricted to.
+ *
+ * @param {string|undefined} keyid - The `keyid` signature parameter.
+ * @param {string[]|undefined} tags - The tags the key is restricted to, if any.
+ * @param {string|undefined} tag - The `tag` signature parameter.
+ * @returns {import("neverthrow").Result<true, import("./errors.js").SignatureError>} `true` if the key may be used.
+ */
+function checkTag(keyid, tags, tag) {
+    if (tags !== undefined && (tag === undefined || !tags.includes(tag))) {
+        return err({
+            type: 'validation',
+            code: 'TAG_MISMATCH',
+            message: 'Tag mismatch',
+            context: `Key "${keyid}" is not allowed for tag "${tag ?? ''}"`,
+            details: { keyid, tag }
+        });
+    }
+    return ok(/** @type {true} */ (true));
+}
+
+/**
+ * Picks the algorithm to use a key with, given the algorithms the key supports and the `alg` signature parameter.
+ *
+ * @param {string|undefined} keyid - The key identifier, used for error reporting.
+ * @param {AlgorithmName[]} candidates - The algorithms the key can be used with.
+ * @param {string|undefined} alg - The `alg` signature parameter, if present.
+ * @returns {import("neverthrow").Result<AlgorithmName, import("./errors.js").SignatureError>} The algorithm.
+ */
+function selectAlgorithm(keyid, candidates, alg) {
+    const keyName = keyid === undefined ? 'Key' : `Key "${keyid}"`;
+    if (candidates.length === 0) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Unsupported key',
+            context: `${keyName} cannot be used with any supported algorithm`,
+            details: { keyid }
+        });
+    }
+    if (alg !== undefined) {
+        if (!candidates.includes(/** @type {AlgorithmName} */ (alg))) {
+            return err({
+                type: 'validation',
+                code: 'ALG_MISMATCH',
+                message: 'Algorithm mismatch',
+                context: `${keyName} cannot be used with algorithm "${alg}"`,
+                details: { keyid, alg }
+            });
+        }
+        return ok(/** @type {AlgorithmName} */ (alg));
+    }
+    if (candidates.length > 1) {
+        return err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Ambiguous algorithm',
+            context: `${keyName} can be used with ${candidates.join(', ')}; the "alg" parameter is required`,
+            details: { keyid }
+        });
+    }
+    return ok(candidates[0]);
+}
+
+/**
+ * Lists the algorithms a JWK can be used with, from its `alg`, `kty` and `crv` members.
+ *
+ * @param {JsonWebKey} jwk - The JWK.
+ * @returns {AlgorithmName[]} The algorithms.
+ */
+function getJwkAlgorithms(jwk) {
+    /** @type {AlgorithmName[]} */
+    let candidates;
+    switch (jwk.kty) {
+        case 'RSA':
+            candidates = ['rsa-pss-sha512', 'rsa-v1_5-sha256'];
+            break;
+        case 'EC':
+            candidates = jwk.crv === 'P-256' ? ['ecdsa-p256-sha256'] : jwk.crv === 'P-384' ? ['ecdsa-p384-sha384'] : [];
+            break;
+        case 'OKP':
+            candidates = jwk.crv === 'Ed25519' ? ['ed25519'] : [];
+            break;
+        case 'oct':
+            candidates = ['hmac-sha256'];
+            break;
+        default:
+            candidates = [];
+    }
+    if (jwk.alg !== undefined) {
+        const pinned = Object.prototype.hasOwnProperty.call(JOSE_ALGORITHMS, jwk.alg) ? JOSE_ALGORITHMS[jwk.alg] : undefined;
+        return candidates.filter((candidate) => candidate === pinned);
+    }
+    return candidates;
+}
+
+/**
+ * Lists the algorithms a DER encoded SPKI or PKCS #8 key can be used with, from its AlgorithmIdentifier.
+ *
+ * @param {Uint8Array} der - The DER encoded key.
+ * @param {'spki'|'pkcs8'} format - The key format.
+ * @returns {AlgorithmName[]} The algorithms.
+ */
+function getDerKeyAlgorithms(der, format) {
+    // SubjectPublicKeyInfo ::= SEQUENCE { algorithm AlgorithmIdentifier, ... }
+    // PrivateKeyInfo ::= SEQUENCE { version INTEGER, privateKeyAlgorithm AlgorithmIdentifier, ... }
+    // AlgorithmIdentifier ::= SEQUENCE { algorithm OBJECT IDENTIFIER, parameters ANY OPTIONAL }
+    const keyInfo = readDerElement(der, 0);
+    if (!keyInfo || keyInfo.tag !== 0x30) {
+        return [];
+    }
+    let offset = keyInfo.start;
+    if (format === 'pkcs8') {
+        const version = readDerElement(der, offset);
+        if (!version || version.tag !== 0x02) {
+            return [];
+        }
+        offset = version.end;
+    }
+    const algorithmIdentifier = readDerElement(der, offset);
+    if (!algorithmIdentifier || algorithmIdentifier.tag !== 0x30) {
+        return [];
+    }
+    const algorithm = readDerElement(der, algorithmIdentifier.start);
+    if (!algorithm || algorithm.tag !== 0x06) {
+        return [];
+    }
+    const parameters = algorithm.end < algorithmIdentifier.end ? readDerElement(der, algorithm.end) : undefined;
+
+    switch (toHex(der.subarray(algorithm.start, algorithm.end))) {
+        case OID_RSA_ENCRYPTION:
+            return ['rsa-pss-sha512', 'rsa-v1_5-sha256'];
+        case OID_RSASSA_PSS:
+            return ['rsa-pss-sha512'];
+        case OID_EC_PUBLIC_KEY: {
+            const curve = parameters && parameters.tag === 0x06 ? toHex(der.subarray(parameters.start, parameters.end)) : undefined;
+            return curve === OID_PRIME256V1 ? ['ecdsa-p256-sha256'] : curve === OID_SECP384R1 ? ['ecdsa-p384-sha384'] : [];
+        }
+        case OID_ED25519:
+            return ['ed25519'];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Reads the tag and length of a DER element.
+ *
+ * @param {Uint8Array} der - The DER encoded data.
+ * @param {number} offset - The offset of the element.
+ * @returns {{tag: number, start: number, end: number}|undefined} The tag and the bounds of the element content, or `undefined` if the element is malformed.
+ */
+function readDerElement(der, offset) {
+    const tag = der[offset];
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (tag === undefined || length === undefined) {
+        return undefined;
+    }
+    if (length & 0x80) {
+        const lengthOfLength = length & 0x7f;
+        if (lengthOfLength < 1 || lengthOfLength > 4) {
+            return undefined;
+        }
+        length = 0;
+        for (let i = 0; i < lengthOfLength; i++) {
+            length = length * 256 + der[start++];
+        }
+    }
+    if (Number.isNaN(length) || start + length > der.length) {
+        return undefined;
+    }
+    return { tag, start, end: start + length };
+}
+
+/**
+ * Converts bytes to a lowercase hex string.
+ *
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The hex string.
+ */
+function toHex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
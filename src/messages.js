@@ -0,0 +1,186 @@
+import { err, ok } from 'neverthrow';
+
+/**
+ * @typedef {object} IncomingRequest
+ * The parts of a Node.js `IncomingMessage` used to reconstruct a request.
+ * @property {string=} method - The request method.
+ * @property {string=} url - The request target, e.g. `/foo?bar=baz`.
+ * @property {Object.<string, (string|string[]|undefined)>} headers - The request headers, with lowercased names.
+ * @property {string[]=} rawHeaders - The header field lines as received, alternating names and values.
+ * @property {object=} socket - The underlying socket. TLS sockets have an `encrypted` property.
+ */
+
+/**
+ * @typedef {object} OutgoingResponse
+ * The parts of a Node.js `ServerResponse` used to reconstruct a response.
+ * @property {number} statusCode - The status code.
+ * @property {function(): Object.<string, (number|string|string[]|undefined)>} getHeaders - Returns the headers set so far.
+ */
+
+/**
+ * @typedef {Request|(IncomingRequest & AsyncIterable<Uint8Array|string>)|(import("./components.js").RequestMessage & {body?: import("./digest.js").Body})} RequestInput
+ */
+
+/**
+ * @typedef {Response|OutgoingResponse|(import("./components.js").ResponseMessage & {body?: import("./digest.js").Body})} ResponseInput
+ */
+
+/**
+ * Converts a WHATWG `Request` or a Node.js `IncomingMessage` into the request shape taken by `createSignatureForRequest` and `verifySignatureOfRequest`.
+ * Objects that already have that shape are returned as they are.
+ * The body is the request stream, which is not read up front when verifying, see `verifySignatureOfRequest`.
+ *
+ * For an `IncomingMessage`, the URL is reconstructed from the request target, the `Host` header and the connection.
+ * With `trustProxy`, the scheme and authority are taken from the `Forwarded` header, or from `X-Forwarded-Proto` and `X-Forwarded-Host`.
+ *
+ * @param {RequestInput} request - The request.
+ * @param {object} [options] - The options for converting the request.
+ * @param {boolean=} options.trustProxy - Whether to use the headers set by a reverse proxy. Defaults to `false`.
+ * @returns {import("neverthrow").Result<import("./components.js").RequestMessage & {body?: import("./digest.js").Body}, import("./errors.js").SignatureError>} The request.
+ */
+export function normalizeRequest(request, { trustProxy = false } = {}) {
+    if (typeof Request !== 'undefined' && request instanceof Request) {
+        return ok({ method: request.method, url: new URL(request.url), headers: request.headers, body: request.body });
+    }
+    if (request.headers instanceof Headers) {
+        return ok(/** @type {import("./components.js").RequestMessage & {body?: import("./digest.js").Body}} */ (request));
+    }
+    const incomingRequest = /** @type {IncomingRequest & AsyncIterable<Uint8Array|string>} */ (request);
+    const resultOfUrl = getRequestUrl(incomingRequest, trustProxy);
+    if (resultOfUrl.isErr()) {
+        return err(resultOfUrl.error);
+    }
+    return ok({
+        method: incomingRequest.method ?? 'GET',
+        url: resultOfUrl.value,
+        headers: toHeaders(incomingRequest.headers),
+        ...(incomingRequest.rawHeaders ? { rawHeaders: incomingRequest.rawHeaders } : {}),
+        body: incomingRequest,
+    });
+}
+
+/**
+ * Converts a WHATWG `Response` or a Node.js `ServerResponse` into the response shape taken by `createSignatureForResponse` and `verifySignatureOfResponse`.
+ * Objects that already have that shape are returned as they are.
+ * A `ServerResponse` has no readable body, so pass the body you send as `body` of the result if the signature covers `content-digest`.
+ *
+ * @param {ResponseInput} response - The response.
+ * @returns {import("./components.js").ResponseMessage & {body?: import("./digest.js").Body}} The response.
+ */
+export function normalizeResponse(response) {
+    if (typeof Response !== 'undefined' && response instanceof Response) {
+        return { status: response.status, headers: response.headers, body: response.body };
+    }
+    if ('getHeaders' in response && typeof response.getHeaders === 'function') {
+        const headers = new Headers();
+        for (const [name, value] of Object.entries(response.getHeaders())) {
+            for (const line of Array.isArray(value) ? value : value === undefined ? [] : [String(value)]) {
+                headers.append(name, line);
+            }
+        }
+        return { status: response.statusCode, headers };
+    }
+    return /** @type {import("./components.js").ResponseMessage & {body?: import("./digest.js").Body}} */ (response);
+}
+
+/**
+ * Matches a request target in absolute form, e.g. `http://example.com/path` as sent to a forward proxy.
+ */
+const ABSOLUTE_FORM_PATTERN = /^[A-Za-z][A-Za-z0-9+.-]*:\/\//;
+
+/**
+ * Reconstructs the URL of a Node.js request from its target, the `Host` header and the connection. If the proxy in front of the
+ * server is trusted, the scheme and authority are taken from the first element of the `Forwarded` header, or from
+ * `X-Forwarded-Proto` and `X-Forwarded-Host`.
+ *
+ * @param {IncomingRequest} request - The incoming request.
+ * @param {boolean} trustProxy - Whether to use the forwarded headers.
+ * @returns {import("neverthrow").Result<URL, import("./errors.js").SignatureError>} The URL.
+ */
+export function getRequestUrl(request, trustProxy) {
+    const forwarded = trustProxy ? parseForwarded(firstValue(request.headers.forwarded)) : {};
+    const forwardedProto = trustProxy ? forwarded.proto ?? firstValue(request.headers['x-forwarded-proto']) : undefined;
+    const forwardedHost = trustProxy ? forwarded.host ?? firstValue(request.headers['x-forwarded-host']) : undefined;
+    const scheme = forwardedProto ?? (/** @type {{encrypted?: boolean}|undefined} */ (request.socket)?.encrypted ? 'https' : 'http');
+    const authority = forwardedHost ?? firstValue(request.headers.host);
+    if (authority === undefined) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_MESSAGE',
+            message: 'Invalid request',
+            context: 'Request has no Host header',
+            details: {}
+        });
+    }
+    const target = request.url ?? '/';
+    try {
+        // only the absolute form names the authority (RFC 9112, Section 3.2.2); any other target is a path, even if it
+        // starts with `//` or a backslash, which URL resolution would take as another host
+        return ok(ABSOLUTE_FORM_PATTERN.test(target) ? new URL(target) : new URL(`${scheme}://${authority}${target.startsWith('/') ? '' : '/'}${target}`));
+    } catch (error) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_MESSAGE',
+            message: 'Invalid request',
+            context: error,
+            details: {}
+        });
+    }
+}
+
+/**
+ * Returns the host a proxy reports the client used, from the `Forwarded` header or the `X-Forwarded-Host` header.
+ *
+ * @param {Headers} headers - The request headers.
+ * @returns {string|undefined} The forwarded host, if any.
+ */
+export function getForwardedHost(headers) {
+    return parseForwarded(firstValue(headers.get('forwarded') ?? undefined)).host ?? firstValue(headers.get('x-forwarded-host') ?? undefined);
+}
+
+/**
+ * Converts Node.js header values into a `Headers` object.
+ *
+ * @param {Object.<string, (string|string[]|undefined)>} nodeHeaders - The headers of an `IncomingMessage`.
+ * @returns {Headers} The headers.
+ */
+export function toHeaders(nodeHeaders) {
+    const headers = new Headers();
+    for (const [name, value] of Object.entries(nodeHeaders)) {
+        for (const line of Array.isArray(value) ? value : value === undefined ? [] : [value]) {
+            headers.append(name, line);
+        }
+    }
+    return headers;
+}
+
+/**
+ * Parses the `proto` and `host` parameters of a `Forwarded` element (RFC 7239).
+ *
+ * @param {string|undefined} element - The first element of the `Forwarded` header.
+ * @returns {{proto?: string, host?: string}} The parameters.
+ */
+function parseForwarded(element) {
+    /** @type {{proto?: string, host?: string}} */
+    const params = {};
+    for (const pair of element?.split(';') ?? []) {
+        const separator = pair.indexOf('=');
+        const name = pair.slice(0, separator).trim().toLowerCase();
+        const value = pair.slice(separator + 1).trim().replace(/^"(.*)"$/, '$1');
+        if (separator > 0 && value && (name === 'proto' || name === 'host')) {
+            params[name] = value;
+        }
+    }
+    return params;
+}
+
+/**
+ * Returns the first value of a header that may be repeated or contain a comma-separated list.
+ *
+ * @param {string|string[]|undefined} value - The header value.
+ * @returns {string|undefined} The first value, if any.
+ */
+function firstValue(value) {
+    const first = (Array.isArray(value) ? value[0] : value)?.split(',')[0].trim();
+    return first ? first : undefined;
+}
@@ -0,0 +1,299 @@
+import { err, ok } from 'neverthrow';
+import { createAcceptSignature } from './accept.js';
+import { verifyCavageSignature } from './cavage.js';
+import { verifySignatureOfRequest, verifySignaturesOfRequest } from './index.js';
+import { getRequestUrl, toHeaders } from './messages.js';
+
+/**
+ * @typedef {object} ServerResponse
+ * The parts of a Node.js `ServerResponse` the middleware uses.
+ * @property {function(number, Object.<string, string>): unknown} writeHead - Writes the status and headers.
+ * @property {function(string=): unknown} end - Ends the response.
+ */
+
+/**
+ * @typedef {object} VerificationPolicy
+ * @property {string=} signatureLabel - The label of the signature to verify. If omitted, the signatures matching `select` are verified and the first one that passes is used.
+ * @property {import("./index.js").SignatureSelection=} select - The signatures to consider if `signatureLabel` is omitted.
+ * @property {import("./components.js").ComponentIdentifier[]} requiredInputs - The components the signature must cover.
+ * @property {string[]} requiredParams - The parameters the signature must have.
+ * @property {Object.<string, (number|string)>=} acceptSignatureParams - Parameters with a required value to add to the `Accept-Signature` header of 401 responses, such as `tag`.
+ * @property {number} maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @property {number=} clockSkew - The tolerance (in seconds) for clock differences with the signer.
+ * @property {function(): number=} now - Returns the current time in milliseconds since the epoch.
+ * @property {import("./replay.js").ReplayStore=} replayStore - Rejects reused nonces.
+ * @property {import("./digest.js").DigestOptions=} digestOptions - How covered digest fields are checked, e.g. `{ legacyDigest: true }` for clients that send `Digest`.
+ * @property {boolean=} cavage - Whether to also accept draft-cavage signatures (a `Signature` or `Authorization: Signature` header without `Signature-Input`), as sent by Mastodon and other ActivityPub servers. Having no nonce, they are checked against `replayStore` by their signature base. Defaults to `false`.
+ * @property {number=} maxBodySize - The maximum size (in bytes) of a body to buffer. Larger requests are rejected with 413, and requests whose body stream fails with 400. Defaults to 1 MiB.
+ * @property {boolean=} trustProxy - Whether to take the scheme and authority from the `Forwarded` header, or the `X-Forwarded-Proto` and `X-Forwarded-Host` headers. Defaults to whether the framework trusts every proxy, and to `false` for `node:http`.
+ * @property {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} verify - The verification function.
+ */
+
+/**
+ * @typedef {object} Rejection
+ * @property {number} status - The HTTP status to respond with.
+ * @property {Object.<string, string>} headers - The headers to respond with.
+ * @property {import("./errors.js").SignatureError} error - Why the request was rejected.
+ */
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Verifies the signature of a Node.js `IncomingMessage`. The body is buffered, unless it is given.
+ * Used by the framework adapters; call it directly to handle rejections yourself.
+ *
+ * @param {object} params - The parameters for verifying the request.
+ * @param {import("./messages.js").IncomingRequest} params.request - The incoming request. It must be readable as a stream unless `body` is given.
+ * @param {Uint8Array|string=} params.body - The body, if it has already been read.
+ * @param {VerificationPolicy} params.policy - The verification policy.
+ * @returns {Promise<import("neverthrow").Result<{signature: import("./index.js").VerificationResult, body: Uint8Array|string}, Rejection>>} The verified signature and the body, or how to reject the request.
+ */
+export async function verifyIncomingMessage({ request, body, policy }) {
+    if (body === undefined) {
+        const resultOfBody = await readBody(/** @type {AsyncIterable<Uint8Array|string>} */ (/** @type {unknown} */ (request)), policy.maxBodySize ?? DEFAULT_MAX_BODY_SIZE);
+        if (resultOfBody.isErr()) {
+            return err(toBodyRejection(resultOfBody.error));
+        }
+        body = resultOfBody.value;
+    }
+
+    const resultOfUrl = getRequestUrl(request, policy.trustProxy ?? false);
+    if (resultOfUrl.isErr()) {
+        return err({ status: 400, headers: {}, error: resultOfUrl.error });
+    }
+    const headers = toHeaders(request.headers);
+    const stringOfSignatureInputDictionary = headers.get('signature-input');
+    const stringOfSignatureDictionary = headers.get('signature');
+    const message = { method: request.method ?? 'GET', url: resultOfUrl.value, headers, body };
+    const authorization = headers.get('authorization');
+    const stringOfCavageSignature = stringOfSignatureDictionary ?? (/^Signature\s/i.test(authorization ?? '') ? authorization : null);
+    if (policy.cavage && stringOfSignatureInputDictionary === null && stringOfCavageSignature !== null) {
+        const resultOfVerification = await verifyCavageSignature({
+            stringOfSignature: stringOfCavageSignature,
+            requiredInputs: policy.requiredInputs,
+            requiredParams: policy.requiredParams,
+            maxAge: policy.maxAge,
+            clockSkew: policy.clockSkew,
+            now: policy.now,
+            digestOptions: policy.digestOptions,
+            replayStore: policy.replayStore,
+            request: message,
+            verify: policy.verify,
+        });
+        if (resultOfVerification.isErr()) {
+            return err(createUnauthorized(policy, resultOfVerification.error));
+        }
+        return ok({ signature: resultOfVerification.value, body });
+    }
+    if (stringOfSignatureInputDictionary === null || stringOfSignatureDictionary === null) {
+        return err(createUnauthorized(policy, {
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'Missing signature',
+            context: 'Request has no Signature-Input or Signature header',
+            details: {}
+        }));
+    }
+
+    const params = {
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        requiredInputs: policy.requiredInputs,
+        requiredParams: policy.requiredParams,
+        maxAge: policy.maxAge,
+        clockSkew: policy.clockSkew,
+        now: policy.now,
+        replayStore: policy.replayStore,
+        digestOptions: policy.digestOptions,
+        request: message,
+        verify: policy.verify,
+    };
+    if (policy.signatureLabel !== undefined) {
+        const resultOfVerification = await verifySignatureOfRequest({ ...params, signatureLabel: policy.signatureLabel });
+        if (resultOfVerification.isErr()) {
+            return err(createUnauthorized(policy, resultOfVerification.error));
+        }
+        return ok({ signature: resultOfVerification.value, body });
+    }
+    const resultOfVerification = await verifySignaturesOfRequest({ ...params, select: policy.select, mode: 'any' });
+    if (resultOfVerification.isErr()) {
+        return err(createUnauthorized(policy, resultOfVerification.error));
+    }
+    const [signature] = resultOfVerification.value.outcomes.flatMap(({ result }) => result.isOk() ? [result.value] : []);
+    return ok({ signature, body });
+}
+
+/**
+ * Creates a connect-style middleware for `node:http` servers. On success, the verified signature is attached as `req.signature`
+ * and the buffered body as `req.rawBody`; otherwise the request is rejected with 401 and an `Accept-Signature` header.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function(import("./messages.js").IncomingRequest & {signature?: import("./index.js").VerificationResult, rawBody?: Uint8Array|string}, ServerResponse, function(unknown=): void): Promise<void>} The middleware.
+ */
+export function createNodeMiddleware(policy) {
+    return async (req, res, next) => {
+        const result = await verifyIncomingMessage({ request: req, body: req.rawBody, policy });
+        if (result.isErr()) {
+            reject(res, result.error);
+            return;
+        }
+        req.signature = result.value.signature;
+        req.rawBody = result.value.body;
+        next();
+    };
+}
+
+/**
+ * Creates an Express middleware. Works like `createNodeMiddleware`, and additionally takes the body from `req.body` if it was
+ * read by `express.raw()`. `trustProxy` defaults to `true` if the `trust proxy` setting of the app is `true`; hop counts,
+ * addresses and functions depend on the client address and are not evaluated, so pass `trustProxy` with those.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function(import("./messages.js").IncomingRequest & {app?: {get: function(string): unknown}, body?: unknown, signature?: import("./index.js").VerificationResult, rawBody?: Uint8Array|string}, ServerResponse, function(unknown=): void): Promise<void>} The middleware.
+ */
+export function createExpressMiddleware(policy) {
+    return async (req, res, next) => {
+        const body = req.body instanceof Uint8Array ? req.body : req.rawBody;
+        const trustProxy = policy.trustProxy ?? req.app?.get('trust proxy') === true;
+        const result = await verifyIncomingMessage({ request: req, body, policy: { ...policy, trustProxy } });
+        if (result.isErr()) {
+            reject(res, result.error);
+            return;
+        }
+        req.signature = result.value.signature;
+        req.rawBody = result.value.body;
+        next();
+    };
+}
+
+/**
+ * Creates a Koa middleware. On success, the verified signature is attached as `ctx.state.signature` and the body as
+ * `ctx.request.rawBody`, which is also where it is taken from if a body parser already read it. `trustProxy` defaults to `app.proxy`.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function({req: import("./messages.js").IncomingRequest, request: {rawBody?: Uint8Array|string}, state: Object.<string, unknown>, app?: {proxy?: boolean}, status: number, body: unknown, set: function(Object.<string, string>): void}, function(): Promise<unknown>): Promise<void>} The middleware.
+ */
+export function createKoaMiddleware(policy) {
+    return async (ctx, next) => {
+        const trustProxy = policy.trustProxy ?? Boolean(ctx.app?.proxy);
+        const result = await verifyIncomingMessage({ request: ctx.req, body: ctx.request.rawBody, policy: { ...policy, trustProxy } });
+        if (result.isErr()) {
+            ctx.status = result.error.status;
+            ctx.set(result.error.headers);
+            ctx.body = { error: result.error.error.message };
+            return;
+        }
+        ctx.state.signature = result.value.signature;
+        ctx.request.rawBody = result.value.body;
+        await next();
+    };
+}
+
+/**
+ * Creates a Fastify `preParsing` hook. The payload is buffered and verified, and handed on to the body parser as a new stream.
+ * On success, the verified signature is attached as `request.signature`. `trustProxy` defaults to `true` if the `trustProxy` option of
+ * the server is `true`; hop counts, addresses and functions are not evaluated, so pass `trustProxy` with those.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function({raw: import("./messages.js").IncomingRequest, server?: {initialConfig?: {trustProxy?: unknown}}, signature?: import("./index.js").VerificationResult}, {code: function(number): unknown, headers: function(Object.<string, string>): unknown, send: function(unknown): unknown}, AsyncIterable<Uint8Array|string>): Promise<unknown>} The hook.
+ */
+export function createFastifyHook(policy) {
+    return async (request, reply, payload) => {
+        const resultOfBody = await readBody(payload, policy.maxBodySize ?? DEFAULT_MAX_BODY_SIZE);
+        const trustProxy = policy.trustProxy ?? request.server?.initialConfig?.trustProxy === true;
+        const result = resultOfBody.isErr() ?
+            err(toBodyRejection(resultOfBody.error)) :
+            await verifyIncomingMessage({ request: request.raw, body: resultOfBody.value, policy: { ...policy, trustProxy } });
+        if (result.isErr()) {
+            reply.code(result.error.status);
+            reply.headers(result.error.headers);
+            return reply.send({ error: result.error.error.message });
+        }
+        request.signature = result.value.signature;
+        const { Readable } = await import('node:stream');
+        return Readable.from([result.value.body]);
+    };
+}
+
+/**
+ * Sends a rejection as a JSON response.
+ *
+ * @param {ServerResponse} res - The response.
+ * @param {Rejection} rejection - The rejection.
+ */
+function reject(res, { status, headers, error }) {
+    res.writeHead(status, { ...headers, 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: error.message }));
+}
+
+/**
+ * Creates a 401 rejection that tells the client which signature is expected.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @param {import("./errors.js").SignatureError} error - Why the signature was rejected.
+ * @returns {Rejection} The rejection.
+ */
+function createUnauthorized(policy, error) {
+    const resultOfAcceptSignature = createAcceptSignature({
+        signatureLabel: policy.signatureLabel ?? 'sig1',
+        requiredInputs: policy.requiredInputs,
+        requiredParams: policy.requiredParams,
+        params: policy.acceptSignatureParams,
+    });
+    return { status: 401, headers: resultOfAcceptSignature.isOk() ? { 'accept-signature': resultOfAcceptSignature.value } : {}, error };
+}
+
+/**
+ * Creates the rejection of a request whose body could not be read: 413 if it exceeds the limit, and 400 if the stream failed,
+ * e.g. because the client aborted the request.
+ *
+ * @param {import("./errors.js").SignatureError} error - Why the body could not be read.
+ * @returns {Rejection} The rejection.
+ */
+function toBodyRejection(error) {
+    return { status: error.code === 'BODY_TOO_LARGE' ? 413 : 400, headers: {}, error };
+}
+
+/**
+ * Reads a body stream into memory.
+ *
+ * @param {AsyncIterable<Uint8Array|string>} stream - The body stream.
+ * @param {number} maxBodySize - The maximum size in bytes.
+ * @returns {Promise<import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>>} The body, or `BODY_TOO_LARGE` or `BODY_READ_FAILED`.
+ */
+async function readBody(stream, maxBodySize) {
+    /** @type {Uint8Array[]} */
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of stream) {
+            const bytes = typeof chunk === 'string' ? new TextEncoder().encode(chunk) : chunk;
+            size += bytes.byteLength;
+            if (size > maxBodySize) {
+                return err({
+                    type: 'validation',
+                    code: 'BODY_TOO_LARGE',
+                    message: 'Body too large',
+                    context: `Body exceeds the limit of ${maxBodySize} bytes`,
+                    details: { limit: maxBodySize }
+                });
+            }
+            chunks.push(bytes);
+        }
+    } catch (error) {
+        return err({
+            type: 'error',
+            code: 'BODY_READ_FAILED',
+            message: 'Failed to read body',
+            context: error,
+            details: {}
+        });
+    }
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return ok(body);
+}
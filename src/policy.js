@@ -0,0 +1,274 @@
+import { Result, err, ok } from 'neverthrow';
+import { decodeDict, Item } from 'structured-field-values';
+import { toComponentIdentifier } from './components.js';
+import { verifySignatureOfRequest } from './index.js';
+import { normalizeRequest } from './messages.js';
+
+/**
+ * @typedef {object} PolicyRequirements
+ * What the signature of a request must satisfy. On a route, each requirement that is set replaces the one of the policy.
+ * @property {import("./components.js").ComponentIdentifier[]=} requiredInputs - The components the signature must cover.
+ * @property {string[]=} requiredParams - The parameters the signature must have.
+ * @property {string[]=} algorithms - The allowed values of the `alg` parameter. If set, the signature must have an `alg` parameter.
+ * @property {string[]=} tags - The allowed values of the `tag` parameter. If set, the signature must have a `tag` parameter.
+ * @property {number=} maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @property {boolean=} requireDigest - Whether the signature must cover `content-digest` or `repr-digest`, so that the body is verified.
+ */
+
+/**
+ * @typedef {PolicyRequirements & {method?: (string|string[]), path: string}} RouteRule
+ * The requirements for the requests to a route. `method` is a method or a list of methods, and defaults to any method.
+ * `path` is a pattern of the URL path: literal segments, `:name` for any one segment, and `*` as the last segment for
+ * any remaining segments, so that `/*` matches every path. Paths are compared after decoding percent-escapes of unreserved
+ * characters and removing a trailing slash.
+ */
+
+/**
+ * @typedef {object} RoutePolicyOptions
+ * @property {RouteRule[]} routes - The routes, tried in order. The first one that matches the method and path of the request applies; requests that match none are rejected.
+ * @property {number} maxAge - The maximum age (in seconds) of signatures, unless a route sets its own.
+ * @property {string=} signatureLabel - The label of the signature to verify. Defaults to `sig1`.
+ * @property {number=} clockSkew - The tolerance (in seconds) for clock differences with the signer.
+ * @property {function(): number=} now - Returns the current time in milliseconds since the epoch.
+ * @property {import("./replay.js").ReplayStore=} replayStore - Rejects reused nonces.
+ * @property {import("./digest.js").DigestOptions=} digestOptions - How covered digest fields are checked.
+ * @property {boolean=} trustProxy - Whether to take the scheme and authority of a Node.js `IncomingMessage` from the headers set by a reverse proxy. Defaults to `false`.
+ * @property {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} verify - The verification function.
+ */
+
+/**
+ * @typedef {PolicyRequirements & RoutePolicyOptions} RoutePolicy
+ * A declarative verification policy: the requirements of the policy apply to every route that does not set its own.
+ */
+
+/**
+ * Digest fields that verify the body when covered without the `req` parameter.
+ */
+const BODY_DIGEST_FIELDS = ['content-digest', 'repr-digest'];
+
+/**
+ * Verifies the signature of a request against the route of a policy that matches its method and path. Requirements that
+ * the signature does not meet are reported as `POLICY_VIOLATION` errors, whose `details` name the route and the failed `rule`:
+ * `route` if no route matches, or the name of the requirement. Other errors, such as an invalid signature, are returned as they are.
+ *
+ * @param {object} params - The parameters for verifying the request.
+ * @param {RoutePolicy} params.policy - The verification policy.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{route: string, signature: import("./index.js").VerificationResult}, import("./errors.js").SignatureError>>} The route that applied and the verified signature.
+ */
+export async function verifyWithPolicy({ policy, request }) {
+    const resultOfRequest = normalizeRequest(request, { trustProxy: policy.trustProxy ?? false });
+    if (resultOfRequest.isErr()) {
+        return err(resultOfRequest.error);
+    }
+    const message = resultOfRequest.value;
+    const rule = policy.routes.find((candidate) => matchesRoute(candidate, message.method, message.url.pathname));
+    if (!rule) {
+        return err({
+            type: 'validation',
+            code: 'POLICY_VIOLATION',
+            message: 'Policy violation',
+            context: `No route matches ${message.method} ${message.url.pathname}`,
+            details: { rule: 'route' }
+        });
+    }
+    const route = describeRoute(rule);
+    /** @type {Required<Pick<PolicyRequirements, 'requiredInputs'|'requiredParams'|'maxAge'>> & PolicyRequirements} */
+    const requirements = {
+        requiredInputs: rule.requiredInputs ?? policy.requiredInputs ?? [],
+        requiredParams: rule.requiredParams ?? policy.requiredParams ?? [],
+        algorithms: rule.algorithms ?? policy.algorithms,
+        tags: rule.tags ?? policy.tags,
+        maxAge: rule.maxAge ?? policy.maxAge,
+        requireDigest: rule.requireDigest ?? policy.requireDigest ?? false,
+    };
+
+    const stringOfSignatureInputDictionary = message.headers.get('signature-input');
+    const stringOfSignatureDictionary = message.headers.get('signature');
+    if (stringOfSignatureInputDictionary === null || stringOfSignatureDictionary === null) {
+        return err({
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'Missing signature',
+            context: 'Request has no Signature-Input or Signature header',
+            details: {}
+        });
+    }
+    const signatureLabel = policy.signatureLabel ?? 'sig1';
+    // enforce the rules that need no verification first, so that a signature that breaks them is not verified and its nonce not recorded
+    const signatureInput = readSignatureInput(stringOfSignatureInputDictionary, signatureLabel);
+    const violationOfInput = signatureInput && checkSignatureInput(signatureInput, route, requirements);
+    if (violationOfInput) {
+        return err(violationOfInput);
+    }
+    const resultOfVerification = await verifySignatureOfRequest({
+        stringOfSignatureInputDictionary,
+        stringOfSignatureDictionary,
+        signatureLabel,
+        requiredInputs: requirements.requiredInputs,
+        requiredParams: requirements.requiredParams,
+        maxAge: requirements.maxAge,
+        clockSkew: policy.clockSkew,
+        now: policy.now,
+        replayStore: policy.replayStore,
+        digestOptions: policy.digestOptions,
+        request: message,
+        verify: policy.verify,
+    });
+    if (resultOfVerification.isErr()) {
+        return err(toPolicyViolation(resultOfVerification.error, route, requirements));
+    }
+    return ok({ route, signature: resultOfVerification.value });
+}
+
+/**
+ * Reads the covered components and parameters of the signature to verify.
+ *
+ * @param {string} stringOfSignatureInputDictionary - The `Signature-Input` header.
+ * @param {string} signatureLabel - The label of the signature.
+ * @returns {{components: import("./components.js").ComponentIdentifier[], params: Object.<string, unknown>}|undefined} The signature input,
+ * or `undefined` if it is malformed or missing, which the verification reports.
+ */
+function readSignatureInput(stringOfSignatureInputDictionary, signatureLabel) {
+    const resultOfDictionary = Result.fromThrowable(() => decodeDict(stringOfSignatureInputDictionary), () => undefined)();
+    if (resultOfDictionary.isErr()) {
+        return undefined;
+    }
+    const dictionary = resultOfDictionary.value;
+    const member = dictionary instanceof Map ? dictionary.get(signatureLabel) : Object.prototype.hasOwnProperty.call(dictionary, signatureLabel) ? dictionary[signatureLabel] : undefined;
+    if (!(member instanceof Item) || !Array.isArray(member.value) || !member.value.every((item) => item instanceof Item && typeof item.value === 'string')) {
+        return undefined;
+    }
+    return { components: member.value.map(toComponentIdentifier), params: Object.fromEntries(Object.entries(member.params ?? {})) };
+}
+
+/**
+ * Checks the rules of a route that only depend on the signature input: `requireDigest`, `algorithms` and `tags`.
+ *
+ * @param {{components: import("./components.js").ComponentIdentifier[], params: Object.<string, unknown>}} signatureInput - The signature input.
+ * @param {string} route - The route.
+ * @param {PolicyRequirements} requirements - The requirements of the route.
+ * @returns {import("./errors.js").SignatureError|undefined} The violation, if any.
+ */
+function checkSignatureInput({ components, params }, route, requirements) {
+    const alg = typeof params.alg === 'string' ? params.alg : undefined;
+    const tag = typeof params.tag === 'string' ? params.tag : undefined;
+    if (requirements.requireDigest && !components.some(coversBody)) {
+        return violation(route, 'requireDigest', 'Signature does not cover content-digest or repr-digest', {});
+    }
+    if (requirements.algorithms && (alg === undefined || !requirements.algorithms.includes(alg))) {
+        return violation(route, 'algorithms', alg === undefined ? 'Signature has no alg parameter' : `Algorithm "${alg}" is not allowed`, { parameter: 'alg', value: alg });
+    }
+    if (requirements.tags && (tag === undefined || !requirements.tags.includes(tag))) {
+        return violation(route, 'tags', tag === undefined ? 'Signature has no tag parameter' : `Tag "${tag}" is not allowed`, { parameter: 'tag', value: tag });
+    }
+    return undefined;
+}
+
+/**
+ * Checks whether a route matches the method and path of a request.
+ *
+ * @param {RouteRule} rule - The route.
+ * @param {string} method - The request method.
+ * @param {string} pathname - The path of the request URL.
+ * @returns {boolean} Whether the route matches.
+ */
+function matchesRoute(rule, method, pathname) {
+    const methods = rule.method === undefined ? undefined : [rule.method].flat().map((name) => name.toUpperCase());
+    if (methods && !methods.includes(method.toUpperCase())) {
+        return false;
+    }
+    const patternSegments = normalizePath(rule.path).split('/');
+    const pathSegments = normalizePath(pathname).split('/');
+    for (let i = 0; i < patternSegments.length; i++) {
+        const patternSegment = patternSegments[i];
+        if (patternSegment === '*' && i === patternSegments.length - 1) {
+            return true;
+        }
+        if (i >= pathSegments.length) {
+            return false;
+        }
+        if (patternSegment.startsWith(':') ? pathSegments[i] === '' : patternSegment !== pathSegments[i]) {
+            return false;
+        }
+    }
+    return patternSegments.length === pathSegments.length;
+}
+
+/**
+ * Normalizes a path for matching: percent-escapes of unreserved characters are decoded, the other escapes are uppercased,
+ * and a trailing slash is removed, so that `/pay%6dents/` matches the route `/payments`.
+ *
+ * @param {string} path - The path.
+ * @returns {string} The normalized path.
+ */
+function normalizePath(path) {
+    const decoded = path.replace(/%([0-9A-Fa-f]{2})/g, (escape, hex) => {
+        const character = String.fromCharCode(parseInt(hex, 16));
+        return /^[A-Za-z0-9\-._~]$/.test(character) ? character : escape.toUpperCase();
+    });
+    return decoded.length > 1 && decoded.endsWith('/') ? decoded.slice(0, -1) : decoded;
+}
+
+/**
+ * Describes a route for error reporting.
+ *
+ * @param {RouteRule} rule - The route.
+ * @returns {string} The methods and the path pattern, e.g. `POST /payments/:id`.
+ */
+function describeRoute(rule) {
+    return `${rule.method === undefined ? '*' : [rule.method].flat().join(',')} ${rule.path}`;
+}
+
+/**
+ * Checks whether a covered component verifies the body.
+ *
+ * @param {import("./components.js").ComponentIdentifier} component - The covered component.
+ * @returns {boolean} Whether it is a digest field of the request itself.
+ */
+function coversBody(component) {
+    return typeof component === 'string' ?
+        BODY_DIGEST_FIELDS.includes(component) :
+        BODY_DIGEST_FIELDS.includes(component.component) && component.parameters.req !== true;
+}
+
+/**
+ * Reports an error of the verification that a requirement of the route caused as a violation of that requirement.
+ *
+ * @param {import("./errors.js").SignatureError} error - The error.
+ * @param {string} route - The route.
+ * @param {PolicyRequirements} requirements - The requirements of the route.
+ * @returns {import("./errors.js").SignatureError} The violation, or the error if it is not one.
+ */
+function toPolicyViolation(error, route, requirements) {
+    if (error.code === 'UNCOVERED_COMPONENT') {
+        return violation(route, 'requiredInputs', error, { component: error.details.component });
+    }
+    if (error.code === 'MISSING_PARAMETER' && requirements.requiredParams?.includes(error.details.parameter)) {
+        return violation(route, 'requiredParams', error, { parameter: error.details.parameter });
+    }
+    // an expired `expires` parameter is not a requirement of the route
+    if (error.code === 'SIGNATURE_EXPIRED' && error.details.expires === undefined) {
+        return violation(route, 'maxAge', error, { parameter: 'created', value: String(error.details.created) });
+    }
+    return error;
+}
+
+/**
+ * Creates the error for a requirement that the signature does not meet.
+ *
+ * @param {string} route - The route.
+ * @param {('requiredInputs'|'requiredParams'|'algorithms'|'tags'|'maxAge'|'requireDigest')} rule - The requirement.
+ * @param {unknown} context - What is wrong, or the error of the verification.
+ * @param {{component?: string, parameter?: string, value?: string}} details - The component or parameter that violates the requirement.
+ * @returns {import("./errors.js").LibraryError} The error.
+ */
+function violation(route, rule, context, details) {
+    return {
+        type: 'validation',
+        code: 'POLICY_VIOLATION',
+        message: 'Policy violation',
+        context,
+        details: { route, rule, ...details }
+    };
+}
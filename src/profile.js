@@ -0,0 +1,191 @@
+import { err, ok } from 'neverthrow';
+import { createNonce } from './accept.js';
+import { ALGORITHMS, createSigner } from './algorithms.js';
+
+/**
+ * @typedef {object} SigningProfile
+ * How outgoing requests are signed.
+ * @property {string=} signatureLabel - The label of the signature. Defaults to `sig1`.
+ * @property {import("./components.js").ComponentIdentifier[]} signatureInputs - The covered components. `content-digest` is added for requests with a body.
+ * @property {string=} keyid - The `keyid` parameter.
+ * @property {string=} alg - The `alg` parameter.
+ * @property {string=} tag - The `tag` parameter.
+ * @property {boolean=} nonce - Whether to add a random `nonce` parameter. Defaults to `true`.
+ * @property {number=} expiresIn - If present, an `expires` parameter is added this many seconds after `created`.
+ * @property {import("./digest.js").DigestAlgorithm[]=} contentDigestAlgorithms - The algorithms for the `Content-Digest` of requests with a body. Defaults to `['sha-256']`.
+ * @property {function(): number=} now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @property {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} sign - The signing function.
+ */
+
+/**
+ * The signature parameters defined by RFC 9421, section 2.3, and the type of their values.
+ *
+ * @type {Readonly<Object.<string, ('integer'|'string')>>}
+ */
+const PARAM_TYPES = Object.freeze({
+    created: 'integer',
+    expires: 'integer',
+    nonce: 'string',
+    alg: 'string',
+    keyid: 'string',
+    tag: 'string',
+});
+
+/**
+ * The largest absolute value of a structured field integer (RFC 8941, section 3.3.1).
+ */
+const MAX_INTEGER = 999999999999999;
+
+/**
+ * The bound of the absolute value of a structured field decimal, which has at most 12 integer digits (RFC 8941, section 3.3.2).
+ */
+const MAX_DECIMAL = 1e12;
+
+/**
+ * Creates a signing profile for a key, with the `keyid` and `alg` parameters taken from the key.
+ * Pass the result of `importKeyFromJwk` or `importKeyFromPem`, or any `{key, alg, keyid?}`. The parameters are
+ * validated up front, so that a misconfigured profile fails when it is created instead of on the first request.
+ *
+ * @param {object} params - The parameters for creating the profile.
+ * @param {import("./keys.js").ResolvedKey} params.key - The private key (or HMAC secret key) and its algorithm.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - The covered components.
+ * @param {string=} params.signatureLabel - The label of the signature. Defaults to `sig1`.
+ * @param {string=} params.keyid - The `keyid` parameter. Defaults to the `keyid` of the key.
+ * @param {boolean=} params.includeAlg - Whether to add the `alg` parameter. Defaults to `true`.
+ * @param {string=} params.tag - The `tag` parameter.
+ * @param {boolean=} params.nonce - Whether to add a random `nonce` parameter. Defaults to `true`.
+ * @param {number=} params.expiresIn - If present, an `expires` parameter is added this many seconds after `created`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - The algorithms for the `Content-Digest` of requests with a body. Defaults to `['sha-256']`.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {import("neverthrow").Result<SigningProfile, import("./errors.js").SignatureError>} The signing profile.
+ */
+export function createSigningProfile({
+    key,
+    signatureInputs,
+    signatureLabel,
+    keyid = key.keyid,
+    includeAlg = true,
+    tag,
+    nonce,
+    expiresIn,
+    contentDigestAlgorithms,
+    now,
+}) {
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, key.alg)) {
+        return err({
+            type: 'validation',
+            code: 'UNSUPPORTED_ALGORITHM',
+            message: 'Unsupported algorithm',
+            context: `Unsupported algorithm "${key.alg}"`,
+            details: { alg: key.alg }
+        });
+    }
+    if (expiresIn !== undefined && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+        return err({
+            type: 'validation',
+            code: 'INVALID_PARAMETER',
+            message: 'Invalid signing profile',
+            context: 'expiresIn must be a positive integer',
+            details: { parameter: 'expires' }
+        });
+    }
+    /** @type {SigningProfile} */
+    const profile = {
+        signatureLabel,
+        signatureInputs,
+        keyid,
+        alg: includeAlg ? key.alg : undefined,
+        tag,
+        nonce,
+        expiresIn,
+        contentDigestAlgorithms,
+        now,
+        sign: createSigner({ alg: key.alg, key: key.key }),
+    };
+    const resultOfParams = createSignatureParams(profile);
+    if (resultOfParams.isErr()) {
+        return err(resultOfParams.error);
+    }
+    return ok(profile);
+}
+
+/**
+ * Creates the signature parameters for a signature made with a profile: `created` from the clock of the profile,
+ * `expires` from `expiresIn`, a random `nonce` and `keyid`, `alg` and `tag` as configured.
+ *
+ * @param {SigningProfile} profile - The signing profile.
+ * @returns {import("neverthrow").Result<Object.<string, (number|string)>, import("./errors.js").SignatureError>} The signature parameters.
+ */
+export function createSignatureParams(profile) {
+    const created = Math.floor((profile.now ?? Date.now)() / 1000);
+    /** @type {Object.<string, unknown>} */
+    const params = { created };
+    if (profile.expiresIn !== undefined) {
+        params.expires = created + profile.expiresIn;
+    }
+    if (profile.nonce ?? true) {
+        params.nonce = createNonce();
+    }
+    for (const name of /** @type {const} */ (['keyid', 'alg', 'tag'])) {
+        const value = profile[name];
+        if (value !== undefined) {
+            params[name] = value;
+        }
+    }
+    return validateSignatureParams(params);
+}
+
+/**
+ * Checks that signature parameters can be serialized into `Signature-Input`: names must be structured field keys,
+ * values strings of printable ASCII characters or numbers, and the parameters defined by RFC 9421 must have
+ * the type it gives them (`created` and `expires` integers, `nonce`, `alg`, `keyid` and `tag` strings).
+ *
+ * @param {Object.<string, unknown>} params - The signature parameters.
+ * @returns {import("neverthrow").Result<Object.<string, (number|string)>, import("./errors.js").SignatureError>} The signature parameters.
+ */
+export function validateSignatureParams(params) {
+    for (const [name, value] of Object.entries(params)) {
+        const context = getParamError(name, value);
+        if (context !== undefined) {
+            return err({
+                type: 'validation',
+                code: 'INVALID_PARAMETER',
+                message: 'Invalid signature parameter',
+                context,
+                details: { parameter: name }
+            });
+        }
+    }
+    return ok(/** @type {Object.<string, (number|string)>} */ (params));
+}
+
+/**
+ * Describes what is wrong with a signature parameter.
+ *
+ * @param {string} name - The parameter name.
+ * @param {unknown} value - The parameter value.
+ * @returns {string|undefined} The description, or `undefined` if the parameter is valid.
+ */
+function getParamError(name, value) {
+    if (!/^[a-z*][a-z0-9_\-.*]*$/.test(name)) {
+        return `Invalid parameter name "${name}"`;
+    }
+    const type = Object.prototype.hasOwnProperty.call(PARAM_TYPES, name) ? PARAM_TYPES[name] : undefined;
+    if (typeof value === 'string') {
+        if (type === 'integer') {
+            return `Parameter "${name}" must be an integer`;
+        }
+        return /^[\x20-\x7e]*$/.test(value) ? undefined : `Parameter "${name}" must only contain printable ASCII characters`;
+    }
+    if (typeof value === 'number') {
+        if (type === 'string') {
+            return `Parameter "${name}" must be a string`;
+        }
+        if (type === 'integer' && !Number.isInteger(value)) {
+            return `Parameter "${name}" must be an integer`;
+        }
+        const isInRange = Number.isInteger(value) ? Math.abs(value) <= MAX_INTEGER : Number.isFinite(value) && Math.abs(value) < MAX_DECIMAL;
+        return isInRange ? undefined : `Parameter "${name}" is out of range`;
+    }
+    return `Parameter "${name}" must be ${type === 'integer' ? 'an integer' : type === 'string' ? 'a string' : 'a string or a number'}`;
+}
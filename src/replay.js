@@ -0,0 +1,38 @@
+/**
+ * @typedef {object} ReplayStore
+ * A store of the nonces that have been seen, e.g. backed by Redis in a multi-instance deployment.
+ * @property {function(string, number): Promise<boolean>} add - Stores the key for the given time to live in seconds, unless it is
+ * already stored and has not expired. Resolves to whether the key was stored. Checking and storing the key must be a single
+ * atomic operation, such as `SET key 1 NX EX ttl` in Redis, so that concurrent requests with the same nonce cannot both be accepted.
+ */
+
+/**
+ * Creates an in-memory replay store that keeps at most `maxEntries` entries and evicts the least recently used ones first.
+ * Entries are only shared within the process; use a shared store when verifying on multiple instances.
+ *
+ * @param {object} [params] - The parameters for creating the store.
+ * @param {number=} params.maxEntries - The maximum number of entries. Defaults to 10000.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {ReplayStore} The replay store.
+ */
+export function createInMemoryReplayStore({ maxEntries = 10000, now = Date.now } = {}) {
+    /** @type {Map<string, {expiresAt: number}>} */
+    const entries = new Map();
+    return {
+        add: async (key, ttl) => {
+            const entry = entries.get(key);
+            entries.delete(key);
+            if (entry && entry.expiresAt > now()) {
+                // re-insert to mark the entry as most recently used
+                entries.set(key, entry);
+                return false;
+            }
+            entries.set(key, { expiresAt: now() + ttl * 1000 });
+            while (entries.size > maxEntries) {
+                const { value: oldestKey } = /** @type {IteratorYieldResult<string>} */ (entries.keys().next());
+                entries.delete(oldestKey);
+            }
+            return true;
+        },
+    };
+}
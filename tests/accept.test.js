@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createAcceptSignature, createSignatureForRequest, parseAcceptSignature, verifySignatureOfRequest } from '../src/index.js';
+import { err } from 'neverthrow';
+
+describe('createAcceptSignature (Unit Tests)', () => {
+    // RFC 9421 Section 5.1
+    it('should serialize the required components and parameters', () => {
+        const result = createAcceptSignature({
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', '@target-uri', '@authority', 'content-digest', 'cache-control'],
+            requiredParams: ['created'],
+            params: { keyid: 'test-key-rsa-pss', tag: 'app-123' },
+        });
+
+        assert.strictEqual(result._unsafeUnwrap(), 'sig1=("@method" "@target-uri" "@authority" "content-digest" "cache-control");created;keyid="test-key-rsa-pss";tag="app-123"');
+    });
+
+    it('should serialize component parameters', () => {
+        const result = createAcceptSignature({
+            signatureLabel: 'sig1',
+            requiredInputs: [{ component: '@query-param', parameters: { name: 'Pet' } }, { component: 'example-dict', parameters: { key: 'a' } }],
+            requiredParams: ['created', 'nonce'],
+        });
+
+        assert.strictEqual(result._unsafeUnwrap(), 'sig1=("@query-param";name="Pet" "example-dict";key="a");created;nonce');
+    });
+});
+
+describe('parseAcceptSignature (Unit Tests)', () => {
+    it('should return the arguments for creating the requested signature', () => {
+        const result = parseAcceptSignature({
+            stringOfAcceptSignature: 'sig1=("@method" "@target-uri" "@query-param";name="Pet");keyid="test-key-rsa-pss";created;expires;tag="app-123"',
+            expiresIn: 60,
+            now: () => 1618884473000,
+        });
+
+        assert.deepStrictEqual(result._unsafeUnwrap(), [{
+            signatureLabel: 'sig1',
+            signatureInputs: ['@method', '@target-uri', { component: '@query-param', parameters: { name: 'Pet' } }],
+            additionalParams: { keyid: 'test-key-rsa-pss', created: 1618884473, expires: 1618884533, tag: 'app-123' },
+        }]);
+    });
+
+    it('should fill in requested parameters from the given values and create nonces', () => {
+        const result = parseAcceptSignature({
+            stringOfAcceptSignature: 'sig1=("@method");keyid;nonce, sig2=("@authority");alg',
+            params: { keyid: 'my-key', alg: 'ed25519' },
+        });
+
+        const [sig1, sig2] = result._unsafeUnwrap();
+        assert.strictEqual(sig1.additionalParams.keyid, 'my-key');
+        assert.match(String(sig1.additionalParams.nonce), /^[A-Za-z0-9_-]{22}$/);
+        assert.deepStrictEqual(sig2, { signatureLabel: 'sig2', signatureInputs: ['@authority'], additionalParams: { alg: 'ed25519' } });
+    });
+
+    it('should return an error if a requested parameter has no value', () => {
+        const result = parseAcceptSignature({ stringOfAcceptSignature: 'sig1=("@method");keyid' });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'MISSING_PARAMETER',
+            message: 'Missing signature parameter',
+            context: 'No value given for parameter "keyid" requested by Accept-Signature for "sig1"',
+            details: { parameter: 'keyid' },
+        }));
+    });
+
+    it('should return an error if a member is not an inner list', () => {
+        const result = parseAcceptSignature({ stringOfAcceptSignature: 'sig1="@method"' });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_ACCEPT_SIGNATURE',
+            message: 'Invalid Accept-Signature',
+            context: 'Invalid Accept-Signature for "sig1"',
+            details: { label: 'sig1' },
+        }));
+    });
+
+    it('should create a signature that satisfies the policy the header was created from', async () => {
+        const policy = { requiredInputs: ['@method', '@authority'], requiredParams: ['created', 'keyid'] };
+        const request = { headers: new Headers(), url: new URL('https://example.com/foo'), method: 'POST' };
+        const stringOfAcceptSignature = createAcceptSignature({ signatureLabel: 'sig1', ...policy })._unsafeUnwrap();
+
+        const [args] = parseAcceptSignature({ stringOfAcceptSignature, params: { keyid: 'my-key' } })._unsafeUnwrap();
+        const signature = await createSignatureForRequest({ ...args, request, sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])) });
+        const { signatureInput, signature: stringOfSignatureDictionary } = signature._unsafeUnwrap();
+        const result = await verifySignatureOfRequest({
+            ...policy,
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary,
+            signatureLabel: 'sig1',
+            maxAge: 300,
+            request,
+            verify: async ({ ok }) => ok(true),
+        });
+
+        assert(result.isOk());
+    });
+});
@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { KeyObject, sign as nodeSign, verify as nodeVerify } from 'node:crypto';
+import { createSignatureForRequest, createSigner, createVerifier, ecdsaSignatureFromDer, ecdsaSignatureToDer, verifySignatureOfRequest } from '../src/index.js';
+import { ok, err } from 'neverthrow';
+
+/**
+ * @param {string} alg
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: CryptoKey}>}
+ */
+async function generateKeyPair(alg) {
+    switch (alg) {
+        case 'rsa-pss-sha512':
+            return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'RSA-PSS', hash: 'SHA-512', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) }, true, ['sign', 'verify']));
+        case 'rsa-v1_5-sha256':
+            return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) }, true, ['sign', 'verify']));
+        case 'hmac-sha256': {
+            const key = /** @type {CryptoKey} */ (await crypto.subtle.generateKey({ name: 'HMAC', hash: 'SHA-256' }, true, ['sign', 'verify']));
+            return { privateKey: key, publicKey: key };
+        }
+        case 'ecdsa-p256-sha256':
+            return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']));
+        case 'ecdsa-p384-sha384':
+            return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-384' }, true, ['sign', 'verify']));
+        case 'ed25519':
+            return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        default:
+            throw new Error('Unknown algorithm ' + alg);
+    }
+}
+
+const request = {
+    headers: new Headers({ 'Content-Type': 'application/json' }),
+    url: new URL('https://example.com/foo?bar=baz'),
+    method: 'POST',
+    body: null,
+};
+
+describe('createSigner and createVerifier (Unit Tests)', () => {
+    for (const alg of /** @type {const} */ (['rsa-pss-sha512', 'rsa-v1_5-sha256', 'hmac-sha256', 'ecdsa-p256-sha256', 'ecdsa-p384-sha384', 'ed25519'])) {
+        it(`should sign and verify a request with ${alg}`, async () => {
+            const { privateKey, publicKey } = await generateKeyPair(alg);
+            const nowInSeconds = Math.floor(Date.now() / 1000);
+
+            const createResult = await createSignatureForRequest({
+                signatureInputs: ['@method', '@target-uri', 'content-type'],
+                signatureLabel: 'sig1',
+                additionalParams: { keyid: 'test-key', alg, created: nowInSeconds },
+                request,
+                sign: createSigner({ alg, key: privateKey }),
+            });
+            assert(createResult.isOk());
+
+            const verifyResult = await verifySignatureOfRequest({
+                stringOfSignatureInputDictionary: createResult.value.signatureInput,
+                stringOfSignatureDictionary: createResult.value.signature,
+                signatureLabel: 'sig1',
+                requiredInputs: ['@method', '@target-uri', 'content-type'],
+                requiredParams: ['keyid', 'alg', 'created'],
+                maxAge: 300,
+                request,
+                verify: createVerifier({ alg, key: publicKey }),
+            });
+            assert(verifyResult.isOk());
+            assert.strictEqual(verifyResult.value.alg, alg);
+        });
+    }
+
+    it('should reject a signature made over a different signature base', async () => {
+        const { privateKey, publicKey } = await generateKeyPair('ed25519');
+        const signature = new Uint8Array(/** @type {ArrayBuffer} */ ((await createSigner({ alg: 'ed25519', key: privateKey })({ signatureBase: 'a', params: {} }))._unsafeUnwrap()));
+
+        const result = await createVerifier({ alg: 'ed25519', key: publicKey })({ signatureBase: 'b', params: {}, signature });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'SIGNATURE_MISMATCH',
+            message: 'Signature verification didn\'t pass',
+            context: 'Signature does not match the signature base for algorithm ed25519',
+            details: { alg: 'ed25519' },
+        }));
+    });
+
+    it('should reject a signature whose alg parameter does not match the verifier', async () => {
+        const { publicKey } = await generateKeyPair('ed25519');
+
+        const result = await createVerifier({ alg: 'ed25519', key: publicKey })({ signatureBase: 'a', params: { alg: 'hmac-sha256' }, signature: new Uint8Array(64) });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: 'Signature parameter "alg" is "hmac-sha256" but the key is used with "ed25519"',
+            details: { alg: 'hmac-sha256' },
+        }));
+    });
+
+    it('should reject a key that does not match the algorithm', async () => {
+        const { privateKey } = await generateKeyPair('ecdsa-p384-sha384');
+
+        const result = await createSigner({ alg: 'ecdsa-p256-sha256', key: privateKey })({ signatureBase: 'a', params: {} });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: 'Key of type ECDSA P-384 cannot be used with algorithm "ecdsa-p256-sha256"',
+            details: { alg: 'ecdsa-p256-sha256' },
+        }));
+    });
+
+    it('should reject DER-encoded ECDSA signatures', async () => {
+        const { privateKey, publicKey } = await generateKeyPair('ecdsa-p256-sha256');
+        const derSignature = nodeSign('sha256', Buffer.from('a'), { key: KeyObject.from(privateKey), dsaEncoding: 'der' });
+
+        const result = await createVerifier({ alg: 'ecdsa-p256-sha256', key: publicKey })({ signatureBase: 'a', params: {}, signature: new Uint8Array(derSignature) });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE',
+            message: 'Invalid signature length for algorithm ecdsa-p256-sha256',
+            context: `Expected a 64 byte raw r||s signature, got ${derSignature.byteLength} bytes`,
+            details: {},
+        }));
+    });
+});
+
+describe('ecdsaSignatureFromDer and ecdsaSignatureToDer (Unit Tests)', () => {
+    for (const [alg, hash, namedCurve] of /** @type {const} */ ([['ecdsa-p256-sha256', 'sha256', 'P-256'], ['ecdsa-p384-sha384', 'sha384', 'P-384']])) {
+        it(`should convert DER-encoded ${namedCurve} signatures to raw r||s`, async () => {
+            const { privateKey, publicKey } = await generateKeyPair(alg);
+            const verify = createVerifier({ alg, key: publicKey });
+            // several signatures, so that r or s with a leading zero byte are likely covered
+            for (let i = 0; i < 16; i++) {
+                const signatureBase = `signature base ${i}`;
+                const derSignature = nodeSign(hash, Buffer.from(signatureBase), { key: KeyObject.from(privateKey), dsaEncoding: 'der' });
+
+                const resultOfRaw = ecdsaSignatureFromDer({ alg, signature: new Uint8Array(derSignature) });
+                assert(resultOfRaw.isOk());
+
+                assert.deepStrictEqual(await verify({ signatureBase, params: {}, signature: resultOfRaw.value }), ok(true));
+            }
+        });
+    }
+
+    it('should convert raw r||s signatures back to DER', async () => {
+        const { privateKey, publicKey } = await generateKeyPair('ecdsa-p256-sha256');
+        const sign = createSigner({ alg: 'ecdsa-p256-sha256', key: privateKey });
+        for (let i = 0; i < 16; i++) {
+            const signatureBase = `signature base ${i}`;
+            const raw = new Uint8Array((await sign({ signatureBase, params: {} }))._unsafeUnwrap());
+
+            const der = ecdsaSignatureToDer({ alg: 'ecdsa-p256-sha256', signature: raw })._unsafeUnwrap();
+
+            assert(nodeVerify('sha256', Buffer.from(signatureBase), { key: KeyObject.from(publicKey), dsaEncoding: 'der' }, der));
+            assert.deepStrictEqual(ecdsaSignatureFromDer({ alg: 'ecdsa-p256-sha256', signature: der })._unsafeUnwrap(), raw);
+        }
+        assert.strictEqual(ecdsaSignatureToDer({ alg: 'ecdsa-p256-sha256', signature: new Uint8Array(72) })._unsafeUnwrapErr().code, 'INVALID_SIGNATURE');
+    });
+
+    it('should return an error for malformed DER input', () => {
+        const result = ecdsaSignatureFromDer({ alg: 'ecdsa-p256-sha256', signature: new Uint8Array([0x30, 0x03, 0x02, 0x05, 0x01]) });
+
+        assert.deepStrictEqual(result, err({
+            type: 'encoding',
+            code: 'INVALID_SIGNATURE',
+            message: 'Invalid DER-encoded ECDSA signature',
+            context: 'Expected SEQUENCE { INTEGER r, INTEGER s }',
+            details: {},
+        }));
+    });
+});
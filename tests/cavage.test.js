@@ -0,0 +1,276 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { KeyObject, sign as nodeSign, verify as nodeVerify } from 'node:crypto';
+import { createCavageSignature, createInMemoryReplayStore, createSigner, createVerifier, verifyCavageSignature, verifyIncomingMessage } from '../src/index.js';
+
+const created = 1700000000;
+const now = () => (created + 10) * 1000;
+
+/**
+ * Generates an RSASSA-PKCS1-v1_5 key pair, as used by Mastodon.
+ */
+async function generateRsaKeyPair() {
+    return /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' }, true, ['sign', 'verify']));
+}
+
+/**
+ * Creates a POST request to an inbox, the way an ActivityPub server delivers an activity.
+ */
+function createInboxRequest() {
+    return {
+        method: 'POST',
+        url: new URL('https://example.com/users/alice/inbox'),
+        headers: new Headers({ 'Host': 'example.com', 'Date': new Date(created * 1000).toUTCString(), 'Content-Type': 'application/activity+json' }),
+        body: '{"type":"Follow"}',
+    };
+}
+
+describe('createCavageSignature (Unit Tests)', () => {
+    it('should create the signing string and Signature header of draft-cavage-12', async () => {
+        const result = await createCavageSignature({
+            request: { method: 'GET', url: new URL('https://example.com/foo?param=value'), headers: new Headers({ 'Date': 'Sun, 05 Jan 2014 21:31:40 GMT' }) },
+            keyId: 'Test',
+            algorithm: 'hs2019',
+            headers: ['(request-target)', '(created)', 'Host', 'date'],
+            created: 1402170695,
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3]).buffer),
+        });
+
+        assert.deepStrictEqual(result._unsafeUnwrap(), {
+            signature: 'keyId="Test",algorithm="hs2019",created=1402170695,headers="(request-target) (created) host date",signature="AQID"',
+            signatureBase: '(request-target): get /foo?param=value\n(created): 1402170695\nhost: example.com\ndate: Sun, 05 Jan 2014 21:31:40 GMT',
+        });
+    });
+
+    it('should add a Digest header and pass the RFC 9421 alg to the signer', async () => {
+        /** @type {Object.<string, unknown>} */
+        let signParams = {};
+        const result = await createCavageSignature({
+            request: createInboxRequest(),
+            keyId: 'https://example.org/users/bob#main-key',
+            algorithm: 'rsa-sha256',
+            headers: ['(request-target)', 'host', 'date', 'digest'],
+            sign: async ({ params, ok }) => {
+                signParams = params;
+                return ok(new Uint8Array([1]).buffer);
+            },
+        });
+
+        const { signature, signatureBase, digest } = result._unsafeUnwrap();
+        assert.strictEqual(digest, 'SHA-256=GYwYnH3BiO6aICFt0ThC5bUIJ4byvqdpWtR8m5fNkww=');
+        assert.match(signatureBase, /\ndigest: SHA-256=GYwYnH3BiO6aICFt0ThC5bUIJ4byvqdpWtR8m5fNkww=$/);
+        assert.strictEqual(signature, 'keyId="https://example.org/users/bob#main-key",algorithm="rsa-sha256",headers="(request-target) host date digest",signature="AQ=="');
+        assert.deepStrictEqual(signParams, { keyid: 'https://example.org/users/bob#main-key', alg: 'rsa-v1_5-sha256' });
+    });
+
+    it('should reject (created) with algorithms other than hs2019 and unknown algorithms', async () => {
+        const sign = /** @type {Parameters<typeof createCavageSignature>[0]["sign"]} */ (async ({ ok }) => ok(new ArrayBuffer(1)));
+        const request = createInboxRequest();
+
+        const pseudoHeader = await createCavageSignature({ request, keyId: 'k', algorithm: 'rsa-sha256', headers: ['(created)'], sign });
+        assert.strictEqual(pseudoHeader._unsafeUnwrapErr().code, 'INVALID_SIGNATURE_INPUT');
+        const unknownAlgorithm = await createCavageSignature({ request, keyId: 'k', algorithm: 'dsa-sha1', headers: ['date'], sign });
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ (unknownAlgorithm._unsafeUnwrapErr()).details, { alg: 'dsa-sha1' });
+    });
+});
+
+describe('verifyCavageSignature (Unit Tests)', () => {
+    it('should verify a Mastodon-style signature and return the result shape of verifySignatureOfRequest', async () => {
+        const keyPair = await generateRsaKeyPair();
+        const request = createInboxRequest();
+        const { signature, digest } = (await createCavageSignature({
+            request,
+            keyId: 'https://example.org/users/bob#main-key',
+            algorithm: 'rsa-sha256',
+            headers: ['(request-target)', 'host', 'date', 'digest'],
+            sign: createSigner({ alg: 'rsa-v1_5-sha256', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        request.headers.set('Digest', /** @type {string} */ (digest));
+
+        const result = await verifyCavageSignature({
+            stringOfSignature: signature,
+            requiredInputs: ['@method', '@request-target', 'host', 'date', 'digest'],
+            requiredParams: ['keyid'],
+            maxAge: 300,
+            now,
+            request,
+            verify: createVerifier({ alg: 'rsa-v1_5-sha256', key: keyPair.publicKey }),
+        });
+
+        const { signatureBase, ...rest } = result._unsafeUnwrap();
+        assert.deepStrictEqual(rest, {
+            label: 'signature',
+            keyid: 'https://example.org/users/bob#main-key',
+            alg: 'rsa-v1_5-sha256',
+            tag: undefined,
+            created,
+            expires: undefined,
+            nonce: undefined,
+            params: { keyid: 'https://example.org/users/bob#main-key', alg: 'rsa-v1_5-sha256' },
+            components: ['@method', '@request-target', 'host', 'date', 'digest'],
+        });
+        assert.match(signatureBase, /^\(request-target\): post \/users\/alice\/inbox\nhost: example.com\n/);
+    });
+
+    it('should exchange ecdsa-sha256 signatures DER-encoded', async () => {
+        const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']));
+        const request = createInboxRequest();
+        const headers = ['(request-target)', 'host', 'date'];
+        const signed = (await createCavageSignature({
+            request,
+            keyId: 'https://example.org/users/bob#main-key',
+            algorithm: 'ecdsa-sha256',
+            headers,
+            sign: createSigner({ alg: 'ecdsa-p256-sha256', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        const der = Buffer.from(/** @type {string} */ (/signature="([^"]+)"/.exec(signed.signature)?.[1]), 'base64');
+        assert(nodeVerify('sha256', Buffer.from(signed.signatureBase), { key: KeyObject.from(keyPair.publicKey), dsaEncoding: 'der' }, der));
+
+        // a signature from a signer that only produces DER, such as OpenSSL
+        const signature = nodeSign('sha256', Buffer.from(signed.signatureBase), { key: KeyObject.from(keyPair.privateKey), dsaEncoding: 'der' }).toString('base64');
+        for (const stringOfSignature of [signed.signature, `keyId="https://example.org/users/bob#main-key",algorithm="ecdsa-sha256",headers="${headers.join(' ')}",signature="${signature}"`]) {
+            const result = await verifyCavageSignature({
+                stringOfSignature,
+                requiredInputs: [],
+                requiredParams: [],
+                maxAge: 300,
+                now,
+                request,
+                verify: createVerifier({ alg: 'ecdsa-p256-sha256', key: keyPair.publicKey }),
+            });
+            assert.strictEqual(result.isOk(), true);
+        }
+    });
+
+    it('should verify hs2019 signatures with created and expires, also from an Authorization header', async () => {
+        const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const request = createInboxRequest();
+        const { signature } = (await createCavageSignature({
+            request,
+            keyId: 'ed-key',
+            headers: ['(request-target)', '(created)', '(expires)'],
+            created,
+            expires: created + 60,
+            sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+
+        /** @param {Partial<Parameters<typeof verifyCavageSignature>[0]>} params */
+        const verify = (params) => verifyCavageSignature({
+            stringOfSignature: `Signature ${signature}`,
+            requiredInputs: ['@request-target'],
+            requiredParams: ['created', 'expires'],
+            maxAge: 300,
+            now,
+            request,
+            verify: createVerifier({ alg: 'ed25519', key: keyPair.publicKey }),
+            ...params,
+        });
+
+        const result = (await verify({}))._unsafeUnwrap();
+        assert.deepStrictEqual([result.alg, result.created, result.expires], [undefined, created, created + 60]);
+        assert.strictEqual((await verify({ now: () => (created + 61) * 1000 }))._unsafeUnwrapErr().code, 'SIGNATURE_EXPIRED');
+        assert.strictEqual((await verify({ requiredInputs: ['date'] }))._unsafeUnwrapErr().code, 'UNCOVERED_COMPONENT');
+        assert.strictEqual((await verify({ request: { ...request, url: new URL('https://example.com/users/carol/inbox') } }))._unsafeUnwrapErr().code, 'SIGNATURE_MISMATCH');
+    });
+
+    it('should reject malformed headers, old signatures and bodies that do not match the Digest', async () => {
+        const request = createInboxRequest();
+        request.headers.set('Digest', 'SHA-256=AAAA');
+        /** @param {Partial<Parameters<typeof verifyCavageSignature>[0]>} params */
+        const verify = (params) => verifyCavageSignature({
+            stringOfSignature: 'keyId="k",algorithm="hmac-sha256",headers="date digest",signature="AQID"',
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            now,
+            request,
+            verify: async ({ ok }) => ok(true),
+            ...params,
+        });
+
+        assert.strictEqual((await verify({ stringOfSignature: 'keyId=k,signature="AQID"' }))._unsafeUnwrapErr().code, 'INVALID_SIGNATURE');
+        for (const malformed of ['a', 'AQI', 'AQIDB', 'AQ=ID']) {
+            const error = (await verify({ stringOfSignature: `keyId="k",headers="date",signature="${malformed}"` }))._unsafeUnwrapErr();
+            assert.strictEqual(error.code, 'INVALID_SIGNATURE', malformed);
+        }
+        assert.deepStrictEqual((await verify({ stringOfSignature: 'headers="date",signature="AQID"' }))._unsafeUnwrapErr(), {
+            type: 'validation',
+            code: 'MISSING_PARAMETER',
+            message: 'Invalid signature',
+            context: 'Missing required parameter "keyId" in signature',
+            details: { parameter: 'keyId' },
+        });
+        assert.strictEqual((await verify({ now: () => (created + 301) * 1000 }))._unsafeUnwrapErr().code, 'SIGNATURE_EXPIRED');
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ ((await verify({}))._unsafeUnwrapErr()).details, { field: 'digest', algorithm: 'sha-256' });
+    });
+});
+
+describe('verifyIncomingMessage with draft-cavage signatures (Unit Tests)', () => {
+    it('should accept draft-cavage signatures only if the policy allows them', async () => {
+        const keyPair = await generateRsaKeyPair();
+        const request = createInboxRequest();
+        const { signature, digest } = (await createCavageSignature({
+            request,
+            keyId: 'https://example.org/users/bob#main-key',
+            algorithm: 'rsa-sha256',
+            headers: ['(request-target)', 'host', 'date', 'digest'],
+            sign: createSigner({ alg: 'rsa-v1_5-sha256', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        const incomingMessage = {
+            method: 'POST',
+            url: '/users/alice/inbox',
+            headers: { ...Object.fromEntries(request.headers), digest, signature },
+        };
+        /** @type {import('../src/middleware.js').VerificationPolicy} */
+        const policy = {
+            requiredInputs: ['@request-target', 'host', 'date', 'digest'],
+            requiredParams: ['keyid'],
+            maxAge: 300,
+            now,
+            cavage: true,
+            verify: createVerifier({ alg: 'rsa-v1_5-sha256', key: keyPair.publicKey }),
+        };
+
+        const result = await verifyIncomingMessage({ request: incomingMessage, body: request.body, policy });
+        assert.strictEqual(result._unsafeUnwrap().signature.keyid, 'https://example.org/users/bob#main-key');
+
+        const rejection = await verifyIncomingMessage({ request: incomingMessage, body: request.body, policy: { ...policy, cavage: false } });
+        assert.strictEqual(rejection._unsafeUnwrapErr().error.code, 'MISSING_SIGNATURE');
+    });
+
+    it('should reject replayed draft-cavage signatures if the policy has a replay store', async () => {
+        const keyPair = await generateRsaKeyPair();
+        const request = createInboxRequest();
+        const { signature } = (await createCavageSignature({
+            request,
+            keyId: 'https://example.org/users/bob#main-key',
+            algorithm: 'rsa-sha256',
+            headers: ['(request-target)', 'host', 'date'],
+            sign: createSigner({ alg: 'rsa-v1_5-sha256', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        /** @param {string} stringOfSignature */
+        const incomingMessage = (stringOfSignature) => ({ method: 'POST', url: '/users/alice/inbox', headers: { ...Object.fromEntries(request.headers), signature: stringOfSignature } });
+        /** @type {import('../src/middleware.js').VerificationPolicy} */
+        const policy = {
+            requiredInputs: ['@request-target', 'host', 'date'],
+            requiredParams: ['keyid'],
+            maxAge: 300,
+            now,
+            cavage: true,
+            replayStore: createInMemoryReplayStore({ now }),
+            verify: createVerifier({ alg: 'rsa-v1_5-sha256', key: keyPair.publicKey }),
+        };
+
+        assert((await verifyIncomingMessage({ request: incomingMessage(signature), body: request.body, policy })).isOk());
+        const replay = (await verifyIncomingMessage({ request: incomingMessage(signature), body: request.body, policy }))._unsafeUnwrapErr();
+        assert.strictEqual(replay.status, 401);
+        assert.strictEqual(replay.error.code, 'REPLAYED_NONCE');
+
+        // the unused bits before the padding of a 256-byte signature can be changed without changing the signature
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const reencoded = signature.replace(/(.)==(?=")/, (_, char) => `${alphabet[alphabet.indexOf(char) ^ 1]}==`);
+        assert.notStrictEqual(reencoded, signature);
+        const replayOfReencoded = (await verifyIncomingMessage({ request: incomingMessage(reencoded), body: request.body, policy }))._unsafeUnwrapErr();
+        assert.strictEqual(replayOfReencoded.error.code, 'REPLAYED_NONCE');
+    });
+});
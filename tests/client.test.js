@@ -0,0 +1,199 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import {
+    createAxiosInterceptor,
+    createSignedFetch,
+    createSigner,
+    createUndiciInterceptor,
+    createVerifier,
+    signRequest,
+    verifySignatureOfRequest,
+    verifySignaturesOfRequest,
+} from '../src/index.js';
+
+/** @type {import('../src/client.js').SigningProfile} */
+let profile;
+/** @type {ReturnType<typeof createVerifier>} */
+let verify;
+
+/**
+ * Verifies the `sig1` signature of a request.
+ *
+ * @param {{method: string, url: URL, headers: Headers, body: Uint8Array|string|null}} request
+ */
+async function verifyRequest(request) {
+    return verifySignatureOfRequest({
+        stringOfSignatureInputDictionary: request.headers.get('signature-input') ?? '',
+        stringOfSignatureDictionary: request.headers.get('signature') ?? '',
+        signatureLabel: 'sig1',
+        requiredInputs: ['@method', '@target-uri'],
+        requiredParams: ['created', 'keyid', 'nonce'],
+        maxAge: 300,
+        request,
+        verify,
+    });
+}
+
+before(async () => {
+    const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+    profile = {
+        signatureInputs: ['@method', '@target-uri', 'content-type'],
+        keyid: 'client-key',
+        sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+    };
+    verify = createVerifier({ alg: 'ed25519', key: keyPair.publicKey });
+});
+
+describe('signRequest (Unit Tests)', () => {
+    it('should sign a Request with its body and keep the body readable', async () => {
+        const request = new Request('https://example.com/foo?bar=baz', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"hello": "world"}' });
+
+        const signed = (await signRequest({ request, profile }))._unsafeUnwrap();
+
+        assert.strictEqual(await signed.clone().text(), '{"hello": "world"}');
+        assert.match(signed.headers.get('content-digest') ?? '', /^sha-256=:/);
+        const result = await verifyRequest({ method: signed.method, url: new URL(signed.url), headers: signed.headers, body: await signed.text() });
+        assert(result.isOk());
+        assert.strictEqual(result.value.keyid, 'client-key');
+        assert.deepStrictEqual(result.value.components, ['@method', '@target-uri', 'content-type', 'content-digest']);
+    });
+
+    it('should keep existing signatures under other labels', async () => {
+        const request = new Request('https://example.com/foo', {
+            headers: { 'Content-Type': 'text/plain', 'Signature-Input': 'proxy=("@method");created=1', 'Signature': 'proxy=:AQID:' },
+        });
+
+        const signed = (await signRequest({ request, profile: { ...profile, nonce: false } }))._unsafeUnwrap();
+
+        assert.match(signed.headers.get('signature-input') ?? '', /^proxy=\("@method"\);created=1, sig1=\("@method" "@target-uri" "content-type"\);created=\d+;keyid="client-key"$/);
+        assert.match(signed.headers.get('signature') ?? '', /^proxy=:AQID:, sig1=:[^:]+:$/);
+        const result = await verifySignaturesOfRequest({
+            stringOfSignatureInputDictionary: signed.headers.get('signature-input') ?? '',
+            stringOfSignatureDictionary: signed.headers.get('signature') ?? '',
+            select: { keyid: 'client-key' },
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            request: { method: signed.method, url: new URL(signed.url), headers: signed.headers, body: null },
+            verify,
+        });
+        assert.deepStrictEqual(result._unsafeUnwrap().verified, ['sig1']);
+    });
+
+    it('should add expires and replace a signature with the same label', async () => {
+        const request = new Request('https://example.com/foo', { headers: { 'Content-Type': 'text/plain', 'Signature-Input': 'sig1=();created=1', 'Signature': 'sig1=:AQID:' } });
+
+        const signed = (await signRequest({ request, profile: { ...profile, nonce: false, expiresIn: 60, now: () => 1700000000000 } }))._unsafeUnwrap();
+
+        assert.strictEqual(signed.headers.get('signature-input'), 'sig1=("@method" "@target-uri" "content-type");created=1700000000;expires=1700000060;keyid="client-key"');
+    });
+});
+
+describe('createSignedFetch (Unit Tests)', () => {
+    it('should sign requests before passing them to fetch', async () => {
+        /** @type {Request[]} */
+        const sent = [];
+        const signedFetch = createSignedFetch({ profile, fetch: async (request) => { sent.push(request); return new Response('ok'); } });
+
+        const response = await signedFetch('https://example.com/foo', { method: 'PUT', headers: { 'Content-Type': 'text/plain' }, body: 'hello' });
+
+        assert.strictEqual(await response.text(), 'ok');
+        const [request] = sent;
+        assert((await verifyRequest({ method: request.method, url: new URL(request.url), headers: request.headers, body: await request.text() })).isOk());
+    });
+
+    it('should reject with the error as the cause if the request cannot be signed', async () => {
+        const signedFetch = createSignedFetch({ profile: { ...profile, sign: async ({ err }) => err({ type: 'error', message: 'Key unavailable' }) }, fetch: async () => new Response('ok') });
+
+        await assert.rejects(signedFetch('https://example.com/', { headers: { 'Content-Type': 'text/plain' } }), (error) => {
+            assert(error instanceof Error);
+            assert.deepStrictEqual(/** @type {Error & {cause?: unknown}} */ (error).cause, { type: 'error', message: 'Key unavailable' });
+            return true;
+        });
+    });
+});
+
+describe('createUndiciInterceptor (Unit Tests)', () => {
+    it('should dispatch the signed request with a buffered body', async () => {
+        const interceptor = createUndiciInterceptor({ profile });
+        /** @type {Promise<import('../src/client.js').UndiciDispatchOptions>} */
+        const dispatched = new Promise((resolve) => {
+            const dispatch = interceptor((opts) => { resolve(opts); return true; });
+            dispatch({
+                origin: 'https://example.com',
+                path: '/foo?bar=baz',
+                method: 'POST',
+                headers: ['content-type', 'application/json'],
+                body: (async function* () { yield '{"hello": '; yield '"world"}'; })(),
+            }, {});
+        });
+
+        const opts = await dispatched;
+        const headers = new Headers(/** @type {Object.<string, string>} */ (opts.headers));
+        const body = /** @type {Uint8Array} */ (opts.body);
+        assert.strictEqual(new TextDecoder().decode(body), '{"hello": "world"}');
+        assert((await verifyRequest({ method: 'POST', url: new URL('https://example.com/foo?bar=baz'), headers, body })).isOk());
+    });
+
+    it('should pass errors thrown while signing or dispatching to the handler', async () => {
+        /** @param {Object.<string, string>} headers @param {function(): boolean} next */
+        const errorOf = (headers, next) => /** @type {Promise<Error>} */ (new Promise((resolve) => {
+            createUndiciInterceptor({ profile })(next)({ origin: 'https://example.com', path: '/foo', method: 'GET', headers }, { onError: resolve });
+        }));
+
+        assert.strictEqual((await errorOf({ 'content type': 'text/plain' }, () => true)).name, 'TypeError');
+        assert.strictEqual((await errorOf({ 'content-type': 'text/plain' }, () => { throw new Error('Dispatcher closed'); })).message, 'Dispatcher closed');
+    });
+});
+
+describe('createAxiosInterceptor (Unit Tests)', () => {
+    it('should serialize the body, move params into the URL and set the signature headers', async () => {
+        const config = await createAxiosInterceptor({ profile })({
+            baseURL: 'https://example.com/api/',
+            url: 'payments',
+            method: 'post',
+            params: { dryRun: true },
+            headers: {},
+            data: { amount: 10 },
+        });
+
+        assert.strictEqual(config.url, 'https://example.com/api/payments?dryRun=true');
+        assert.strictEqual(config.params, undefined);
+        const headers = new Headers(config.headers);
+        assert.strictEqual(headers.get('content-type'), 'application/json');
+        const body = /** @type {Uint8Array} */ (config.data);
+        assert.strictEqual(new TextDecoder().decode(body), '{"amount":10}');
+        assert((await verifyRequest({ method: 'POST', url: new URL(config.url), headers, body })).isOk());
+    });
+
+    it('should serialize URLSearchParams as a form and reject bodies it cannot sign', async () => {
+        const interceptor = createAxiosInterceptor({ profile });
+        const config = await interceptor({ url: 'https://example.com/login', method: 'post', headers: {}, data: new URLSearchParams({ user: 'a b' }) });
+
+        const headers = new Headers(config.headers);
+        assert.strictEqual(headers.get('content-type'), 'application/x-www-form-urlencoded;charset=utf-8');
+        const body = /** @type {Uint8Array} */ (config.data);
+        assert.strictEqual(new TextDecoder().decode(body), 'user=a+b');
+        assert((await verifyRequest({ method: 'POST', url: new URL('https://example.com/login'), headers, body })).isOk());
+
+        for (const data of [new FormData(), new Blob(['{}']), Readable.from(['{}']), new Date(0)]) {
+            await assert.rejects(interceptor({ url: 'https://example.com/upload', method: 'post', headers: {}, data }), {
+                name: 'TypeError',
+                message: new RegExp(`^Cannot sign a request body of type ${data.constructor.name}:`),
+            });
+        }
+    });
+
+    it('should join the base URL and the URL like axios does', async () => {
+        const interceptor = createAxiosInterceptor({ profile });
+        /** @param {string=} baseURL @param {string=} url */
+        const urlOf = async (baseURL, url) => (await interceptor({ baseURL, url, method: 'get', headers: { 'Content-Type': 'text/plain' } })).url;
+
+        assert.strictEqual(await urlOf('https://example.com/api', '/payments'), 'https://example.com/api/payments');
+        assert.strictEqual(await urlOf('https://example.com/api', 'payments'), 'https://example.com/api/payments');
+        assert.strictEqual(await urlOf('https://example.com/api/', '//payments'), 'https://payments/');
+        assert.strictEqual(await urlOf('https://example.com/api/', 'https://other.example/payments'), 'https://other.example/payments');
+        assert.strictEqual(await urlOf('https://example.com/api/', undefined), 'https://example.com/api/');
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { RFC9421_TEST_VECTORS, runConformanceSuite } from '../src/index.js';
+
+describe('RFC 9421 test vectors (Conformance Tests)', async () => {
+    const outcomes = await runConformanceSuite();
+
+    for (const { name, result } of outcomes) {
+        it(`should reproduce and verify the example of Section ${name}`, () => {
+            assert.deepStrictEqual(result.isErr() && result.error, false);
+        });
+    }
+
+    it('should cover every algorithm for both requests and responses', () => {
+        assert.strictEqual(outcomes.length, RFC9421_TEST_VECTORS.length);
+        assert.deepStrictEqual(
+            [...new Set(RFC9421_TEST_VECTORS.map(({ keyid }) => keyid))].sort(),
+            ['test-key-ecc-p256', 'test-key-ed25519', 'test-key-rsa', 'test-key-rsa-pss', 'test-shared-secret']
+        );
+        assert(RFC9421_TEST_VECTORS.some(({ response }) => response));
+    });
+
+    it('should report a signature base that does not match the published one', async () => {
+        const [vector] = RFC9421_TEST_VECTORS.filter(({ name }) => name === 'B.2.6');
+
+        const [{ result }] = await runConformanceSuite({ vectors: [{ ...vector, signatureBase: vector.signatureBase.replace('POST', 'GET') }] });
+
+        assert(result.isErr());
+        assert.strictEqual(result.error.message, 'Signature base mismatch');
+    });
+
+    it('should report a published signature that does not verify', async () => {
+        const [vector] = RFC9421_TEST_VECTORS.filter(({ name }) => name === 'B.2.2');
+
+        const [{ result }] = await runConformanceSuite({ vectors: [{ ...vector, signature: `A${vector.signature?.slice(1)}` }] });
+
+        assert(result.isErr());
+    });
+});
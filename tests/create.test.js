@@ -89,8 +89,10 @@ describe('createSignatureForRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(result, err({
             type: 'validation',
+            code: 'MISSING_COMPONENT',
             message: 'Missing header: content-type',
             context: 'Request is missing header "content-type" required in signature input for field "content-type"',
+            details: { component: '"content-type"' },
         }));
     });
 
@@ -113,7 +115,7 @@ describe('createSignatureForRequest (Unit Tests)', () => {
 
         const expectedSignatureBase = [
             '"@method": GET',
-            '"@authority": sub.example.com',
+            '"@authority": sub.example.com:8080',
             '"@scheme": https',
             '"@path": /path/to/file',
             '"@query": ?query=string',
@@ -176,8 +178,10 @@ describe('createSignatureForRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(result, err({
             type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
             message: 'Invalid signature input',
-            context: 'Signature input is missing required parameter "name" in signature input for field "@query-param";name=""',
+            context: 'Parameter "name" must be a non-empty string in signature input for field "@query-param";name=""',
+            details: { component: '"@query-param";name=""', parameter: 'name' },
         }));
     });
 
@@ -199,8 +203,10 @@ describe('createSignatureForRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(result, err({
             type: 'validation',
+            code: 'MISSING_COMPONENT',
             message: 'Missing query parameter: param2',
             context: 'Request is missing query parameter "param2" required in signature input for field "@query-param";name="param2"',
+            details: { component: '"@query-param";name="param2"' },
         }));
     });
 
@@ -246,8 +252,145 @@ describe('createSignatureForRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(result, err({
             type: 'error',
+            code: 'SIGNING_FAILED',
             message: 'Failed to sign request',
             context: new Error('Promise rejected during signing'),
+            details: {},
         }));
     });
+
+    it('should return an error if @status is used when signing a request', async () => {
+        const request = {
+            headers: new Headers(),
+            url: new URL('https://example.com/foo'),
+            method: 'GET',
+        };
+
+        const result = await createSignatureForRequest({
+            signatureInputs: ['@method', '@status'],
+            signatureLabel: 'sig10',
+            additionalParams: { keyid: 'status-test', created: Math.floor(Date.now() / 1000) },
+            request,
+            sign: async ({ ok }) => ok(new Uint8Array([1])),
+        });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Component "@status" is only available for responses, found in signature input for field "@status"',
+            details: { component: '"@status"' },
+        }));
+    });
+
+    it('should return an error if the req parameter is used when signing a request', async () => {
+        const request = {
+            headers: new Headers(),
+            url: new URL('https://example.com/foo'),
+            method: 'GET',
+        };
+
+        const result = await createSignatureForRequest({
+            signatureInputs: [{ component: '@method', parameters: { req: true } }],
+            signatureLabel: 'sig11',
+            additionalParams: { keyid: 'req-test', created: Math.floor(Date.now() / 1000) },
+            request,
+            sign: async ({ ok }) => ok(new Uint8Array([1])),
+        });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Parameter "req" is only allowed when signing a response, found in signature input for field "@method";req',
+            details: { component: '"@method";req' },
+        }));
+    });
+
+    it('should create, attach and cover a Content-Digest header', async () => {
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            url: new URL('https://example.com/foo'),
+            method: 'POST',
+            body: new TextEncoder().encode('{"hello": "world"}'),
+        };
+
+        const nowInSeconds = Math.floor(Date.now() / 1000);
+        const result = await createSignatureForRequest({
+            signatureInputs: ['@method', 'content-type'],
+            signatureLabel: 'sig12',
+            additionalParams: { keyid: 'digest-test', created: nowInSeconds },
+            request,
+            contentDigestAlgorithms: ['sha-256'],
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3])),
+        });
+
+        const expectedSignatureBase = [
+            '"@method": POST',
+            '"content-type": application/json',
+            '"content-digest": sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+            `"@signature-params": ("@method" "content-type" "content-digest");keyid="digest-test";created=${nowInSeconds}`,
+        ];
+        assert.deepStrictEqual(result, ok({
+            signatureInput: `sig12=("@method" "content-type" "content-digest");keyid="digest-test";created=${nowInSeconds}`,
+            signature: 'sig12=:AQID:',
+            signatureBase: expectedSignatureBase.join('\n'),
+            contentDigest: 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+        }));
+        // the caller's headers are left untouched
+        assert.strictEqual(request.headers.get('content-digest'), null);
+    });
+
+    it('should include @authority with a non-default port and @request-target', async () => {
+        /** @type {[string, string, string][]} */
+        const cases = [
+            ['https://Example.COM:8443/foo/bar?baz=qux', 'example.com:8443', '/foo/bar?baz=qux'],
+            ['https://example.com:443/foo', 'example.com', '/foo'],
+            ['http://example.com:8080', 'example.com:8080', '/'],
+        ];
+        for (const [url, authority, requestTarget] of cases) {
+            const result = await createSignatureForRequest({
+                signatureInputs: ['@authority', '@request-target'],
+                signatureLabel: 'sig1',
+                additionalParams: {},
+                request: { headers: new Headers(), url: new URL(url), method: 'GET' },
+                sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])),
+            });
+
+            assert.deepStrictEqual(result._unsafeUnwrap().signatureBase.split('\n').slice(0, 2), [
+                `"@authority": ${authority}`,
+                `"@request-target": ${requestTarget}`,
+            ]);
+        }
+    });
+
+    // RFC 9421 Section 2.2.8
+    it('should include re-encoded @query-param values, with a line per occurrence', async () => {
+        const request = {
+            headers: new Headers(),
+            url: new URL('https://example.com/parameters?var=this%20is%20a%20big%0Avalue&bar=with+plus+whitespace&fa%C3%A7ade%22%3A%20=something&tag=a&tag=b'),
+            method: 'GET',
+        };
+
+        const result = await createSignatureForRequest({
+            signatureInputs: [
+                { component: '@query-param', parameters: { name: 'var' } },
+                { component: '@query-param', parameters: { name: 'bar' } },
+                { component: '@query-param', parameters: { name: 'fa%C3%A7ade%22%3A%20' } },
+                { component: '@query-param', parameters: { name: 'tag' } },
+            ],
+            signatureLabel: 'sig1',
+            additionalParams: {},
+            request,
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])),
+        });
+
+        assert.deepStrictEqual(result._unsafeUnwrap().signatureBase.split('\n').slice(0, -1), [
+            '"@query-param";name="var": this%20is%20a%20big%0Avalue',
+            '"@query-param";name="bar": with%20plus%20whitespace',
+            '"@query-param";name="fa%C3%A7ade%22%3A%20": something',
+            '"@query-param";name="tag": a',
+            '"@query-param";name="tag": b',
+        ]);
+    });
 });
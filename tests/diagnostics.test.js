@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForRequest, createSigner, createVerifier, diagnoseSignatureBase, verifySignatureOfRequest } from '../src/index.js';
+
+const expectedSignatureBase = [
+    '"@method": POST',
+    '"@authority": example.com:8443',
+    '"@query": ?name=John%20Doe',
+    '"content-type": application/json; charset=utf-8',
+    '"@signature-params": ("@method" "@authority" "@query" "content-type");created=1700000000;keyid="test-key"',
+].join('\n');
+
+describe('diagnoseSignatureBase (Unit Tests)', () => {
+    it('should compare the signature bases line by line and name the causes', () => {
+        const signatureBase = [
+            '"@method": POST',
+            '"@authority": example.com',
+            '"@query": ?name=John+Doe',
+            '"content-type": application/json;  charset=utf-8',
+            '"x-extra": 1',
+            '"@signature-params": ("@method" "@authority" "@query" "content-type" "x-extra");created=1700000000;keyid="test-key"',
+        ].join('\n');
+
+        const diagnostics = diagnoseSignatureBase({ signatureBase, expectedSignatureBase });
+
+        assert.deepStrictEqual(diagnostics.lines.map(({ component, status }) => [component, status]), [
+            ['"@method"', 'same'],
+            ['"@authority"', 'changed'],
+            ['"@query"', 'changed'],
+            ['"content-type"', 'changed'],
+            ['"x-extra"', 'extra'],
+            ['"@signature-params"', 'changed'],
+        ]);
+        assert.deepStrictEqual(diagnostics.lines[1], { component: '"@authority"', status: 'changed', value: 'example.com', expectedValue: 'example.com:8443' });
+        assert.deepStrictEqual(diagnostics.hints.map(({ code, component }) => [code, component]), [
+            ['AUTHORITY_PORT', '"@authority"'],
+            ['URL_ENCODING', '"@query"'],
+            ['FIELD_WHITESPACE', '"content-type"'],
+            ['SIGNATURE_PARAMS', '"@signature-params"'],
+        ]);
+    });
+
+    it('should report components only in the expected signature base and a rewritten host', () => {
+        const signatureBase = '"@authority": internal.example\n"@signature-params": ("@authority");created=1700000000';
+
+        const diagnostics = diagnoseSignatureBase({ signatureBase, expectedSignatureBase: '"@authority": example.com\r\n"@method": GET\r\n"@signature-params": ("@authority");created=1700000000\r\n' });
+
+        assert.deepStrictEqual(diagnostics.lines.at(-1), { component: '"@method"', status: 'missing', expectedValue: 'GET' });
+        assert.strictEqual(diagnostics.hints[0].code, 'HOST_REWRITTEN');
+        assert.match(diagnostics.hints[0].message, /"internal\.example" instead of "example\.com"/);
+    });
+
+    it('should point to the key if the signature bases are the same', () => {
+        const diagnostics = diagnoseSignatureBase({ signatureBase: expectedSignatureBase, expectedSignatureBase: `${expectedSignatureBase}\n` });
+
+        assert(diagnostics.lines.every(({ status }) => status === 'same'));
+        assert.deepStrictEqual(diagnostics.hints.map(({ code }) => code), ['KEY_OR_ALGORITHM']);
+    });
+});
+
+describe('Diagnostics of failed verification (Unit Tests)', () => {
+    it('should attach diagnostics to errors of the verify function only when asked', async () => {
+        const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const signed = (await createSignatureForRequest({
+            signatureInputs: ['@method', '@authority', '@path'],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1700000000, keyid: 'test-key' },
+            request: { method: 'GET', url: new URL('https://example.com:8443/foo'), headers: new Headers() },
+            sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        /** @param {Partial<Parameters<typeof verifySignatureOfRequest>[0]>} params */
+        const verify = (params) => verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signed.signatureInput,
+            stringOfSignatureDictionary: signed.signature,
+            signatureLabel: 'sig1',
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            now: () => 1700000010000,
+            // the proxy in front of the verifier dropped the port
+            request: { method: 'GET', url: new URL('https://example.com/foo'), headers: new Headers({ 'X-Forwarded-Host': 'example.com:8443' }) },
+            verify: createVerifier({ alg: 'ed25519', key: keyPair.publicKey }),
+            ...params,
+        });
+
+        const withoutDiagnostics = (await verify({}))._unsafeUnwrapErr();
+        assert.strictEqual(withoutDiagnostics.code, 'SIGNATURE_MISMATCH');
+        assert.strictEqual(withoutDiagnostics.diagnostics, undefined);
+
+        const error = (await verify({ diagnostics: { expectedSignatureBase: signed.signatureBase } }))._unsafeUnwrapErr();
+        assert.strictEqual(error.code, 'SIGNATURE_MISMATCH');
+        assert.strictEqual(error.diagnostics?.expectedSignatureBase, signed.signatureBase);
+        assert.deepStrictEqual(error.diagnostics?.lines.filter(({ status }) => status !== 'same'), [
+            { component: '"@authority"', status: 'changed', value: 'example.com', expectedValue: 'example.com:8443' },
+        ]);
+        assert.deepStrictEqual(error.diagnostics?.hints.map(({ code }) => code), ['AUTHORITY_PORT', 'HOST_REWRITTEN']);
+
+        const withoutExpectedBase = (await verify({ diagnostics: {} }))._unsafeUnwrapErr();
+        assert.deepStrictEqual(withoutExpectedBase.diagnostics?.lines, []);
+        assert.deepStrictEqual(withoutExpectedBase.diagnostics?.hints.map(({ code }) => code), ['HOST_REWRITTEN']);
+    });
+});
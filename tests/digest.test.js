@@ -0,0 +1,264 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createContentDigest, createContentDigestVerifyingStream, createLegacyDigest, createReprDigest, createSignatureForRequest, parseWantDigest, verifyContentDigest, verifyLegacyDigest, verifyReprDigest, verifySignatureOfRequest } from '../src/index.js';
+import { ok, err } from 'neverthrow';
+
+/**
+ * @param {string[]} chunks
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamOf(chunks) {
+    const encoder = new TextEncoder();
+    return new ReadableStream({
+        start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+            controller.close();
+        },
+    });
+}
+
+/**
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {Promise<string>}
+ */
+async function readText(stream) {
+    return new Response(stream).text();
+}
+
+describe('createContentDigest (Unit Tests)', () => {
+    it('should create the Content-Digest header value from RFC 9530', async () => {
+        const body = new TextEncoder().encode('{"hello": "world"}');
+
+        assert.deepStrictEqual(await createContentDigest({ body, algorithms: ['sha-256'] }), ok('sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:'));
+        assert.deepStrictEqual(await createContentDigest({ body: '{"hello": "world"}', algorithms: ['sha-512', 'sha-256'] }), ok(
+            'sha-512=:WZDPaVn/7XgHaAy8pmojAkGWoRx2UFChF41A2svX+TaPm+AbwAgBWnrIiYllu7BNNyealdVLvRwEmTHWXvJwew==:, sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:'
+        ));
+    });
+
+    it('should hash stream bodies incrementally', async () => {
+        async function* generate() {
+            yield '{"hello": ';
+            yield new TextEncoder().encode('"world"}');
+        }
+
+        assert.deepStrictEqual(await createContentDigest({ body: streamOf(['{"hel', 'lo": "wor', 'ld"}']), algorithms: ['sha-256'] }), ok('sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:'));
+        assert.deepStrictEqual(await createContentDigest({ body: generate(), algorithms: ['sha-512', 'sha-256'] }), ok(
+            'sha-512=:WZDPaVn/7XgHaAy8pmojAkGWoRx2UFChF41A2svX+TaPm+AbwAgBWnrIiYllu7BNNyealdVLvRwEmTHWXvJwew==:, sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:'
+        ));
+    });
+
+    it('should digest a missing body as empty content', async () => {
+        assert.deepStrictEqual(await createContentDigest({ body: null, algorithms: ['sha-256'] }), ok('sha-256=:47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU=:'));
+    });
+
+    it('should return an error for an unsupported algorithm', async () => {
+        const result = await createContentDigest({ body: null, algorithms: ['md5'] });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+            message: 'Unsupported content-digest algorithm: md5',
+            context: 'Unsupported content-digest algorithm: md5',
+            details: { field: 'content-digest', algorithms: ['md5'] },
+        }));
+    });
+});
+
+describe('verifyContentDigest (Unit Tests)', () => {
+    it('should verify the first supported digest', async () => {
+        const result = await verifyContentDigest({
+            headerValue: 'md5=:AAAA:, sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+            body: '{"hello": "world"}',
+        });
+
+        assert.deepStrictEqual(result, ok(true));
+    });
+
+    it('should return an error if the digest does not match the body', async () => {
+        const result = await verifyContentDigest({
+            headerValue: 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+            body: '{"hello": "there"}',
+        });
+
+        assert(result.isErr());
+        assert.match(result.error.message, /^Digest mismatch for algorithm sha-256/);
+    });
+});
+
+describe('createContentDigestVerifyingStream (Unit Tests)', () => {
+    it('should pass the body through and end if the digest matches', async () => {
+        const result = await createContentDigestVerifyingStream({
+            headerValue: 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+            body: streamOf(['{"hello": ', '"world"}']),
+        });
+        assert(result.isOk());
+
+        assert.strictEqual(await readText(result.value), '{"hello": "world"}');
+    });
+
+    it('should error at the end of the body if the digest does not match', async () => {
+        const result = await createContentDigestVerifyingStream({
+            headerValue: 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:',
+            body: streamOf(['{"hello": ', '"there"}']),
+        });
+        assert(result.isOk());
+
+        await assert.rejects(readText(result.value), (/** @type {{type: string, message: string}} */ error) => {
+            assert.strictEqual(error.type, 'validation');
+            assert.match(error.message, /^Digest mismatch for algorithm sha-256/);
+            return true;
+        });
+    });
+
+    it('should return an error for an invalid header before reading the body', async () => {
+        const body = streamOf(['{"hello": "world"}']);
+
+        const result = await createContentDigestVerifyingStream({ headerValue: 'md5=:AAAA:', body });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
+            message: 'Unsupported content-digest algorithm: md5',
+            context: 'Unsupported content-digest algorithm: md5',
+            details: { field: 'content-digest', algorithms: ['md5'] },
+        }));
+        assert.strictEqual(body.locked, false);
+    });
+});
+
+describe('Repr-Digest and legacy Digest (Unit Tests)', () => {
+    it('should create and verify Repr-Digest over the representation data', async () => {
+        const body = '{"hello": "world"}';
+
+        const reprDigest = await createReprDigest({ body, algorithms: ['sha-256'] });
+
+        assert.deepStrictEqual(reprDigest, ok('sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:'));
+        assert.deepStrictEqual(await verifyReprDigest({ headerValue: reprDigest._unsafeUnwrap(), body }), ok(true));
+        assert.strictEqual((await verifyReprDigest({ headerValue: reprDigest._unsafeUnwrap(), body: '{}' }))._unsafeUnwrapErr().code, 'DIGEST_MISMATCH');
+    });
+
+    it('should create and verify the legacy Digest header with case-insensitive algorithm names', async () => {
+        const body = '{"hello": "world"}';
+
+        assert.deepStrictEqual(await createLegacyDigest({ body, algorithms: ['sha-256'] }), ok('SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE='));
+        assert.deepStrictEqual(await verifyLegacyDigest({ headerValue: 'MD5=Sd/dVLAcvNLSq16eXua5uQ==, SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=', body }), ok(true));
+        assert.deepStrictEqual(await verifyLegacyDigest({ headerValue: 'sha-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=', body: '{}' }), err({
+            type: 'validation',
+            code: 'DIGEST_MISMATCH',
+            message: 'Digest mismatch for algorithm sha-256. Expected X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=, got RBNvo1WzZ4oRRq0W9+hknpT7T8If536DEMBg9hyq/4o=',
+            context: 'Digest mismatch for algorithm sha-256. Expected X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=, got RBNvo1WzZ4oRRq0W9+hknpT7T8If536DEMBg9hyq/4o=',
+            details: { field: 'digest', algorithm: 'sha-256' },
+        }));
+        assert.strictEqual((await verifyLegacyDigest({ headerValue: 'SHA-256=not base64!', body }))._unsafeUnwrapErr().code, 'INVALID_DIGEST');
+    });
+
+    it('should use a custom digest function and accepted algorithms', async () => {
+        /** @type {import('../src/digest.js').DigestFunction} */
+        const digest = async ({ algorithm, data }) => crypto.subtle.digest(algorithm.toUpperCase(), data);
+        const body = '{"hello": "world"}';
+
+        const sha384 = (await createContentDigest({ body, algorithms: ['sha-384'], digest }))._unsafeUnwrap();
+        assert.match(sha384, /^sha-384=:[A-Za-z0-9+/]{64}:$/);
+        assert.strictEqual((await createContentDigest({ body, algorithms: ['sha-384'] }))._unsafeUnwrapErr().code, 'UNSUPPORTED_DIGEST_ALGORITHM');
+
+        assert.deepStrictEqual(await verifyContentDigest({ headerValue: sha384, body, algorithms: ['sha-384'], digest }), ok(true));
+        assert.strictEqual((await verifyContentDigest({ headerValue: sha384, body }))._unsafeUnwrapErr().code, 'UNSUPPORTED_DIGEST_ALGORITHM');
+        const stream = await createContentDigestVerifyingStream({ headerValue: sha384, body: streamOf(['{"hello": ', '"world"}']), algorithms: ['sha-384'], digest });
+        assert.strictEqual(await readText(stream._unsafeUnwrap()), body);
+    });
+
+    it('should report errors of the custom digest function as DIGEST_FAILED', async () => {
+        const cause = new Error('HSM unavailable');
+        /** @type {import('../src/digest.js').DigestFunction} */
+        const digest = () => { throw cause; };
+
+        assert.deepStrictEqual(await createContentDigest({ body: 'hello', algorithms: ['sha-256'], digest }), err({
+            type: 'error',
+            code: 'DIGEST_FAILED',
+            message: 'Failed to calculate digest for algorithm sha-256',
+            context: cause,
+            details: { algorithm: 'sha-256' },
+        }));
+        const resultOfStream = await createContentDigestVerifyingStream({ headerValue: 'sha-256=:AAAA:', body: streamOf(['hello']), digest: async () => Promise.reject(cause) });
+        await assert.rejects(readText(resultOfStream._unsafeUnwrap()), { code: 'DIGEST_FAILED', context: cause });
+    });
+
+    it('should parse digest preferences, most preferred first', () => {
+        assert.deepStrictEqual(parseWantDigest({ headerValue: 'sha-512=3, sha-256=10, md5=10, sha=0' }), ok(['sha-256', 'sha-512']));
+        assert.deepStrictEqual(parseWantDigest({ headerValue: 'sha-256=1, sha-512=1' }), ok(['sha-256', 'sha-512']));
+        assert.deepStrictEqual(parseWantDigest({ headerValue: 'sha-256=11' }), err({
+            type: 'validation',
+            code: 'INVALID_DIGEST',
+            message: 'Invalid digest preferences',
+            context: 'Preference for algorithm sha-256 must be an integer from 0 to 10',
+            details: { algorithm: 'sha-256' },
+        }));
+    });
+});
+
+describe('Digest fields in signatures (Unit Tests)', () => {
+    const sign = /** @type {Parameters<typeof createSignatureForRequest>[0]['sign']} */ (async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4]).buffer));
+
+    /**
+     * Verifies a signature over the given components of a POST request.
+     *
+     * @param {string} components
+     * @param {Headers} headers
+     * @param {Partial<Parameters<typeof verifySignatureOfRequest>[0]>} params
+     */
+    function verify(components, headers, params = {}) {
+        return verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: `sig1=(${components});created=${Math.floor(Date.now() / 1000)}`,
+            stringOfSignatureDictionary: 'sig1=:AQIDBA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            request: { method: 'POST', url: new URL('https://example.com/'), headers, body: '{"hello": "world"}' },
+            verify: async ({ ok }) => ok(true),
+            ...params,
+        });
+    }
+
+    it('should create and cover Content-Digest and Repr-Digest from one read of a stream body', async () => {
+        const result = await createSignatureForRequest({
+            signatureInputs: ['@method'],
+            signatureLabel: 'sig1',
+            additionalParams: {},
+            request: { method: 'POST', url: new URL('https://example.com/'), headers: new Headers(), body: streamOf(['{"hello": ', '"world"}']) },
+            contentDigestAlgorithms: ['sha-256'],
+            reprDigestAlgorithms: ['sha-512'],
+            sign,
+        });
+
+        const { signatureInput, contentDigest, reprDigest } = result._unsafeUnwrap();
+        assert.strictEqual(signatureInput, 'sig1=("@method" "content-digest" "repr-digest")');
+        assert.strictEqual(contentDigest, 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:');
+        assert.strictEqual(reprDigest, 'sha-512=:WZDPaVn/7XgHaAy8pmojAkGWoRx2UFChF41A2svX+TaPm+AbwAgBWnrIiYllu7BNNyealdVLvRwEmTHWXvJwew==:');
+    });
+
+    it('should check a covered Repr-Digest, and a covered legacy Digest only if asked to', async () => {
+        const mismatch = await verify('"repr-digest"', new Headers({ 'Repr-Digest': 'sha-256=:AAAA:' }));
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ (mismatch._unsafeUnwrapErr()).details, { field: 'repr-digest', algorithm: 'sha-256' });
+
+        const headers = new Headers({ Digest: 'SHA-256=RBNvo1WzZ4oRRq0W9+hknpT7T8If536DEMBg9hyq/4o=' });
+        assert((await verify('"digest"', headers)).isOk());
+        assert.strictEqual((await verify('"digest"', headers, { digestOptions: { legacyDigest: true } }))._unsafeUnwrapErr().code, 'DIGEST_MISMATCH');
+        assert((await verify('"digest"', new Headers({ Digest: 'SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=' }), { digestOptions: { legacyDigest: true } })).isOk());
+    });
+
+    it('should not check a covered Repr-Digest against partial content', async () => {
+        const headers = new Headers({ 'Repr-Digest': 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:', 'Content-Range': 'bytes 0-17/36' });
+
+        const error = (await verify('"repr-digest"', headers))._unsafeUnwrapErr();
+
+        assert.strictEqual(error.code, 'UNVERIFIABLE_DIGEST');
+        assert.deepStrictEqual(error.details, { field: 'repr-digest' });
+    });
+
+    it('should point out the content coding if a digest does not match', async () => {
+        const result = await verify('"content-digest"', new Headers({ 'Content-Digest': 'sha-256=:AAAA:', 'Content-Encoding': 'gzip' }));
+
+        assert.match(String(result._unsafeUnwrapErr().context), /The body must be the content as sent, with Content-Encoding "gzip" applied$/);
+    });
+});
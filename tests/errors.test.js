@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ERROR_CODES, createInMemoryKeyResolver, createKeyResolverVerifier, verifySignatureOfRequest } from '../src/index.js';
+
+/**
+ * Verifies a signature over `@method` and `content-digest` of a POST request with the body `hello`.
+ *
+ * @param {Partial<Parameters<typeof verifySignatureOfRequest>[0]>} params
+ */
+function verify(params) {
+    return verifySignatureOfRequest({
+        stringOfSignatureInputDictionary: 'sig1=("@method" "content-digest");created=1700000000;keyid="test-key"',
+        stringOfSignatureDictionary: 'sig1=:AQID:',
+        signatureLabel: 'sig1',
+        requiredInputs: ['@method'],
+        requiredParams: ['keyid'],
+        maxAge: 300,
+        now: () => 1700000010000,
+        request: {
+            method: 'POST',
+            url: new URL('https://example.com/'),
+            headers: new Headers({ 'Content-Digest': 'sha-256=:LPJNul+wow4m6DsqxbninhsWHlwfp0JecwQzYpOLmCQ=:' }),
+            body: 'hello',
+        },
+        verify: async ({ ok }) => ok(true),
+        ...params,
+    });
+}
+
+describe('Error codes (Unit Tests)', () => {
+    it('should map every code to itself', () => {
+        assert(Object.isFrozen(ERROR_CODES));
+        for (const [name, code] of Object.entries(ERROR_CODES)) {
+            assert.strictEqual(code, name);
+        }
+    });
+
+    it('should report why verification failed with a code and typed details', async () => {
+        const expired = (await verify({ now: () => 1700000400000 }))._unsafeUnwrapErr();
+        assert.strictEqual(expired.code, ERROR_CODES.SIGNATURE_EXPIRED);
+        if (expired.code === 'SIGNATURE_EXPIRED') {
+            assert.deepStrictEqual(expired.details, { created: 1700000000, now: 1700000400 });
+        }
+
+        const mismatch = (await verify({ request: { method: 'POST', url: new URL('https://example.com/'), headers: new Headers({ 'Content-Digest': 'sha-256=:AAAA:' }), body: 'hello' } }))._unsafeUnwrapErr();
+        assert.strictEqual(mismatch.code, ERROR_CODES.DIGEST_MISMATCH);
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ (mismatch).details, { field: 'content-digest', algorithm: 'sha-256' });
+
+        const uncovered = (await verify({ requiredInputs: ['@path'] }))._unsafeUnwrapErr();
+        assert.strictEqual(uncovered.code, ERROR_CODES.UNCOVERED_COMPONENT);
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ (uncovered).details, { component: '"@path"' });
+    });
+
+    it('should keep the code of errors from the built-in key resolvers and pass on other callback errors as they are', async () => {
+        const unknownKey = await verify({ verify: createKeyResolverVerifier({ keyResolver: createInMemoryKeyResolver({ keys: {} }) }) });
+        assert.strictEqual(unknownKey._unsafeUnwrapErr().code, ERROR_CODES.UNKNOWN_KEY);
+        assert.deepStrictEqual(/** @type {{details: unknown}} */ (unknownKey._unsafeUnwrapErr()).details, { keyid: 'test-key' });
+
+        const callbackError = await verify({ verify: async ({ err }) => err({ type: 'verification', message: 'HSM unavailable' }) });
+        assert.deepStrictEqual(callbackError._unsafeUnwrapErr(), { type: 'verification', message: 'HSM unavailable' });
+    });
+});
@@ -0,0 +1,204 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForRequest, verifySignatureOfRequest } from '../src/index.js';
+import { err } from 'neverthrow';
+
+/**
+ * @param {import('../src/components.js').ComponentIdentifier[]} signatureInputs
+ * @param {{headers: Headers, trailers?: Headers, rawHeaders?: string[]}} fields
+ */
+async function signatureBaseFor(signatureInputs, fields) {
+    const result = await createSignatureForRequest({
+        signatureInputs,
+        signatureLabel: 'sig1',
+        additionalParams: {},
+        request: { ...fields, url: new URL('https://example.com/'), method: 'GET' },
+        sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])),
+    });
+    return result.map(({ signatureBase }) => signatureBase.split('\n').slice(0, -1));
+}
+
+describe('Header field component parameters (Unit Tests)', () => {
+    // RFC 9421 Section 2.1.1 and 2.1.2
+    it('should re-serialize structured fields and select dictionary members', async () => {
+        const headers = new Headers({ 'Example-Dict': ' a=1,    b=2;x=1;y=2,   c=(a   b   c)', 'Example-List': 'a,  (b  c);x=1' });
+
+        const result = await signatureBaseFor([
+            'example-dict',
+            { component: 'example-dict', parameters: { sf: true } },
+            { component: 'example-dict', parameters: { key: 'a' } },
+            { component: 'example-dict', parameters: { key: 'b' } },
+            { component: 'example-dict', parameters: { key: 'c' } },
+            { component: 'example-list', parameters: { sf: true } },
+        ], { headers });
+
+        assert.deepStrictEqual(result._unsafeUnwrap(), [
+            '"example-dict": a=1,    b=2;x=1;y=2,   c=(a   b   c)',
+            '"example-dict";sf: a=1, b=2;x=1;y=2, c=(a b c)',
+            '"example-dict";key="a": 1',
+            '"example-dict";key="b": 2;x=1;y=2',
+            '"example-dict";key="c": (a b c)',
+            '"example-list";sf: a, (b c);x=1',
+        ]);
+    });
+
+    // RFC 9421 Section 2.1.3
+    it('should wrap each field line in a byte sequence', async () => {
+        const rawHeaders = ['Example-Header', 'value, with, lots', 'Set-Cookie', 'a=1; Secure', 'Example-Header', ' with more', 'set-cookie', 'b=2, c=3'];
+        const headers = new Headers();
+        for (let i = 0; i < rawHeaders.length; i += 2) {
+            headers.append(rawHeaders[i], rawHeaders[i + 1]);
+        }
+        const signatureInputs = /** @type {import('../src/components.js').ComponentIdentifier[]} */ ([
+            { component: 'example-header', parameters: { bs: true } },
+            'set-cookie',
+            { component: 'set-cookie', parameters: { bs: true } },
+        ]);
+
+        const result = await signatureBaseFor(signatureInputs, { headers, rawHeaders });
+
+        assert.deepStrictEqual(result._unsafeUnwrap(), [
+            '"example-header";bs: :dmFsdWUsIHdpdGgsIGxvdHM=:, :d2l0aCBtb3Jl:',
+            '"set-cookie": a=1; Secure, b=2, c=3',
+            '"set-cookie";bs: :YT0xOyBTZWN1cmU=:, :Yj0yLCBjPTM=:',
+        ]);
+        // without the raw field lines, or with stale ones, each field is a single line
+        headers.set('Example-Header', 'changed');
+        assert.deepStrictEqual((await signatureBaseFor(signatureInputs, { headers, rawHeaders }))._unsafeUnwrap()[0], '"example-header";bs: :Y2hhbmdlZA==:');
+        assert.deepStrictEqual((await signatureBaseFor(signatureInputs, { headers }))._unsafeUnwrap()[2], '"set-cookie";bs: :YT0xOyBTZWN1cmUsIGI9MiwgYz0z:');
+    });
+
+    // RFC 9421 Section 2.1.4
+    it('should read fields with the tr parameter from the trailers', async () => {
+        const headers = new Headers({ 'Expires': 'Tue, 01 Jan 2030 00:00:00 GMT' });
+        const trailers = new Headers({ 'Expires': 'Wed, 9 Nov 2022 07:28:00 GMT' });
+
+        const result = await signatureBaseFor(['expires', { component: 'expires', parameters: { tr: true } }], { headers, trailers });
+        assert.deepStrictEqual(result._unsafeUnwrap(), [
+            '"expires": Tue, 01 Jan 2030 00:00:00 GMT',
+            '"expires";tr: Wed, 9 Nov 2022 07:28:00 GMT',
+        ]);
+
+        assert.deepStrictEqual(await signatureBaseFor([{ component: 'expires', parameters: { tr: true } }], { headers }), err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing trailer: expires',
+            context: 'Request is missing trailer "expires" required in signature input for field "expires";tr',
+            details: { component: '"expires";tr' },
+        }));
+    });
+
+    it('should return an error if bs is combined with sf or key', async () => {
+        const headers = new Headers({ 'Example-Dict': 'a=1' });
+
+        const result = await signatureBaseFor([{ component: 'example-dict', parameters: { bs: true, key: 'a' } }], { headers });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
+            message: 'Invalid signature input',
+            context: 'Parameter "bs" cannot be combined with "sf" or "key" in signature input for field "example-dict";bs;key="a"',
+            details: { component: '"example-dict";bs;key="a"', parameter: 'bs' },
+        }));
+    });
+
+    it('should return an error if a field with the sf parameter is not a structured field', async () => {
+        const result = await signatureBaseFor([{ component: 'x-date', parameters: { sf: true } }], { headers: new Headers({ 'X-Date': 'Tue, 20 Apr 2021 02:07:55 GMT' }) });
+
+        assert(result.isErr());
+        assert.strictEqual(result.error.message, 'Invalid structured field value');
+    });
+
+    it('should verify a signature covering a single dictionary member', async () => {
+        const request = {
+            headers: new Headers({ 'Example-Policy': 'max-age=60, scope="payments", extra' }),
+            url: new URL('https://example.com/'),
+            method: 'GET',
+        };
+        const signatureInput = `sig1=("example-policy";key="scope");created=${Math.floor(Date.now() / 1000)}`;
+
+        /** @type {string|undefined} */
+        let verifiedSignatureBase;
+        const result = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: 'sig1=:AQIDBA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: [{ component: 'example-policy', parameters: { key: 'scope' } }],
+            requiredParams: ['created'],
+            maxAge: 300,
+            request,
+            verify: async ({ signatureBase, ok }) => {
+                verifiedSignatureBase = signatureBase;
+                return ok(true);
+            },
+        });
+
+        assert(result.isOk());
+        assert.strictEqual(verifiedSignatureBase?.split('\n')[0], '"example-policy";key="scope": "payments"');
+    });
+});
+
+describe('Component identifier validation (Unit Tests)', () => {
+    /**
+     * Verifies a signature with the given covered components, failing the test if the verifier is called.
+     *
+     * @param {string} components
+     */
+    function verify(components) {
+        return verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: `sig1=(${components});created=${Math.floor(Date.now() / 1000)}`,
+            stringOfSignatureDictionary: 'sig1=:AQIDBA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            request: { method: 'GET', url: new URL('https://example.com/?a=1'), headers: new Headers({ 'Content-Type': 'text/plain' }) },
+            verify: async () => assert.fail('verify should not be called'),
+        });
+    }
+
+    it('should reject malformed covered components before verifying the signature', async () => {
+        assert.deepStrictEqual(await verify('"@method" "content-type" "@method"'), err({
+            type: 'validation',
+            code: 'DUPLICATE_COMPONENT',
+            message: 'Invalid signature input',
+            context: 'Component "@method" is covered more than once',
+            details: { component: '"@method"' },
+        }));
+        assert.deepStrictEqual(await verify('"Content-Type"'), err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_NAME',
+            message: 'Invalid signature input',
+            context: 'Field name "Content-Type" must be lowercase',
+            details: { component: '"Content-Type"' },
+        }));
+        assert.deepStrictEqual(await verify('"@foo"'), err({
+            type: 'validation',
+            code: 'UNKNOWN_COMPONENT',
+            message: 'Invalid signature input',
+            context: 'Unknown derived component "@foo"',
+            details: { component: '"@foo"' },
+        }));
+        assert.strictEqual((await verify('"@signature-params"'))._unsafeUnwrapErr().context, 'Component "@signature-params" cannot be covered');
+        assert.strictEqual((await verify('"content type"'))._unsafeUnwrapErr().code, 'INVALID_COMPONENT_NAME');
+        assert.deepStrictEqual(await verify('"@method";sf'), err({
+            type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
+            message: 'Invalid signature input',
+            context: 'Parameter "sf" is only allowed for fields in signature input for field "@method";sf',
+            details: { component: '"@method";sf', parameter: 'sf' },
+        }));
+        assert.strictEqual((await verify('"content-type";foo'))._unsafeUnwrapErr().context, 'Unknown parameter "foo" in signature input for field "content-type";foo');
+        assert.strictEqual((await verify('"content-type";sf=?0'))._unsafeUnwrapErr().context, 'Parameter "sf" must be the boolean true in signature input for field "content-type";sf=?0');
+        assert.strictEqual((await verify('"@query-param";name="a" "@query-param";name="a"'))._unsafeUnwrapErr().code, 'DUPLICATE_COMPONENT');
+    });
+
+    it('should allow a component to be covered again with different parameters', async () => {
+        const headers = new Headers({ 'Example-Dict': 'a=1, b=2' });
+
+        const result = await signatureBaseFor(['example-dict', { component: 'example-dict', parameters: { key: 'a' } }, { component: 'example-dict', parameters: { sf: true } }], { headers });
+
+        assert.deepStrictEqual(result._unsafeUnwrap(), ['"example-dict": a=1, b=2', '"example-dict";key="a": 1', '"example-dict";sf: a=1, b=2']);
+        assert.strictEqual((await signatureBaseFor(['Example-Dict'], { headers }))._unsafeUnwrapErr().code, 'INVALID_COMPONENT_NAME');
+    });
+});
@@ -0,0 +1,176 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForRequest, createSignatureForResponse, createSigner, createVerifier, parseHttpMessage, serializeHttpMessage, verifySignatureOfRequest } from '../src/index.js';
+
+// RFC 9421, Appendix B.2
+const rfcRequest = [
+    'POST /foo?param=Value&Pet=dog HTTP/1.1',
+    'Host: example.com',
+    'Date: Tue, 20 Apr 2021 02:07:55 GMT',
+    'Content-Type: application/json',
+    'Content-Digest: sha-512=:WZDPaVn/7XgHaAy8pmojAkGWoRx2UFChF41A2svX+TaPm+AbwAgBWnrIiYllu7BNNyealdVLvRwEmTHWXvJwew==:',
+    'Content-Length: 18',
+    '',
+    '{"hello": "world"}',
+].join('\r\n');
+
+// the trailer example of RFC 9421, Section 2.1
+const rfcResponseWithTrailer = [
+    'HTTP/1.1 200 OK',
+    'Content-Type: text/plain',
+    'Transfer-Encoding: chunked',
+    'Trailer: Expires',
+    '',
+    '4',
+    'HTTP',
+    '8',
+    ' Message',
+    'b',
+    ' Signatures',
+    '0',
+    'Expires: Wed, 9 Nov 2022 07:28:00 GMT',
+    '',
+    '',
+].join('\r\n');
+
+describe('parseHttpMessage (Unit Tests)', () => {
+    it('should parse the example request of RFC 9421 into the message shape', () => {
+        const message = parseHttpMessage({ message: rfcRequest })._unsafeUnwrap();
+
+        assert('request' in message);
+        assert.strictEqual(message.request.method, 'POST');
+        assert.strictEqual(message.request.url.href, 'https://example.com/foo?param=Value&Pet=dog');
+        assert.strictEqual(message.request.headers.get('content-type'), 'application/json');
+        assert.strictEqual(new TextDecoder().decode(message.request.body ?? undefined), '{"hello": "world"}');
+        assert.strictEqual(message.request.trailers, undefined);
+        assert.deepStrictEqual(message.request.rawHeaders?.slice(0, 4), ['Host', 'example.com', 'Date', 'Tue, 20 Apr 2021 02:07:55 GMT']);
+    });
+
+    it('should decode a chunked body and its trailers', async () => {
+        const message = parseHttpMessage({ message: rfcResponseWithTrailer })._unsafeUnwrap();
+
+        assert('response' in message);
+        assert.strictEqual(message.response.status, 200);
+        assert.strictEqual(message.response.statusText, 'OK');
+        assert.strictEqual(new TextDecoder().decode(message.response.body ?? undefined), 'HTTP Message Signatures');
+        assert.deepStrictEqual([...message.response.trailers ?? []], [['expires', 'Wed, 9 Nov 2022 07:28:00 GMT']]);
+
+        const signed = (await createSignatureForResponse({
+            signatureInputs: ['@status', 'trailer', { component: 'expires', parameters: { tr: true } }],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1618884473 },
+            response: message.response,
+            sign: async ({ ok }) => ok(new ArrayBuffer(0)),
+        }))._unsafeUnwrap();
+        assert.deepStrictEqual(signed.signatureBase.split('\n').slice(0, 3), ['"@status": 200', '"trailer": Expires', '"expires";tr: Wed, 9 Nov 2022 07:28:00 GMT']);
+    });
+
+    it('should accept chunk extensions and LF line endings', () => {
+        const message = parseHttpMessage({ message: 'PUT /upload HTTP/1.1\nHost: example.com\nTransfer-Encoding: gzip, chunked\n\n3;name=value\nabc\n0\n\n' })._unsafeUnwrap();
+
+        assert('request' in message);
+        assert.strictEqual(new TextDecoder().decode(message.request.body ?? undefined), 'abc');
+        assert.deepStrictEqual([...message.request.trailers ?? []], []);
+    });
+
+    it('should reject malformed chunked bodies', () => {
+        const head = 'HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n';
+
+        assert.strictEqual(parseHttpMessage({ message: `${head}zz\r\n` })._unsafeUnwrapErr().context, 'Invalid chunk size "zz"');
+        assert.strictEqual(parseHttpMessage({ message: `${head}5\r\nabc` })._unsafeUnwrapErr().context, 'Chunk has 3 bytes, but its size is 5');
+        assert.strictEqual(parseHttpMessage({ message: `${head}2\r\nabc\r\n0\r\n\r\n` })._unsafeUnwrapErr().context, 'Chunk is longer than its size');
+        assert.strictEqual(parseHttpMessage({ message: `${head}3\r\nabc\r\n` })._unsafeUnwrapErr().context, 'Chunked body ends without the last chunk');
+        assert.strictEqual(parseHttpMessage({ message: `${head}0\r\nExpires\r\n\r\n` })._unsafeUnwrapErr().code, 'INVALID_MESSAGE');
+    });
+
+    it('should reject lines that are too long instead of overflowing the stack', () => {
+        const longLine = 'x'.repeat(1024 * 1024);
+
+        for (const message of [`GET /${longLine}`, `GET / HTTP/1.1\r\nHost: example.com\r\nX-Long: ${longLine}\r\n\r\n`, `HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n0\r\nX-Long: ${longLine}`]) {
+            const error = parseHttpMessage({ message })._unsafeUnwrapErr();
+            assert.strictEqual(error.code, 'INVALID_MESSAGE');
+            assert.strictEqual(error.context, 'Line is longer than 65536 bytes');
+        }
+    });
+
+    it('should reject field values with control characters instead of throwing', () => {
+        const header = parseHttpMessage({ message: 'GET / HTTP/1.1\r\nHost: example.com\r\nX-Bad: a\0b\r\n\r\n' })._unsafeUnwrapErr();
+        assert.strictEqual(header.code, 'INVALID_MESSAGE');
+        assert.strictEqual(header.context, 'Invalid header line "X-Bad: a\0b"');
+
+        const trailer = parseHttpMessage({ message: 'HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n0\r\nX-Bad: a\rb\r\n\r\n' })._unsafeUnwrapErr();
+        assert.strictEqual(trailer.code, 'INVALID_MESSAGE');
+        assert.strictEqual(trailer.context, 'Invalid trailer line "X-Bad: a\rb"');
+
+        const tab = parseHttpMessage({ message: 'GET / HTTP/1.1\r\nHost: example.com\r\nX-Tab: a\tb\r\n\r\n' })._unsafeUnwrap();
+        assert('request' in tab);
+        assert.strictEqual(tab.request.headers.get('x-tab'), 'a\tb');
+    });
+});
+
+describe('serializeHttpMessage (Unit Tests)', () => {
+    it('should serialize a signed request that verifies after parsing it again', async () => {
+        const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const { request } = /** @type {{request: import('../src/http1.js').ParsedRequest}} */ (parseHttpMessage({ message: rfcRequest })._unsafeUnwrap());
+        const signed = (await createSignatureForRequest({
+            signatureInputs: ['@method', '@authority', '@path', 'content-digest'],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1618884475, keyid: 'test-key-ed25519' },
+            request,
+            sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+        }))._unsafeUnwrap();
+        request.headers.set('Signature-Input', signed.signatureInput);
+        request.headers.set('Signature', signed.signature);
+
+        const raw = new TextDecoder().decode(serializeHttpMessage({ request }));
+
+        assert(raw.startsWith('POST /foo?param=Value&Pet=dog HTTP/1.1\r\ncontent-digest: sha-512=:'));
+        assert(raw.includes('\r\nhost: example.com\r\n'));
+        assert(raw.endsWith('\r\n\r\n{"hello": "world"}'));
+        const parsed = /** @type {{request: import('../src/http1.js').ParsedRequest}} */ (parseHttpMessage({ message: raw })._unsafeUnwrap());
+        const result = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: parsed.request.headers.get('signature-input') ?? '',
+            stringOfSignatureDictionary: parsed.request.headers.get('signature') ?? '',
+            signatureLabel: 'sig1',
+            requiredInputs: ['content-digest'],
+            requiredParams: [],
+            maxAge: 60,
+            now: () => 1618884480000,
+            request: parsed.request,
+            verify: createVerifier({ alg: 'ed25519', key: keyPair.publicKey }),
+        });
+        assert.strictEqual(result.isOk(), true);
+    });
+
+    it('should add the Host and Content-Length headers', () => {
+        const raw = serializeHttpMessage({ request: { method: 'POST', url: new URL('https://example.com:8443/'), headers: new Headers({ 'Content-Type': 'text/plain' }), body: 'hello' } });
+
+        assert.strictEqual(new TextDecoder().decode(raw), 'POST / HTTP/1.1\r\nhost: example.com:8443\r\ncontent-length: 5\r\ncontent-type: text/plain\r\n\r\nhello');
+    });
+
+    it('should serialize trailers after a chunked body', () => {
+        const { response } = /** @type {{response: import('../src/http1.js').ParsedResponse}} */ (parseHttpMessage({ message: rfcResponseWithTrailer })._unsafeUnwrap());
+
+        const raw = new TextDecoder().decode(serializeHttpMessage({ response }));
+
+        assert.strictEqual(raw, [
+            'HTTP/1.1 200 OK',
+            'content-type: text/plain',
+            'trailer: Expires',
+            'transfer-encoding: chunked',
+            '',
+            '17',
+            'HTTP Message Signatures',
+            '0',
+            'expires: Wed, 9 Nov 2022 07:28:00 GMT',
+            '',
+            '',
+        ].join('\r\n'));
+        const parsed = /** @type {{response: import('../src/http1.js').ParsedResponse}} */ (parseHttpMessage({ message: raw })._unsafeUnwrap());
+        assert.deepStrictEqual([...parsed.response.trailers ?? []], [...response.trailers ?? []]);
+
+        const { trailers, ...withoutTrailers } = response;
+        const plain = new TextDecoder().decode(serializeHttpMessage({ response: { ...withoutTrailers, headers: new Headers({ 'Content-Type': 'text/plain' }) } }));
+        assert.strictEqual(plain, 'HTTP/1.1 200 OK\r\ncontent-length: 23\r\ncontent-type: text/plain\r\n\r\nHTTP Message Signatures');
+    });
+});
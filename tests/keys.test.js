@@ -0,0 +1,204 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    createInMemoryKeyResolver,
+    createJwksKeyResolver,
+    createKeyResolverVerifier,
+    createPemKeyResolver,
+    createSigner,
+    importKeyFromPem,
+} from '../src/index.js';
+import { ok, err } from 'neverthrow';
+
+/**
+ * @param {CryptoKey} key
+ * @returns {Promise<string>}
+ */
+async function exportPublicKeyAsPem(key) {
+    const der = new Uint8Array(await crypto.subtle.exportKey('spki', key));
+    const base64 = btoa(String.fromCharCode(...der)).replace(/(.{64})/g, '$1\n');
+    return `-----BEGIN PUBLIC KEY-----\n${base64}\n-----END PUBLIC KEY-----\n`;
+}
+
+/**
+ * @param {'ed25519'|'ecdsa-p256-sha256'|'rsa-pss-sha512'|'hmac-sha256'} alg
+ * @param {CryptoKey} privateKey
+ * @param {string} signatureBase
+ * @returns {Promise<Uint8Array>}
+ */
+async function sign(alg, privateKey, signatureBase) {
+    const result = await createSigner({ alg, key: privateKey })({ signatureBase, params: {} });
+    return new Uint8Array(result._unsafeUnwrap());
+}
+
+describe('createInMemoryKeyResolver (Unit Tests)', () => {
+    it('should resolve a key by keyid and verify with the algorithm of the key', async () => {
+        const { privateKey, publicKey } = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const verify = createKeyResolverVerifier({ keyResolver: createInMemoryKeyResolver({ keys: { 'test-key-ed25519': { key: publicKey } } }) });
+
+        const signature = await sign('ed25519', privateKey, 'signature base');
+
+        assert.deepStrictEqual(await verify({ signatureBase: 'signature base', params: { keyid: 'test-key-ed25519' }, signature }), ok(true));
+        assert.deepStrictEqual(await verify({ signatureBase: 'signature base', params: { keyid: 'test-key-ed25519', alg: 'ed25519' }, signature }), ok(true));
+    });
+
+    it('should return an error for an unknown keyid', async () => {
+        const resolver = createInMemoryKeyResolver({ keys: {} });
+
+        assert.deepStrictEqual(await resolver({ keyid: 'unknown', alg: undefined, tag: undefined }), err({
+            type: 'validation',
+            code: 'UNKNOWN_KEY',
+            message: 'Unknown key',
+            context: 'No key found for keyid "unknown"',
+            details: { keyid: 'unknown' },
+        }));
+        assert.deepStrictEqual(await resolver({ keyid: undefined, alg: undefined, tag: undefined }), err({
+            type: 'validation',
+            code: 'UNKNOWN_KEY',
+            message: 'Missing keyid',
+            context: 'Signature input does not contain the "keyid" parameter',
+            details: {},
+        }));
+    });
+
+    it('should reject an alg parameter that does not match the key type', async () => {
+        const { publicKey } = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const resolver = createInMemoryKeyResolver({ keys: { 'test-key-ed25519': { key: publicKey } } });
+
+        assert.deepStrictEqual(await resolver({ keyid: 'test-key-ed25519', alg: 'hmac-sha256', tag: undefined }), err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: 'Key "test-key-ed25519" cannot be used with algorithm "hmac-sha256"',
+            details: { keyid: 'test-key-ed25519', alg: 'hmac-sha256' },
+        }));
+    });
+
+    it('should reject keys restricted to other tags', async () => {
+        const { publicKey } = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const resolver = createInMemoryKeyResolver({ keys: { 'test-key-ed25519': { key: publicKey, tags: ['payments'] } } });
+
+        assert(((await resolver({ keyid: 'test-key-ed25519', alg: undefined, tag: 'payments' })).isOk()));
+        assert.deepStrictEqual(await resolver({ keyid: 'test-key-ed25519', alg: undefined, tag: 'other' }), err({
+            type: 'validation',
+            code: 'TAG_MISMATCH',
+            message: 'Tag mismatch',
+            context: 'Key "test-key-ed25519" is not allowed for tag "other"',
+            details: { keyid: 'test-key-ed25519', tag: 'other' },
+        }));
+    });
+});
+
+describe('createJwksKeyResolver (Unit Tests)', () => {
+    it('should resolve an EC key by kid and verify', async () => {
+        const { privateKey, publicKey } = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']));
+        const jwk = { ...(await crypto.subtle.exportKey('jwk', publicKey)), kid: 'test-key-ecc-p256' };
+        const verify = createKeyResolverVerifier({ keyResolver: createJwksKeyResolver({ jwks: async () => ({ keys: [jwk] }) }) });
+
+        const signature = await sign('ecdsa-p256-sha256', privateKey, 'signature base');
+
+        assert.deepStrictEqual(await verify({ signatureBase: 'signature base', params: { keyid: 'test-key-ecc-p256', alg: 'ecdsa-p256-sha256' }, signature }), ok(true));
+        assert.deepStrictEqual(await verify({ signatureBase: 'signature base', params: { keyid: 'test-key-ecc-p256' }, signature }), ok(true));
+    });
+
+    it('should require the alg parameter for RSA keys without an alg member', async () => {
+        const { publicKey } = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'RSA-PSS', hash: 'SHA-512', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) }, true, ['sign', 'verify']));
+        const { alg: _, ...jwk } = await crypto.subtle.exportKey('jwk', publicKey);
+        const resolver = createJwksKeyResolver({ jwks: { keys: [{ ...jwk, kid: 'test-key-rsa' }] } });
+
+        assert.deepStrictEqual(await resolver({ keyid: 'test-key-rsa', alg: undefined, tag: undefined }), err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Ambiguous algorithm',
+            context: 'Key "test-key-rsa" can be used with rsa-pss-sha512, rsa-v1_5-sha256; the "alg" parameter is required',
+            details: { keyid: 'test-key-rsa' },
+        }));
+        const resultOfKey = await resolver({ keyid: 'test-key-rsa', alg: 'rsa-v1_5-sha256', tag: undefined });
+        assert(resultOfKey.isOk());
+        assert.strictEqual(resultOfKey.value.alg, 'rsa-v1_5-sha256');
+        assert.strictEqual(resultOfKey.value.key.algorithm.name, 'RSASSA-PKCS1-v1_5');
+    });
+
+    it('should reject an alg parameter that does not match the alg member of the JWK', async () => {
+        const resolver = createJwksKeyResolver({ jwks: { keys: [{ kty: 'oct', k: 'c2VjcmV0', alg: 'HS256', kid: 'test-shared-secret' }] } });
+
+        assert.deepStrictEqual(await resolver({ keyid: 'test-shared-secret', alg: 'ed25519', tag: undefined }), err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: 'Key "test-shared-secret" cannot be used with algorithm "ed25519"',
+            details: { keyid: 'test-shared-secret', alg: 'ed25519' },
+        }));
+    });
+});
+
+describe('createPemKeyResolver (Unit Tests)', () => {
+    /** @type {string} */
+    let directory;
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'http-msg-sig-'));
+    });
+    after(async () => {
+        await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should resolve keys from PEM files and pick the algorithm from the key type', async () => {
+        const ed25519 = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const p256 = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, true, ['sign', 'verify']));
+        await writeFile(join(directory, 'ed25519.pem'), await exportPublicKeyAsPem(ed25519.publicKey));
+        await writeFile(join(directory, 'p256.pem'), await exportPublicKeyAsPem(p256.publicKey));
+        const verify = createKeyResolverVerifier({
+            keyResolver: createPemKeyResolver({
+                keys: {
+                    'test-key-ed25519': { path: join(directory, 'ed25519.pem') },
+                    'test-key-ecc-p256': { path: join(directory, 'p256.pem') },
+                },
+            }),
+        });
+
+        assert.deepStrictEqual(await verify({ signatureBase: 'a', params: { keyid: 'test-key-ed25519' }, signature: await sign('ed25519', ed25519.privateKey, 'a') }), ok(true));
+        assert.deepStrictEqual(await verify({ signatureBase: 'b', params: { keyid: 'test-key-ecc-p256' }, signature: await sign('ecdsa-p256-sha256', p256.privateKey, 'b') }), ok(true));
+    });
+
+    it('should use the pinned algorithm of RSA keys and reject other algorithms', async () => {
+        const rsa = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'RSA-PSS', hash: 'SHA-512', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]) }, true, ['sign', 'verify']));
+        await writeFile(join(directory, 'rsa.pem'), await exportPublicKeyAsPem(rsa.publicKey));
+        const resolver = createPemKeyResolver({ keys: { 'test-key-rsa-pss': { path: join(directory, 'rsa.pem'), alg: 'rsa-pss-sha512' } } });
+        const verify = createKeyResolverVerifier({ keyResolver: resolver });
+
+        assert.deepStrictEqual(await verify({ signatureBase: 'a', params: { keyid: 'test-key-rsa-pss' }, signature: await sign('rsa-pss-sha512', rsa.privateKey, 'a') }), ok(true));
+        assert.deepStrictEqual(await resolver({ keyid: 'test-key-rsa-pss', alg: 'rsa-v1_5-sha256', tag: undefined }), err({
+            type: 'validation',
+            code: 'ALG_MISMATCH',
+            message: 'Algorithm mismatch',
+            context: 'Key "test-key-rsa-pss" cannot be used with algorithm "rsa-v1_5-sha256"',
+            details: { keyid: 'test-key-rsa-pss', alg: 'rsa-v1_5-sha256' },
+        }));
+    });
+
+    it('should return an error if the key file cannot be read', async () => {
+        const resolver = createPemKeyResolver({ keys: { 'test-key-missing': { path: join(directory, 'missing.pem') } } });
+
+        const result = await resolver({ keyid: 'test-key-missing', alg: undefined, tag: undefined });
+
+        assert(result.isErr());
+        assert.strictEqual(result.error.message, 'Failed to read key file for keyid "test-key-missing"');
+    });
+});
+
+describe('importKeyFromPem (Unit Tests)', () => {
+    it('should reject PEM blocks that are not SPKI or PKCS #8 keys', async () => {
+        const result = await importKeyFromPem({ pem: '-----BEGIN CERTIFICATE-----\nAAAA\n-----END CERTIFICATE-----' });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_KEY',
+            message: 'Invalid PEM',
+            context: 'Expected a "PUBLIC KEY" (SPKI) or "PRIVATE KEY" (PKCS #8) PEM block',
+            details: { keyid: undefined },
+        }));
+    });
+});
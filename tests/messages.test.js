@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { createSignatureForRequest, createSignatureForResponse, normalizeRequest, normalizeResponse, verifySignatureOfRequest, verifySignatureOfResponse } from '../src/index.js';
+
+const sign = /** @type {Parameters<typeof createSignatureForRequest>[0]['sign']} */ (async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])));
+const verify = /** @type {Parameters<typeof verifySignatureOfRequest>[0]['verify']} */ (async ({ ok }) => ok(true));
+
+/**
+ * Creates an incoming request the way a Node.js server receives it.
+ *
+ * @param {Object.<string, string>} headers
+ */
+function incomingMessage(headers) {
+    return Object.assign(Readable.from([]), { method: 'DELETE', url: '/items/1?force=true', headers: { host: 'internal:3000', ...headers }, socket: {} });
+}
+
+describe('normalizeRequest (Unit Tests)', () => {
+    it('should reconstruct the URL of an IncomingMessage from the Host header', () => {
+        const result = normalizeRequest(incomingMessage({ 'x-forwarded-proto': 'https', 'x-forwarded-host': 'api.example.com' }));
+
+        assert(result.isOk());
+        assert.strictEqual(result.value.method, 'DELETE');
+        assert.strictEqual(result.value.url.href, 'http://internal:3000/items/1?force=true');
+        assert.strictEqual(result.value.headers.get('host'), 'internal:3000');
+
+        const withRawHeaders = normalizeRequest(Object.assign(incomingMessage({}), { rawHeaders: ['Host', 'internal:3000'] }));
+        assert.deepStrictEqual(withRawHeaders._unsafeUnwrap().rawHeaders, ['Host', 'internal:3000']);
+    });
+
+    it('should use the Forwarded header, then the X-Forwarded headers, of a trusted proxy', () => {
+        const forwarded = normalizeRequest(incomingMessage({ forwarded: 'for=192.0.2.60;proto=https;host="api.example.com:8443", for=10.0.0.1', 'x-forwarded-host': 'other.example.com' }), { trustProxy: true });
+        const xForwarded = normalizeRequest(incomingMessage({ 'x-forwarded-proto': 'https, http', 'x-forwarded-host': 'api.example.com' }), { trustProxy: true });
+
+        assert.strictEqual(forwarded._unsafeUnwrap().url.href, 'https://api.example.com:8443/items/1?force=true');
+        assert.strictEqual(xForwarded._unsafeUnwrap().url.href, 'https://api.example.com/items/1?force=true');
+    });
+
+    it('should not let a request target that starts with // or a backslash replace the host', () => {
+        for (const url of ['//evil.example/items/1', '/\\evil.example/items/1', '\\\\evil.example/items/1']) {
+            const result = normalizeRequest(Object.assign(incomingMessage({}), { url }));
+
+            assert.strictEqual(result._unsafeUnwrap().url.host, 'internal:3000', url);
+        }
+        assert.strictEqual(normalizeRequest(Object.assign(incomingMessage({}), { url: '//evil.example/items/1' }))._unsafeUnwrap().url.pathname, '//evil.example/items/1');
+        assert.strictEqual(normalizeRequest(Object.assign(incomingMessage({}), { url: 'http://api.example.com/items/1' }))._unsafeUnwrap().url.href, 'http://api.example.com/items/1');
+    });
+
+    it('should return an error if an IncomingMessage has no Host header', () => {
+        const result = normalizeRequest(Object.assign(Readable.from([]), { url: '/', headers: {} }));
+
+        assert(result.isErr());
+        assert.strictEqual(result.error.context, 'Request has no Host header');
+    });
+});
+
+describe('Native message objects (Unit Tests)', () => {
+    it('should sign and verify a WHATWG Request', async () => {
+        const created = Math.floor(Date.now() / 1000);
+        const signature = await createSignatureForRequest({
+            signatureInputs: ['@method', '@target-uri', 'content-type'],
+            signatureLabel: 'sig1',
+            additionalParams: { created },
+            request: new Request('https://example.com/foo?bar=baz', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{"hello": "world"}' }),
+            contentDigestAlgorithms: ['sha-256'],
+            sign,
+        });
+        const { signatureInput, signature: stringOfSignatureDictionary, contentDigest } = signature._unsafeUnwrap();
+
+        const request = new Request('https://example.com/foo?bar=baz', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Content-Digest': /** @type {string} */ (contentDigest) },
+            body: '{"hello": "world"}',
+        });
+        const result = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary,
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', '@target-uri', 'content-digest'],
+            requiredParams: ['created'],
+            maxAge: 300,
+            request,
+            verify,
+        });
+
+        assert(result.isOk());
+        assert.strictEqual(await new Response(result.value.body).text(), '{"hello": "world"}');
+    });
+
+    it('should sign a Node.js ServerResponse and verify a WHATWG Response', async () => {
+        const serverResponse = {
+            statusCode: 201,
+            getHeaders: () => ({ 'content-type': 'application/json', 'content-length': 2, 'set-cookie': ['a=1', 'b=2'] }),
+        };
+        assert.deepStrictEqual([...normalizeResponse(serverResponse).headers], [['content-length', '2'], ['content-type', 'application/json'], ['set-cookie', 'a=1'], ['set-cookie', 'b=2']]);
+
+        const signature = await createSignatureForResponse({
+            signatureInputs: ['@status', 'content-type', 'content-length'],
+            signatureLabel: 'sig1',
+            additionalParams: { created: Math.floor(Date.now() / 1000) },
+            response: serverResponse,
+            sign,
+        });
+        const { signatureInput, signature: stringOfSignatureDictionary, signatureBase } = signature._unsafeUnwrap();
+        assert.strictEqual(signatureBase.split('\n')[0], '"@status": 201');
+
+        const result = await verifySignatureOfResponse({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary,
+            signatureLabel: 'sig1',
+            requiredInputs: ['@status'],
+            requiredParams: ['created'],
+            maxAge: 300,
+            response: new Response('{}', { status: 201, headers: { 'Content-Type': 'application/json', 'Content-Length': '2' } }),
+            verify,
+        });
+
+        assert(result.isOk());
+    });
+});
@@ -0,0 +1,216 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { createServer } from 'node:http';
+import { Readable } from 'node:stream';
+import {
+    createExpressMiddleware,
+    createFastifyHook,
+    createKoaMiddleware,
+    createNodeMiddleware,
+    createSignatureForRequest,
+    createSigner,
+    createVerifier,
+} from '../src/index.js';
+
+/** @type {CryptoKeyPair} */
+let keyPair;
+/** @type {import('../src/middleware.js').VerificationPolicy} */
+let policy;
+
+/**
+ * Signs a request to the given URL the way a client would send it.
+ *
+ * @param {string} url
+ * @param {string} body
+ * @param {Object.<string, string>} [extraHeaders]
+ */
+async function signedHeaders(url, body, extraHeaders = {}) {
+    const headers = new Headers({ 'Content-Type': 'application/json', ...extraHeaders });
+    const result = await createSignatureForRequest({
+        signatureInputs: ['@method', '@target-uri'],
+        signatureLabel: 'sig1',
+        additionalParams: { created: Math.floor(Date.now() / 1000), keyid: 'client' },
+        request: { method: 'POST', url: new URL(url), headers, body },
+        contentDigestAlgorithms: ['sha-256'],
+        sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+    });
+    const { signatureInput, signature, contentDigest } = result._unsafeUnwrap();
+    headers.set('Signature-Input', signatureInput);
+    headers.set('Signature', signature);
+    headers.set('Content-Digest', /** @type {string} */ (contentDigest));
+    return headers;
+}
+
+before(async () => {
+    keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+    policy = {
+        signatureLabel: 'sig1',
+        requiredInputs: ['@method', '@target-uri', 'content-digest'],
+        requiredParams: ['created', 'keyid'],
+        maxAge: 300,
+        verify: createVerifier({ alg: 'ed25519', key: keyPair.publicKey }),
+    };
+});
+
+describe('createNodeMiddleware (Integration Tests)', () => {
+    /** @type {import('node:http').Server} */
+    let server;
+    /** @type {string} */
+    let origin;
+
+    before(async () => {
+        const middleware = createNodeMiddleware(policy);
+        server = createServer((req, res) => {
+            middleware(req, res, () => {
+                const { signature, rawBody } = /** @type {{signature: {keyid: string}, rawBody: Uint8Array}} */ (/** @type {unknown} */ (req));
+                res.writeHead(200, { 'content-type': 'application/json' });
+                res.end(JSON.stringify({ keyid: signature.keyid, body: new TextDecoder().decode(rawBody) }));
+            });
+        });
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(undefined)));
+        origin = `http://127.0.0.1:${/** @type {import('node:net').AddressInfo} */ (server.address()).port}`;
+    });
+
+    after(() => new Promise((resolve) => server.close(() => resolve(undefined))));
+
+    it('should verify a signed request and attach the signature and body', async () => {
+        const body = '{"hello": "world"}';
+        const response = await fetch(`${origin}/foo?bar=baz`, { method: 'POST', headers: await signedHeaders(`${origin}/foo?bar=baz`, body), body });
+
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(await response.json(), { keyid: 'client', body });
+    });
+
+    it('should reject an unsigned request with 401 and an Accept-Signature header', async () => {
+        const response = await fetch(`${origin}/foo`, { method: 'POST', body: '{}' });
+
+        assert.strictEqual(response.status, 401);
+        assert.strictEqual(response.headers.get('accept-signature'), 'sig1=("@method" "@target-uri" "content-digest");created;keyid');
+        assert.deepStrictEqual(await response.json(), { error: 'Missing signature' });
+    });
+
+    it('should reject a request whose body does not match the digest', async () => {
+        const headers = await signedHeaders(`${origin}/foo`, '{"amount": 1}');
+        const response = await fetch(`${origin}/foo`, { method: 'POST', headers, body: '{"amount": 1000}' });
+
+        assert.strictEqual(response.status, 401);
+    });
+
+    it('should ignore forwarded headers unless the proxy is trusted', async () => {
+        const body = '{}';
+        const headers = await signedHeaders('https://api.example.com/foo', body, { 'X-Forwarded-Proto': 'https', 'X-Forwarded-Host': 'api.example.com' });
+        const response = await fetch(`${origin}/foo`, { method: 'POST', headers, body });
+
+        assert.strictEqual(response.status, 401);
+    });
+});
+
+describe('Framework adapters (Unit Tests)', () => {
+    /**
+     * Creates an incoming request as a Node.js server would receive it behind a TLS-terminating proxy.
+     *
+     * @param {Headers} headers
+     * @param {string} body
+     */
+    function incomingRequest(headers, body) {
+        return Object.assign(Readable.from([Buffer.from(body)]), {
+            method: 'POST',
+            url: '/foo',
+            headers: { ...Object.fromEntries(headers), host: 'internal:3000', 'x-forwarded-proto': 'https', 'x-forwarded-host': 'api.example.com' },
+            socket: {},
+        });
+    }
+
+    it('should verify with the trust proxy setting of an Express app', async () => {
+        const body = '{"hello": "world"}';
+        const req = Object.assign(incomingRequest(await signedHeaders('https://api.example.com/foo', body), body), { app: { get: () => true } });
+        /** @type {unknown} */
+        let nextArgument = 'not called';
+
+        await createExpressMiddleware(policy)(req, { writeHead: () => undefined, end: () => undefined }, (error) => { nextArgument = error; });
+
+        assert.strictEqual(nextArgument, undefined);
+        assert.strictEqual(/** @type {{signature?: {keyid?: string}}} */ (req).signature?.keyid, 'client');
+    });
+
+    it('should not trust forwarded headers for trust proxy settings that only trust some clients', async () => {
+        const body = '{"hello": "world"}';
+        const headers = await signedHeaders('https://api.example.com/foo', body);
+        const reply = { code: () => reply, headers: () => reply, send: () => reply };
+
+        for (const setting of [1, 'loopback', ['10.0.0.0/8'], () => false]) {
+            /** @type {{status?: number}} */
+            const response = {};
+            let nextCalled = false;
+            const req = Object.assign(incomingRequest(headers, body), { app: { get: () => setting } });
+            await createExpressMiddleware(policy)(req, { writeHead: (status) => { response.status = status; }, end: () => undefined }, () => { nextCalled = true; });
+            assert.strictEqual(nextCalled, false);
+            assert.strictEqual(response.status, 401);
+
+            const raw = incomingRequest(headers, body);
+            /** @type {{raw: typeof raw, server: {initialConfig: {trustProxy: unknown}}, signature?: import('../src/index.js').VerificationResult}} */
+            const request = { raw, server: { initialConfig: { trustProxy: setting } } };
+            await createFastifyHook(policy)(request, reply, raw);
+            assert.strictEqual(request.signature, undefined);
+        }
+    });
+
+    it('should set the status, headers and body of a rejected Koa request', async () => {
+        const ctx = {
+            req: incomingRequest(new Headers(), ''),
+            request: {},
+            state: {},
+            app: { proxy: true },
+            status: 404,
+            body: /** @type {unknown} */ (undefined),
+            /** @type {Object.<string, string>} */
+            headers: {},
+            /** @param {Object.<string, string>} fields */
+            set(fields) { Object.assign(this.headers, fields); },
+        };
+        let nextCalled = false;
+
+        await createKoaMiddleware(policy)(ctx, async () => { nextCalled = true; });
+
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(ctx.status, 401);
+        assert.strictEqual(ctx.headers['accept-signature'], 'sig1=("@method" "@target-uri" "content-digest");created;keyid');
+        assert.deepStrictEqual(ctx.body, { error: 'Missing signature' });
+    });
+
+    it('should reject a request whose stream fails mid-body with 400', async () => {
+        const stream = new Readable({ read() {} });
+        const req = Object.assign(stream, { method: 'POST', url: '/foo', headers: { host: 'example.com' }, socket: {} });
+        stream.push('{"hello": ');
+        setImmediate(() => stream.destroy(new Error('aborted')));
+        /** @type {{status?: number, body?: string}} */
+        const response = {};
+        let nextCalled = false;
+
+        await createNodeMiddleware(policy)(req, {
+            writeHead: (status) => { response.status = status; },
+            end: (body) => { response.body = body; },
+        }, () => { nextCalled = true; });
+
+        assert.strictEqual(nextCalled, false);
+        assert.strictEqual(response.status, 400);
+        assert.deepStrictEqual(JSON.parse(response.body ?? ''), { error: 'Failed to read body' });
+
+        const large = Object.assign(Readable.from([Buffer.alloc(16)]), { method: 'POST', url: '/foo', headers: { host: 'example.com' }, socket: {} });
+        await createNodeMiddleware({ ...policy, maxBodySize: 8 })(large, { writeHead: (status) => { response.status = status; }, end: () => undefined }, () => undefined);
+        assert.strictEqual(response.status, 413);
+    });
+
+    it('should hand the verified payload on to the Fastify body parser', async () => {
+        const body = '{"hello": "world"}';
+        const raw = incomingRequest(await signedHeaders('https://api.example.com/foo', body), body);
+        /** @type {{raw: typeof raw, server: {initialConfig: {trustProxy: boolean}}, signature?: import('../src/index.js').VerificationResult}} */
+        const request = { raw, server: { initialConfig: { trustProxy: true } } };
+        const reply = { code: () => reply, headers: () => reply, send: () => reply };
+
+        const payload = /** @type {Readable} */ (await createFastifyHook(policy)(request, reply, raw));
+
+        assert.strictEqual(request.signature?.keyid, 'client');
+        assert.strictEqual(Buffer.concat(await payload.toArray()).toString(), body);
+    });
+});
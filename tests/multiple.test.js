@@ -0,0 +1,150 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import {
+    createInMemoryKeyResolver,
+    createKeyResolverVerifier,
+    createSignatureForRequest,
+    createSigner,
+    verifySignatureOfRequest,
+    verifySignaturesOfRequest,
+} from '../src/index.js';
+
+const request = {
+    headers: new Headers({ 'Content-Type': 'application/json' }),
+    url: new URL('https://example.com/foo?bar=baz'),
+    method: 'POST',
+    body: null,
+};
+
+describe('verifySignaturesOfRequest (Unit Tests)', () => {
+    /** @type {string} */
+    let signatureInput;
+    /** @type {string} */
+    let signature;
+    /** @type {ReturnType<typeof createKeyResolverVerifier>} */
+    let verify;
+
+    before(async () => {
+        const origin = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const proxy = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+        const created = Math.floor(Date.now() / 1000);
+
+        const originSignature = await createSignatureForRequest({
+            signatureInputs: ['@method', '@target-uri', 'content-type'],
+            signatureLabel: 'sig-origin',
+            additionalParams: { keyid: 'origin-key', tag: 'origin', created },
+            request,
+            sign: createSigner({ alg: 'ed25519', key: origin.privateKey }),
+        });
+        const proxySignature = await createSignatureForRequest({
+            signatureInputs: ['@method', '@authority'],
+            signatureLabel: 'sig-proxy',
+            additionalParams: { keyid: 'proxy-key', tag: 'proxy', created },
+            request,
+            sign: createSigner({ alg: 'ed25519', key: proxy.privateKey }),
+        });
+        assert(originSignature.isOk() && proxySignature.isOk());
+
+        signatureInput = `${originSignature.value.signatureInput}, ${proxySignature.value.signatureInput}`;
+        signature = `${originSignature.value.signature}, ${proxySignature.value.signature}`;
+        verify = createKeyResolverVerifier({
+            keyResolver: createInMemoryKeyResolver({ keys: { 'origin-key': { key: origin.publicKey }, 'proxy-key': { key: proxy.publicKey } } }),
+        });
+    });
+
+    it('should verify every signature of the message', async () => {
+        const result = await verifySignaturesOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: signature,
+            requiredInputs: ['@method'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request,
+            verify,
+        });
+
+        assert(result.isOk());
+        assert.deepStrictEqual(result.value.verified, ['sig-origin', 'sig-proxy']);
+        assert.deepStrictEqual(result.value.outcomes.map(({ label, result }) => [label, result.isOk() && result.value.keyid]), [['sig-origin', 'origin-key'], ['sig-proxy', 'proxy-key']]);
+    });
+
+    it('should verify a single signature of a dictionary with several entries', async () => {
+        const result = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: signature,
+            signatureLabel: 'sig-proxy',
+            requiredInputs: ['@authority'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request,
+            verify,
+        });
+
+        assert(result.isOk());
+        assert.strictEqual(result.value.label, 'sig-proxy');
+        assert.deepStrictEqual(result.value.components, ['@method', '@authority']);
+    });
+
+    it('should select signatures by tag, keyid and covered components', async () => {
+        for (const select of [{ tag: 'proxy' }, { keyid: ['proxy-key', 'other-key'] }, { components: ['@authority'] }]) {
+            const result = await verifySignaturesOfRequest({
+                stringOfSignatureInputDictionary: signatureInput,
+                stringOfSignatureDictionary: signature,
+                select,
+                requiredInputs: [],
+                requiredParams: [],
+                maxAge: 300,
+                request,
+                verify,
+            });
+
+            assert(result.isOk());
+            assert.deepStrictEqual(result.value.verified, ['sig-proxy']);
+        }
+    });
+
+    it('should accept any valid signature or require all of them', async () => {
+        const tamperedSignature = signature.replace(/sig-proxy=:[^:]+:/, 'sig-proxy=:AQIDBA==:');
+        /** @type {Omit<Parameters<typeof verifySignaturesOfRequest>[0], 'mode'>} */
+        const params = {
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: tamperedSignature,
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            request,
+            verify,
+        };
+
+        const anyResult = await verifySignaturesOfRequest({ ...params, mode: 'any' });
+        assert(anyResult.isOk());
+        assert.deepStrictEqual(anyResult.value.verified, ['sig-origin']);
+        assert(anyResult.value.outcomes[1].result.isErr());
+
+        const allResult = await verifySignaturesOfRequest({ ...params, mode: 'all' });
+        assert(allResult.isErr());
+        assert.strictEqual(allResult.error.message, 'Signature verification didn\'t pass');
+        assert.deepStrictEqual(/** @type {{label: string}[]} */ (allResult.error.context).map(({ label }) => label), ['sig-origin', 'sig-proxy']);
+    });
+
+    it('should return an error if no signature matches the selection', async () => {
+        const result = await verifySignaturesOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: signature,
+            select: { tag: 'origin', keyid: 'proxy-key' },
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            request,
+            verify,
+        });
+
+        assert.deepStrictEqual(result.isErr() && result.error, {
+            type: 'validation',
+            code: 'MISSING_SIGNATURE',
+            message: 'No matching signature',
+            context: 'No signature in the signature input matches the selection',
+            details: {},
+        });
+    });
+});
@@ -0,0 +1,165 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForRequest, createSigner, createVerifier, verifyWithPolicy } from '../src/index.js';
+
+/** @type {CryptoKeyPair} */
+let keyPair;
+
+before(async () => {
+    keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+});
+
+/**
+ * Signs a request and returns it with the Signature-Input and Signature headers.
+ *
+ * @param {object} params
+ * @param {string} params.method
+ * @param {string} params.path
+ * @param {import('../src/components.js').ComponentIdentifier[]} params.signatureInputs
+ * @param {Object.<string, string|number|undefined>=} params.additionalParams - Parameters to add or, if `undefined`, to leave out.
+ * @param {string=} params.body
+ */
+async function signRequest({ method, path, signatureInputs, additionalParams = {}, body }) {
+    const request = { method, url: new URL(`https://example.com${path}`), headers: new Headers({ 'Content-Type': 'application/json' }), body };
+    const params = Object.entries({ created: 1700000000, keyid: 'test-key', alg: 'ed25519', ...additionalParams }).filter(([, value]) => value !== undefined);
+    const signed = (await createSignatureForRequest({
+        signatureInputs,
+        signatureLabel: 'sig1',
+        additionalParams: /** @type {Object.<string, string|number>} */ (Object.fromEntries(params)),
+        ...(body === undefined ? {} : { contentDigestAlgorithms: /** @type {import('../src/digest.js').DigestAlgorithm[]} */ (['sha-256']) }),
+        request,
+        sign: createSigner({ alg: 'ed25519', key: keyPair.privateKey }),
+    }))._unsafeUnwrap();
+    request.headers.set('Signature-Input', signed.signatureInput);
+    request.headers.set('Signature', signed.signature);
+    if (signed.contentDigest) {
+        request.headers.set('Content-Digest', signed.contentDigest);
+    }
+    return request;
+}
+
+/** @returns {import('../src/policy.js').RoutePolicy} */
+function createPolicy() {
+    return {
+        requiredInputs: ['@method', '@path'],
+        requiredParams: ['keyid'],
+        algorithms: ['ed25519'],
+        maxAge: 300,
+        now: () => 1700000010000,
+        verify: createVerifier({ alg: 'ed25519', key: keyPair.publicKey }),
+        routes: [
+            { method: ['POST', 'PUT'], path: '/payments/:id', requiredInputs: ['@method', '@path', 'content-type'], tags: ['payments'], maxAge: 60, requireDigest: true },
+            { method: 'GET', path: '/public/*', requiredInputs: [], requiredParams: [] },
+            { path: '/*' },
+        ],
+    };
+}
+
+describe('verifyWithPolicy (Unit Tests)', () => {
+    it('should apply the requirements of the first route that matches', async () => {
+        const request = await signRequest({
+            method: 'POST',
+            path: '/payments/42',
+            signatureInputs: ['@method', '@path', 'content-type'],
+            additionalParams: { tag: 'payments' },
+            body: '{"amount": 1}',
+        });
+
+        const result = (await verifyWithPolicy({ policy: createPolicy(), request }))._unsafeUnwrap();
+
+        assert.strictEqual(result.route, 'POST,PUT /payments/:id');
+        assert.strictEqual(result.signature.tag, 'payments');
+        assert(result.signature.components.includes('content-digest'));
+    });
+
+    it('should fall back to the requirements of the policy', async () => {
+        const request = await signRequest({ method: 'DELETE', path: '/accounts/7', signatureInputs: ['@method', '@path'] });
+
+        assert.strictEqual((await verifyWithPolicy({ policy: createPolicy(), request }))._unsafeUnwrap().route, '* /*');
+
+        const uncovered = await signRequest({ method: 'DELETE', path: '/accounts/7', signatureInputs: ['@method'] });
+        const error = (await verifyWithPolicy({ policy: createPolicy(), request: uncovered }))._unsafeUnwrapErr();
+        assert.strictEqual(error.code, 'POLICY_VIOLATION');
+        assert.deepStrictEqual(error.details, { route: '* /*', rule: 'requiredInputs', component: '"@path"' });
+    });
+
+    it('should report which rule of the route failed', async () => {
+        const policy = createPolicy();
+        /** @param {Parameters<typeof signRequest>[0]} params */
+        const verify = async (params) => {
+            const error = (await verifyWithPolicy({ policy, request: await signRequest(params) }))._unsafeUnwrapErr();
+            assert.strictEqual(error.code, 'POLICY_VIOLATION');
+            return error;
+        };
+        const payment = { method: 'PUT', path: '/payments/42', signatureInputs: ['@method', '@path', 'content-type'], additionalParams: { tag: 'payments' }, body: '{}' };
+
+        assert.deepStrictEqual((await verify({ ...payment, additionalParams: { tag: 'refunds' } })).details, { route: 'POST,PUT /payments/:id', rule: 'tags', parameter: 'tag', value: 'refunds' });
+        const disallowedAlg = (await verifyWithPolicy({ policy: { ...policy, algorithms: ['ecdsa-p256-sha256'] }, request: await signRequest(payment) }))._unsafeUnwrapErr();
+        assert.strictEqual(disallowedAlg.code, 'POLICY_VIOLATION');
+        assert.deepStrictEqual(disallowedAlg.details, { route: 'POST,PUT /payments/:id', rule: 'algorithms', parameter: 'alg', value: 'ed25519' });
+        assert.deepStrictEqual((await verify({ ...payment, additionalParams: { tag: 'payments', created: 1699999900 } })).details, { route: 'POST,PUT /payments/:id', rule: 'maxAge', parameter: 'created', value: '1699999900' });
+        assert.deepStrictEqual((await verify({ ...payment, body: undefined })).details, { route: 'POST,PUT /payments/:id', rule: 'requireDigest' });
+
+        assert.deepStrictEqual((await verify({ method: 'GET', path: '/accounts', signatureInputs: ['@method', '@path'], additionalParams: { keyid: undefined } })).details, { route: '* /*', rule: 'requiredParams', parameter: 'keyid' });
+    });
+
+    it('should enforce the rules of the route before verifying the signature and recording its nonce', async () => {
+        /** @type {string[]} */
+        const calls = [];
+        const policy = {
+            ...createPolicy(),
+            verify: /** @type {import('../src/policy.js').RoutePolicy['verify']} */ (async ({ ok }) => { calls.push('verify'); return ok(true); }),
+            replayStore: { add: async () => { calls.push('add'); return true; } },
+        };
+        const payment = { method: 'POST', path: '/payments/42', signatureInputs: ['@method', '@path', 'content-type'], body: '{}' };
+
+        const untagged = (await verifyWithPolicy({ policy, request: await signRequest({ ...payment, additionalParams: { tag: 'refunds', nonce: 'n1' } }) }))._unsafeUnwrapErr();
+        assert.strictEqual(untagged.code, 'POLICY_VIOLATION');
+        const disallowedAlg = (await verifyWithPolicy({ policy: { ...policy, algorithms: ['ecdsa-p256-sha256'] }, request: await signRequest({ ...payment, additionalParams: { tag: 'payments', nonce: 'n1' } }) }))._unsafeUnwrapErr();
+        assert.strictEqual(disallowedAlg.code, 'POLICY_VIOLATION');
+        const undigested = (await verifyWithPolicy({ policy, request: await signRequest({ ...payment, body: undefined, additionalParams: { tag: 'payments', nonce: 'n1' } }) }))._unsafeUnwrapErr();
+        assert.strictEqual(undigested.code, 'POLICY_VIOLATION');
+        assert.deepStrictEqual(calls, []);
+
+        assert((await verifyWithPolicy({ policy, request: await signRequest({ ...payment, additionalParams: { tag: 'payments', nonce: 'n1' } }) })).isOk());
+        assert.deepStrictEqual(calls, ['verify', 'add']);
+    });
+
+    it('should match methods and path patterns and reject unmatched requests', async () => {
+        const policy = { ...createPolicy(), routes: createPolicy().routes.slice(0, 2) };
+
+        const publicRequest = await signRequest({ method: 'get', path: '/public/docs/index.html', signatureInputs: [] });
+        assert.strictEqual((await verifyWithPolicy({ policy, request: publicRequest }))._unsafeUnwrap().route, 'GET /public/*');
+
+        for (const [method, path] of [['GET', '/payments/42'], ['POST', '/payments/'], ['POST', '/payments/42/refunds'], ['GET', '/other']]) {
+            const request = await signRequest({ method, path, signatureInputs: ['@method', '@path'] });
+            const error = (await verifyWithPolicy({ policy, request }))._unsafeUnwrapErr();
+            assert.strictEqual(error.code, 'POLICY_VIOLATION');
+            assert.deepStrictEqual(error.details, { rule: 'route' }, `${method} ${path}`);
+        }
+    });
+
+    it('should match paths with a trailing slash or percent-encoded unreserved characters', async () => {
+        const policy = { ...createPolicy(), routes: [{ method: 'DELETE', path: '/payments' }, { method: 'DELETE', path: '/payments/:id/' }] };
+
+        for (const [path, route] of [['/payments/', 'DELETE /payments'], ['/pay%6Dents', 'DELETE /payments'], ['/pay%6dents/42', 'DELETE /payments/:id/']]) {
+            const request = await signRequest({ method: 'DELETE', path, signatureInputs: ['@method', '@path'] });
+            assert.strictEqual((await verifyWithPolicy({ policy, request }))._unsafeUnwrap().route, route, path);
+        }
+        const encodedSlash = await signRequest({ method: 'DELETE', path: '/payments%2F42', signatureInputs: ['@method', '@path'] });
+        const error = (await verifyWithPolicy({ policy, request: encodedSlash }))._unsafeUnwrapErr();
+        assert.strictEqual(error.code, 'POLICY_VIOLATION');
+        assert.deepStrictEqual(error.details, { rule: 'route' });
+    });
+
+    it('should return errors that are not policy violations as they are', async () => {
+        const request = await signRequest({ method: 'GET', path: '/accounts', signatureInputs: ['@method', '@path'] });
+        request.url = new URL('https://example.com/elsewhere');
+
+        const error = (await verifyWithPolicy({ policy: createPolicy(), request }))._unsafeUnwrapErr();
+
+        assert.strictEqual(error.code, 'SIGNATURE_MISMATCH');
+        request.headers.delete('Signature');
+        assert.strictEqual((await verifyWithPolicy({ policy: createPolicy(), request }))._unsafeUnwrapErr().code, 'MISSING_SIGNATURE');
+    });
+});
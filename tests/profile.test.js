@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForRequest, createSigningProfile, createVerifier, importKeyFromJwk, signRequest, verifySignatureOfRequest } from '../src/index.js';
+
+/**
+ * Generates an Ed25519 key pair and imports the private key as a JWK with a `kid`.
+ */
+async function generateKey() {
+    const keyPair = /** @type {CryptoKeyPair} */ (await crypto.subtle.generateKey({ name: 'Ed25519' }, true, ['sign', 'verify']));
+    const jwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+    const key = (await importKeyFromJwk({ jwk: { ...jwk, kid: 'profile-key' } }))._unsafeUnwrap();
+    return { key, publicKey: keyPair.publicKey };
+}
+
+describe('createSigningProfile (Unit Tests)', () => {
+    it('should take keyid and alg from the key and fill in created, expires and nonce', async () => {
+        const { key, publicKey } = await generateKey();
+        const profile = createSigningProfile({ key, signatureInputs: ['@method', '@target-uri'], expiresIn: 60, now: () => 1700000000000 });
+        assert(profile.isOk());
+
+        const signed = (await signRequest({ request: new Request('https://example.com/foo'), profile: profile.value }))._unsafeUnwrap();
+
+        assert.match(signed.headers.get('signature-input') ?? '', /^sig1=\("@method" "@target-uri"\);created=1700000000;expires=1700000060;nonce="[A-Za-z0-9_-]{22}";keyid="profile-key";alg="ed25519"$/);
+        const result = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signed.headers.get('signature-input') ?? '',
+            stringOfSignatureDictionary: signed.headers.get('signature') ?? '',
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', '@target-uri'],
+            requiredParams: ['created', 'expires', 'nonce', 'keyid', 'alg'],
+            maxAge: 300,
+            now: () => 1700000010000,
+            request: { method: 'GET', url: new URL('https://example.com/foo'), headers: signed.headers },
+            verify: createVerifier({ alg: 'ed25519', key: publicKey }),
+        });
+        assert.strictEqual(result._unsafeUnwrap().keyid, 'profile-key');
+    });
+
+    it('should let the keyid be overridden and alg be left out', async () => {
+        const { key } = await generateKey();
+        const profile = createSigningProfile({ key, signatureInputs: ['@method'], keyid: 'other-key', includeAlg: false, nonce: false, now: () => 1700000000000 })._unsafeUnwrap();
+
+        const signed = (await signRequest({ request: new Request('https://example.com/'), profile }))._unsafeUnwrap();
+
+        assert.strictEqual(signed.headers.get('signature-input'), 'sig1=("@method");created=1700000000;keyid="other-key"');
+    });
+
+    it('should reject invalid parameters when the profile is created', async () => {
+        const { key } = await generateKey();
+
+        assert.deepStrictEqual(createSigningProfile({ key, signatureInputs: [], tag: 'café' })._unsafeUnwrapErr(), {
+            type: 'validation',
+            code: 'INVALID_PARAMETER',
+            message: 'Invalid signature parameter',
+            context: 'Parameter "tag" must only contain printable ASCII characters',
+            details: { parameter: 'tag' },
+        });
+        assert.deepStrictEqual(createSigningProfile({ key, signatureInputs: [], expiresIn: 1.5 })._unsafeUnwrapErr(), {
+            type: 'validation',
+            code: 'INVALID_PARAMETER',
+            message: 'Invalid signing profile',
+            context: 'expiresIn must be a positive integer',
+            details: { parameter: 'expires' },
+        });
+    });
+});
+
+describe('Signature parameter validation (Unit Tests)', () => {
+    /**
+     * Creates a signature with the given parameters.
+     *
+     * @param {Object.<string, unknown>} additionalParams
+     */
+    function sign(additionalParams) {
+        return createSignatureForRequest({
+            signatureInputs: ['@method'],
+            signatureLabel: 'sig1',
+            additionalParams: /** @type {Object.<string, (number|string)>} */ (additionalParams),
+            request: { method: 'GET', url: new URL('https://example.com/'), headers: new Headers() },
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3]).buffer),
+        });
+    }
+
+    it('should name the parameter with the wrong type instead of failing to encode', async () => {
+        assert.deepStrictEqual((await sign({ created: '1700000000' }))._unsafeUnwrapErr(), {
+            type: 'validation',
+            code: 'INVALID_PARAMETER',
+            message: 'Invalid signature parameter',
+            context: 'Parameter "created" must be an integer',
+            details: { parameter: 'created' },
+        });
+        assert.strictEqual((await sign({ created: 1700000000.5 }))._unsafeUnwrapErr().context, 'Parameter "created" must be an integer');
+        assert.strictEqual((await sign({ keyid: 42 }))._unsafeUnwrapErr().context, 'Parameter "keyid" must be a string');
+        assert.strictEqual((await sign({ nonce: undefined }))._unsafeUnwrapErr().context, 'Parameter "nonce" must be a string');
+        assert.strictEqual((await sign({ Created: 1 }))._unsafeUnwrapErr().context, 'Invalid parameter name "Created"');
+        assert.strictEqual((await sign({ created: 1e16 }))._unsafeUnwrapErr().context, 'Parameter "created" is out of range');
+    });
+
+    it('should accept extension parameters with string and number values', async () => {
+        const result = await sign({ created: 1700000000, 'x-app': 'demo', 'x-weight': 0.5 });
+
+        assert.strictEqual(result._unsafeUnwrap().signatureInput, 'sig1=("@method");created=1700000000;x-app="demo";x-weight=0.5');
+    });
+});
@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createInMemoryReplayStore, verifySignatureOfRequest } from '../src/index.js';
+import { err } from 'neverthrow';
+
+describe('createInMemoryReplayStore (Unit Tests)', () => {
+    it('should add keys that are not stored until their time to live has passed', async () => {
+        let nowInMilliseconds = 1700000000000;
+        const store = createInMemoryReplayStore({ now: () => nowInMilliseconds });
+
+        assert.strictEqual(await store.add('a', 10), true);
+        assert.strictEqual(await store.add('a', 10), false);
+        assert.strictEqual(await store.add('b', 10), true);
+
+        nowInMilliseconds += 10000;
+        assert.strictEqual(await store.add('a', 10), true);
+    });
+
+    it('should evict the least recently used entry when full', async () => {
+        const store = createInMemoryReplayStore({ maxEntries: 2 });
+
+        await store.add('a', 60);
+        await store.add('b', 60);
+        await store.add('a', 60);
+        await store.add('c', 60);
+
+        assert.strictEqual(await store.add('c', 60), false);
+        assert.strictEqual(await store.add('a', 60), false);
+        assert.strictEqual(await store.add('b', 60), true);
+    });
+});
+
+describe('verifySignatureOfRequest with a replay store (Unit Tests)', () => {
+    const request = {
+        headers: new Headers({ 'Content-Type': 'application/json' }),
+        url: new URL('https://example.com/payments'),
+        method: 'POST',
+        body: null,
+    };
+
+    /**
+     * @param {string} signatureParams
+     * @returns {Parameters<typeof verifySignatureOfRequest>[0]}
+     */
+    function paramsFor(signatureParams) {
+        return {
+            stringOfSignatureInputDictionary: `sig1=("@method" "@target-uri");created=1700000000${signatureParams}`,
+            stringOfSignatureDictionary: 'sig1=:AQIDBAUGBwgJAA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method'],
+            requiredParams: ['created'],
+            maxAge: 300,
+            now: () => 1700000000000,
+            request,
+            verify: async ({ ok }) => ok(true),
+        };
+    }
+
+    it('should reject a nonce that has already been used for the keyid', async () => {
+        const replayStore = createInMemoryReplayStore();
+
+        assert((await verifySignatureOfRequest({ ...paramsFor(';keyid="key-a";nonce="n1"'), replayStore })).isOk());
+        assert.deepStrictEqual(await verifySignatureOfRequest({ ...paramsFor(';keyid="key-a";nonce="n1"'), replayStore }), err({
+            type: 'validation',
+            code: 'REPLAYED_NONCE',
+            message: 'Replayed signature',
+            context: 'Nonce "n1" has already been used for keyid "key-a"',
+            details: { keyid: 'key-a', nonce: 'n1' },
+        }));
+        assert((await verifySignatureOfRequest({ ...paramsFor(';keyid="key-b";nonce="n1"'), replayStore })).isOk());
+    });
+
+    it('should remember nonces until the signature expires', async () => {
+        /** @type {number[]} */
+        const ttls = [];
+        const inMemoryStore = createInMemoryReplayStore();
+        /** @type {import('../src/replay.js').ReplayStore} */
+        const replayStore = {
+            add: async (key, ttl) => {
+                ttls.push(ttl);
+                return inMemoryStore.add(key, ttl);
+            },
+        };
+
+        await verifySignatureOfRequest({ ...paramsFor(';nonce="n1"'), replayStore });
+        await verifySignatureOfRequest({ ...paramsFor(';expires=1700000060;nonce="n2"'), replayStore, clockSkew: 5 });
+
+        assert.deepStrictEqual(ttls, [300, 65]);
+    });
+
+    it('should accept only one of concurrent requests with the same nonce', async () => {
+        const replayStore = createInMemoryReplayStore();
+
+        const results = await Promise.all([1, 2].map(() => verifySignatureOfRequest({ ...paramsFor(';keyid="key-a";nonce="n1"'), replayStore })));
+
+        assert.deepStrictEqual(results.map((result) => result.isOk()), [true, false]);
+        assert.strictEqual(results[1]._unsafeUnwrapErr().code, 'REPLAYED_NONCE');
+    });
+
+    it('should not record the nonce of a signature that does not verify', async () => {
+        const replayStore = createInMemoryReplayStore();
+
+        const failedResult = await verifySignatureOfRequest({
+            ...paramsFor(';nonce="n1"'),
+            replayStore,
+            verify: async ({ err }) => err({ type: 'validation', message: 'Signature verification didn\'t pass' }),
+        });
+
+        assert(failedResult.isErr());
+        assert((await verifySignatureOfRequest({ ...paramsFor(';nonce="n1"'), replayStore })).isOk());
+    });
+
+    it('should require the nonce parameter', async () => {
+        const result = await verifySignatureOfRequest({ ...paramsFor(''), replayStore: createInMemoryReplayStore() });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'MISSING_PARAMETER',
+            message: 'Invalid signature',
+            context: 'Missing required parameter "nonce" in signature input',
+            details: { parameter: 'nonce' },
+        }));
+    });
+});
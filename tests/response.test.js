@@ -0,0 +1,206 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createSignatureForResponse, verifySignatureOfResponse } from '../src/index.js';
+import { ok, err } from 'neverthrow';
+
+describe('createSignatureForResponse (Unit Tests)', () => {
+    it('should create a signature base with @status and request-bound components', async () => {
+        const request = {
+            headers: new Headers({ 'Signature': 'sig1=:AQIDBA==:, proxy_sig=:BQY=:' }),
+            url: new URL('https://example.com/foo?param=Value&Pet=dog'),
+            method: 'POST',
+        };
+        const response = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            status: 503,
+        };
+
+        const nowInSeconds = Math.floor(Date.now() / 1000);
+        const result = await createSignatureForResponse({
+            signatureInputs: [
+                '@status',
+                'content-type',
+                { component: '@authority', parameters: { req: true } },
+                { component: '@method', parameters: { req: true } },
+                { component: '@path', parameters: { req: true } },
+                { component: 'signature', parameters: { req: true, key: 'sig1' } },
+            ],
+            signatureLabel: 'sig1',
+            additionalParams: { created: nowInSeconds, keyid: 'test-key-ecc-p256' },
+            response,
+            request,
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3])),
+        });
+
+        const expectedSignatureBase = [
+            '"@status": 503',
+            '"content-type": application/json',
+            '"@authority";req: example.com',
+            '"@method";req: POST',
+            '"@path";req: /foo',
+            '"signature";req;key="sig1": :AQIDBA==:',
+            `"@signature-params": ("@status" "content-type" "@authority";req "@method";req "@path";req "signature";req;key="sig1");created=${nowInSeconds};keyid="test-key-ecc-p256"`,
+        ];
+        assert.deepStrictEqual(result, ok({
+            signatureInput: `sig1=("@status" "content-type" "@authority";req "@method";req "@path";req "signature";req;key="sig1");created=${nowInSeconds};keyid="test-key-ecc-p256"`,
+            signature: 'sig1=:AQID:',
+            signatureBase: expectedSignatureBase.join('\n'),
+        }));
+    });
+
+    it('should return an error if a request-bound component is used without the related request', async () => {
+        const result = await createSignatureForResponse({
+            signatureInputs: ['@status', { component: '@method', parameters: { req: true } }],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1618884479 },
+            response: { headers: new Headers(), status: 200 },
+            sign: async ({ ok }) => ok(new Uint8Array([1])),
+        });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing related request',
+            context: 'Related request is required to resolve signature input for field "@method";req',
+            details: { component: '"@method";req' },
+        }));
+    });
+
+    it('should return an error if a request-derived component is used without the req parameter', async () => {
+        const result = await createSignatureForResponse({
+            signatureInputs: ['@status', '@method'],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1618884479 },
+            response: { headers: new Headers(), status: 200 },
+            request: { headers: new Headers(), url: new URL('https://example.com/'), method: 'GET' },
+            sign: async ({ ok }) => ok(new Uint8Array([1])),
+        });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Component "@method" is derived from the request and needs the "req" parameter when signing a response, found in signature input for field "@method"',
+            details: { component: '"@method"' },
+        }));
+    });
+
+    it('should return an error if the requested signature is missing from the related request', async () => {
+        const result = await createSignatureForResponse({
+            signatureInputs: [{ component: 'signature', parameters: { req: true, key: 'sig2' } }],
+            signatureLabel: 'sig1',
+            additionalParams: { created: 1618884479 },
+            response: { headers: new Headers(), status: 200 },
+            request: { headers: new Headers({ 'Signature': 'sig1=:AQIDBA==:' }), url: new URL('https://example.com/'), method: 'GET' },
+            sign: async ({ ok }) => ok(new Uint8Array([1])),
+        });
+
+        assert.deepStrictEqual(result, err({
+            type: 'validation',
+            code: 'MISSING_COMPONENT',
+            message: 'Missing dictionary member: sig2',
+            context: 'Dictionary field is missing member "sig2" required in signature input for field "signature";req;key="sig2"',
+            details: { component: '"signature";req;key="sig2"' },
+        }));
+    });
+});
+
+describe('verifySignatureOfResponse (Unit Tests)', () => {
+    it('should reconstruct the same signature base as createSignatureForResponse', async () => {
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json', 'Signature': 'sig1=:AQIDBA==:' }),
+            url: new URL('https://example.com/foo'),
+            method: 'POST',
+        };
+        const response = {
+            headers: new Headers({ 'Content-Type': 'text/plain' }),
+            status: 200,
+            body: null,
+        };
+
+        const nowInSeconds = Math.floor(Date.now() / 1000);
+        const createResult = await createSignatureForResponse({
+            signatureInputs: [
+                '@status',
+                'content-type',
+                { component: '@target-uri', parameters: { req: true } },
+                { component: 'content-type', parameters: { req: true } },
+                { component: 'signature', parameters: { req: true, key: 'sig1' } },
+            ],
+            signatureLabel: 'res',
+            additionalParams: { keyid: 'test-key-id', created: nowInSeconds },
+            response,
+            request,
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3, 4])),
+        });
+        assert(createResult.isOk());
+
+        /** @type {string|undefined} */
+        let verifiedSignatureBase;
+        const verifyResult = await verifySignatureOfResponse({
+            stringOfSignatureInputDictionary: createResult.value.signatureInput,
+            stringOfSignatureDictionary: createResult.value.signature,
+            signatureLabel: 'res',
+            requiredInputs: ['@status', { component: 'signature', parameters: { req: true, key: 'sig1' } }],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            response,
+            request,
+            verify: async ({ signatureBase, ok }) => {
+                verifiedSignatureBase = signatureBase;
+                return ok(true);
+            },
+        });
+
+        assert(verifyResult.isOk());
+        assert.strictEqual(verifiedSignatureBase, createResult.value.signatureBase);
+        assert.strictEqual(verifyResult.value.signatureBase, createResult.value.signatureBase);
+        assert.deepStrictEqual(verifyResult.value.components, [
+            '@status',
+            'content-type',
+            { component: '@target-uri', parameters: { req: true } },
+            { component: 'content-type', parameters: { req: true } },
+            { component: 'signature', parameters: { req: true, key: 'sig1' } },
+        ]);
+    });
+
+    it('should return an error if @status is covered by a request-bound component', async () => {
+        const verifyResult = await verifySignatureOfResponse({
+            stringOfSignatureInputDictionary: `sig1=("@status";req);created=${Math.floor(Date.now() / 1000)}`,
+            stringOfSignatureDictionary: 'sig1=:AQIDBA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: [],
+            requiredParams: [],
+            maxAge: 300,
+            response: { headers: new Headers(), status: 200 },
+            request: { headers: new Headers(), url: new URL('https://example.com/'), method: 'GET' },
+            verify: async ({ ok }) => ok(true),
+        });
+
+        assert.deepStrictEqual(verifyResult, err({
+            type: 'validation',
+            code: 'INVALID_SIGNATURE_INPUT',
+            message: 'Invalid signature input',
+            context: 'Component "@status" is only available for responses, found in signature input for field "@status";req',
+            details: { component: '"@status";req' },
+        }));
+    });
+
+    it('should not let the Content-Digest of the request cover the Content-Digest of the response', async () => {
+        const contentDigest = 'sha-256=:RBNvo1WzZ4oRRq0W9+hknpT7T8If536DEMBg9hyq/4o=:';
+        const verifyResult = await verifySignatureOfResponse({
+            stringOfSignatureInputDictionary: `sig1=("@status" "content-digest";req);created=${Math.floor(Date.now() / 1000)}`,
+            stringOfSignatureDictionary: 'sig1=:AQIDBA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: ['content-digest'],
+            requiredParams: [],
+            maxAge: 300,
+            response: { headers: new Headers({ 'Content-Digest': contentDigest }), status: 200, body: 'tampered' },
+            request: { headers: new Headers({ 'Content-Digest': contentDigest }), url: new URL('https://example.com/'), method: 'POST' },
+            verify: async ({ ok }) => ok(true),
+        });
+
+        assert(verifyResult.isErr());
+        assert.strictEqual(verifyResult.error.code, 'UNCOVERED_COMPONENT');
+    });
+});
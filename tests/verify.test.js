@@ -45,7 +45,18 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
             },
         });
 
-        assert.deepStrictEqual(verifyResult, ok(true));
+        assert.deepStrictEqual(verifyResult, ok({
+            label: 'sig1',
+            keyid: 'test-key-id',
+            alg: undefined,
+            tag: undefined,
+            created: nowInSeconds,
+            expires: undefined,
+            nonce: undefined,
+            params: { keyid: 'test-key-id', created: nowInSeconds },
+            components: ['@method', '@target-uri', 'content-type'],
+            signatureBase,
+        }));
     });
 
     it('should return an error for invalid stringOfSignatureInputDictionary', async () => {
@@ -69,8 +80,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_SIGNATURE',
             message: 'Invalid signature input',
             context: 'Signature Input is not a dictionary or does not contain "sig1" field',
+            details: { label: 'sig1' },
         }));
     });
 
@@ -95,8 +108,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_SIGNATURE',
             message: 'Invalid signature',
             context: 'Signature is not a dictionary or does not contain "sig1" field',
+            details: { label: 'sig1' },
         }));
     });
 
@@ -121,8 +136,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_SIGNATURE',
             message: 'Invalid signature input',
             context: 'Signature Input is not a dictionary or does not contain "sig1" field',
+            details: { label: 'sig1' },
         }));
     });
 
@@ -147,8 +164,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'UNCOVERED_COMPONENT',
             message: 'Invalid signature',
             context: 'Missing required input field "x-custom-header" in signature input',
+            details: { component: '"x-custom-header"' },
         }));
     });
 
@@ -173,8 +192,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_PARAMETER',
             message: 'Invalid signature',
             context: 'Missing required parameter "created" in signature input',
+            details: { parameter: 'created' },
         }));
     });
 
@@ -196,15 +217,112 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
             requiredInputs: ['@method', '@target-uri', 'content-type'],
             requiredParams: ['keyid', 'created'],
             maxAge: 300,
+            now: () => nowInSeconds * 1000,
             request,
             verify: async ({ ok }) => ok(true),
         });
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'SIGNATURE_EXPIRED',
             message: 'Signature expired',
             context: 'Signature expired',
+            details: { created: oldTimestamp, now: nowInSeconds },
+        }));
+    });
+
+    it('should reject created timestamps in the future beyond the clock skew', async () => {
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            url: new URL('https://example.com/foo?bar=baz'),
+            method: 'POST',
+            body: null,
+        };
+        const now = () => 1700000000000;
+        /** @type {Parameters<typeof verifySignatureOfRequest>[0]} */
+        const params = {
+            stringOfSignatureInputDictionary: 'sig1=("@method");keyid="test-key-id";created=1700000030',
+            stringOfSignatureDictionary: 'sig1=:AQIDBAUGBwgJAA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request,
+            now,
+            verify: async ({ ok }) => ok(true),
+        };
+
+        assert.deepStrictEqual(await verifySignatureOfRequest(params), err({
+            type: 'validation',
+            code: 'SIGNATURE_NOT_YET_VALID',
+            message: 'Invalid signature',
+            context: 'Parameter "created" in signature input is in the future',
+            details: { created: 1700000030, now: 1700000000 },
         }));
+        assert((await verifySignatureOfRequest({ ...params, clockSkew: 30 })).isOk());
+    });
+
+    it('should return an error if the expires timestamp has passed', async () => {
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            url: new URL('https://example.com/foo?bar=baz'),
+            method: 'POST',
+            body: null,
+        };
+        /** @type {Parameters<typeof verifySignatureOfRequest>[0]} */
+        const params = {
+            stringOfSignatureInputDictionary: 'sig1=("@method");keyid="test-key-id";created=1700000000;expires=1700000060',
+            stringOfSignatureDictionary: 'sig1=:AQIDBAUGBwgJAA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method'],
+            requiredParams: ['keyid', 'created', 'expires'],
+            maxAge: 300,
+            request,
+            verify: async ({ ok }) => ok(true),
+        };
+
+        const verifyResult = await verifySignatureOfRequest({ ...params, now: () => 1700000060000 });
+        assert(verifyResult.isOk());
+        assert.strictEqual(verifyResult.value.expires, 1700000060);
+        assert.deepStrictEqual(await verifySignatureOfRequest({ ...params, now: () => 1700000061000 }), err({
+            type: 'validation',
+            code: 'SIGNATURE_EXPIRED',
+            message: 'Signature expired',
+            context: 'Signature expired at the time given by parameter "expires"',
+            details: { created: 1700000000, expires: 1700000060, now: 1700000061 },
+        }));
+        assert((await verifySignatureOfRequest({ ...params, now: () => 1700000061000, clockSkew: 5 })).isOk());
+    });
+
+    it('should return an error if expires is not a number or before created', async () => {
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            url: new URL('https://example.com/foo?bar=baz'),
+            method: 'POST',
+            body: null,
+        };
+
+        for (const expires of ['"tomorrow"', '1699999999']) {
+            const verifyResult = await verifySignatureOfRequest({
+                stringOfSignatureInputDictionary: `sig1=("@method");keyid="test-key-id";created=1700000000;expires=${expires}`,
+                stringOfSignatureDictionary: 'sig1=:AQIDBAUGBwgJAA==:',
+                signatureLabel: 'sig1',
+                requiredInputs: ['@method'],
+                requiredParams: ['keyid', 'created'],
+                maxAge: 300,
+                now: () => 1700000000000,
+                request,
+                verify: async ({ ok }) => ok(true),
+            });
+
+            assert.deepStrictEqual(verifyResult, err({
+                type: 'validation',
+                code: 'INVALID_PARAMETER',
+                message: 'Invalid signature',
+                context: 'Invalid parameter "expires" in signature input',
+                details: { parameter: 'expires' },
+            }));
+        }
     });
 
     it('should return an error if content-digest is in signature input but header is missing', async () => {
@@ -228,8 +346,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_COMPONENT',
             message: 'Invalid signature',
             context: 'Missing required header "content-digest"',
+            details: { component: 'content-digest' },
         }));
     });
 
@@ -254,8 +374,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'UNSUPPORTED_DIGEST_ALGORITHM',
             message: 'Unsupported content-digest algorithm: md5',
             context: 'Unsupported content-digest algorithm: md5',
+            details: { field: 'content-digest', algorithms: ['md5'] },
         }));
     });
 
@@ -283,8 +405,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'INVALID_DIGEST',
             message: 'Invalid digest for algorithm sha-256',
             context: 'Invalid digest for algorithm sha-256',
+            details: { field: 'content-digest', algorithm: 'sha-256' },
         }));
     });
 
@@ -311,8 +435,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'INVALID_COMPONENT_PARAMETER',
             message: 'Invalid signature input',
             context: 'Signature input is missing required parameter "name" in signature input for field "@query-param"',
+            details: { component: '"@query-param"', parameter: 'name' },
         }));
     });
 
@@ -339,8 +465,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_COMPONENT',
             message: 'Missing query parameter: param2',
             context: 'Request is missing query parameter "param2" required in signature input for field "@query-param";name="param2"',
+            details: { component: '"@query-param";name="param2"' },
         }));
     });
 
@@ -367,8 +495,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_COMPONENT',
             message: 'Missing header: x-custom-header',
             context: 'Request is missing header "x-custom-header" required in signature input for field "x-custom-header"',
+            details: { component: '"x-custom-header"' },
         }));
     });
 
@@ -396,8 +526,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'MISSING_PARAMETER',
             message: 'Invalid signature',
             context: 'Missing required parameter "created" in signature input',
+            details: { parameter: 'created' },
         }));
     });
 
@@ -425,8 +557,10 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
 
         assert.deepStrictEqual(verifyResult, err({
             type: 'validation',
+            code: 'INVALID_PARAMETER',
             message: 'Invalid signature',
             context: 'Invalid parameter "created" in signature input',
+            details: { parameter: 'created' },
         }));
     });
 
@@ -451,6 +585,85 @@ describe('verifySignatureOfRequest (Unit Tests)', () => {
             verify: async ({ ok }) => ok(true),
         });
     
-        assert.deepStrictEqual(verifyResult, ok(true));
+        assert(verifyResult.isOk());
+        assert.deepStrictEqual(verifyResult.value.components, ['@method', '@target-uri', '@authority', '@scheme', '@path', '@query', 'content-type']);
+    });
+
+    it('should verify a signature covering a Content-Digest created by createSignatureForRequest', async () => {
+        const body = new TextEncoder().encode('{"hello": "world"}');
+        const request = {
+            headers: new Headers({ 'Content-Type': 'application/json' }),
+            url: new URL('https://example.com/foo'),
+            method: 'POST',
+            body,
+        };
+
+        const createResult = await createSignatureForRequest({
+            signatureInputs: ['@method', 'content-type'],
+            signatureLabel: 'sig1',
+            additionalParams: { keyid: 'test-key-id', created: Math.floor(Date.now() / 1000) },
+            request,
+            contentDigestAlgorithms: ['sha-512'],
+            sign: async ({ ok }) => ok(new Uint8Array([1, 2, 3])),
+        });
+        assert(createResult.isOk());
+
+        const signedRequest = { ...request, headers: new Headers(request.headers) };
+        signedRequest.headers.set('Content-Digest', /** @type {string} */ (createResult.value.contentDigest));
+
+        const verifyResult = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: createResult.value.signatureInput,
+            stringOfSignatureDictionary: createResult.value.signature,
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', 'content-digest'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request: signedRequest,
+            verify: async ({ ok }) => ok(true),
+        });
+        assert(verifyResult.isOk());
+        assert(verifyResult.value.components.includes('content-digest'));
+
+        const tamperedVerifyResult = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: createResult.value.signatureInput,
+            stringOfSignatureDictionary: createResult.value.signature,
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', 'content-digest'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request: { ...signedRequest, body: new TextEncoder().encode('{"hello": "there"}') },
+            verify: async ({ ok }) => ok(true),
+        });
+        assert(tamperedVerifyResult.isErr());
+    });
+
+    it('should return a digest-verifying stream for stream bodies covered by content-digest', async () => {
+        const encoder = new TextEncoder();
+        const request = {
+            headers: new Headers({ 'Content-Digest': 'sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:' }),
+            url: new URL('https://example.com/foo'),
+            method: 'POST',
+            body: new ReadableStream({
+                start(controller) {
+                    controller.enqueue(encoder.encode('{"hello": "world"}'));
+                    controller.close();
+                },
+            }),
+        };
+        const signatureInput = `sig1=("@method" "content-digest");keyid="test-key-id";created=${Math.floor(Date.now() / 1000)}`;
+
+        const verifyResult = await verifySignatureOfRequest({
+            stringOfSignatureInputDictionary: signatureInput,
+            stringOfSignatureDictionary: 'sig1=:AQIDBAUGBwgJAA==:',
+            signatureLabel: 'sig1',
+            requiredInputs: ['@method', 'content-digest'],
+            requiredParams: ['keyid', 'created'],
+            maxAge: 300,
+            request,
+            verify: async ({ ok }) => ok(true),
+        });
+
+        assert(verifyResult.isOk() && verifyResult.value.body);
+        assert.strictEqual(await new Response(verifyResult.value.body).text(), '{"hello": "world"}');
     });
 });
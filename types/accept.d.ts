@@ -0,0 +1,51 @@
+/**
+ * Creates an `Accept-Signature` header value asking for a signature that satisfies a verification policy.
+ * Takes the same `requiredInputs` and `requiredParams` as `verifySignatureOfRequest`.
+ *
+ * @param {object} params - The parameters for creating the header value.
+ * @param {string} params.signatureLabel - The label the signer should use for the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - The components the signature must cover.
+ * @param {string[]} params.requiredParams - The parameters the signature must have. They are sent as boolean parameters (e.g. `created`), asking the signer to fill in the value.
+ * @param {Object.<string, (number|string)>=} params.params - Parameters with a required value, such as `keyid`, `alg` or `tag`.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The `Accept-Signature` header value.
+ */
+export function createAcceptSignature({ signatureLabel, requiredInputs, requiredParams, params }: {
+    signatureLabel: string;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    requiredParams: string[];
+    params?: {
+        [x: string]: (number | string);
+    } | undefined;
+}): import("neverthrow").Result<string, import("./errors.js").SignatureError>;
+/**
+ * Parses an `Accept-Signature` header value into arguments for `createSignatureForRequest` or `createSignatureForResponse`, one per requested signature.
+ * Parameters requested with a value are copied. Parameters requested as booleans are filled in: `created` with the current time,
+ * `expires` with `created` plus `expiresIn`, `nonce` with a random value and any other parameter from `params`.
+ *
+ * @param {object} params - The parameters for parsing the header value.
+ * @param {string} params.stringOfAcceptSignature - The `Accept-Signature` header value.
+ * @param {Object.<string, (number|string)>=} params.params - Values for requested parameters, such as `keyid` or `alg`.
+ * @param {number=} params.expiresIn - The lifetime (in seconds) of signatures for which `expires` is requested. Defaults to 300.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {import("neverthrow").Result<{signatureLabel: string, signatureInputs: import("./components.js").ComponentIdentifier[], additionalParams: Object.<string, (number|string)>}[], import("./errors.js").SignatureError>} The arguments for each requested signature.
+ */
+export function parseAcceptSignature({ stringOfAcceptSignature, params, expiresIn, now }: {
+    stringOfAcceptSignature: string;
+    params?: {
+        [x: string]: (number | string);
+    } | undefined;
+    expiresIn?: number | undefined;
+    now?: (() => number) | undefined;
+}): import("neverthrow").Result<{
+    signatureLabel: string;
+    signatureInputs: import("./components.js").ComponentIdentifier[];
+    additionalParams: {
+        [x: string]: (number | string);
+    };
+}[], import("./errors.js").SignatureError>;
+/**
+ * Creates a random nonce of 128 bits, encoded as Base64url.
+ *
+ * @returns {string} The nonce.
+ */
+export function createNonce(): string;
@@ -0,0 +1,109 @@
+/**
+ * Creates a `sign` callback for `createSignatureForRequest` and `createSignatureForResponse` that signs with WebCrypto.
+ * ECDSA signatures are produced in the raw `r || s` encoding required by RFC 9421 Section 3.3.
+ *
+ * @param {object} params - The parameters for creating the signer.
+ * @param {AlgorithmName} params.alg - The HTTP Signature Algorithm to sign with.
+ * @param {CryptoKey} params.key - The private key (or HMAC secret key) to sign with.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>}): Promise<import("neverthrow").Result<ArrayBuffer, import("./errors.js").SignatureError>>} The sign callback.
+ */
+export function createSigner({ alg, key }: {
+    alg: AlgorithmName;
+    key: CryptoKey;
+}): (arg0: {
+    signatureBase: string;
+    params: {
+        [x: string]: unknown;
+    };
+}) => Promise<import("neverthrow").Result<ArrayBuffer, import("./errors.js").SignatureError>>;
+/**
+ * Creates a `verify` callback for `verifySignatureOfRequest` and `verifySignatureOfResponse` that verifies with WebCrypto.
+ * ECDSA signatures must use the raw `r || s` encoding required by RFC 9421 Section 3.3; DER-encoded signatures are rejected.
+ *
+ * @param {object} params - The parameters for creating the verifier.
+ * @param {AlgorithmName} params.alg - The HTTP Signature Algorithm to verify with.
+ * @param {CryptoKey} params.key - The public key (or HMAC secret key) to verify with.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} The verify callback.
+ */
+export function createVerifier({ alg, key }: {
+    alg: AlgorithmName;
+    key: CryptoKey;
+}): (arg0: {
+    signatureBase: string;
+    params: {
+        [x: string]: unknown;
+    };
+    signature: Uint8Array;
+}) => Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>;
+/**
+ * Converts a DER-encoded ECDSA signature (as produced by OpenSSL, most HSMs and cloud KMS services)
+ * into the raw `r || s` encoding required by RFC 9421 Section 3.3.
+ *
+ * @param {object} params - The parameters for the conversion.
+ * @param {'ecdsa-p256-sha256'|'ecdsa-p384-sha384'} params.alg - The ECDSA algorithm the signature was made with.
+ * @param {Uint8Array} params.signature - The DER-encoded signature.
+ * @returns {import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>} The raw signature.
+ */
+export function ecdsaSignatureFromDer({ alg, signature }: {
+    alg: "ecdsa-p256-sha256" | "ecdsa-p384-sha384";
+    signature: Uint8Array;
+}): import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>;
+/**
+ * Converts a raw `r || s` ECDSA signature, as produced by `createSigner`, into the DER encoding that draft-cavage signatures
+ * and most other protocols use.
+ *
+ * @param {object} params - The parameters for the conversion.
+ * @param {'ecdsa-p256-sha256'|'ecdsa-p384-sha384'} params.alg - The ECDSA algorithm the signature was made with.
+ * @param {Uint8Array} params.signature - The raw signature.
+ * @returns {import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>} The DER-encoded signature.
+ */
+export function ecdsaSignatureToDer({ alg, signature }: {
+    alg: "ecdsa-p256-sha256" | "ecdsa-p384-sha384";
+    signature: Uint8Array;
+}): import("neverthrow").Result<Uint8Array, import("./errors.js").SignatureError>;
+/**
+ * Checks whether a WebCrypto key was imported for the given algorithm.
+ *
+ * @param {CryptoKey} key - The key to check.
+ * @param {AlgorithmDefinition} definition - The algorithm definition.
+ * @returns {boolean} True if the key can be used with the algorithm.
+ */
+export function isKeyCompatibleWithAlgorithm(key: CryptoKey, definition: AlgorithmDefinition): boolean;
+/**
+ * @typedef {'rsa-pss-sha512'|'rsa-v1_5-sha256'|'hmac-sha256'|'ecdsa-p256-sha256'|'ecdsa-p384-sha384'|'ed25519'} AlgorithmName
+ */
+/**
+ * @typedef {object} AlgorithmDefinition
+ * @property {{name: string, hash?: string, namedCurve?: string}} importParams - The WebCrypto parameters used to import a key for this algorithm.
+ * @property {{name: string, hash?: string, saltLength?: number}} signParams - The WebCrypto parameters used to sign and verify with this algorithm.
+ * @property {number=} signatureLength - The exact length in bytes of a signature, for algorithms with fixed-size signatures.
+ */
+/**
+ * The HTTP Signature Algorithms registered by RFC 9421 Section 6.2.2, mapped to their WebCrypto parameters.
+ *
+ * @type {Readonly<Record<AlgorithmName, AlgorithmDefinition>>}
+ */
+export const ALGORITHMS: Readonly<Record<AlgorithmName, AlgorithmDefinition>>;
+export type AlgorithmName = "rsa-pss-sha512" | "rsa-v1_5-sha256" | "hmac-sha256" | "ecdsa-p256-sha256" | "ecdsa-p384-sha384" | "ed25519";
+export type AlgorithmDefinition = {
+    /**
+     * - The WebCrypto parameters used to import a key for this algorithm.
+     */
+    importParams: {
+        name: string;
+        hash?: string;
+        namedCurve?: string;
+    };
+    /**
+     * - The WebCrypto parameters used to sign and verify with this algorithm.
+     */
+    signParams: {
+        name: string;
+        hash?: string;
+        saltLength?: number;
+    };
+    /**
+     * - The exact length in bytes of a signature, for algorithms with fixed-size signatures.
+     */
+    signatureLength?: number | undefined;
+};
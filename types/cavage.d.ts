@@ -0,0 +1,131 @@
+/**
+ * @typedef {object} CavageParams
+ * The parameters of a draft-cavage signature.
+ * @property {string} keyId - The `keyId` parameter.
+ * @property {string} algorithm - The `algorithm` parameter. Defaults to `hs2019`.
+ * @property {number=} created - The `created` parameter.
+ * @property {number=} expires - The `expires` parameter.
+ * @property {string[]} headers - The covered headers and pseudo-headers, lowercased. Defaults to `['(created)']`.
+ * @property {string} signature - The Base64 encoded signature.
+ */
+/**
+ * Creates a signature in the format of draft-cavage-http-signatures-12, the predecessor of RFC 9421 that Mastodon and other
+ * ActivityPub servers still use: `keyId="...",algorithm="...",headers="(request-target) host date digest",signature="..."`.
+ *
+ * The pseudo-headers `(request-target)`, `(created)` and `(expires)` are supported. If `digest` is among the `headers` and the request
+ * has a body but no `Digest` header, a legacy `Digest` header (RFC 3230) is calculated, returned as `digest` and must be sent along.
+ *
+ * @param {object} params - The parameters for creating the signature.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request, see `createSignatureForRequest`.
+ * @param {string} params.keyId - The `keyId` parameter, e.g. the URL of an actor's key.
+ * @param {string=} params.algorithm - The `algorithm` parameter: `hs2019` (the default), `rsa-sha256`, `hmac-sha256` or `ecdsa-sha256`.
+ * @param {string[]} params.headers - The headers and pseudo-headers to cover, in order, e.g. `['(request-target)', 'host', 'date', 'digest']`.
+ * @param {number=} params.created - The `created` parameter, only sent with `hs2019`. Defaults to the current time.
+ * @param {number=} params.expires - The `expires` parameter, only sent with `hs2019`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - The signing function, see `createSignatureForRequest`. `params` has the `keyid` and, unless the algorithm is `hs2019`, the RFC 9421 `alg`.
+ * @returns {Promise<import("neverthrow").Result<{signature: string, signatureBase: string, digest?: string}, import("./errors.js").SignatureError>>} The `Signature` header value, the signing string and, if calculated, the `Digest` header value.
+ */
+export function createCavageSignature({ request, keyId, algorithm, headers, created, expires, sign }: {
+    request: import("./messages.js").RequestInput;
+    keyId: string;
+    algorithm?: string | undefined;
+    headers: string[];
+    created?: number | undefined;
+    expires?: number | undefined;
+    sign: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<ArrayBuffer, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<{
+    signature: string;
+    signatureBase: string;
+    digest?: string;
+}, import("./errors.js").SignatureError>>;
+/**
+ * Verifies a signature in the format of draft-cavage-http-signatures-12, from a `Signature` header or an `Authorization: Signature ...` header.
+ * The result has the same shape as the one of `verifySignatureOfRequest`, so RFC 9421 and legacy signatures can be handled alike:
+ * `(request-target)` is reported as the components `@method` and `@request-target`, so that the same `requiredInputs` apply,
+ * and `keyId` and `algorithm` are passed to `verify` as `keyid` and the equivalent RFC 9421 `alg`, so that key resolvers work unchanged.
+ *
+ * The signature must have a `created` parameter or cover the `Date` header, which is then checked against `maxAge`.
+ * A covered `Digest` header (RFC 3230), `Content-Digest` or `Repr-Digest` header is checked against the body.
+ *
+ * Draft-cavage signatures have no nonce, so with a `replayStore`, the signature base is recorded instead, scoped to the `keyId`:
+ * a request whose signature base was verified before is rejected as a replay, whatever the encoding of its signature.
+ *
+ * @param {object} params - The parameters for verifying the signature.
+ * @param {string} params.stringOfSignature - The `Signature` header value, or the `Authorization` header value starting with `Signature`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that must be covered, e.g. `['@method', '@request-target', 'host', 'date']`.
+ * @param {string[]} params.requiredParams - Parameters that must be present: `keyid`, `alg`, `created` or `expires`.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - The accepted digest algorithms and the digest function. `Digest` is always checked.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - Rejects replayed signatures.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request, see `verifySignatureOfRequest`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - The verification function, see `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<import("./index.js").VerificationResult, import("./errors.js").SignatureError>>} The verified signature, with the label `signature`.
+ */
+export function verifyCavageSignature({ stringOfSignature, requiredInputs, requiredParams, maxAge, clockSkew, now, digestOptions, replayStore, request, verify, }: {
+    stringOfSignature: string;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    requiredParams: string[];
+    maxAge: number;
+    clockSkew?: number | undefined;
+    now?: (() => number) | undefined;
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    request: import("./messages.js").RequestInput;
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<import("./index.js").VerificationResult, import("./errors.js").SignatureError>>;
+/**
+ * The parameters of a draft-cavage signature.
+ */
+export type CavageParams = {
+    /**
+     * - The `keyId` parameter.
+     */
+    keyId: string;
+    /**
+     * - The `algorithm` parameter. Defaults to `hs2019`.
+     */
+    algorithm: string;
+    /**
+     * - The `created` parameter.
+     */
+    created?: number | undefined;
+    /**
+     * - The `expires` parameter.
+     */
+    expires?: number | undefined;
+    /**
+     * - The covered headers and pseudo-headers, lowercased. Defaults to `['(created)']`.
+     */
+    headers: string[];
+    /**
+     * - The Base64 encoded signature.
+     */
+    signature: string;
+};
+import { ok } from 'neverthrow';
+import { err } from 'neverthrow';
@@ -0,0 +1,149 @@
+/**
+ * @typedef {object} CliOptions
+ * The parsed command-line options.
+ * @property {string=} key - The path of the key file.
+ * @property {string=} alg - The algorithm of the key.
+ * @property {string=} keyid - The key identifier.
+ * @property {string=} label - The signature label.
+ * @property {string=} components - The components to sign.
+ * @property {string=} tag - The `tag` parameter.
+ * @property {string=} expires-in - The lifetime of the signature, in seconds.
+ * @property {boolean=} nonce - Whether to add a nonce.
+ * @property {string=} require - The components to require.
+ * @property {string=} max-age - The maximum age, in seconds.
+ * @property {string=} clock-skew - The clock skew, in seconds.
+ * @property {string=} now - The current time, in seconds since the epoch.
+ * @property {string=} request - The path of the related request.
+ * @property {string=} expected-base - The path of the signature base of the signer.
+ * @property {string=} scheme - The scheme of request URLs.
+ * @property {boolean=} json - Whether to print JSON.
+ * @property {boolean=} help - Whether to print the help.
+ */
+/**
+ * @typedef {object} CliContext
+ * Where the command-line tool reads from and writes to.
+ * @property {AsyncIterable<Uint8Array|string>} stdin - The standard input.
+ * @property {{write: function((string|Uint8Array)): unknown}} stdout - The standard output.
+ * @property {{write: function(string): unknown}} stderr - The standard error.
+ * @property {function(): number} now - Returns the current time in milliseconds since the epoch.
+ */
+/**
+ * Runs the `http-msg-sig` command-line tool, which signs, verifies and explains raw HTTP/1.1 messages.
+ *
+ * @param {object} params - The parameters for running the tool.
+ * @param {string[]} params.args - The command-line arguments, without the executable and script.
+ * @param {AsyncIterable<Uint8Array|string>} params.stdin - The standard input.
+ * @param {{write: function((string|Uint8Array)): unknown}} params.stdout - The standard output.
+ * @param {{write: function(string): unknown}} params.stderr - The standard error.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {Promise<number>} The exit code: 0 on success, 1 if the message could not be signed or the signature is invalid, 2 on usage errors.
+ */
+export function runCli({ args, stdin, stdout, stderr, now }: {
+    args: string[];
+    stdin: AsyncIterable<Uint8Array | string>;
+    stdout: {
+        write: (arg0: (string | Uint8Array)) => unknown;
+    };
+    stderr: {
+        write: (arg0: string) => unknown;
+    };
+    now?: (() => number) | undefined;
+}): Promise<number>;
+/**
+ * The parsed command-line options.
+ */
+export type CliOptions = {
+    /**
+     * - The path of the key file.
+     */
+    key?: string | undefined;
+    /**
+     * - The algorithm of the key.
+     */
+    alg?: string | undefined;
+    /**
+     * - The key identifier.
+     */
+    keyid?: string | undefined;
+    /**
+     * - The signature label.
+     */
+    label?: string | undefined;
+    /**
+     * - The components to sign.
+     */
+    components?: string | undefined;
+    /**
+     * - The `tag` parameter.
+     */
+    tag?: string | undefined;
+    /**
+     * - The lifetime of the signature, in seconds.
+     */
+    "expires-in"?: string | undefined;
+    /**
+     * - Whether to add a nonce.
+     */
+    nonce?: boolean | undefined;
+    /**
+     * - The components to require.
+     */
+    require?: string | undefined;
+    /**
+     * - The maximum age, in seconds.
+     */
+    "max-age"?: string | undefined;
+    /**
+     * - The clock skew, in seconds.
+     */
+    "clock-skew"?: string | undefined;
+    /**
+     * - The current time, in seconds since the epoch.
+     */
+    now?: string | undefined;
+    /**
+     * - The path of the related request.
+     */
+    request?: string | undefined;
+    /**
+     * - The path of the signature base of the signer.
+     */
+    "expected-base"?: string | undefined;
+    /**
+     * - The scheme of request URLs.
+     */
+    scheme?: string | undefined;
+    /**
+     * - Whether to print JSON.
+     */
+    json?: boolean | undefined;
+    /**
+     * - Whether to print the help.
+     */
+    help?: boolean | undefined;
+};
+/**
+ * Where the command-line tool reads from and writes to.
+ */
+export type CliContext = {
+    /**
+     * - The standard input.
+     */
+    stdin: AsyncIterable<Uint8Array | string>;
+    /**
+     * - The standard output.
+     */
+    stdout: {
+        write: (arg0: (string | Uint8Array)) => unknown;
+    };
+    /**
+     * - The standard error.
+     */
+    stderr: {
+        write: (arg0: string) => unknown;
+    };
+    /**
+     * - Returns the current time in milliseconds since the epoch.
+     */
+    now: () => number;
+};
@@ -0,0 +1,156 @@
+/**
+ * @typedef {import("./profile.js").SigningProfile} SigningProfile
+ */
+/**
+ * Signs a WHATWG `Request`. The body is read to calculate the `Content-Digest`, and the returned copy of the request carries it.
+ * The signature is added to existing `Signature-Input` and `Signature` headers, replacing only a signature with the same label.
+ *
+ * @param {object} params - The parameters for signing the request.
+ * @param {Request} params.request - The request to sign.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {Promise<import("neverthrow").Result<Request, import("./errors.js").SignatureError>>} The signed request.
+ */
+export function signRequest({ request, profile }: {
+    request: Request;
+    profile: SigningProfile;
+}): Promise<import("neverthrow").Result<Request, import("./errors.js").SignatureError>>;
+/**
+ * Creates a `fetch` function that signs every request before sending it. Takes the same arguments as `fetch`,
+ * and rejects with an `Error` whose `cause` is the error object if the request cannot be signed.
+ *
+ * @param {object} params - The parameters for creating the function.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @param {function(Request): Promise<Response>=} params.fetch - The underlying `fetch`. Defaults to `globalThis.fetch`.
+ * @returns {function((string|URL|Request), RequestInit=): Promise<Response>} The signing `fetch`.
+ */
+export function createSignedFetch({ profile, fetch }: {
+    profile: SigningProfile;
+    fetch?: ((arg0: Request) => Promise<Response>) | undefined;
+}): (arg0: (string | URL | Request), arg1: RequestInit | undefined) => Promise<Response>;
+/**
+ * Creates an undici interceptor that signs every request, for `dispatcher.compose()`. Stream bodies are buffered.
+ *
+ * @param {object} params - The parameters for creating the interceptor.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {function(function(UndiciDispatchOptions, UndiciHandler): boolean): function(UndiciDispatchOptions, UndiciHandler): boolean} The interceptor.
+ */
+export function createUndiciInterceptor({ profile }: {
+    profile: SigningProfile;
+}): (arg0: (arg0: UndiciDispatchOptions, arg1: UndiciHandler) => boolean) => (arg0: UndiciDispatchOptions, arg1: UndiciHandler) => boolean;
+/**
+ * @typedef {object} UndiciDispatchOptions
+ * The parts of undici's dispatch options the interceptor uses.
+ * @property {string|URL} origin - The origin of the request.
+ * @property {string} path - The path and query of the request.
+ * @property {string} method - The request method.
+ * @property {Object.<string, (string|string[]|undefined)>|string[]|null=} headers - The request headers.
+ * @property {string|Uint8Array|AsyncIterable<Uint8Array|string>|null=} body - The request body.
+ */
+/**
+ * @typedef {object} UndiciHandler
+ * The error callbacks of an undici dispatch handler.
+ * @property {function(Error): void=} onError - The error callback of the legacy handler API.
+ * @property {function(null, Error): void=} onResponseError - The error callback of the handler API of undici 7.
+ */
+/**
+ * Creates an axios request interceptor that signs every request, for `axios.interceptors.request.use()`.
+ * Bodies are serialized up front, `URLSearchParams` as a form and plain objects and arrays as JSON, and `params` are moved into the
+ * URL, so that the signed request is sent as is. `FormData`, `Blob` and stream bodies cannot be signed this way and are rejected.
+ *
+ * @param {object} params - The parameters for creating the interceptor.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {function(AxiosRequestConfig): Promise<AxiosRequestConfig>} The interceptor.
+ */
+export function createAxiosInterceptor({ profile }: {
+    profile: SigningProfile;
+}): (arg0: AxiosRequestConfig) => Promise<AxiosRequestConfig>;
+/**
+ * Signs a request and returns its headers with the `Signature-Input`, `Signature` and `Content-Digest` headers added.
+ *
+ * @param {object} params - The parameters for signing the request.
+ * @param {string} params.method - The request method.
+ * @param {URL} params.url - The request URL.
+ * @param {Headers} params.headers - The request headers.
+ * @param {Uint8Array|null} params.body - The request body.
+ * @param {SigningProfile} params.profile - The signing profile.
+ * @returns {Promise<import("neverthrow").Result<Headers, import("./errors.js").SignatureError>>} The signed headers.
+ */
+export function signMessage({ method, url, headers, body, profile }: {
+    method: string;
+    url: URL;
+    headers: Headers;
+    body: Uint8Array | null;
+    profile: SigningProfile;
+}): Promise<import("neverthrow").Result<Headers, import("./errors.js").SignatureError>>;
+export type SigningProfile = import("./profile.js").SigningProfile;
+/**
+ * The parts of undici's dispatch options the interceptor uses.
+ */
+export type UndiciDispatchOptions = {
+    /**
+     * - The origin of the request.
+     */
+    origin: string | URL;
+    /**
+     * - The path and query of the request.
+     */
+    path: string;
+    /**
+     * - The request method.
+     */
+    method: string;
+    /**
+     * - The request headers.
+     */
+    headers?: ({
+        [x: string]: (string | string[] | undefined);
+    } | string[] | null) | undefined;
+    /**
+     * - The request body.
+     */
+    body?: (string | Uint8Array | AsyncIterable<Uint8Array | string> | null) | undefined;
+};
+/**
+ * The error callbacks of an undici dispatch handler.
+ */
+export type UndiciHandler = {
+    /**
+     * - The error callback of the legacy handler API.
+     */
+    onError?: ((arg0: Error) => void) | undefined;
+    /**
+     * - The error callback of the handler API of undici 7.
+     */
+    onResponseError?: ((arg0: null, arg1: Error) => void) | undefined;
+};
+/**
+ * The parts of an axios request config the interceptor uses.
+ */
+export type AxiosRequestConfig = {
+    /**
+     * - The request URL.
+     */
+    url?: string | undefined;
+    /**
+     * - The base URL `url` is resolved against.
+     */
+    baseURL?: string | undefined;
+    /**
+     * - The request method.
+     */
+    method?: string | undefined;
+    /**
+     * - The query parameters.
+     */
+    params?: {
+        [x: string]: unknown;
+    } | undefined;
+    /**
+     * - The request headers, an `AxiosHeaders` instance or a plain object.
+     */
+    headers?: any | undefined;
+    /**
+     * - The request body.
+     */
+    data?: unknown | undefined;
+};
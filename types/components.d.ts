@@ -0,0 +1,124 @@
+/**
+ * Converts a component identifier as accepted by the public API into a structured field item.
+ *
+ * @param {ComponentIdentifier} input - The component identifier.
+ * @returns {Item} The structured field item.
+ */
+export function toComponentItem(input: ComponentIdentifier): Item;
+/**
+ * Converts a structured field item into a component identifier as used by the public API.
+ *
+ * @param {Item} item - The structured field item.
+ * @returns {ComponentIdentifier} The component identifier.
+ */
+export function toComponentIdentifier(item: Item): ComponentIdentifier;
+/**
+ * Reads a parameter of a component identifier item. Parameters may be a plain object or a Map.
+ *
+ * @param {Item} item - The component identifier item.
+ * @param {string} name - The parameter name.
+ * @returns {unknown} The parameter value, or `undefined` if the parameter is not present.
+ */
+export function getComponentParam(item: Item, name: string): unknown;
+/**
+ * Checks whether a component, with all of the given parameters, is among the covered components. A component given
+ * by name only is only covered without parameters, apart from the `name` that `@query-param` requires:
+ * `"content-digest";req` does not cover the `content-digest` of a response, nor `"cache-control";key="x"` the whole
+ * `cache-control` field.
+ *
+ * @param {Item[]} componentItems - The covered components.
+ * @param {ComponentIdentifier} input - The component identifier to look for.
+ * @returns {boolean} True if the component is covered.
+ */
+export function isComponentCovered(componentItems: Item[], input: ComponentIdentifier): boolean;
+/**
+ * Serializes a component identifier for error reporting, falling back to its name if it cannot be serialized.
+ *
+ * @param {Item} item - The component identifier item.
+ * @returns {string} The serialized component identifier.
+ */
+export function describeComponent(item: Item): string;
+/**
+ * Checks the covered components before anything is resolved or signed (RFC 9421, sections 2 and 2.1):
+ * field names must be lowercase, derived components must be known, parameters must be known, have the right type
+ * and apply to the component, and no component may be covered twice with the same parameters.
+ *
+ * @param {Item[]} componentItems - The covered components.
+ * @returns {import("neverthrow").Result<Item[], import("./errors.js").SignatureError>} The covered components.
+ */
+export function validateComponentItems(componentItems: Item[]): import("neverthrow").Result<Item[], import("./errors.js").SignatureError>;
+/**
+ * Builds the signature base from the covered components and the serialized signature parameters.
+ * The covered components must have been checked with `validateComponentItems`.
+ *
+ * @param {Item[]} componentItems - The covered components, in order.
+ * @param {string} signatureParamsValue - The serialized value of the `@signature-params` component.
+ * @param {Messages} messages - The message being signed or verified and its related request, if any.
+ * @returns {import("neverthrow").Result<string, import("./errors.js").SignatureError>} The signature base, or an error if a component could not be resolved.
+ */
+export function createSignatureBase(componentItems: Item[], signatureParamsValue: string, messages: Messages): import("neverthrow").Result<string, import("./errors.js").SignatureError>;
+export type RequestMessage = {
+    /**
+     * - The request headers.
+     */
+    headers: Headers;
+    /**
+     * - The request URL.
+     */
+    url: URL;
+    /**
+     * - The HTTP method (e.g., 'GET', 'POST').
+     */
+    method: string;
+    /**
+     * - The request trailers, for components with the `tr` parameter.
+     */
+    trailers?: Headers | undefined;
+    /**
+     * - The header field lines as they were received, alternating names and values as in Node.js' `rawHeaders`. See `bs` below.
+     */
+    rawHeaders?: string[] | undefined;
+    /**
+     * - The trailer field lines as they were received, like `rawHeaders`.
+     */
+    rawTrailers?: string[] | undefined;
+};
+export type ResponseMessage = {
+    /**
+     * - The response headers.
+     */
+    headers: Headers;
+    /**
+     * - The HTTP status code (e.g., 200, 404).
+     */
+    status: number;
+    /**
+     * - The response trailers, for components with the `tr` parameter.
+     */
+    trailers?: Headers | undefined;
+    /**
+     * - The header field lines as they were received, like the `rawHeaders` of a request.
+     */
+    rawHeaders?: string[] | undefined;
+    /**
+     * - The trailer field lines as they were received, like `rawHeaders`.
+     */
+    rawTrailers?: string[] | undefined;
+};
+export type Messages = {
+    /**
+     * - The request being signed, or the request that produced `response`.
+     */
+    request?: RequestMessage | undefined;
+    /**
+     * - The response being signed, if any.
+     */
+    response?: ResponseMessage | undefined;
+};
+export type ComponentIdentifier = string | {
+    component: string;
+    parameters: {
+        [x: string]: (string | number | boolean);
+    };
+};
+import { Item } from 'structured-field-values';
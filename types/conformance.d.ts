@@ -0,0 +1,121 @@
+/**
+ * Runs the RFC 9421 test vectors against this library: for each vector, the message is signed and the `Signature-Input`
+ * and signature base are compared with the published ones, the published signature is verified, and for deterministic
+ * algorithms the created signature is compared with the published one.
+ *
+ * @param {object} [params] - The parameters for running the suite.
+ * @param {ReadonlyArray<TestVector>=} params.vectors - The test vectors. Defaults to `RFC9421_TEST_VECTORS`.
+ * @returns {Promise<{name: string, result: import("neverthrow").Result<true, import("./errors.js").SignatureError>}[]>} The outcome per test vector.
+ */
+export function runConformanceSuite({ vectors }?: {
+    vectors?: ReadonlyArray<TestVector> | undefined;
+}): Promise<{
+    name: string;
+    result: import("neverthrow").Result<true, import("./errors.js").SignatureError>;
+}[]>;
+/**
+ * @typedef {object} TestKey
+ * @property {import("./algorithms.js").AlgorithmName} alg - The algorithm the key is used with.
+ * @property {string=} publicKey - The PEM encoded SPKI public key.
+ * @property {string=} privateKey - The PEM encoded PKCS #8 private key, if published.
+ * @property {string=} secret - The Base64 encoded shared secret of HMAC keys.
+ */
+/**
+ * @typedef {string} TestMessage
+ * A raw HTTP/1.1 message, as printed in RFC 9421. Request URLs use the `https` scheme.
+ */
+/**
+ * @typedef {object} TestVector
+ * @property {string} name - The section of RFC 9421 the example is taken from.
+ * @property {string} label - The signature label.
+ * @property {string} keyid - The key from `RFC9421_TEST_KEYS` the message is signed with.
+ * @property {TestMessage} request - The request, or the related request of a response.
+ * @property {TestMessage=} response - The response, for response signatures.
+ * @property {import("./components.js").ComponentIdentifier[]} components - The covered components.
+ * @property {Object.<string, (string|number)>} params - The signature parameters.
+ * @property {string} signatureInput - The value of the `Signature-Input` dictionary member.
+ * @property {string} signatureBase - The signature base.
+ * @property {string=} signature - The Base64 encoded signature, if the published value is included.
+ */
+/**
+ * The test keys of RFC 9421 Appendix B.1. The keys published as PKCS #1 and SEC 1 keys, and the RSA-PSS private key with its `id-RSASSA-PSS`
+ * algorithm identifier, are converted to the SPKI and PKCS #8 encodings WebCrypto imports. The private key of B.1.1 is not included.
+ *
+ * @type {Readonly<Object.<string, TestKey>>}
+ */
+export const RFC9421_TEST_KEYS: Readonly<{
+    [x: string]: TestKey;
+}>;
+/**
+ * The signature examples of RFC 9421 Appendix B.2, plus the request-response binding of Section 2.4
+ * and the proxy signature of Section 4.3, which is the only published example for `rsa-v1_5-sha256`.
+ *
+ * @type {ReadonlyArray<TestVector>}
+ */
+export const RFC9421_TEST_VECTORS: ReadonlyArray<TestVector>;
+export type TestKey = {
+    /**
+     * - The algorithm the key is used with.
+     */
+    alg: import("./algorithms.js").AlgorithmName;
+    /**
+     * - The PEM encoded SPKI public key.
+     */
+    publicKey?: string | undefined;
+    /**
+     * - The PEM encoded PKCS #8 private key, if published.
+     */
+    privateKey?: string | undefined;
+    /**
+     * - The Base64 encoded shared secret of HMAC keys.
+     */
+    secret?: string | undefined;
+};
+/**
+ * A raw HTTP/1.1 message, as printed in RFC 9421. Request URLs use the `https` scheme.
+ */
+export type TestMessage = string;
+export type TestVector = {
+    /**
+     * - The section of RFC 9421 the example is taken from.
+     */
+    name: string;
+    /**
+     * - The signature label.
+     */
+    label: string;
+    /**
+     * - The key from `RFC9421_TEST_KEYS` the message is signed with.
+     */
+    keyid: string;
+    /**
+     * - The request, or the related request of a response.
+     */
+    request: TestMessage;
+    /**
+     * - The response, for response signatures.
+     */
+    response?: TestMessage | undefined;
+    /**
+     * - The covered components.
+     */
+    components: import("./components.js").ComponentIdentifier[];
+    /**
+     * - The signature parameters.
+     */
+    params: {
+        [x: string]: string | number;
+    };
+    /**
+     * - The value of the `Signature-Input` dictionary member.
+     */
+    signatureInput: string;
+    /**
+     * - The signature base.
+     */
+    signatureBase: string;
+    /**
+     * - The Base64 encoded signature, if the published value is included.
+     */
+    signature?: string | undefined;
+};
@@ -0,0 +1,84 @@
+/**
+ * Compares the reconstructed signature base of a signature that did not verify with the signature base of the signer,
+ * and names likely causes: a port dropped from `@authority`, a re-encoded query, whitespace in a field value, a `Host`
+ * rewritten by a proxy or changed signature parameters. If the signature bases are the same, the key or algorithm is wrong.
+ *
+ * @param {object} params - The parameters for the diagnosis.
+ * @param {string} params.signatureBase - The signature base reconstructed by the verifier.
+ * @param {string=} params.expectedSignatureBase - The signature base of the signer. Without it, only causes visible in the request are named.
+ * @param {import("./components.js").RequestMessage=} params.request - The request, used to detect a `Host` rewritten by a proxy.
+ * @returns {Diagnostics} The diagnostics.
+ */
+export function diagnoseSignatureBase({ signatureBase, expectedSignatureBase, request }: {
+    signatureBase: string;
+    expectedSignatureBase?: string | undefined;
+    request?: import("./components.js").RequestMessage | undefined;
+}): Diagnostics;
+/**
+ * A line of the line-by-line comparison of the reconstructed signature base with the expected one.
+ */
+export type DiagnosticLine = {
+    /**
+     * - The component identifier as it appears in the signature base, e.g. `"@authority"` or `"@query-param";name="id"`.
+     */
+    component: string;
+    /**
+     * - Whether the value is the same or changed, or the component is only in the expected signature base (`missing`) or only in the reconstructed one (`extra`).
+     */
+    status: ("same" | "changed" | "missing" | "extra");
+    /**
+     * - The value in the reconstructed signature base.
+     */
+    value?: string | undefined;
+    /**
+     * - The value in the expected signature base.
+     */
+    expectedValue?: string | undefined;
+};
+/**
+ * A likely cause of a signature mismatch.
+ */
+export type DiagnosticHint = {
+    /**
+     * - The cause.
+     */
+    code: ("AUTHORITY_PORT" | "URL_ENCODING" | "FIELD_WHITESPACE" | "HOST_REWRITTEN" | "SIGNATURE_PARAMS" | "KEY_OR_ALGORITHM");
+    /**
+     * - The component identifier the hint is about, if any.
+     */
+    component?: string | undefined;
+    /**
+     * - A description of the cause.
+     */
+    message: string;
+};
+/**
+ * Why a signature did not verify.
+ */
+export type Diagnostics = {
+    /**
+     * - The signature base reconstructed by the verifier.
+     */
+    signatureBase: string;
+    /**
+     * - The signature base of the signer, if it was given.
+     */
+    expectedSignatureBase?: string | undefined;
+    /**
+     * - The line-by-line comparison with the expected signature base, or an empty list if it was not given.
+     */
+    lines: DiagnosticLine[];
+    /**
+     * - Likely causes of the mismatch.
+     */
+    hints: DiagnosticHint[];
+};
+/**
+ * Opt-in diagnostics for signatures that do not verify.
+ */
+export type DiagnosticOptions = {
+    /**
+     * - The signature base of the signer, e.g. from a debug header or a captured request, to compare with.
+     */
+    expectedSignatureBase?: string | undefined;
+};
@@ -0,0 +1,221 @@
+/**
+ * Creates the value of a `Content-Digest` header (RFC 9530) for a body.
+ * Stream bodies are hashed incrementally and consumed in the process.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Content-Digest` header value, e.g. `sha-256=:X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=:`.
+ */
+export function createContentDigest({ body, algorithms, digest }: {
+    body?: Body | undefined;
+    algorithms: DigestAlgorithm[];
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>;
+/**
+ * Creates the value of a `Repr-Digest` header (RFC 9530) for a body. The digest covers the representation data:
+ * the complete body with its content coding applied, e.g. the gzip-compressed bytes for `Content-Encoding: gzip`.
+ * Stream bodies are hashed incrementally and consumed in the process.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The representation data. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Repr-Digest` header value.
+ */
+export function createReprDigest({ body, algorithms, digest }: {
+    body?: Body | undefined;
+    algorithms: DigestAlgorithm[];
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>;
+/**
+ * Creates the value of a legacy `Digest` header (RFC 3230) for a body, e.g. `SHA-256=X48E9qOokqqrvdts8nOJRJN3OWDUoyWxBf7kbu9DBPE=`,
+ * for peers that do not understand `Content-Digest` yet.
+ *
+ * @param {object} params - The parameters for creating the digest.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]} params.algorithms - The digest algorithms to include, in order, with their RFC 9530 names.
+ * @param {DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
+ * @returns {Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>} The `Digest` header value.
+ */
+export function createLegacyDigest({ body, algorithms, digest }: {
+    body?: Body | undefined;
+    algorithms: DigestAlgorithm[];
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<string, import("./errors.js").SignatureError>>;
+/**
+ * Creates the values of several digest fields for a body, reading it once.
+ *
+ * @param {object} params - The parameters for creating the digests.
+ * @param {{field: DigestField, algorithms: DigestAlgorithm[]}[]} params.fields - The digest fields and their algorithms.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestFunction=} params.digestFunction - Calculates the digests instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<string[], import("./errors.js").SignatureError>>} The header values, in the order of `fields`.
+ */
+export function createDigestFieldValues({ fields, body, digestFunction }: {
+    fields: {
+        field: DigestField;
+        algorithms: DigestAlgorithm[];
+    }[];
+    body?: Body | undefined;
+    digestFunction?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<string[], import("./errors.js").SignatureError>>;
+/**
+ * Verifies the value of a `Content-Digest` header (RFC 9530) against a body.
+ * The first digest with a supported algorithm is checked.
+ * Stream bodies are hashed incrementally and consumed in the process; use `createContentDigestVerifyingStream` to keep the content.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Content-Digest` header value.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export function verifyContentDigest({ headerValue, body, algorithms, digest }: {
+    headerValue: string;
+    body?: Body | undefined;
+    algorithms?: DigestAlgorithm[] | undefined;
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>;
+/**
+ * Verifies the value of a `Repr-Digest` header (RFC 9530) against the representation data: the complete body
+ * with its content coding applied. See `verifyContentDigest`.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Repr-Digest` header value.
+ * @param {Body=} params.body - The representation data. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export function verifyReprDigest({ headerValue, body, algorithms, digest }: {
+    headerValue: string;
+    body?: Body | undefined;
+    algorithms?: DigestAlgorithm[] | undefined;
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>;
+/**
+ * Verifies the value of a legacy `Digest` header (RFC 3230) against a body. Algorithm names are case-insensitive,
+ * so `SHA-256=...` is checked as `sha-256`. See `verifyContentDigest`.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Digest` header value.
+ * @param {Body=} params.body - The message body. A missing body is digested as empty content.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto.
+ * @returns {Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} `true` if the digest matches the body.
+ */
+export function verifyLegacyDigest({ headerValue, body, algorithms, digest }: {
+    headerValue: string;
+    body?: Body | undefined;
+    algorithms?: DigestAlgorithm[] | undefined;
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>;
+/**
+ * Checks the digest fields covered by a signature against the body. Stream bodies are not read up front; instead, a pass-through
+ * stream is returned that verifies the digests while the caller reads it.
+ *
+ * @param {object} params - The parameters for checking the digests.
+ * @param {DigestField[]} params.fields - The covered digest fields.
+ * @param {Headers} params.headers - The headers of the message.
+ * @param {Body=} params.body - The message body.
+ * @param {DigestOptions} params.digestOptions - The accepted algorithms and the digest function.
+ * @returns {Promise<import("neverthrow").Result<ReadableStream<Uint8Array>|undefined, import("./errors.js").SignatureError>>} The pass-through stream for stream bodies.
+ */
+export function verifyDigestFields({ fields, headers, body, digestOptions }: {
+    fields: DigestField[];
+    headers: Headers;
+    body?: Body | undefined;
+    digestOptions: DigestOptions;
+}): Promise<import("neverthrow").Result<ReadableStream<Uint8Array> | undefined, import("./errors.js").SignatureError>>;
+/**
+ * Wraps a stream body in a pass-through stream that verifies the value of a `Content-Digest` header (RFC 9530) while the body is read.
+ * The header is checked up front. The body is hashed incrementally as it is consumed, without being buffered,
+ * and the returned stream errors with a digest mismatch error instead of ending if the content does not match.
+ *
+ * @param {object} params - The parameters for verifying the digest.
+ * @param {string} params.headerValue - The `Content-Digest` header value.
+ * @param {StreamBody} params.body - The message body.
+ * @param {DigestAlgorithm[]=} params.algorithms - The accepted algorithms. Defaults to `['sha-256', 'sha-512']`.
+ * @param {DigestFunction=} params.digest - Calculates the digest instead of WebCrypto. The body is then buffered until it ends.
+ * @returns {Promise<import("neverthrow").Result<ReadableStream<Uint8Array>, import("./errors.js").SignatureError>>} The pass-through stream.
+ */
+export function createContentDigestVerifyingStream({ headerValue, body, algorithms, digest }: {
+    headerValue: string;
+    body: StreamBody;
+    algorithms?: DigestAlgorithm[] | undefined;
+    digest?: DigestFunction | undefined;
+}): Promise<import("neverthrow").Result<ReadableStream<Uint8Array>, import("./errors.js").SignatureError>>;
+/**
+ * Parses the `Want-Content-Digest` or `Want-Repr-Digest` header (RFC 9530, section 4), with which a peer asks for digests.
+ *
+ * @param {object} params - The parameters for parsing the preferences.
+ * @param {string} params.headerValue - The header value, e.g. `sha-512=3, sha-256=10`.
+ * @param {DigestAlgorithm[]=} params.algorithms - The algorithms you can create. Defaults to `['sha-256', 'sha-512']`.
+ * @returns {import("neverthrow").Result<DigestAlgorithm[], import("./errors.js").SignatureError>} The wanted algorithms among `algorithms`, most preferred first. Algorithms with the preference 0 are left out.
+ */
+export function parseWantDigest({ headerValue, algorithms }: {
+    headerValue: string;
+    algorithms?: DigestAlgorithm[] | undefined;
+}): import("neverthrow").Result<DigestAlgorithm[], import("./errors.js").SignatureError>;
+/**
+ * Checks whether a body is a stream (a `ReadableStream` or an async iterable such as a Node.js `Readable`).
+ *
+ * @param {unknown} body - The message body.
+ * @returns {body is StreamBody} True if the body is a stream.
+ */
+export function isStreamBody(body: unknown): body is StreamBody;
+/**
+ * Concatenates Uint8Arrays.
+ *
+ * @param {Uint8Array[]} arrays - The arrays.
+ * @returns {Uint8Array} The concatenation.
+ */
+export function concatUint8Arrays(arrays: Uint8Array[]): Uint8Array;
+/**
+ * An algorithm of the Hash Algorithms for HTTP Digest Fields registry (RFC 9530). The built-in digest function supports `sha-256` and `sha-512`.
+ */
+export type DigestAlgorithm = "sha-256" | "sha-512" | (string & {});
+/**
+ * Calculates the digest of some data, e.g. with a hardware module or for algorithms WebCrypto lacks.
+ */
+export type DigestFunction = (arg0: {
+    algorithm: DigestAlgorithm;
+    data: Uint8Array;
+}) => Promise<ArrayBuffer | Uint8Array>;
+/**
+ * How the digest fields covered by a signature are verified.
+ */
+export type DigestOptions = {
+    /**
+     * - The accepted algorithms. The first digest of a field with an accepted algorithm is checked. Defaults to `['sha-256', 'sha-512']`.
+     */
+    algorithms?: DigestAlgorithm[] | undefined;
+    /**
+     * - Calculates the digests instead of WebCrypto. Stream bodies are buffered to pass them to it. If it throws, the error is `DIGEST_FAILED`.
+     */
+    digest?: DigestFunction | undefined;
+    /**
+     * - Whether a covered RFC 3230 `Digest` header is checked against the body. Defaults to `false`.
+     */
+    legacyDigest?: boolean | undefined;
+};
+export type DigestField = "content-digest" | "repr-digest" | "digest";
+export type StreamBody = ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>;
+export type Body = ArrayBuffer | ArrayBufferView | string | StreamBody | null;
+export type ProvidedDigest = {
+    /**
+     * - The digest field.
+     */
+    field: DigestField;
+    /**
+     * - The algorithm of the digest.
+     */
+    algorithm: DigestAlgorithm;
+    /**
+     * - The digest from the header.
+     */
+    providedDigest: Uint8Array;
+};
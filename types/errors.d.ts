@@ -0,0 +1,285 @@
+/**
+ * The codes of the errors returned by this library. Unlike `message` and `context`, which are meant for people and may change,
+ * the code of an error and the shape of its `details` are stable, so they can be mapped to HTTP responses and metrics.
+ *
+ * @type {Readonly<{[C in ErrorCode]: C}>}
+ */
+export const ERROR_CODES: Readonly<{ [C in ErrorCode]: C; }>;
+/**
+ * The `details` of each error code.
+ */
+export type ErrorDetails = {
+    /**
+     * - The `Signature-Input` header, or a component identifier in it, is malformed.
+     */
+    INVALID_SIGNATURE_INPUT: {
+        label?: string;
+        component?: string;
+    };
+    /**
+     * - The `Signature` header, or a signature in it, is malformed.
+     */
+    INVALID_SIGNATURE: {
+        label?: string;
+    };
+    /**
+     * - There is no signature with the label, or none that matches the selection.
+     */
+    MISSING_SIGNATURE: {
+        label?: string;
+    };
+    /**
+     * - A covered field name is not lowercase or not a valid field name.
+     */
+    INVALID_COMPONENT_NAME: {
+        component: string;
+    };
+    /**
+     * - A covered derived component, starting with `@`, is not defined by RFC 9421.
+     */
+    UNKNOWN_COMPONENT: {
+        component: string;
+    };
+    /**
+     * - A parameter of a covered component is unknown, has the wrong type or does not apply to the component.
+     */
+    INVALID_COMPONENT_PARAMETER: {
+        component: string;
+        parameter: string;
+    };
+    /**
+     * - A component is covered more than once with the same parameters.
+     */
+    DUPLICATE_COMPONENT: {
+        component: string;
+    };
+    /**
+     * - The signature does not cover a required component.
+     */
+    UNCOVERED_COMPONENT: {
+        component: string;
+    };
+    /**
+     * - The message has no value for a covered component, e.g. a missing header.
+     */
+    MISSING_COMPONENT: {
+        component: string;
+    };
+    /**
+     * - A field covered with the `sf` or `key` parameter is not a valid structured field.
+     */
+    INVALID_FIELD_VALUE: {
+        component: string;
+    };
+    /**
+     * - The signature does not have a required parameter.
+     */
+    MISSING_PARAMETER: {
+        parameter: string;
+    };
+    /**
+     * - A signature parameter has a value of the wrong type.
+     */
+    INVALID_PARAMETER: {
+        parameter: string;
+    };
+    /**
+     * - The signature is older than `maxAge` or past its `expires` time. Times are in seconds since the epoch.
+     */
+    SIGNATURE_EXPIRED: {
+        created: number;
+        expires?: number;
+        now: number;
+    };
+    /**
+     * - The `created` time of the signature is in the future.
+     */
+    SIGNATURE_NOT_YET_VALID: {
+        created: number;
+        now: number;
+    };
+    /**
+     * - The nonce of the signature has been used before. For draft-cavage signatures, which have no nonce, `nonce` is the signature.
+     */
+    REPLAYED_NONCE: {
+        keyid?: string;
+        nonce: string;
+    };
+    /**
+     * - The body does not match a digest field: `content-digest`, `repr-digest` or `digest`.
+     */
+    DIGEST_MISMATCH: {
+        field: string;
+        algorithm: string;
+    };
+    /**
+     * - A digest field or digest preference field is malformed.
+     */
+    INVALID_DIGEST: {
+        field?: string;
+        algorithm?: string;
+    };
+    /**
+     * - None of the digest algorithms are supported.
+     */
+    UNSUPPORTED_DIGEST_ALGORITHM: {
+        field?: string;
+        algorithms: string[];
+    };
+    /**
+     * - A covered digest field cannot be checked against the body, e.g. `repr-digest` of partial content.
+     */
+    UNVERIFIABLE_DIGEST: {
+        field: string;
+    };
+    /**
+     * - The `digest` function of the digest options threw.
+     */
+    DIGEST_FAILED: {
+        algorithm: string;
+    };
+    /**
+     * - There is no key for the `keyid`, or the signature has no `keyid`.
+     */
+    UNKNOWN_KEY: {
+        keyid?: string;
+    };
+    /**
+     * - The key cannot be used with the algorithm, or the algorithm is ambiguous.
+     */
+    ALG_MISMATCH: {
+        keyid?: string;
+        alg?: string;
+    };
+    /**
+     * - The key is not allowed for the `tag` of the signature.
+     */
+    TAG_MISMATCH: {
+        keyid?: string;
+        tag?: string;
+    };
+    /**
+     * - The algorithm is not one of the built-in algorithms.
+     */
+    UNSUPPORTED_ALGORITHM: {
+        alg: string;
+    };
+    /**
+     * - The key could not be imported.
+     */
+    INVALID_KEY: {
+        keyid?: string;
+    };
+    /**
+     * - The key or key set could not be loaded.
+     */
+    KEY_UNAVAILABLE: {
+        keyid?: string;
+    };
+    /**
+     * - The signature does not match the signature base.
+     */
+    SIGNATURE_MISMATCH: {
+        alg?: string;
+    };
+    /**
+     * - Not enough of the selected signatures are valid. `labels` are the signatures that failed, see `context` for why.
+     */
+    SIGNATURES_REJECTED: {
+        labels: string[];
+    };
+    /**
+     * - The `sign` function threw, or the algorithm failed.
+     */
+    SIGNING_FAILED: {
+        alg?: string;
+    };
+    /**
+     * - The `verify` function threw, or the algorithm failed.
+     */
+    VERIFIER_FAILED: {
+        alg?: string;
+    };
+    /**
+     * - A header value could not be serialized.
+     */
+    ENCODING_FAILED: {
+        [x: string]: never;
+    };
+    /**
+     * - The request cannot be reconstructed, e.g. it has no `Host` header.
+     */
+    INVALID_MESSAGE: {
+        [x: string]: never;
+    };
+    /**
+     * - The body stream errored.
+     */
+    BODY_READ_FAILED: {
+        [x: string]: never;
+    };
+    /**
+     * - The body is larger than the limit, in bytes.
+     */
+    BODY_TOO_LARGE: {
+        limit: number;
+    };
+    /**
+     * - The replay store threw.
+     */
+    REPLAY_STORE_FAILED: {
+        [x: string]: never;
+    };
+    /**
+     * - The runtime lacks a feature, e.g. incremental hashing.
+     */
+    UNSUPPORTED_RUNTIME: {
+        [x: string]: never;
+    };
+    /**
+     * - The `Accept-Signature` header is malformed.
+     */
+    INVALID_ACCEPT_SIGNATURE: {
+        label?: string;
+    };
+    /**
+     * - A test vector was not reproduced.
+     */
+    CONFORMANCE_MISMATCH: {
+        expected: string;
+        actual: string;
+    };
+    /**
+     * - The signature does not meet a requirement of the route of a verification policy, or no route matches.
+     */
+    POLICY_VIOLATION: {
+        route?: string;
+        rule: ("route" | "requiredInputs" | "requiredParams" | "algorithms" | "tags" | "maxAge" | "requireDigest");
+        component?: string;
+        parameter?: string;
+        value?: string;
+    };
+};
+export type ErrorCode = keyof ErrorDetails;
+/**
+ * An error returned by this library, discriminated by `code`. With the `diagnostics` option, errors of the `verify` function carry `diagnostics`.
+ */
+export type LibraryError = { [C in ErrorCode]: {
+    type: ("validation" | "encoding" | "error");
+    code: C;
+    message: string;
+    context?: unknown;
+    details: ErrorDetails[C];
+    diagnostics?: import("./diagnostics.js").Diagnostics;
+}; }[ErrorCode];
+/**
+ * An error returned by a `sign` or `verify` function or a key resolver you provide, which is passed on as it is.
+ */
+export type CallbackError = {
+    type: string;
+    code?: undefined;
+    message: string;
+    context?: unknown;
+    diagnostics?: import("./diagnostics.js").Diagnostics;
+};
+export type SignatureError = LibraryError | CallbackError;
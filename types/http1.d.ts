@@ -0,0 +1,66 @@
+/**
+ * @typedef {import("./components.js").RequestMessage & {body: Uint8Array|null}} ParsedRequest
+ * @typedef {import("./components.js").ResponseMessage & {body: Uint8Array|null, statusText?: string}} ParsedResponse
+ * @typedef {{request: ParsedRequest}|{response: ParsedResponse}} ParsedMessage
+ * A parsed HTTP/1.1 request or response, in the shape taken by `createSignatureForRequest` and `verifySignatureOfRequest`,
+ * or `createSignatureForResponse` and `verifySignatureOfResponse`.
+ */
+/**
+ * @typedef {{request: import("./components.js").RequestMessage & {body?: Uint8Array|string|null}}|{response: import("./components.js").ResponseMessage & {body?: Uint8Array|string|null, statusText?: string}}} SerializableMessage
+ * A request or response to serialize. Takes the output of `parseHttpMessage`, with fields added or changed after signing.
+ */
+/**
+ * Parses a raw HTTP/1.1 request or response, as captured from the wire or written by hand. Lines may end with CRLF or LF.
+ * The URL of a request is built from the request target and the `Host` header. If there is a `Content-Length` header,
+ * the body is cut to that length, so that a trailing newline added by an editor is ignored. A chunked body is decoded,
+ * and its trailer fields become `trailers`.
+ *
+ * @param {object} params - The parameters for parsing the message.
+ * @param {string|Uint8Array} params.message - The raw message.
+ * @param {string=} params.scheme - The scheme of the request URL, unless the request target is in absolute form. Defaults to `https`.
+ * @returns {import("neverthrow").Result<ParsedMessage, import("./errors.js").SignatureError>} The request or the response.
+ */
+export function parseHttpMessage({ message, scheme }: {
+    message: string | Uint8Array;
+    scheme?: string | undefined;
+}): import("neverthrow").Result<ParsedMessage, import("./errors.js").SignatureError>;
+/**
+ * Serializes a request or response as an HTTP/1.1 message, e.g. to store a signed message or to write it to a socket.
+ * Field names are written in lowercase, as kept by `Headers`. The request target is in origin form, or in authority form
+ * for `CONNECT`, and a `Host` header is added from the URL if there is none. If the message has trailers or a chunked
+ * `Transfer-Encoding`, the body is sent as one chunk followed by the trailer fields; otherwise `Content-Length` is added
+ * to a body without one.
+ *
+ * @param {SerializableMessage} message - The request or response.
+ * @returns {Uint8Array} The raw message.
+ */
+export function serializeHttpMessage(message: SerializableMessage): Uint8Array;
+export type ParsedRequest = import("./components.js").RequestMessage & {
+    body: Uint8Array | null;
+};
+export type ParsedResponse = import("./components.js").ResponseMessage & {
+    body: Uint8Array | null;
+    statusText?: string;
+};
+/**
+ * A parsed HTTP/1.1 request or response, in the shape taken by `createSignatureForRequest` and `verifySignatureOfRequest`,
+ * or `createSignatureForResponse` and `verifySignatureOfResponse`.
+ */
+export type ParsedMessage = {
+    request: ParsedRequest;
+} | {
+    response: ParsedResponse;
+};
+/**
+ * A request or response to serialize. Takes the output of `parseHttpMessage`, with fields added or changed after signing.
+ */
+export type SerializableMessage = {
+    request: import("./components.js").RequestMessage & {
+        body?: Uint8Array | string | null;
+    };
+} | {
+    response: import("./components.js").ResponseMessage & {
+        body?: Uint8Array | string | null;
+        statusText?: string;
+    };
+};
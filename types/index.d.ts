@@ -1,34 +1,95 @@
+/**
+ * @typedef {import("./errors.js").SignatureError} SignatureError
+ * @typedef {import("./errors.js").ErrorCode} ErrorCode
+ * @typedef {import("./errors.js").ErrorDetails} ErrorDetails
+ */
+/**
+ * @typedef {object} VerificationResult
+ * What a valid signature covers, for authorization decisions that depend on what was actually signed.
+ * @property {string} label - The label of the signature.
+ * @property {string=} keyid - The `keyid` parameter.
+ * @property {string=} alg - The `alg` parameter.
+ * @property {string=} tag - The `tag` parameter.
+ * @property {number} created - The `created` parameter.
+ * @property {number=} expires - The `expires` parameter.
+ * @property {string=} nonce - The `nonce` parameter.
+ * @property {Object.<string, unknown>} params - All parameters of the signature.
+ * @property {import("./components.js").ComponentIdentifier[]} components - The covered components, in order.
+ * @property {string} signatureBase - The reconstructed signature base that was verified.
+ * @property {ReadableStream<Uint8Array>=} body - For stream bodies covered by `content-digest`, `repr-digest` or, with `legacyDigest`, `digest`, the stream to read the body from. It verifies the digests while it is read and errors on a mismatch.
+ */
 /**
  * Creates a signature for a given HTTP request based on provided inputs and a signing function.
  * This function utilizes the `neverthrow` Result type for explicit error handling.
  *
  * @param {object} params - The parameters for creating the signature.
- * @param {(string|{component: '@query-param', parameters: { name: string }})[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is a Map of string keys to string, number, or boolean values.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
  * @param {string} params.signatureLabel - A label for the signature.
  * @param {Object.<string, (number|string)>} params.additionalParams - Additional parameters to include in the signature.
- * @param {object} params.request - The HTTP request object.
- * @param {Headers} params.request.headers - The request headers.
- * @param {URL} params.request.url - The request URL.
- * @param {string} params.request.method - The HTTP method (e.g., 'GET', 'POST').
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request: an object with `headers` (a `Headers` object), `url` (a `URL`), `method`, and the optional `body` (used with `contentDigestAlgorithms`) and `trailers` (for components with the `tr` parameter), or a WHATWG `Request` or Node.js `IncomingMessage`, see `normalizeRequest`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - If present, a `Content-Digest` header is calculated from the body with these algorithms, added to the headers used for the signature base and covered by the signature. It is returned as `contentDigest` and must be sent along with the signature.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.reprDigestAlgorithms - If present, a `Repr-Digest` header is calculated from the body, which must be the complete representation with its content coding applied, and covered like `Content-Digest`. It is returned as `reprDigest`.
+ * @param {import("./digest.js").DigestFunction=} params.digest - Calculates the digests instead of WebCrypto, which allows other algorithms.
  * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - An asynchronous function that signs the signature base. It takes an object with `signatureBase`, `params`, `ok` (neverthrow's `ok` function), and `err` (neverthrow's `err` function) and returns a Promise resolving to a `neverthrow.Result` where `Ok` is `ArrayBuffer` and `Err` is an error object.
- * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string}, {type: string, message: string, context?: unknown}>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, and `signatureBase` (all strings). If an error occurs (`Err`), it contains an object with `type`, `message`, and an optional `context`.
+ * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string, contentDigest?: string, reprDigest?: string}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, `signatureBase` and, if requested, `contentDigest` and `reprDigest` (all strings). If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
  */
-export function createSignatureForRequest({ signatureInputs, signatureLabel, additionalParams, request: { headers, url, method }, sign, }: {
-    signatureInputs: (string | {
-        component: "@query-param";
-        parameters: {
-            name: string;
-        };
-    })[];
+export function createSignatureForRequest({ signatureInputs, signatureLabel, additionalParams, request, contentDigestAlgorithms, reprDigestAlgorithms, digest, sign, }: {
+    signatureInputs: import("./components.js").ComponentIdentifier[];
     signatureLabel: string;
     additionalParams: {
         [x: string]: (number | string);
     };
-    request: {
-        headers: Headers;
-        url: URL;
-        method: string;
+    request: import("./messages.js").RequestInput;
+    contentDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    reprDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    digest?: import("./digest.js").DigestFunction | undefined;
+    sign: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<ArrayBuffer, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<{
+    signatureInput: string;
+    signature: string;
+    signatureBase: string;
+    contentDigest?: string;
+    reprDigest?: string;
+}, SignatureError>>;
+/**
+ * Creates a signature for a given HTTP response based on provided inputs and a signing function.
+ * Components carrying the `req` parameter (e.g. `{ component: '@method', parameters: { req: true } }`) are taken from the request that produced the response.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for creating the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
+ * @param {string} params.signatureLabel - A label for the signature.
+ * @param {Object.<string, (number|string)>} params.additionalParams - Additional parameters to include in the signature.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response: an object with `headers` (a `Headers` object), `status`, and the optional `body` (used with `contentDigestAlgorithms`) and `trailers`, or a WHATWG `Response` or Node.js `ServerResponse`, see `normalizeResponse`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any signature input has the `req` parameter.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - If present, a `Content-Digest` header is calculated from the response body and covered by the signature. See `createSignatureForRequest`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.reprDigestAlgorithms - If present, a `Repr-Digest` header is calculated from the response body and covered by the signature. See `createSignatureForRequest`.
+ * @param {import("./digest.js").DigestFunction=} params.digest - Calculates the digests instead of WebCrypto.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<ArrayBuffer, {type: string, message: string, context?: unknown}>>} params.sign - An asynchronous function that signs the signature base. See `createSignatureForRequest`.
+ * @returns {Promise<import("neverthrow").Result<{signatureInput: string, signature: string, signatureBase: string, contentDigest?: string, reprDigest?: string}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains an object with `signatureInput`, `signature`, `signatureBase` and, if requested, `contentDigest` and `reprDigest` (all strings). If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
+ */
+export function createSignatureForResponse({ signatureInputs, signatureLabel, additionalParams, response, request, contentDigestAlgorithms, reprDigestAlgorithms, digest, sign, }: {
+    signatureInputs: import("./components.js").ComponentIdentifier[];
+    signatureLabel: string;
+    additionalParams: {
+        [x: string]: (number | string);
     };
+    response: import("./messages.js").ResponseInput;
+    request?: import("./messages.js").RequestInput | undefined;
+    contentDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    reprDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    digest?: import("./digest.js").DigestFunction | undefined;
     sign: (arg0: {
         signatureBase: string;
         params: {
@@ -45,11 +106,9 @@ export function createSignatureForRequest({ signatureInputs, signatureLabel, add
     signatureInput: string;
     signature: string;
     signatureBase: string;
-}, {
-    type: string;
-    message: string;
-    context?: unknown;
-}>>;
+    contentDigest?: string;
+    reprDigest?: string;
+}, SignatureError>>;
 /**
  * Verifies the signature of an HTTP request based on provided signature information and a verification function.
  * This function utilizes the `neverthrow` Result type for explicit error handling.
@@ -58,35 +117,193 @@ export function createSignatureForRequest({ signatureInputs, signatureLabel, add
  * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
  * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
  * @param {string} params.signatureLabel - The label associated with the signature.
- * @param {(string|{component: '@query-param', parameters: { name: string }})[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is a Map of string keys to string, number, or boolean values.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
  * @param {string[]} params.requiredParams - An array of required parameters for the signature.
  * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
- * @param {object} params.request - The HTTP request object.
- * @param {Headers} params.request.headers - The request headers.
- * @param {URL} params.request.url - The request URL.
- * @param {string} params.request.method - The HTTP method (e.g., 'GET', 'POST').
- * @param {(ArrayBuffer|ArrayBufferView|null)=} params.request.body - The optional request body.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer, applied to `created` timestamps in the future and to `expires`. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the `nonce` parameter is required and each nonce is accepted only once per `keyid`. Nonces are remembered until the signature would be rejected as expired.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked: the accepted algorithms, a custom digest function and whether the legacy `Digest` header is checked. By default, `content-digest` and `repr-digest` are checked with `sha-256` or `sha-512`.
+ * @param {import("./diagnostics.js").DiagnosticOptions=} params.diagnostics - If present, an error of the `verify` function carries `diagnostics`: the signature base compared line by line with `expectedSignatureBase`, the signer's signature base if known, and likely causes of the mismatch.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request: an object with `headers` (a `Headers` object), `url` (a `URL`), `method`, and the optional `body` and `trailers` (for components with the `tr` parameter), or a WHATWG `Request` or Node.js `IncomingMessage`, see `normalizeRequest`. A stream body is not read up front, see `body` in the result.
  * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies the signature. It takes an object with `signatureBase`, `params`, `signature` (as Uint8Array), `ok` (neverthrow's `ok` function), and `err` (neverthrow's `err` function) and returns a Promise resolving to a `neverthrow.Result` where `Ok` is `true` and `Err` is an error object.
- * @returns {Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains `true`. If an error occurs (`Err`), it contains an object with `type`, `message`, and an optional `context`.
+ * @returns {Promise<import("neverthrow").Result<VerificationResult, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains a `VerificationResult` describing the verified signature; if the body is a stream covered by a digest field, its `body` must be consumed instead of the original body. If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
+ */
+export function verifySignatureOfRequest({ stringOfSignatureInputDictionary, stringOfSignatureDictionary, signatureLabel, requiredInputs, requiredParams, maxAge, clockSkew, now, replayStore, digestOptions, diagnostics, request, verify, }: {
+    stringOfSignatureInputDictionary: string;
+    stringOfSignatureDictionary: string;
+    signatureLabel: string;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    requiredParams: string[];
+    maxAge: number;
+    clockSkew?: number | undefined;
+    now?: (() => number) | undefined;
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    diagnostics?: import("./diagnostics.js").DiagnosticOptions | undefined;
+    request: import("./messages.js").RequestInput;
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<VerificationResult, SignatureError>>;
+/**
+ * Verifies the signature of an HTTP response based on provided signature information and a verification function.
+ * Components carrying the `req` parameter are resolved against the request that produced the response.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for verifying the signature.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {string} params.signatureLabel - The label associated with the signature.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - An array of strings or objects with a `component` property and a `parameters` property, where `parameters` is an object of string keys to string, number, or boolean values.
+ * @param {string[]} params.requiredParams - An array of required parameters for the signature.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signature to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signer, applied to `created` timestamps in the future and to `expires`. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the `nonce` parameter is required and each nonce is accepted only once per `keyid`. Nonces are remembered until the signature would be rejected as expired.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./diagnostics.js").DiagnosticOptions=} params.diagnostics - Diagnoses signatures that do not verify. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response: an object with `headers` (a `Headers` object), `status`, and the optional `body` and `trailers`, or a WHATWG `Response` or Node.js `ServerResponse`, see `normalizeResponse`. A stream body is not read up front, see `verifySignatureOfRequest`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any covered component has the `req` parameter.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies the signature. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<VerificationResult, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If successful (`Ok`), it contains a `VerificationResult` describing the verified signature; if the body is a stream covered by a digest field, its `body` must be consumed instead of the original body. If an error occurs (`Err`), it contains a `SignatureError` with `type`, `code`, `message`, `details` and an optional `context`.
  */
-export function verifySignatureOfRequest({ stringOfSignatureInputDictionary, stringOfSignatureDictionary, signatureLabel, requiredInputs, requiredParams, maxAge, request: { headers, url, method, body }, verify, }: {
+export function verifySignatureOfResponse({ stringOfSignatureInputDictionary, stringOfSignatureDictionary, signatureLabel, requiredInputs, requiredParams, maxAge, clockSkew, now, replayStore, digestOptions, diagnostics, response, request, verify, }: {
     stringOfSignatureInputDictionary: string;
     stringOfSignatureDictionary: string;
     signatureLabel: string;
-    requiredInputs: (string | {
-        component: "@query-param";
-        parameters: {
-            name: string;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    requiredParams: string[];
+    maxAge: number;
+    clockSkew?: number | undefined;
+    now?: (() => number) | undefined;
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    diagnostics?: import("./diagnostics.js").DiagnosticOptions | undefined;
+    response: import("./messages.js").ResponseInput;
+    request?: import("./messages.js").RequestInput | undefined;
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
         };
-    })[];
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<VerificationResult, SignatureError>>;
+/**
+ * @typedef {object} SignatureSelection
+ * Selects the signatures to verify among all entries of the signature input dictionary. A signature is selected if it matches every given criterion.
+ * @property {(string|string[])=} tag - The allowed values of the `tag` parameter.
+ * @property {(string|string[])=} keyid - The allowed values of the `keyid` parameter.
+ * @property {import("./components.js").ComponentIdentifier[]=} components - Components that must be covered.
+ */
+/**
+ * @typedef {object} SignatureOutcome
+ * @property {string} label - The label of the signature.
+ * @property {import("neverthrow").Result<VerificationResult, SignatureError>} result - The result of verifying the signature.
+ */
+/**
+ * Verifies the signatures of an HTTP request that carries several of them, without knowing their labels in advance.
+ * Every entry of the signature input dictionary that matches `select` is verified as with `verifySignatureOfRequest`.
+ * This function utilizes the `neverthrow` Result type for explicit error handling.
+ *
+ * @param {object} params - The parameters for verifying the signatures.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {SignatureSelection=} params.select - The policy for selecting the signatures to verify. By default, all signatures are selected.
+ * @param {('all'|'any')=} params.mode - Whether all selected signatures or at least one of them must verify. Defaults to `'all'`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that every selected signature must cover.
+ * @param {string[]} params.requiredParams - Parameters that every selected signature must have.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signatures to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signers. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the nonce of each selected signature is checked. See `verifySignatureOfRequest`.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request. See `verifySignatureOfRequest`.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies a signature, usually picking the key by `params.keyid`. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{verified: string[], outcomes: SignatureOutcome[]}, SignatureError>>} A Promise that resolves to a `neverthrow.Result`. If the policy is satisfied (`Ok`), it contains the labels of the `verified` signatures and the `outcomes` of all selected signatures. Otherwise (`Err`), the `context` of the error contains the outcomes.
+ */
+export function verifySignaturesOfRequest({ stringOfSignatureInputDictionary, stringOfSignatureDictionary, select, mode, requiredInputs, requiredParams, maxAge, clockSkew, now, replayStore, digestOptions, request, verify, }: {
+    stringOfSignatureInputDictionary: string;
+    stringOfSignatureDictionary: string;
+    select?: SignatureSelection | undefined;
+    mode?: ("all" | "any") | undefined;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
     requiredParams: string[];
     maxAge: number;
-    request: {
-        headers: Headers;
-        url: URL;
-        method: string;
-        body?: (ArrayBuffer | ArrayBufferView | null) | undefined;
-    };
+    clockSkew?: number | undefined;
+    now?: (() => number) | undefined;
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    request: import("./messages.js").RequestInput;
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+}): Promise<import("neverthrow").Result<{
+    verified: string[];
+    outcomes: SignatureOutcome[];
+}, SignatureError>>;
+/**
+ * Verifies the signatures of an HTTP response that carries several of them, without knowing their labels in advance.
+ * Takes the same parameters as `verifySignaturesOfRequest`, with the response and the request that produced it.
+ *
+ * @param {object} params - The parameters for verifying the signatures.
+ * @param {string} params.stringOfSignatureInputDictionary - The string representation of the signature input dictionary.
+ * @param {string} params.stringOfSignatureDictionary - The string representation of the signature dictionary.
+ * @param {SignatureSelection=} params.select - The policy for selecting the signatures to verify. By default, all signatures are selected.
+ * @param {('all'|'any')=} params.mode - Whether all selected signatures or at least one of them must verify. Defaults to `'all'`.
+ * @param {import("./components.js").ComponentIdentifier[]} params.requiredInputs - Components that every selected signature must cover.
+ * @param {string[]} params.requiredParams - Parameters that every selected signature must have.
+ * @param {number} params.maxAge - The maximum age (in seconds) for the signatures to be considered valid.
+ * @param {number=} params.clockSkew - The tolerance (in seconds) for clock differences with the signers. Defaults to 0.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @param {import("./replay.js").ReplayStore=} params.replayStore - If present, the nonce of each selected signature is checked.
+ * @param {import("./digest.js").DigestOptions=} params.digestOptions - How covered digest fields are checked. See `verifySignatureOfRequest`.
+ * @param {import("./messages.js").ResponseInput} params.response - The HTTP response. See `verifySignatureOfResponse`.
+ * @param {import("./messages.js").RequestInput=} params.request - The HTTP request that produced the response. Required when any covered component has the `req` parameter.
+ * @param {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array, ok: import("neverthrow").ok, err: import("neverthrow").err}): Promise<import("neverthrow").Result<true, {type: string, message: string, context?: unknown}>>} params.verify - An asynchronous function that verifies a signature. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{verified: string[], outcomes: SignatureOutcome[]}, SignatureError>>} See `verifySignaturesOfRequest`.
+ */
+export function verifySignaturesOfResponse({ stringOfSignatureInputDictionary, stringOfSignatureDictionary, select, mode, requiredInputs, requiredParams, maxAge, clockSkew, now, replayStore, digestOptions, response, request, verify, }: {
+    stringOfSignatureInputDictionary: string;
+    stringOfSignatureDictionary: string;
+    select?: SignatureSelection | undefined;
+    mode?: ("all" | "any") | undefined;
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    requiredParams: string[];
+    maxAge: number;
+    clockSkew?: number | undefined;
+    now?: (() => number) | undefined;
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    response: import("./messages.js").ResponseInput;
+    request?: import("./messages.js").RequestInput | undefined;
     verify: (arg0: {
         signatureBase: string;
         params: {
@@ -100,10 +317,105 @@ export function verifySignatureOfRequest({ stringOfSignatureInputDictionary, str
         message: string;
         context?: unknown;
     }>>;
-}): Promise<import("neverthrow").Result<true, {
-    type: string;
-    message: string;
-    context?: unknown;
-}>>;
+}): Promise<import("neverthrow").Result<{
+    verified: string[];
+    outcomes: SignatureOutcome[];
+}, SignatureError>>;
+export { diagnoseSignatureBase } from "./diagnostics.js";
+export { ERROR_CODES } from "./errors.js";
+export { verifyWithPolicy } from "./policy.js";
+export { createSigningProfile } from "./profile.js";
+export { createInMemoryReplayStore } from "./replay.js";
+export type SignatureError = import("./errors.js").SignatureError;
+export type ErrorCode = import("./errors.js").ErrorCode;
+export type ErrorDetails = import("./errors.js").ErrorDetails;
+/**
+ * What a valid signature covers, for authorization decisions that depend on what was actually signed.
+ */
+export type VerificationResult = {
+    /**
+     * - The label of the signature.
+     */
+    label: string;
+    /**
+     * - The `keyid` parameter.
+     */
+    keyid?: string | undefined;
+    /**
+     * - The `alg` parameter.
+     */
+    alg?: string | undefined;
+    /**
+     * - The `tag` parameter.
+     */
+    tag?: string | undefined;
+    /**
+     * - The `created` parameter.
+     */
+    created: number;
+    /**
+     * - The `expires` parameter.
+     */
+    expires?: number | undefined;
+    /**
+     * - The `nonce` parameter.
+     */
+    nonce?: string | undefined;
+    /**
+     * - All parameters of the signature.
+     */
+    params: {
+        [x: string]: unknown;
+    };
+    /**
+     * - The covered components, in order.
+     */
+    components: import("./components.js").ComponentIdentifier[];
+    /**
+     * - The reconstructed signature base that was verified.
+     */
+    signatureBase: string;
+    /**
+     * - For stream bodies covered by `content-digest`, `repr-digest` or, with `legacyDigest`, `digest`, the stream to read the body from. It verifies the digests while it is read and errors on a mismatch.
+     */
+    body?: ReadableStream<Uint8Array> | undefined;
+};
+/**
+ * Selects the signatures to verify among all entries of the signature input dictionary. A signature is selected if it matches every given criterion.
+ */
+export type SignatureSelection = {
+    /**
+     * - The allowed values of the `tag` parameter.
+     */
+    tag?: (string | string[]) | undefined;
+    /**
+     * - The allowed values of the `keyid` parameter.
+     */
+    keyid?: (string | string[]) | undefined;
+    /**
+     * - Components that must be covered.
+     */
+    components?: import("./components.js").ComponentIdentifier[] | undefined;
+};
+export type SignatureOutcome = {
+    /**
+     * - The label of the signature.
+     */
+    label: string;
+    /**
+     * - The result of verifying the signature.
+     */
+    result: import("neverthrow").Result<VerificationResult, SignatureError>;
+};
 import { ok } from 'neverthrow';
 import { err } from 'neverthrow';
+export { createAcceptSignature, parseAcceptSignature } from "./accept.js";
+export { createSigner, createVerifier, ecdsaSignatureFromDer, ecdsaSignatureToDer } from "./algorithms.js";
+export { createAxiosInterceptor, createSignedFetch, createUndiciInterceptor, signRequest } from "./client.js";
+export { createCavageSignature, verifyCavageSignature } from "./cavage.js";
+export { RFC9421_TEST_KEYS, RFC9421_TEST_VECTORS, runConformanceSuite } from "./conformance.js";
+export { createContentDigest, createContentDigestVerifyingStream, createLegacyDigest, createReprDigest, parseWantDigest, verifyContentDigest, verifyLegacyDigest, verifyReprDigest } from "./digest.js";
+export { parseHttpMessage, serializeHttpMessage } from "./http1.js";
+export { createInMemoryKeyResolver, createJwksKeyResolver, createKeyResolverVerifier, createPemKeyResolver, importKeyFromJwk, importKeyFromPem } from "./keys.js";
+export { normalizeRequest, normalizeResponse } from "./messages.js";
+export { createExpressMiddleware, createFastifyHook, createKoaMiddleware, createNodeMiddleware, verifyIncomingMessage } from "./middleware.js";
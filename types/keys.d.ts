@@ -0,0 +1,125 @@
+/**
+ * Creates a key resolver for keys that are already imported into WebCrypto.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {Object.<string, {key: CryptoKey, alg?: AlgorithmName, tags?: string[]}>} params.keys - The keys, by `keyid`. `alg` pins the algorithm for keys that can be used with more than one, `tags` restricts the key to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createInMemoryKeyResolver({ keys }: {
+    keys: {
+        [x: string]: {
+            key: CryptoKey;
+            alg?: AlgorithmName;
+            tags?: string[];
+        };
+    };
+}): KeyResolver;
+/**
+ * Creates a key resolver for a JWK Set (RFC 7517 Section 5). Keys are matched on their `kid` member.
+ * The algorithm is taken from the `alg` member of the JWK if present, and from its key type and curve otherwise.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {{keys: Jwk[]}|function(): Promise<{keys: Jwk[]}>} params.jwks - The JWK Set, or a function that loads it (e.g. from a partner's JWKS URL). The function is called on every lookup, so it should cache.
+ * @param {string[]=} params.tags - If present, restricts the keys to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createJwksKeyResolver({ jwks, tags }: {
+    jwks: {
+        keys: Jwk[];
+    } | (() => Promise<{
+        keys: Jwk[];
+    }>);
+    tags?: string[] | undefined;
+}): KeyResolver;
+/**
+ * Creates a key resolver for PEM encoded keys stored in files (SPKI `PUBLIC KEY` or PKCS #8 `PRIVATE KEY`).
+ * Files are read on first use and cached. Requires a runtime with `node:fs`.
+ *
+ * @param {object} params - The parameters for creating the key resolver.
+ * @param {Object.<string, {path: string, alg?: AlgorithmName, tags?: string[]}>} params.keys - The key files, by `keyid`. `alg` pins the algorithm for RSA keys, which can be used with more than one, `tags` restricts the key to signatures with one of the given `tag` values.
+ * @returns {KeyResolver} The key resolver.
+ */
+export function createPemKeyResolver({ keys }: {
+    keys: {
+        [x: string]: {
+            path: string;
+            alg?: AlgorithmName;
+            tags?: string[];
+        };
+    };
+}): KeyResolver;
+/**
+ * Imports a JWK into WebCrypto for one of the RFC 9421 registered algorithms.
+ * Public keys are imported for verification, private keys for signing and symmetric keys for both.
+ *
+ * @param {object} params - The parameters for importing the key.
+ * @param {Jwk} params.jwk - The JWK.
+ * @param {string=} params.alg - The algorithm to import the key for. Required for RSA keys without an `alg` member.
+ * @returns {Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>} The imported key and its algorithm.
+ */
+export function importKeyFromJwk({ jwk, alg }: {
+    jwk: Jwk;
+    alg?: string | undefined;
+}): Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>;
+/**
+ * Imports a PEM encoded SPKI public key (`PUBLIC KEY`) or PKCS #8 private key (`PRIVATE KEY`) into WebCrypto
+ * for one of the RFC 9421 registered algorithms. HMAC keys cannot be imported from PEM.
+ *
+ * @param {object} params - The parameters for importing the key.
+ * @param {string} params.pem - The PEM encoded key.
+ * @param {string=} params.alg - The algorithm to import the key for. Required for RSA keys.
+ * @param {string=} params.keyid - The key identifier, used for error reporting and returned with the key.
+ * @returns {Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>} The imported key and its algorithm.
+ */
+export function importKeyFromPem({ pem, alg, keyid }: {
+    pem: string;
+    alg?: string | undefined;
+    keyid?: string | undefined;
+}): Promise<import("neverthrow").Result<ResolvedKey, import("./errors.js").SignatureError>>;
+/**
+ * Creates a `verify` callback for `verifySignatureOfRequest` and `verifySignatureOfResponse` that looks up the key
+ * with a key resolver and verifies with the built-in verifier for the resolved algorithm.
+ *
+ * @param {object} params - The parameters for creating the verifier.
+ * @param {KeyResolver} params.keyResolver - The key resolver.
+ * @returns {function({signatureBase: string, params: Object.<string, unknown>, signature: Uint8Array}): Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>} The verify callback.
+ */
+export function createKeyResolverVerifier({ keyResolver }: {
+    keyResolver: KeyResolver;
+}): (arg0: {
+    signatureBase: string;
+    params: {
+        [x: string]: unknown;
+    };
+    signature: Uint8Array;
+}) => Promise<import("neverthrow").Result<true, import("./errors.js").SignatureError>>;
+export type AlgorithmName = import("./algorithms.js").AlgorithmName;
+export type ResolvedKey = {
+    /**
+     * - The WebCrypto key.
+     */
+    key: CryptoKey;
+    /**
+     * - The algorithm the key is to be used with.
+     */
+    alg: AlgorithmName;
+    /**
+     * - The key identifier, if known.
+     */
+    keyid?: string | undefined;
+};
+export type Jwk = JsonWebKey & {
+    kid?: string;
+};
+/**
+ * A function that looks up the key for the `keyid`, `alg` and `tag` signature parameters.
+ */
+export type KeyResolver = (arg0: {
+    keyid: (string | undefined);
+    alg: (string | undefined);
+    tag: (string | undefined);
+}) => Promise<import("neverthrow").Result<ResolvedKey, {
+    type: string;
+    message: string;
+    context?: unknown;
+}>>;
@@ -0,0 +1,124 @@
+/**
+ * @typedef {object} IncomingRequest
+ * The parts of a Node.js `IncomingMessage` used to reconstruct a request.
+ * @property {string=} method - The request method.
+ * @property {string=} url - The request target, e.g. `/foo?bar=baz`.
+ * @property {Object.<string, (string|string[]|undefined)>} headers - The request headers, with lowercased names.
+ * @property {string[]=} rawHeaders - The header field lines as received, alternating names and values.
+ * @property {object=} socket - The underlying socket. TLS sockets have an `encrypted` property.
+ */
+/**
+ * @typedef {object} OutgoingResponse
+ * The parts of a Node.js `ServerResponse` used to reconstruct a response.
+ * @property {number} statusCode - The status code.
+ * @property {function(): Object.<string, (number|string|string[]|undefined)>} getHeaders - Returns the headers set so far.
+ */
+/**
+ * @typedef {Request|(IncomingRequest & AsyncIterable<Uint8Array|string>)|(import("./components.js").RequestMessage & {body?: import("./digest.js").Body})} RequestInput
+ */
+/**
+ * @typedef {Response|OutgoingResponse|(import("./components.js").ResponseMessage & {body?: import("./digest.js").Body})} ResponseInput
+ */
+/**
+ * Converts a WHATWG `Request` or a Node.js `IncomingMessage` into the request shape taken by `createSignatureForRequest` and `verifySignatureOfRequest`.
+ * Objects that already have that shape are returned as they are.
+ * The body is the request stream, which is not read up front when verifying, see `verifySignatureOfRequest`.
+ *
+ * For an `IncomingMessage`, the URL is reconstructed from the request target, the `Host` header and the connection.
+ * With `trustProxy`, the scheme and authority are taken from the `Forwarded` header, or from `X-Forwarded-Proto` and `X-Forwarded-Host`.
+ *
+ * @param {RequestInput} request - The request.
+ * @param {object} [options] - The options for converting the request.
+ * @param {boolean=} options.trustProxy - Whether to use the headers set by a reverse proxy. Defaults to `false`.
+ * @returns {import("neverthrow").Result<import("./components.js").RequestMessage & {body?: import("./digest.js").Body}, import("./errors.js").SignatureError>} The request.
+ */
+export function normalizeRequest(request: RequestInput, { trustProxy }?: {
+    trustProxy?: boolean | undefined;
+}): import("neverthrow").Result<import("./components.js").RequestMessage & {
+    body?: import("./digest.js").Body;
+}, import("./errors.js").SignatureError>;
+/**
+ * Converts a WHATWG `Response` or a Node.js `ServerResponse` into the response shape taken by `createSignatureForResponse` and `verifySignatureOfResponse`.
+ * Objects that already have that shape are returned as they are.
+ * A `ServerResponse` has no readable body, so pass the body you send as `body` of the result if the signature covers `content-digest`.
+ *
+ * @param {ResponseInput} response - The response.
+ * @returns {import("./components.js").ResponseMessage & {body?: import("./digest.js").Body}} The response.
+ */
+export function normalizeResponse(response: ResponseInput): import("./components.js").ResponseMessage & {
+    body?: import("./digest.js").Body;
+};
+/**
+ * Reconstructs the URL of a Node.js request from its target, the `Host` header and the connection. If the proxy in front of the
+ * server is trusted, the scheme and authority are taken from the first element of the `Forwarded` header, or from
+ * `X-Forwarded-Proto` and `X-Forwarded-Host`.
+ *
+ * @param {IncomingRequest} request - The incoming request.
+ * @param {boolean} trustProxy - Whether to use the forwarded headers.
+ * @returns {import("neverthrow").Result<URL, import("./errors.js").SignatureError>} The URL.
+ */
+export function getRequestUrl(request: IncomingRequest, trustProxy: boolean): import("neverthrow").Result<URL, import("./errors.js").SignatureError>;
+/**
+ * Returns the host a proxy reports the client used, from the `Forwarded` header or the `X-Forwarded-Host` header.
+ *
+ * @param {Headers} headers - The request headers.
+ * @returns {string|undefined} The forwarded host, if any.
+ */
+export function getForwardedHost(headers: Headers): string | undefined;
+/**
+ * Converts Node.js header values into a `Headers` object.
+ *
+ * @param {Object.<string, (string|string[]|undefined)>} nodeHeaders - The headers of an `IncomingMessage`.
+ * @returns {Headers} The headers.
+ */
+export function toHeaders(nodeHeaders: {
+    [x: string]: string | string[] | undefined;
+}): Headers;
+/**
+ * The parts of a Node.js `IncomingMessage` used to reconstruct a request.
+ */
+export type IncomingRequest = {
+    /**
+     * - The request method.
+     */
+    method?: string | undefined;
+    /**
+     * - The request target, e.g. `/foo?bar=baz`.
+     */
+    url?: string | undefined;
+    /**
+     * - The request headers, with lowercased names.
+     */
+    headers: {
+        [x: string]: string | string[] | undefined;
+    };
+    /**
+     * - The header field lines as received, alternating names and values.
+     */
+    rawHeaders?: string[] | undefined;
+    /**
+     * - The underlying socket. TLS sockets have an `encrypted` property.
+     */
+    socket?: object | undefined;
+};
+/**
+ * The parts of a Node.js `ServerResponse` used to reconstruct a response.
+ */
+export type OutgoingResponse = {
+    /**
+     * - The status code.
+     */
+    statusCode: number;
+    /**
+     * - Returns the headers set so far.
+     */
+    getHeaders: () => {
+        [x: string]: (number | string | string[] | undefined);
+    };
+};
+export type RequestInput = Request | (IncomingRequest & AsyncIterable<Uint8Array | string>) | (import("./components.js").RequestMessage & {
+    body?: import("./digest.js").Body;
+});
+export type ResponseInput = Response | OutgoingResponse | (import("./components.js").ResponseMessage & {
+    body?: import("./digest.js").Body;
+});
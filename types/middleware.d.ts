@@ -0,0 +1,197 @@
+/**
+ * Verifies the signature of a Node.js `IncomingMessage`. The body is buffered, unless it is given.
+ * Used by the framework adapters; call it directly to handle rejections yourself.
+ *
+ * @param {object} params - The parameters for verifying the request.
+ * @param {import("./messages.js").IncomingRequest} params.request - The incoming request. It must be readable as a stream unless `body` is given.
+ * @param {Uint8Array|string=} params.body - The body, if it has already been read.
+ * @param {VerificationPolicy} params.policy - The verification policy.
+ * @returns {Promise<import("neverthrow").Result<{signature: import("./index.js").VerificationResult, body: Uint8Array|string}, Rejection>>} The verified signature and the body, or how to reject the request.
+ */
+export function verifyIncomingMessage({ request, body, policy }: {
+    request: import("./messages.js").IncomingRequest;
+    body?: (Uint8Array | string) | undefined;
+    policy: VerificationPolicy;
+}): Promise<import("neverthrow").Result<{
+    signature: import("./index.js").VerificationResult;
+    body: Uint8Array | string;
+}, Rejection>>;
+/**
+ * Creates a connect-style middleware for `node:http` servers. On success, the verified signature is attached as `req.signature`
+ * and the buffered body as `req.rawBody`; otherwise the request is rejected with 401 and an `Accept-Signature` header.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function(import("./messages.js").IncomingRequest & {signature?: import("./index.js").VerificationResult, rawBody?: Uint8Array|string}, ServerResponse, function(unknown=): void): Promise<void>} The middleware.
+ */
+export function createNodeMiddleware(policy: VerificationPolicy): (arg0: import("./messages.js").IncomingRequest & {
+    signature?: import("./index.js").VerificationResult;
+    rawBody?: Uint8Array | string;
+}, arg1: ServerResponse, arg2: (arg0: unknown | undefined) => void) => Promise<void>;
+/**
+ * Creates an Express middleware. Works like `createNodeMiddleware`, and additionally takes the body from `req.body` if it was
+ * read by `express.raw()`. `trustProxy` defaults to `true` if the `trust proxy` setting of the app is `true`; hop counts,
+ * addresses and functions depend on the client address and are not evaluated, so pass `trustProxy` with those.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function(import("./messages.js").IncomingRequest & {app?: {get: function(string): unknown}, body?: unknown, signature?: import("./index.js").VerificationResult, rawBody?: Uint8Array|string}, ServerResponse, function(unknown=): void): Promise<void>} The middleware.
+ */
+export function createExpressMiddleware(policy: VerificationPolicy): (arg0: import("./messages.js").IncomingRequest & {
+    app?: {
+        get: (arg0: string) => unknown;
+    };
+    body?: unknown;
+    signature?: import("./index.js").VerificationResult;
+    rawBody?: Uint8Array | string;
+}, arg1: ServerResponse, arg2: (arg0: unknown | undefined) => void) => Promise<void>;
+/**
+ * Creates a Koa middleware. On success, the verified signature is attached as `ctx.state.signature` and the body as
+ * `ctx.request.rawBody`, which is also where it is taken from if a body parser already read it. `trustProxy` defaults to `app.proxy`.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function({req: import("./messages.js").IncomingRequest, request: {rawBody?: Uint8Array|string}, state: Object.<string, unknown>, app?: {proxy?: boolean}, status: number, body: unknown, set: function(Object.<string, string>): void}, function(): Promise<unknown>): Promise<void>} The middleware.
+ */
+export function createKoaMiddleware(policy: VerificationPolicy): (arg0: {
+    req: import("./messages.js").IncomingRequest;
+    request: {
+        rawBody?: Uint8Array | string;
+    };
+    state: {
+        [x: string]: unknown;
+    };
+    app?: {
+        proxy?: boolean;
+    };
+    status: number;
+    body: unknown;
+    set: (arg0: {
+        [x: string]: string;
+    }) => void;
+}, arg1: () => Promise<unknown>) => Promise<void>;
+/**
+ * Creates a Fastify `preParsing` hook. The payload is buffered and verified, and handed on to the body parser as a new stream.
+ * On success, the verified signature is attached as `request.signature`. `trustProxy` defaults to `true` if the `trustProxy` option of
+ * the server is `true`; hop counts, addresses and functions are not evaluated, so pass `trustProxy` with those.
+ *
+ * @param {VerificationPolicy} policy - The verification policy.
+ * @returns {function({raw: import("./messages.js").IncomingRequest, server?: {initialConfig?: {trustProxy?: unknown}}, signature?: import("./index.js").VerificationResult}, {code: function(number): unknown, headers: function(Object.<string, string>): unknown, send: function(unknown): unknown}, AsyncIterable<Uint8Array|string>): Promise<unknown>} The hook.
+ */
+export function createFastifyHook(policy: VerificationPolicy): (arg0: {
+    raw: import("./messages.js").IncomingRequest;
+    server?: {
+        initialConfig?: {
+            trustProxy?: unknown;
+        };
+    };
+    signature?: import("./index.js").VerificationResult;
+}, arg1: {
+    code: (arg0: number) => unknown;
+    headers: (arg0: {
+        [x: string]: string;
+    }) => unknown;
+    send: (arg0: unknown) => unknown;
+}, arg2: AsyncIterable<Uint8Array | string>) => Promise<unknown>;
+/**
+ * The parts of a Node.js `ServerResponse` the middleware uses.
+ */
+export type ServerResponse = {
+    /**
+     * - Writes the status and headers.
+     */
+    writeHead: (arg0: number, arg1: {
+        [x: string]: string;
+    }) => unknown;
+    /**
+     * - Ends the response.
+     */
+    end: (arg0: string | undefined) => unknown;
+};
+export type VerificationPolicy = {
+    /**
+     * - The label of the signature to verify. If omitted, the signatures matching `select` are verified and the first one that passes is used.
+     */
+    signatureLabel?: string | undefined;
+    /**
+     * - The signatures to consider if `signatureLabel` is omitted.
+     */
+    select?: import("./index.js").SignatureSelection | undefined;
+    /**
+     * - The components the signature must cover.
+     */
+    requiredInputs: import("./components.js").ComponentIdentifier[];
+    /**
+     * - The parameters the signature must have.
+     */
+    requiredParams: string[];
+    /**
+     * - Parameters with a required value to add to the `Accept-Signature` header of 401 responses, such as `tag`.
+     */
+    acceptSignatureParams?: {
+        [x: string]: (number | string);
+    } | undefined;
+    /**
+     * - The maximum age (in seconds) for the signature to be considered valid.
+     */
+    maxAge: number;
+    /**
+     * - The tolerance (in seconds) for clock differences with the signer.
+     */
+    clockSkew?: number | undefined;
+    /**
+     * - Returns the current time in milliseconds since the epoch.
+     */
+    now?: (() => number) | undefined;
+    /**
+     * - Rejects reused nonces.
+     */
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    /**
+     * - How covered digest fields are checked, e.g. `{ legacyDigest: true }` for clients that send `Digest`.
+     */
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    /**
+     * - Whether to also accept draft-cavage signatures (a `Signature` or `Authorization: Signature` header without `Signature-Input`), as sent by Mastodon and other ActivityPub servers. Having no nonce, they are checked against `replayStore` by their signature base. Defaults to `false`.
+     */
+    cavage?: boolean | undefined;
+    /**
+     * - The maximum size (in bytes) of a body to buffer. Larger requests are rejected with 413, and requests whose body stream fails with 400. Defaults to 1 MiB.
+     */
+    maxBodySize?: number | undefined;
+    /**
+     * - Whether to take the scheme and authority from the `Forwarded` header, or the `X-Forwarded-Proto` and `X-Forwarded-Host` headers. Defaults to whether the framework trusts every proxy, and to `false` for `node:http`.
+     */
+    trustProxy?: boolean | undefined;
+    /**
+     * - The verification function.
+     */
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+};
+export type Rejection = {
+    /**
+     * - The HTTP status to respond with.
+     */
+    status: number;
+    /**
+     * - The headers to respond with.
+     */
+    headers: {
+        [x: string]: string;
+    };
+    /**
+     * - Why the request was rejected.
+     */
+    error: import("./errors.js").SignatureError;
+};
+import { ok } from 'neverthrow';
+import { err } from 'neverthrow';
@@ -0,0 +1,112 @@
+/**
+ * Verifies the signature of a request against the route of a policy that matches its method and path. Requirements that
+ * the signature does not meet are reported as `POLICY_VIOLATION` errors, whose `details` name the route and the failed `rule`:
+ * `route` if no route matches, or the name of the requirement. Other errors, such as an invalid signature, are returned as they are.
+ *
+ * @param {object} params - The parameters for verifying the request.
+ * @param {RoutePolicy} params.policy - The verification policy.
+ * @param {import("./messages.js").RequestInput} params.request - The HTTP request. See `verifySignatureOfRequest`.
+ * @returns {Promise<import("neverthrow").Result<{route: string, signature: import("./index.js").VerificationResult}, import("./errors.js").SignatureError>>} The route that applied and the verified signature.
+ */
+export function verifyWithPolicy({ policy, request }: {
+    policy: RoutePolicy;
+    request: import("./messages.js").RequestInput;
+}): Promise<import("neverthrow").Result<{
+    route: string;
+    signature: import("./index.js").VerificationResult;
+}, import("./errors.js").SignatureError>>;
+/**
+ * What the signature of a request must satisfy. On a route, each requirement that is set replaces the one of the policy.
+ */
+export type PolicyRequirements = {
+    /**
+     * - The components the signature must cover.
+     */
+    requiredInputs?: import("./components.js").ComponentIdentifier[] | undefined;
+    /**
+     * - The parameters the signature must have.
+     */
+    requiredParams?: string[] | undefined;
+    /**
+     * - The allowed values of the `alg` parameter. If set, the signature must have an `alg` parameter.
+     */
+    algorithms?: string[] | undefined;
+    /**
+     * - The allowed values of the `tag` parameter. If set, the signature must have a `tag` parameter.
+     */
+    tags?: string[] | undefined;
+    /**
+     * - The maximum age (in seconds) for the signature to be considered valid.
+     */
+    maxAge?: number | undefined;
+    /**
+     * - Whether the signature must cover `content-digest` or `repr-digest`, so that the body is verified.
+     */
+    requireDigest?: boolean | undefined;
+};
+/**
+ * The requirements for the requests to a route. `method` is a method or a list of methods, and defaults to any method.
+ * `path` is a pattern of the URL path: literal segments, `:name` for any one segment, and `*` as the last segment for
+ * any remaining segments, so that `/*` matches every path. Paths are compared after decoding percent-escapes of unreserved
+ * characters and removing a trailing slash.
+ */
+export type RouteRule = PolicyRequirements & {
+    method?: (string | string[]);
+    path: string;
+};
+export type RoutePolicyOptions = {
+    /**
+     * - The routes, tried in order. The first one that matches the method and path of the request applies; requests that match none are rejected.
+     */
+    routes: RouteRule[];
+    /**
+     * - The maximum age (in seconds) of signatures, unless a route sets its own.
+     */
+    maxAge: number;
+    /**
+     * - The label of the signature to verify. Defaults to `sig1`.
+     */
+    signatureLabel?: string | undefined;
+    /**
+     * - The tolerance (in seconds) for clock differences with the signer.
+     */
+    clockSkew?: number | undefined;
+    /**
+     * - Returns the current time in milliseconds since the epoch.
+     */
+    now?: (() => number) | undefined;
+    /**
+     * - Rejects reused nonces.
+     */
+    replayStore?: import("./replay.js").ReplayStore | undefined;
+    /**
+     * - How covered digest fields are checked.
+     */
+    digestOptions?: import("./digest.js").DigestOptions | undefined;
+    /**
+     * - Whether to take the scheme and authority of a Node.js `IncomingMessage` from the headers set by a reverse proxy. Defaults to `false`.
+     */
+    trustProxy?: boolean | undefined;
+    /**
+     * - The verification function.
+     */
+    verify: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        signature: Uint8Array;
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<true, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+};
+/**
+ * A declarative verification policy: the requirements of the policy apply to every route that does not set its own.
+ */
+export type RoutePolicy = PolicyRequirements & RoutePolicyOptions;
+import { ok } from 'neverthrow';
+import { err } from 'neverthrow';
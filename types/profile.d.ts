@@ -0,0 +1,111 @@
+/**
+ * Creates a signing profile for a key, with the `keyid` and `alg` parameters taken from the key.
+ * Pass the result of `importKeyFromJwk` or `importKeyFromPem`, or any `{key, alg, keyid?}`. The parameters are
+ * validated up front, so that a misconfigured profile fails when it is created instead of on the first request.
+ *
+ * @param {object} params - The parameters for creating the profile.
+ * @param {import("./keys.js").ResolvedKey} params.key - The private key (or HMAC secret key) and its algorithm.
+ * @param {import("./components.js").ComponentIdentifier[]} params.signatureInputs - The covered components.
+ * @param {string=} params.signatureLabel - The label of the signature. Defaults to `sig1`.
+ * @param {string=} params.keyid - The `keyid` parameter. Defaults to the `keyid` of the key.
+ * @param {boolean=} params.includeAlg - Whether to add the `alg` parameter. Defaults to `true`.
+ * @param {string=} params.tag - The `tag` parameter.
+ * @param {boolean=} params.nonce - Whether to add a random `nonce` parameter. Defaults to `true`.
+ * @param {number=} params.expiresIn - If present, an `expires` parameter is added this many seconds after `created`.
+ * @param {import("./digest.js").DigestAlgorithm[]=} params.contentDigestAlgorithms - The algorithms for the `Content-Digest` of requests with a body. Defaults to `['sha-256']`.
+ * @param {function(): number=} params.now - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+ * @returns {import("neverthrow").Result<SigningProfile, import("./errors.js").SignatureError>} The signing profile.
+ */
+export function createSigningProfile({ key, signatureInputs, signatureLabel, keyid, includeAlg, tag, nonce, expiresIn, contentDigestAlgorithms, now, }: {
+    key: import("./keys.js").ResolvedKey;
+    signatureInputs: import("./components.js").ComponentIdentifier[];
+    signatureLabel?: string | undefined;
+    keyid?: string | undefined;
+    includeAlg?: boolean | undefined;
+    tag?: string | undefined;
+    nonce?: boolean | undefined;
+    expiresIn?: number | undefined;
+    contentDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    now?: (() => number) | undefined;
+}): import("neverthrow").Result<SigningProfile, import("./errors.js").SignatureError>;
+/**
+ * Creates the signature parameters for a signature made with a profile: `created` from the clock of the profile,
+ * `expires` from `expiresIn`, a random `nonce` and `keyid`, `alg` and `tag` as configured.
+ *
+ * @param {SigningProfile} profile - The signing profile.
+ * @returns {import("neverthrow").Result<Object.<string, (number|string)>, import("./errors.js").SignatureError>} The signature parameters.
+ */
+export function createSignatureParams(profile: SigningProfile): import("neverthrow").Result<{
+    [x: string]: (number | string);
+}, import("./errors.js").SignatureError>;
+/**
+ * Checks that signature parameters can be serialized into `Signature-Input`: names must be structured field keys,
+ * values strings of printable ASCII characters or numbers, and the parameters defined by RFC 9421 must have
+ * the type it gives them (`created` and `expires` integers, `nonce`, `alg`, `keyid` and `tag` strings).
+ *
+ * @param {Object.<string, unknown>} params - The signature parameters.
+ * @returns {import("neverthrow").Result<Object.<string, (number|string)>, import("./errors.js").SignatureError>} The signature parameters.
+ */
+export function validateSignatureParams(params: {
+    [x: string]: unknown;
+}): import("neverthrow").Result<{
+    [x: string]: (number | string);
+}, import("./errors.js").SignatureError>;
+/**
+ * How outgoing requests are signed.
+ */
+export type SigningProfile = {
+    /**
+     * - The label of the signature. Defaults to `sig1`.
+     */
+    signatureLabel?: string | undefined;
+    /**
+     * - The covered components. `content-digest` is added for requests with a body.
+     */
+    signatureInputs: import("./components.js").ComponentIdentifier[];
+    /**
+     * - The `keyid` parameter.
+     */
+    keyid?: string | undefined;
+    /**
+     * - The `alg` parameter.
+     */
+    alg?: string | undefined;
+    /**
+     * - The `tag` parameter.
+     */
+    tag?: string | undefined;
+    /**
+     * - Whether to add a random `nonce` parameter. Defaults to `true`.
+     */
+    nonce?: boolean | undefined;
+    /**
+     * - If present, an `expires` parameter is added this many seconds after `created`.
+     */
+    expiresIn?: number | undefined;
+    /**
+     * - The algorithms for the `Content-Digest` of requests with a body. Defaults to `['sha-256']`.
+     */
+    contentDigestAlgorithms?: import("./digest.js").DigestAlgorithm[] | undefined;
+    /**
+     * - Returns the current time in milliseconds since the epoch. Defaults to `Date.now`.
+     */
+    now?: (() => number) | undefined;
+    /**
+     * - The signing function.
+     */
+    sign: (arg0: {
+        signatureBase: string;
+        params: {
+            [x: string]: unknown;
+        };
+        ok: typeof ok;
+        err: typeof err;
+    }) => Promise<import("neverthrow").Result<ArrayBuffer, {
+        type: string;
+        message: string;
+        context?: unknown;
+    }>>;
+};
+import { ok } from 'neverthrow';
+import { err } from 'neverthrow';